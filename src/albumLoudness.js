@@ -0,0 +1,76 @@
+import { measureMidiDocument } from './pipeline.js';
+import { computeAlbumGain, computeReplayGain } from './processors/audioNormalizer.js';
+import { updateReplayGain } from './processors/audioEncoder.js';
+import { getAlbumLoudnessDocuments, updateAlbumReplayGain } from './database/queries.js';
+import { runWithConcurrency } from './utils/concurrency.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger({ module: 'albumLoudness' });
+
+/**
+ * Measures every track of an album and computes the gain shared by all of them.
+ * Tracks that cannot be measured are left out of the album gain. The measured renders
+ * are kept for processing; the caller releases them with releaseAudio.
+ * @param {string} albumKey - Album key (see getAlbumKey)
+ * @param {Object[]} documents - MongoDB documents of the album
+ * @param {Object} options - Per-run pipeline options (see processMidiDocument)
+ * @param {number} concurrency - Number of parallel renders
+ * @returns {Promise<Map>} Document ID -> albumLoudness option for processMidiDocument ({ albumKey, album, measurement, render })
+ */
+export async function measureAlbum(albumKey, documents, options, concurrency) {
+    const measurements = new Map();
+
+    await runWithConcurrency(documents, concurrency, async (document) => {
+        try {
+            measurements.set(document._id.toString(), await measureMidiDocument(document, options));
+        } catch (error) {
+            logger.warn({ albumKey, hash: document.midifile?.hash, error: error.message }, 'Track left out of album gain');
+        }
+    });
+
+    if (measurements.size === 0) {
+        return new Map();
+    }
+
+    const album = computeAlbumGain([...measurements.values()].map(({ measurement }) => measurement));
+    logger.info({ albumKey, ...album }, 'Album gain computed');
+
+    return new Map([...measurements].map(([id, { measurement, render }]) => [id, { albumKey, album, measurement, render }]));
+}
+
+/**
+ * Computes the album ReplayGain of all completed ReplayGain-mode tracks of an album
+ * and adds it to their tags and documents
+ * @param {string} albumKey - Album key (see getAlbumKey)
+ * @returns {Promise<Object|null>} Album ReplayGain { gainDb, peak, trackCount } or null
+ */
+export async function applyAlbumReplayGain(albumKey) {
+    const documents = (await getAlbumLoudnessDocuments(albumKey, 'replaygain'))
+        .filter((document) => document.midiToAudioProcessing.loudness.integratedLUFS !== undefined);
+
+    if (documents.length === 0) {
+        return null;
+    }
+
+    const album = computeReplayGain(documents.map((document) => document.midiToAudioProcessing.loudness));
+
+    for (const document of documents) {
+        const { outputPath, renditions, loudness } = document.midiToAudioProcessing;
+        // Every written rendition carries the gain (documents from before renditions only have outputPath)
+        const outputPaths = renditions
+            ? renditions.filter((rendition) => rendition.status === 'completed').map((rendition) => rendition.outputPath)
+            : [outputPath];
+
+        try {
+            for (const path of outputPaths) {
+                await updateReplayGain(path, { track: loudness.replayGain?.track, album });
+            }
+            await updateAlbumReplayGain(document._id, album);
+        } catch (error) {
+            logger.error({ albumKey, hash: document.midifile?.hash, error: error.message }, 'Failed to write album ReplayGain');
+        }
+    }
+
+    logger.info({ albumKey, ...album, trackCount: documents.length }, 'Album ReplayGain written');
+    return { ...album, trackCount: documents.length };
+}
@@ -1,5 +1,15 @@
-import { getMidiDocumentsCursor, countMidiDocuments } from './database/queries.js';
+import { getMidiDocumentsCursor, countMidiDocuments, getMidiDocumentsByIds } from './database/queries.js';
 import { processMidiDocumentWithRetry } from './pipeline.js';
+import { measureAlbum, applyAlbumReplayGain } from './albumLoudness.js';
+import { isKnownRenderer, listRenderers } from './processors/midiRenderer.js';
+import { LOUDNESS_MODES } from './processors/audioNormalizer.js';
+import { OUTPUT_FORMATS } from './utils/outputFormats.js';
+import { validateRenditions } from './utils/renditions.js';
+import { validateTransforms } from './midi/midiTransforms.js';
+import { getAlbumKey } from './filesystem/pathGenerator.js';
+import { runWithConcurrency } from './utils/concurrency.js';
+import { releaseAudio } from './utils/pcmBuffer.js';
+import { QualityRejectedError } from './utils/errors.js';
 import { createLogger } from './utils/logger.js';
 import config from './config.js';
 
@@ -14,8 +24,10 @@ class ProcessingStats {
         this.processed = 0;
         this.successful = 0;
         this.failed = 0;
+        this.rejected = 0;
         this.startTime = Date.now();
         this.errors = [];
+        this.rejections = [];
     }
 
     recordSuccess() {
@@ -29,6 +41,12 @@ class ProcessingStats {
         this.errors.push(error);
     }
 
+    recordRejection(rejection) {
+        this.processed++;
+        this.rejected++;
+        this.rejections.push(rejection);
+    }
+
     getProgress() {
         return this.total > 0 ? (this.processed / this.total * 100).toFixed(2) : 0;
     }
@@ -48,6 +66,7 @@ class ProcessingStats {
             processed: this.processed,
             successful: this.successful,
             failed: this.failed,
+            rejected: this.rejected,
             progress: `${this.getProgress()}%`,
             duration: this.getDuration(),
             rate: `${this.getRate()} docs/sec`,
@@ -55,20 +74,140 @@ class ProcessingStats {
     }
 }
 
+/**
+ * Processes one document and records the outcome
+ * @param {Object} document - MongoDB document
+ * @param {Object} pipelineOptions - Per-run pipeline options
+ * @param {ProcessingStats} stats - Batch statistics
+ * @returns {Promise<Object|null>} Processing result, or null if processing failed
+ */
+async function processDocument(document, pipelineOptions, stats) {
+    try {
+        const result = await processMidiDocumentWithRetry(document, config.processing.maxRetries, pipelineOptions);
+        stats.recordSuccess();
+
+        logger.info({
+            hash: result.hash,
+            progress: stats.getProgress(),
+            processed: stats.processed,
+            total: stats.total,
+        }, 'Document processed successfully');
+
+        // Log progress every 10 documents
+        if (stats.processed % 10 === 0) {
+            logger.info(stats.getSummary(), 'Progress update');
+        }
+
+        return result;
+    } catch (error) {
+        const hash = document.midifile?.hash || 'unknown';
+
+        // Rejected by a quality gate: the document was processed, the result just is not good enough
+        if (error instanceof QualityRejectedError) {
+            stats.recordRejection({ hash, reasons: error.violations.map((violation) => violation.message) });
+            logger.warn({ hash, progress: stats.getProgress() }, 'Document rejected');
+            return null;
+        }
+
+        stats.recordFailure({ hash, error: error.message });
+
+        logger.error({
+            hash,
+            error: error.message,
+            progress: stats.getProgress(),
+        }, 'Document processing failed');
+
+        return null;
+    }
+}
+
+/**
+ * Loads documents by ID in chunks, so that only a chunk's MIDI data is held in memory
+ * @param {Object[]} ids - MongoDB document IDs
+ * @param {number} chunkSize - Documents per query
+ * @yields {Object} MongoDB document
+ */
+async function* loadDocuments(ids, chunkSize = 100) {
+    for (let i = 0; i < ids.length; i += chunkSize) {
+        yield* await getMidiDocumentsByIds(ids.slice(i, i + chunkSize));
+    }
+}
+
+/**
+ * Album loudness mode: groups the selected documents by album, measures all tracks
+ * of an album first and then processes them with the album's shared gain, reusing
+ * the renders of the measuring pass. Documents without a known album are normalized per track.
+ * @param {Object} cursor - MongoDB cursor over the selected documents
+ * @param {Object} pipelineOptions - Per-run pipeline options
+ * @param {number} concurrency - Number of parallel processes
+ * @param {ProcessingStats} stats - Batch statistics
+ */
+async function processAlbums(cursor, pipelineOptions, concurrency, stats) {
+    const singles = [];
+    const albums = new Map();
+
+    // Group IDs first, without loading any MIDI data
+    for await (const document of cursor.project({ 'midifile.data': 0 })) {
+        const albumKey = getAlbumKey(document);
+        if (!albumKey) {
+            singles.push(document._id);
+        } else if (albums.has(albumKey)) {
+            albums.get(albumKey).push(document._id);
+        } else {
+            albums.set(albumKey, [document._id]);
+        }
+    }
+    logger.info({ albums: albums.size, singles: singles.length }, 'Grouped documents by album');
+
+    for (const [albumKey, ids] of albums) {
+        const documents = await getMidiDocumentsByIds(ids);
+        const albumLoudness = await measureAlbum(albumKey, documents, pipelineOptions, concurrency);
+
+        await runWithConcurrency(documents, concurrency, async (document) => {
+            const trackLoudness = albumLoudness.get(document._id.toString());
+            try {
+                await processDocument(document, { ...pipelineOptions, albumLoudness: trackLoudness }, stats);
+            } finally {
+                releaseAudio(trackLoudness?.render.wavPath);
+            }
+        });
+    }
+
+    await runWithConcurrency(loadDocuments(singles), concurrency, (document) => processDocument(document, pipelineOptions, stats));
+}
+
 /**
  * Processes MIDI documents in batches with concurrency control
  * @param {Object} options - Processing options
  * @param {number} options.limit - Maximum number of documents to process
  * @param {Object} options.filter - MongoDB filter query
  * @param {number} options.concurrency - Number of parallel processes
+ * @param {string} options.renderer - Renderer engine name
+ * @param {string} options.profile - Synthesis profile name
+ * @param {string} options.stems - Stem mode ('off', 'channel', 'track')
+ * @param {Object[]} options.transforms - MIDI transforms applied before rendering
+ * @param {string} options.loudness - Loudness mode ('track', 'album', 'peak', 'replaygain')
+ * @param {boolean} options.streaming - Keep rendered audio in memory instead of temp WAV files
+ * @param {string} options.format - Output format ('mp3', 'flac', 'opus', 'vorbis', 'aac', 'wav')
+ * @param {Object[]} options.renditions - Output renditions (replace format)
  * @returns {Promise<Object>} Processing statistics
  */
 export async function processBatch({
     limit = null,
     filter = {},
-    concurrency = config.processing.concurrency
+    concurrency = config.processing.concurrency,
+    renderer = config.renderer.engine,
+    profile = config.synthesis.profile,
+    stems = config.stems.mode,
+    transforms = config.transforms.list,
+    loudness = config.loudness.mode,
+    streaming = config.processing.streaming,
+    format = config.output.format,
+    renditions = config.renditions.list,
 } = {}) {
-    logger.info({ limit: limit, filter: filter, concurrency: concurrency }, 'Processing batch');
+    logger.info({ limit: limit, filter: filter, concurrency: concurrency, renderer: renderer, profile: profile, stems: stems, transforms: transforms, loudness: loudness, streaming: streaming, format: format, renditions: renditions }, 'Processing batch');
+
+    const pipelineOptions = { renderer, profile, stems, transforms, loudness, streaming, format, renditions };
 
     const stats = new ProcessingStats();
 
@@ -87,54 +226,24 @@ export async function processBatch({
             cursor.limit(limit);
         }
 
-        // Process documents with concurrency control using Promise pool
-        const activePromises = new Set();
-
-        for await (const document of cursor) {
-            // Process document
-            const promise = (async () => {
-                try {
-                    const result = await processMidiDocumentWithRetry(document);
-                    stats.recordSuccess();
-
-                    logger.info({
-                        hash: result.hash,
-                        progress: stats.getProgress(),
-                        processed: stats.processed,
-                        total: stats.total,
-                    }, 'Document processed successfully');
-
-                    // Log progress every 10 documents
-                    if (stats.processed % 10 === 0) {
-                        logger.info(stats.getSummary(), 'Progress update');
-                    }
-
-                    return result;
-                } catch (error) {
-                    const hash = document.midifile?.hash || 'unknown';
-                    stats.recordFailure({ hash, error: error.message });
-
-                    logger.error({
-                        hash,
-                        error: error.message,
-                        progress: stats.getProgress(),
-                    }, 'Document processing failed');
-                }
-            })();
+        if (loudness === 'album') {
+            await processAlbums(cursor, pipelineOptions, concurrency, stats);
+        } else {
+            // Albums touched by this run get their album ReplayGain once all tracks are done
+            const albumKeys = new Set();
 
-            // Add to active promises
-            activePromises.add(promise);
-            promise.finally(() => activePromises.delete(promise));
+            await runWithConcurrency(cursor, concurrency, async (document) => {
+                const result = await processDocument(document, pipelineOptions, stats);
+                if (result?.loudness.replayGain && result.loudness.albumKey) {
+                    albumKeys.add(result.loudness.albumKey);
+                }
+            });
 
-            // Wait if we've reached concurrency limit
-            if (activePromises.size >= concurrency) {
-                await Promise.race(activePromises);
+            for (const albumKey of albumKeys) {
+                await applyAlbumReplayGain(albumKey);
             }
         }
 
-        // Wait for all remaining promises to complete
-        await Promise.all(activePromises);
-
         const summary = stats.getSummary();
         logger.info(summary, 'Batch processing completed');
 
@@ -163,4 +272,44 @@ export function validateBatchOptions(options) {
     if (options.filter && typeof options.filter !== 'object') {
         throw new Error('Filter must be an object');
     }
+
+    if (options.renderer && !isKnownRenderer(options.renderer)) {
+        throw new Error(`Unknown renderer "${options.renderer}". Available: auto, ${listRenderers().join(', ')}`);
+    }
+
+    if (options.profile && !config.synthesis.profiles[options.profile]) {
+        throw new Error(`Unknown synthesis profile "${options.profile}". Available: ${Object.keys(config.synthesis.profiles).join(', ')}`);
+    }
+
+    if (options.stems && !['off', 'channel', 'track'].includes(options.stems)) {
+        throw new Error('Stems mode must be off, channel, or track');
+    }
+
+    if (options.loudness && !LOUDNESS_MODES.includes(options.loudness)) {
+        throw new Error(`Loudness mode must be ${LOUDNESS_MODES.join(', ')}`);
+    }
+
+    if (options.format && !OUTPUT_FORMATS[options.format]) {
+        throw new Error(`Output format must be ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    if (options.renditions) {
+        const errors = validateRenditions(options.renditions, config.output.directory);
+        if (errors.length > 0) {
+            throw new Error(`Invalid renditions: ${errors.join('; ')}`);
+        }
+    }
+
+    const renditions = options.renditions || config.renditions.list;
+    const formats = renditions.length > 0 ? renditions.map((rendition) => rendition.format) : [options.format || config.output.format];
+    if (formats.includes('wav') && (options.loudness || config.loudness.mode) === 'replaygain') {
+        throw new Error('Loudness mode replaygain needs output formats with tags (not wav)');
+    }
+
+    if (options.transforms) {
+        const errors = validateTransforms(options.transforms);
+        if (errors.length > 0) {
+            throw new Error(`Invalid MIDI transforms: ${errors.join('; ')}`);
+        }
+    }
 }
@@ -1,21 +1,70 @@
 import { Command } from 'commander';
 import logger from './utils/logger.js';
 import { processBatch, validateBatchOptions } from './batchProcessor.js';
+import { markDuplicates, setCanonical } from './dedupe.js';
+import { retagOutputs } from './retag.js';
 import config from './config.js';
 
 const program = new Command();
 
 program
     .name('midi-to-audio')
-    .description('Convert MIDI files from MongoDB to normalized MP3 files')
-    .version('1.0.0');
+    .description('Convert MIDI files from MongoDB to normalized audio files')
+    .version('1.0.0')
+    // Options after a subcommand belong to the subcommand (both have --filter and --dry-run)
+    .enablePositionalOptions();
 
 program
     .option('-l, --limit <number>', 'Maximum number of MIDI files to process', parseInt)
     .option('-c, --concurrency <number>', 'Number of parallel processes', parseInt, config.processing.concurrency)
     .option('-f, --filter <json>', 'MongoDB filter query as JSON string')
+    .option('-r, --renderer <name>', 'Renderer engine (auto, fluidsynth-cli, fluidsynth-wasm)', config.renderer.engine)
+    .option('-p, --profile <name>', 'Synthesis profile (default, dry, wet or from SYNTH_PROFILES)', config.synthesis.profile)
+    .option('-s, --stems <mode>', 'Render stems per channel or track (off, channel, track)', config.stems.mode)
+    .option('-t, --transforms <json>', 'MIDI transforms as JSON list (replaces MIDI_TRANSFORMS)')
+    .option('--loudness <mode>', 'Loudness mode (track, album, peak, replaygain)', config.loudness.mode)
+    .option('--format <name>', 'Output format (mp3, flac, opus, vorbis, aac, wav)', config.output.format)
+    .option('--renditions <json>', 'Output renditions as JSON list (replaces RENDITIONS and --format)')
+    .option('--streaming', 'Keep rendered audio in memory instead of temporary WAV files', config.processing.streaming)
     .option('--dry-run', 'Simulate processing without writing files')
-    .option('--stats-only', 'Show statistics without processing');
+    .option('--stats-only', 'Show statistics without processing')
+    .action(runConvert);
+
+program
+    .command('dedupe')
+    .description('Cluster near-duplicate songs by audio fingerprint and mark canonical versions')
+    .option('-f, --filter <json>', 'MongoDB filter query as JSON string')
+    .option('--threshold <number>', 'Minimum fingerprint similarity (0-1)', parseFloat, config.dedupe.threshold)
+    .option('--dry-run', 'Report clusters without updating documents')
+    .action(runDedupe);
+
+program
+    .command('canonical <hash>')
+    .description('Mark a document as the canonical version of its duplicate cluster')
+    .action(runSetCanonical);
+
+program
+    .command('retag')
+    .description('Rewrite the tags of completed outputs from the current database metadata')
+    .option('-f, --filter <json>', 'MongoDB filter query as JSON string')
+    .option('--move', 'Move files whose generated path changed')
+    .option('--dry-run', 'Report changes without writing files or documents')
+    .action(runRetag);
+
+/**
+ * Parses a JSON command line option
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {*} Parsed value
+ */
+function parseJsonOption(value, name) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.error({ error: error.message }, `Invalid ${name} JSON`);
+        throw new Error(`${name[0].toUpperCase()}${name.slice(1)} must be valid JSON`);
+    }
+}
 
 /**
  * Parses and validates CLI options
@@ -26,17 +75,28 @@ function parseOptions(options) {
     const batchOptions = {
         limit: options.limit || null,
         concurrency: options.concurrency,
+        renderer: options.renderer,
+        profile: options.profile,
+        stems: options.stems,
+        loudness: options.loudness,
+        streaming: options.streaming,
+        format: options.format,
         filter: {},
     };
 
     // Parse filter if provided
     if (options.filter) {
-        try {
-            batchOptions.filter = JSON.parse(options.filter);
-        } catch (error) {
-            logger.error({ error: error.message }, 'Invalid filter JSON');
-            throw new Error('Filter must be valid JSON');
-        }
+        batchOptions.filter = parseJsonOption(options.filter, 'filter');
+    }
+
+    // Parse transforms if provided
+    if (options.transforms) {
+        batchOptions.transforms = parseJsonOption(options.transforms, 'transforms');
+    }
+
+    // Parse renditions if provided
+    if (options.renditions) {
+        batchOptions.renditions = parseJsonOption(options.renditions, 'renditions');
     }
 
     // Validate options
@@ -49,49 +109,110 @@ function parseOptions(options) {
     };
 }
 
+/**
+ * Converts MIDI documents (default command)
+ * @param {Object} options - Raw CLI options
+ */
+async function runConvert(options) {
+    logger.info({ options }, 'Starting MIDI to Audio converter');
+
+    const parsedOptions = parseOptions(options);
+
+    if (parsedOptions.dryRun) {
+        logger.info('DRY RUN MODE - No files will be written');
+        // In dry run, just validate configuration
+        logger.info({
+            config: {
+                mongodb: config.mongodb.uri,
+                soundfont: config.soundfont.path,
+                renderer: parsedOptions.renderer,
+                profile: parsedOptions.profile,
+                transforms: parsedOptions.transforms || config.transforms.list,
+                loudness: parsedOptions.loudness,
+                streaming: parsedOptions.streaming,
+                format: parsedOptions.format,
+                renditions: parsedOptions.renditions || config.renditions.list,
+                output: config.output.directory,
+            }
+        }, 'Configuration validated');
+        return;
+    }
+
+    if (parsedOptions.statsOnly) {
+        const { countMidiDocuments } = await import('./database/queries.js');
+        const count = await countMidiDocuments(parsedOptions.filter);
+        logger.info({ count, filter: parsedOptions.filter }, 'Statistics');
+        return;
+    }
+
+    // Run batch processing
+    const stats = await processBatch(parsedOptions);
+
+    logger.info(stats, 'Processing completed');
+
+    if (stats.rejected > 0) {
+        logger.warn({ rejected: stats.rejected }, 'Some documents were rejected by quality gates');
+    }
+
+    // Exit with error code if there were failures
+    if (stats.failed > 0) {
+        logger.warn({ failed: stats.failed }, 'Some documents failed to process');
+        process.exit(1);
+    }
+}
+
+/**
+ * Clusters near-duplicate songs ('dedupe' command)
+ * @param {Object} options - Raw CLI options
+ */
+async function runDedupe(options) {
+    if (!(options.threshold > 0 && options.threshold <= 1)) {
+        throw new Error('Threshold must be between 0 and 1');
+    }
+
+    const { clusters, ...stats } = await markDuplicates({
+        filter: options.filter ? parseJsonOption(options.filter, 'filter') : {},
+        threshold: options.threshold,
+        dryRun: options.dryRun || false,
+    });
+
+    logger.info(stats, 'Deduplication completed');
+}
+
+/**
+ * Marks the canonical version of a duplicate cluster ('canonical' command)
+ * @param {string} hash - MIDI hash of the canonical document
+ */
+async function runSetCanonical(hash) {
+    const result = await setCanonical(hash);
+    logger.info(result, 'Canonical version updated');
+}
+
+/**
+ * Rewrites tags of existing outputs ('retag' command)
+ * @param {Object} options - Raw CLI options
+ */
+async function runRetag(options) {
+    const stats = await retagOutputs({
+        filter: options.filter ? parseJsonOption(options.filter, 'filter') : {},
+        move: options.move || false,
+        dryRun: options.dryRun || false,
+    });
+
+    logger.info(stats, 'Retagging completed');
+
+    if (stats.failed > 0) {
+        logger.warn({ failed: stats.failed }, 'Some documents could not be retagged');
+        process.exit(1);
+    }
+}
+
 /**
  * Main CLI handler
  */
 export async function runCli() {
-    program.parse();
-    const options = program.opts();
-
     try {
-        logger.info({ options }, 'Starting MIDI to Audio converter');
-
-        const parsedOptions = parseOptions(options);
-
-        if (parsedOptions.dryRun) {
-            logger.info('DRY RUN MODE - No files will be written');
-            // In dry run, just validate configuration
-            logger.info({
-                config: {
-                    mongodb: config.mongodb.uri,
-                    soundfont: config.soundfont.path,
-                    output: config.output.directory,
-                }
-            }, 'Configuration validated');
-            return;
-        }
-
-        if (parsedOptions.statsOnly) {
-            const { countMidiDocuments } = await import('./database/queries.js');
-            const count = await countMidiDocuments(parsedOptions.filter);
-            logger.info({ count, filter: parsedOptions.filter }, 'Statistics');
-            return;
-        }
-
-        // Run batch processing
-        const stats = await processBatch(parsedOptions);
-
-        logger.info(stats, 'Processing completed');
-
-        // Exit with error code if there were failures
-        if (stats.failed > 0) {
-            logger.warn({ failed: stats.failed }, 'Some documents failed to process');
-            process.exit(1);
-        }
-
+        await program.parseAsync();
     } catch (error) {
         logger.error({ error: error.message, stack: error.stack }, 'Fatal error');
         process.exit(1);
@@ -1,7 +1,10 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { validateTransforms } from './midi/midiTransforms.js';
+import { validatePathTemplate, previewPathTemplate } from './utils/pathTemplate.js';
+import { validateRenditions, OUTPUT_FORMAT_NAMES, OUTPUT_FORMAT_EXTENSIONS } from './utils/renditions.js';
 
 // Load environment variables
 dotenv.config();
@@ -10,9 +13,241 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '..');
 
+// Criteria a soundfont rule may match on (see ruleMatches in soundfontSelector.js)
+const SOUNDFONT_MATCH_KEYS = ['genre', 'artist', 'fileName'];
+
+/**
+ * Loads the soundfont registry (named soundfonts + selection rules) from a JSON file.
+ * Relative soundfont paths are resolved against the registry file's directory.
+ * @param {string} filePath - Path to registry JSON file
+ * @returns {Object} Registry with soundfonts map and rules list
+ */
+function loadSoundfontRegistry(filePath) {
+  if (!filePath) {
+    return { soundfonts: {}, rules: [] };
+  }
+
+  try {
+    const registry = JSON.parse(readFileSync(filePath, 'utf8'));
+    const baseDir = dirname(resolve(filePath));
+
+    return {
+      soundfonts: Object.fromEntries(
+        Object.entries(registry.soundfonts || {}).map(([name, path]) => [name, resolve(baseDir, path)])
+      ),
+      rules: registry.rules || [],
+    };
+  } catch (error) {
+    return { soundfonts: {}, rules: [], error: `Failed to load SOUNDFONT_REGISTRY ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Parses an optional numeric limit
+ * @param {string|undefined} value - Raw environment value
+ * @param {number|null} defaultValue - Limit used when the variable is not set
+ * @returns {number|null} Limit, or null if disabled ("off" or empty)
+ */
+function parseLimit(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return value === '' || value === 'off' ? null : parseFloat(value);
+}
+
+/**
+ * Built-in synthesis profiles. Omitted settings use the engine defaults.
+ */
+const BUILTIN_SYNTH_PROFILES = {
+  default: {
+    gain: 1.0,
+  },
+  dry: {
+    gain: 1.0,
+    reverb: { active: false },
+    chorus: { active: false },
+  },
+  wet: {
+    gain: 1.0,
+    reverb: { active: true, roomSize: 0.6, damping: 0.3, width: 0.8, level: 0.7 },
+    chorus: { active: true, voices: 3, level: 1.2, speed: 0.3, depth: 8 },
+  },
+};
+
+/**
+ * Loads synthesis profiles from a JSON file ({ "name": { ...settings } }) on top of the built-ins
+ * @param {string} filePath - Path to profiles JSON file
+ * @returns {Object} { profiles, error }
+ */
+function loadSynthProfiles(filePath) {
+  if (!filePath) {
+    return { profiles: { ...BUILTIN_SYNTH_PROFILES } };
+  }
+
+  try {
+    return { profiles: { ...BUILTIN_SYNTH_PROFILES, ...JSON.parse(readFileSync(filePath, 'utf8')) } };
+  } catch (error) {
+    return {
+      profiles: { ...BUILTIN_SYNTH_PROFILES },
+      error: `Failed to load SYNTH_PROFILES ${filePath}: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Validates a synthesis profile against FluidSynth's setting ranges
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile settings
+ * @returns {string[]} Validation errors
+ */
+function validateSynthProfile(name, profile) {
+  const errors = [];
+  const checkRange = (value, min, max, label) => {
+    if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+      errors.push(`Synth profile "${name}": ${label} must be between ${min} and ${max}`);
+    }
+  };
+
+  checkRange(profile.gain, 0, 10, 'gain');
+  checkRange(profile.polyphony, 1, 65535, 'polyphony');
+  checkRange(profile.cpuCores, 1, 256, 'cpuCores');
+  checkRange(profile.reverb?.roomSize, 0, 1, 'reverb.roomSize');
+  checkRange(profile.reverb?.damping, 0, 1, 'reverb.damping');
+  checkRange(profile.reverb?.width, 0, 100, 'reverb.width');
+  checkRange(profile.reverb?.level, 0, 1, 'reverb.level');
+  checkRange(profile.chorus?.voices, 0, 99, 'chorus.voices');
+  checkRange(profile.chorus?.level, 0, 10, 'chorus.level');
+  checkRange(profile.chorus?.speed, 0.1, 5, 'chorus.speed');
+  checkRange(profile.chorus?.depth, 0, 256, 'chorus.depth');
+
+  if (profile.interpolation !== undefined && !['none', 'linear', '4th', '7th'].includes(profile.interpolation)) {
+    errors.push(`Synth profile "${name}": interpolation must be none, linear, 4th, or 7th`);
+  }
+
+  return errors;
+}
+
+/**
+ * Loads the default MIDI transform list from a JSON file ([{ "type": ..., ... }])
+ * @param {string} filePath - Path to transforms JSON file
+ * @returns {Object} { transforms, error }
+ */
+function loadTransforms(filePath) {
+  if (!filePath) {
+    return { transforms: [] };
+  }
+
+  try {
+    return { transforms: JSON.parse(readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    return { transforms: [], error: `Failed to load MIDI_TRANSFORMS ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Built-in metadata source priorities: per field, document fields (dot notation) in the order
+ * they are tried. A source may also be { field, confidenceField, minConfidence }.
+ */
+const BUILTIN_METADATA_SOURCES = {
+  // Output paths have always been named after musicLLM first
+  artist: ['musicLLM.artist', 'musicbrainz.top.artist', 'redacted.artist', 'musicbrainz.oldest.artist'],
+  title: ['musicLLM.title', 'musicbrainz.top.title', 'redacted.title', 'musicbrainz.oldest.title', 'midifile.fileName'],
+  album: ['musicLLM.album', 'redacted.album', 'redacted.release', 'musicbrainz.top.album', 'musicbrainz.oldest.album'],
+  year: ['musicbrainz.top.firstReleaseDate', 'musicbrainz.oldest.firstReleaseDate'],
+  genre: ['redacted.tags', 'musicbrainz.top.tags', 'musicbrainz.oldest.tags'],
+  originalDate: ['musicbrainz.top.firstReleaseDate', 'musicbrainz.oldest.firstReleaseDate'],
+  artistSort: ['musicbrainz.top.artistSortName', 'musicbrainz.oldest.artistSortName'],
+  trackNumber: ['musicbrainz.top.trackNumber', 'musicbrainz.oldest.trackNumber'],
+  trackTotal: ['musicbrainz.top.trackCount', 'musicbrainz.oldest.trackCount'],
+  discNumber: ['musicbrainz.top.discNumber', 'musicbrainz.oldest.discNumber'],
+  discTotal: ['musicbrainz.top.discCount', 'musicbrainz.oldest.discCount'],
+  musicbrainzRecordingId: ['musicbrainz.top.recordingId', 'musicbrainz.oldest.recordingId'],
+  musicbrainzArtistId: ['musicbrainz.top.artistId', 'musicbrainz.oldest.artistId'],
+  musicbrainzReleaseId: ['musicbrainz.top.releaseId', 'musicbrainz.oldest.releaseId'],
+  musicbrainzReleaseGroupId: ['musicbrainz.top.releaseGroupId', 'musicbrainz.oldest.releaseGroupId'],
+};
+
+/**
+ * Loads metadata source priorities from a JSON file ({ "artist": [...], ... }) on top of the built-ins
+ * @param {string} filePath - Path to metadata sources JSON file
+ * @returns {Object} { sources, error }
+ */
+function loadMetadataSources(filePath) {
+  if (!filePath) {
+    return { sources: { ...BUILTIN_METADATA_SOURCES } };
+  }
+
+  try {
+    return { sources: { ...BUILTIN_METADATA_SOURCES, ...JSON.parse(readFileSync(filePath, 'utf8')) } };
+  } catch (error) {
+    return {
+      sources: { ...BUILTIN_METADATA_SOURCES },
+      error: `Failed to load METADATA_SOURCES ${filePath}: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Validates metadata source priorities
+ * @param {Object} sources - Source lists per field
+ * @returns {string[]} Validation errors
+ */
+function validateMetadataSources(sources) {
+  const errors = [];
+  const isPath = (value) => typeof value === 'string' && value !== '';
+
+  for (const [field, list] of Object.entries(sources)) {
+    if (!BUILTIN_METADATA_SOURCES[field]) {
+      errors.push(`METADATA_SOURCES: unknown field "${field}" (known: ${Object.keys(BUILTIN_METADATA_SOURCES).join(', ')})`);
+      continue;
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`METADATA_SOURCES: ${field} must be a list of sources`);
+      continue;
+    }
+
+    list.forEach((source, index) => {
+      const prefix = `METADATA_SOURCES: ${field} source #${index + 1}`;
+      if (isPath(source)) {
+        return;
+      }
+      if (!isPath(source?.field)) {
+        errors.push(`${prefix} must be a field path or { field, confidenceField, minConfidence }`);
+      } else if ((source.confidenceField !== undefined || source.minConfidence !== undefined)
+        && !(isPath(source.confidenceField) && typeof source.minConfidence === 'number')) {
+        errors.push(`${prefix} needs both confidenceField and a numeric minConfidence`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Loads the output renditions from a JSON file ([{ "name": ..., "format": ..., ... }])
+ * @param {string} filePath - Path to renditions JSON file
+ * @returns {Object} { renditions, error }
+ */
+function loadRenditions(filePath) {
+  if (!filePath) {
+    return { renditions: [] };
+  }
+
+  try {
+    return { renditions: JSON.parse(readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    return { renditions: [], error: `Failed to load RENDITIONS ${filePath}: ${error.message}` };
+  }
+}
+
 /**
  * Application configuration loaded from environment variables
  */
+const synthProfiles = loadSynthProfiles(process.env.SYNTH_PROFILES);
+const transforms = loadTransforms(process.env.MIDI_TRANSFORMS);
+const renditions = loadRenditions(process.env.RENDITIONS);
+const metadataSources = loadMetadataSources(process.env.METADATA_SOURCES);
+
 const config = {
   // MongoDB Configuration
   mongodb: {
@@ -24,19 +259,105 @@ const config = {
   // Soundfont Configuration
   soundfont: {
     path: process.env.SOUNDFONT_PATH || join(projectRoot, 'soundfont.sf2'),
+    // Optional JSON registry of named soundfonts and per-document selection rules
+    registryFile: process.env.SOUNDFONT_REGISTRY || null,
+    registry: loadSoundfontRegistry(process.env.SOUNDFONT_REGISTRY),
+    // Document field holding an explicit soundfont name (dot notation)
+    documentField: process.env.SOUNDFONT_DOCUMENT_FIELD || 'soundfont',
+  },
+
+  // Renderer Configuration
+  renderer: {
+    // 'auto' picks the first available engine (fluidsynth-cli, then fluidsynth-wasm)
+    engine: process.env.RENDERER || 'auto',
+    // Render timeout = base + MIDI playback length * per-second allowance
+    timeoutBaseMs: parseInt(process.env.RENDER_TIMEOUT_BASE_MS) || 30000,
+    timeoutPerSecondMs: parseInt(process.env.RENDER_TIMEOUT_PER_SECOND_MS) || 1000,
+    // Longer MIDIs are cut and faded out (seconds, 0 = unlimited)
+    maxOutputDuration: process.env.MAX_OUTPUT_DURATION !== undefined ? parseFloat(process.env.MAX_OUTPUT_DURATION) : 1200,
+    fadeOutDuration: process.env.FADE_OUT_DURATION !== undefined ? parseFloat(process.env.FADE_OUT_DURATION) : 5,
+    // Runaway MIDI protection (missing End-of-Track and hung notes are only logged by default)
+    requireEndOfTrack: process.env.REQUIRE_END_OF_TRACK === 'true',
+    rejectHungNotes: process.env.REJECT_HUNG_NOTES === 'true',
+    maxNoteDuration: process.env.MAX_NOTE_DURATION !== undefined ? parseFloat(process.env.MAX_NOTE_DURATION) : 300, // 0 = unlimited
+  },
+
+  // Synthesis Profiles (reverb, chorus, polyphony, interpolation, gain, CPU cores)
+  synthesis: {
+    profile: process.env.SYNTH_PROFILE || 'default',
+    profilesFile: process.env.SYNTH_PROFILES || null,
+    profiles: synthProfiles.profiles,
+    profilesError: synthProfiles.error,
+  },
+
+  // MIDI Transforms applied before rendering (transpose, tempoScale, mute, programRemap)
+  transforms: {
+    file: process.env.MIDI_TRANSFORMS || null,
+    list: transforms.transforms,
+    error: transforms.error,
+    // Document field holding additional per-document transforms (dot notation)
+    documentField: process.env.MIDI_TRANSFORMS_DOCUMENT_FIELD || 'midiTransforms',
+  },
+
+  // Stem Rendering (off, channel, track)
+  stems: {
+    mode: process.env.STEMS_MODE || 'off',
   },
 
   // Output Configuration
   output: {
     directory: process.env.OUTPUT_DIRECTORY || join(projectRoot, 'output'),
     tempDirectory: process.env.TEMP_DIRECTORY || join(projectRoot, 'temp'),
+    // mp3, flac, opus, vorbis (Ogg), aac (M4A) or wav
+    format: process.env.OUTPUT_FORMAT || 'mp3',
+    // Relative to OUTPUT_DIRECTORY (see pathTemplate.js); renditions may set their own
+    pathTemplate: process.env.OUTPUT_PATH_TEMPLATE || '{artist}/{album}/{title}.{ext}',
+  },
+
+  // Metadata resolution (artist, title, album, year, genre) shared by output paths and tags
+  metadata: {
+    sourcesFile: process.env.METADATA_SOURCES || null,
+    sources: metadataSources.sources,
+    sourcesError: metadataSources.error,
+    // Spelling of featured-artist credits (ft., featuring, ... -> feat.); 'off' keeps them as they are
+    featFormat: process.env.METADATA_FEAT_FORMAT || 'feat.',
+    // Genre tags with fewer votes (count) are left out; tags without a count always qualify
+    genreMinVotes: process.env.METADATA_GENRE_MIN_VOTES !== undefined ? parseFloat(process.env.METADATA_GENRE_MIN_VOTES) : 1,
+  },
+
+  // Output renditions encoded from one master (replace OUTPUT_FORMAT when set)
+  renditions: {
+    file: process.env.RENDITIONS || null,
+    list: renditions.renditions,
+    error: renditions.error,
   },
 
   // Audio Processing
   audio: {
     targetLUFS: parseFloat(process.env.TARGET_LUFS) || -14,
     sampleRate: parseInt(process.env.SAMPLE_RATE) || 44100,
+    // Internal chain: 16 or 24 bit integer, 32 = 32-bit float
     bitDepth: parseInt(process.env.BIT_DEPTH) || 16,
+    // FFmpeg dither method for the quantization to 16-bit outputs ('none' disables it)
+    dither: process.env.DITHER || 'triangular',
+  },
+
+  // Loudness handling: track (EBU R128 per file), album (one gain per album),
+  // peak (sample/true peak to PEAK_TARGET_DB) or replaygain (audio untouched, gain in tags)
+  loudness: {
+    mode: process.env.LOUDNESS_MODE || 'track',
+    peakType: process.env.PEAK_TYPE || 'true', // sample or true
+    peakTargetDb: process.env.PEAK_TARGET_DB !== undefined ? parseFloat(process.env.PEAK_TARGET_DB) : -1,
+  },
+
+  // Silence Trimming (after rendering, before loudness normalization)
+  trim: {
+    enabled: process.env.TRIM_SILENCE === 'true', // default: false
+    thresholdDb: process.env.SILENCE_THRESHOLD_DB !== undefined ? parseFloat(process.env.SILENCE_THRESHOLD_DB) : -60,
+    // Trailing silence kept after the last audible sound (reverb / release tail)
+    tailSeconds: process.env.TRIM_TAIL_SECONDS !== undefined ? parseFloat(process.env.TRIM_TAIL_SECONDS) : 2,
+    fadeInSeconds: process.env.TRIM_FADE_IN !== undefined ? parseFloat(process.env.TRIM_FADE_IN) : 0,
+    fadeOutSeconds: process.env.TRIM_FADE_OUT !== undefined ? parseFloat(process.env.TRIM_FADE_OUT) : 0,
   },
 
   // MP3 Encoding
@@ -46,6 +367,96 @@ const config = {
     embedFullMetadata: process.env.MP3_EMBED_FULL_METADATA !== 'false', // default: true
   },
 
+  // FLAC Encoding
+  flac: {
+    compressionLevel: process.env.FLAC_COMPRESSION_LEVEL !== undefined ? parseInt(process.env.FLAC_COMPRESSION_LEVEL) : 8, // 0-12
+    bitDepth: parseInt(process.env.FLAC_BIT_DEPTH) || Math.min(parseInt(process.env.BIT_DEPTH) || 16, 24), // 16 or 24
+  },
+
+  // Opus Encoding (Ogg container)
+  opus: {
+    bitrate: parseInt(process.env.OPUS_BITRATE) || 160,
+  },
+
+  // Ogg Vorbis Encoding
+  vorbis: {
+    quality: process.env.VORBIS_QUALITY !== undefined ? parseFloat(process.env.VORBIS_QUALITY) : 6, // -1 = worst, 10 = best
+  },
+
+  // AAC Encoding (M4A container)
+  aac: {
+    bitrate: parseInt(process.env.AAC_BITRATE) || 256,
+  },
+
+  // WAV Output
+  wav: {
+    bitDepth: parseInt(process.env.WAV_BIT_DEPTH) || parseInt(process.env.BIT_DEPTH) || 16, // 16, 24 or 32 (float)
+  },
+
+  // Lyrics from MIDI lyric/karaoke events
+  lyrics: {
+    embed: process.env.EMBED_LYRICS === 'true', // default: false
+    writeLrc: process.env.WRITE_LRC === 'true', // .lrc sidecar next to the MP3
+    language: process.env.LYRICS_LANGUAGE || 'XXX', // ISO 639-2, XXX = unknown
+  },
+
+  // Waveform peaks for web players (audiowaveform JSON and .dat next to the MP3)
+  waveform: {
+    enabled: process.env.WAVEFORM_PEAKS === 'true', // default: false
+    samplesPerPixel: parseInt(process.env.WAVEFORM_SAMPLES_PER_PIXEL) || 512,
+    bits: parseInt(process.env.WAVEFORM_BITS) || 8, // 8 or 16
+  },
+
+  // Preview clips of the most energetic section, for catalog browsing
+  preview: {
+    enabled: process.env.PREVIEW === 'true', // default: false
+    durationSeconds: parseFloat(process.env.PREVIEW_DURATION) || 30,
+    fadeInSeconds: process.env.PREVIEW_FADE_IN !== undefined ? parseFloat(process.env.PREVIEW_FADE_IN) : 1,
+    fadeOutSeconds: process.env.PREVIEW_FADE_OUT !== undefined ? parseFloat(process.env.PREVIEW_FADE_OUT) : 2,
+    bitrate: parseInt(process.env.PREVIEW_BITRATE) || 128,
+    // Relative to OUTPUT_DIRECTORY, same placeholders as OUTPUT_PATH_TEMPLATE
+    pathTemplate: process.env.PREVIEW_PATH_TEMPLATE || 'previews/{artist}/{album}/{title}.mp3',
+  },
+
+  // Generated piano-roll cover art
+  cover: {
+    enabled: process.env.COVER_ART === 'true', // default: false
+    size: parseInt(process.env.COVER_SIZE) || 600, // edge length in pixels
+    writeFile: process.env.WRITE_COVER_FILE === 'true', // cover.png in the album folder
+  },
+
+  // Quality analysis of the normalized audio; documents failing a gate are marked rejected
+  quality: {
+    enabled: process.env.QUALITY_ANALYSIS === 'true', // default: false
+    silenceThresholdDb: process.env.QUALITY_SILENCE_THRESHOLD_DB !== undefined ? parseFloat(process.env.QUALITY_SILENCE_THRESHOLD_DB) : -60,
+    // Every gate is off until a limit is set ("off" disables it again)
+    gates: {
+      maxTruePeakDb: parseLimit(process.env.QUALITY_MAX_TRUE_PEAK_DB, null),
+      maxClippedSamples: parseLimit(process.env.QUALITY_MAX_CLIPPED_SAMPLES, null),
+      maxDcOffset: parseLimit(process.env.QUALITY_MAX_DC_OFFSET, null),
+      minLoudnessRange: parseLimit(process.env.QUALITY_MIN_LOUDNESS_RANGE, null),
+      maxLoudnessRange: parseLimit(process.env.QUALITY_MAX_LOUDNESS_RANGE, null),
+      maxSilenceRatio: parseLimit(process.env.QUALITY_MAX_SILENCE_RATIO, null),
+      maxStereoCorrelation: parseLimit(process.env.QUALITY_MAX_STEREO_CORRELATION, null),
+    },
+  },
+
+  // Verification of the encoded MP3 (decoded and measured with a BS.1770 meter)
+  verification: {
+    enabled: process.env.VERIFY_OUTPUT === 'true', // default: false
+    loudnessToleranceLU: process.env.VERIFY_LOUDNESS_TOLERANCE !== undefined ? parseFloat(process.env.VERIFY_LOUDNESS_TOLERANCE) : 1,
+    maxTruePeakDb: parseLimit(process.env.VERIFY_MAX_TRUE_PEAK_DB, 0), // not checked in replaygain mode
+    durationToleranceSeconds: process.env.VERIFY_DURATION_TOLERANCE !== undefined ? parseFloat(process.env.VERIFY_DURATION_TOLERANCE) : 0.5,
+    // Rendering is deterministic, so a failed check usually fails again: no retries unless asked for
+    maxRetries: process.env.VERIFY_MAX_RETRIES !== undefined ? parseInt(process.env.VERIFY_MAX_RETRIES) : 0,
+  },
+
+  // Acoustic fingerprints and duplicate detection
+  dedupe: {
+    fingerprint: process.env.FINGERPRINT === 'true', // default: false
+    threshold: process.env.DEDUPE_THRESHOLD !== undefined ? parseFloat(process.env.DEDUPE_THRESHOLD) : 0.85,
+  },
+
   // Processing Configuration
   processing: {
     batchSize: parseInt(process.env.BATCH_SIZE) || 10,
@@ -53,6 +464,10 @@ const config = {
     enableDuplicateCheck: process.env.ENABLE_DUPLICATE_CHECK !== 'false',
     maxRetries: process.env.MAX_RETRIES !== undefined ? parseInt(process.env.MAX_RETRIES) : 2,
     retryFailed: process.env.RETRY_FAILED !== 'false',
+    // Keep rendered and normalized audio in memory instead of temporary WAV files
+    streaming: process.env.STREAMING === 'true',
+    // Per audio buffer; audio past the limit is spilled to a raw temp file
+    streamingMemoryLimitMb: process.env.STREAMING_MEMORY_LIMIT_MB !== undefined ? parseFloat(process.env.STREAMING_MEMORY_LIMIT_MB) : 64,
   },
 
   // Logging
@@ -62,8 +477,33 @@ const config = {
   },
 };
 
+/**
+ * Renders every configured output path template for example documents
+ * @returns {Object[]} Examples { name: rendition (or 'preview'), template, paths }
+ */
+function getPathExamples() {
+  const renditions = config.renditions.list.length > 0
+    ? config.renditions.list
+    : [{ name: 'main', format: config.output.format }];
+
+  const examples = renditions.map((rendition) => {
+    const template = rendition.pathTemplate || config.output.pathTemplate;
+    const ext = OUTPUT_FORMAT_EXTENSIONS[rendition.format].slice(1);
+    const paths = previewPathTemplate(template, { rendition: rendition.name, format: rendition.format, ext });
+    return { name: rendition.name, template, paths: paths.map((path) => join(rendition.outputDirectory || config.output.directory, path)) };
+  });
+
+  if (config.preview.enabled) {
+    const paths = previewPathTemplate(config.preview.pathTemplate, { rendition: 'preview', format: 'mp3', ext: 'mp3' });
+    examples.push({ name: 'preview', template: config.preview.pathTemplate, paths: paths.map((path) => join(config.output.directory, path)) });
+  }
+
+  return examples;
+}
+
 /**
  * Validates the configuration
+ * @returns {Object} { pathExamples: example output paths of every path template (see getPathExamples) }
  * @throws {Error} if configuration is invalid
  */
 export function validateConfig() {
@@ -79,6 +519,40 @@ export function validateConfig() {
     errors.push(`Soundfont file not found: ${config.soundfont.path}`);
   }
 
+  // Check soundfont registry
+  const { registry } = config.soundfont;
+  if (registry.error) {
+    errors.push(registry.error);
+  }
+
+  for (const [name, path] of Object.entries(registry.soundfonts)) {
+    if (!existsSync(path)) {
+      errors.push(`Soundfont "${name}" not found: ${path}`);
+    }
+  }
+
+  registry.rules.forEach((rule, index) => {
+    if (rule.soundfont !== 'default' && !registry.soundfonts[rule.soundfont]) {
+      errors.push(`Soundfont rule #${index + 1} references unknown soundfont "${rule.soundfont}"`);
+    }
+    if (!rule.match || Object.keys(rule.match).length === 0) {
+      errors.push(`Soundfont rule #${index + 1} has no match criteria`);
+    }
+    // An unknown key would be ignored and the rule would match every document
+    for (const key of Object.keys(rule.match || {})) {
+      if (!SOUNDFONT_MATCH_KEYS.includes(key)) {
+        errors.push(`Soundfont rule #${index + 1} has unknown match criterion "${key}" (known: ${SOUNDFONT_MATCH_KEYS.join(', ')})`);
+      }
+    }
+    if (rule.match?.fileName) {
+      try {
+        new RegExp(rule.match.fileName, 'i');
+      } catch (error) {
+        errors.push(`Soundfont rule #${index + 1} has invalid fileName pattern: ${error.message}`);
+      }
+    }
+  });
+
   // Validate audio parameters
   if (config.audio.targetLUFS > 0 || config.audio.targetLUFS < -70) {
     errors.push('TARGET_LUFS must be between -70 and 0');
@@ -88,8 +562,86 @@ export function validateConfig() {
     errors.push('SAMPLE_RATE must be between 8000 and 192000');
   }
 
-  if (![8, 16, 24, 32].includes(config.audio.bitDepth)) {
-    errors.push('BIT_DEPTH must be 8, 16, 24, or 32');
+  if (![16, 24, 32].includes(config.audio.bitDepth)) {
+    errors.push('BIT_DEPTH must be 16, 24, or 32 (float)');
+  }
+
+  const ditherMethods = ['none', 'rectangular', 'triangular', 'triangular_hp', 'lipshitz', 'shibata',
+    'low_shibata', 'high_shibata', 'f_weighted', 'e_weighted', 'modified_e_weighted'];
+  if (!ditherMethods.includes(config.audio.dither)) {
+    errors.push(`DITHER must be one of: ${ditherMethods.join(', ')}`);
+  }
+
+  if (!['track', 'album', 'peak', 'replaygain'].includes(config.loudness.mode)) {
+    errors.push('LOUDNESS_MODE must be track, album, peak, or replaygain');
+  }
+
+  if (!['sample', 'true'].includes(config.loudness.peakType)) {
+    errors.push('PEAK_TYPE must be sample or true');
+  }
+
+  if (!(config.loudness.peakTargetDb <= 0 && config.loudness.peakTargetDb >= -30)) {
+    errors.push('PEAK_TARGET_DB must be between -30 and 0');
+  }
+
+  // Validate renderer limits
+  if (config.renderer.timeoutBaseMs < 1000) {
+    errors.push('RENDER_TIMEOUT_BASE_MS must be at least 1000');
+  }
+
+  if (config.renderer.timeoutPerSecondMs < 0) {
+    errors.push('RENDER_TIMEOUT_PER_SECOND_MS must not be negative');
+  }
+
+  if (!(config.renderer.maxOutputDuration >= 0)) {
+    errors.push('MAX_OUTPUT_DURATION must be 0 (unlimited) or a positive number of seconds');
+  }
+
+  if (!(config.renderer.fadeOutDuration >= 0) ||
+    (config.renderer.maxOutputDuration > 0 && config.renderer.fadeOutDuration > config.renderer.maxOutputDuration)) {
+    errors.push('FADE_OUT_DURATION must be between 0 and MAX_OUTPUT_DURATION');
+  }
+
+  if (!(config.renderer.maxNoteDuration >= 0)) {
+    errors.push('MAX_NOTE_DURATION must be 0 (unlimited) or a positive number of seconds');
+  }
+
+  // Validate synthesis profiles
+  const { profiles, profilesError } = config.synthesis;
+  if (profilesError) {
+    errors.push(profilesError);
+  }
+
+  if (!profiles[config.synthesis.profile]) {
+    errors.push(`SYNTH_PROFILE "${config.synthesis.profile}" is not defined (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    errors.push(...validateSynthProfile(name, profile));
+  }
+
+  // Validate default MIDI transforms
+  if (config.transforms.error) {
+    errors.push(config.transforms.error);
+  } else {
+    errors.push(...validateTransforms(config.transforms.list).map((error) => `MIDI_TRANSFORMS: ${error}`));
+  }
+
+  if (!['off', 'channel', 'track'].includes(config.stems.mode)) {
+    errors.push('STEMS_MODE must be off, channel, or track');
+  }
+
+  // Validate silence trimming
+  if (!(config.trim.thresholdDb < 0 && config.trim.thresholdDb >= -120)) {
+    errors.push('SILENCE_THRESHOLD_DB must be between -120 and 0');
+  }
+
+  if (!(config.trim.tailSeconds >= 0)) {
+    errors.push('TRIM_TAIL_SECONDS must not be negative');
+  }
+
+  if (!(config.trim.fadeInSeconds >= 0) || !(config.trim.fadeOutSeconds >= 0)) {
+    errors.push('TRIM_FADE_IN and TRIM_FADE_OUT must not be negative');
   }
 
   // Validate MP3 parameters
@@ -101,7 +653,143 @@ export function validateConfig() {
     errors.push('MP3_QUALITY must be between 0 and 9');
   }
 
+  // Validate output format and per-format settings
+  if (!OUTPUT_FORMAT_NAMES.includes(config.output.format)) {
+    errors.push(`OUTPUT_FORMAT must be one of: ${OUTPUT_FORMAT_NAMES.join(', ')}`);
+  }
+
+  errors.push(...validatePathTemplate(config.output.pathTemplate).map((error) => `OUTPUT_PATH_TEMPLATE ${error}`));
+
+  if (!(config.flac.compressionLevel >= 0 && config.flac.compressionLevel <= 12)) {
+    errors.push('FLAC_COMPRESSION_LEVEL must be between 0 and 12');
+  }
+
+  if (![16, 24].includes(config.flac.bitDepth)) {
+    errors.push('FLAC_BIT_DEPTH must be 16 or 24');
+  }
+
+  if (config.opus.bitrate < 6 || config.opus.bitrate > 510) {
+    errors.push('OPUS_BITRATE must be between 6 and 510');
+  }
+
+  if (!(config.vorbis.quality >= -1 && config.vorbis.quality <= 10)) {
+    errors.push('VORBIS_QUALITY must be between -1 and 10');
+  }
+
+  if (config.aac.bitrate < 32 || config.aac.bitrate > 512) {
+    errors.push('AAC_BITRATE must be between 32 and 512');
+  }
+
+  if (![16, 24, 32].includes(config.wav.bitDepth)) {
+    errors.push('WAV_BIT_DEPTH must be 16, 24, or 32 (float)');
+  }
+
+  // Validate metadata sources
+  if (config.metadata.sourcesError) {
+    errors.push(config.metadata.sourcesError);
+  }
+
+  errors.push(...validateMetadataSources(config.metadata.sources));
+
+  if (!Number.isFinite(config.metadata.genreMinVotes)) {
+    errors.push('METADATA_GENRE_MIN_VOTES must be a number');
+  }
+
+  // Validate output renditions
+  if (config.renditions.error) {
+    errors.push(config.renditions.error);
+  } else {
+    errors.push(...validateRenditions(config.renditions.list, config.output.directory).map((error) => `RENDITIONS: ${error}`));
+  }
+
+  const outputFormats = config.renditions.list.length > 0
+    ? config.renditions.list.map((rendition) => rendition?.format)
+    : [config.output.format];
+  if (outputFormats.includes('wav') && config.loudness.mode === 'replaygain') {
+    errors.push('LOUDNESS_MODE replaygain needs output formats with tags for the gain (WAV has none)');
+  }
+
+  // Validate lyrics
+  if (!/^[A-Za-z]{3}$/.test(config.lyrics.language)) {
+    errors.push('LYRICS_LANGUAGE must be a 3-letter ISO 639-2 code');
+  }
+
+  // Validate waveform peaks
+  if (![8, 16].includes(config.waveform.bits)) {
+    errors.push('WAVEFORM_BITS must be 8 or 16');
+  }
+
+  if (!(config.waveform.samplesPerPixel >= 32)) {
+    errors.push('WAVEFORM_SAMPLES_PER_PIXEL must be at least 32');
+  }
+
+  // Validate preview clips
+  const { preview } = config;
+  if (!(preview.durationSeconds > 0)) {
+    errors.push('PREVIEW_DURATION must be positive');
+  }
+
+  if (!(preview.fadeInSeconds >= 0) || !(preview.fadeOutSeconds >= 0)
+    || preview.fadeInSeconds + preview.fadeOutSeconds > preview.durationSeconds) {
+    errors.push('PREVIEW_FADE_IN and PREVIEW_FADE_OUT must not be negative and must fit into PREVIEW_DURATION');
+  }
+
+  if (preview.bitrate < 32 || preview.bitrate > 320) {
+    errors.push('PREVIEW_BITRATE must be between 32 and 320');
+  }
+
+  errors.push(...validatePathTemplate(preview.pathTemplate, '.mp3').map((error) => `PREVIEW_PATH_TEMPLATE ${error}`));
+
+  // Validate cover art
+  if (!(config.cover.size >= 64 && config.cover.size <= 3000)) {
+    errors.push('COVER_SIZE must be between 64 and 3000');
+  }
+
+  // Validate quality gates
+  const { gates } = config.quality;
+  if (Object.values(gates).some((limit) => limit !== null && Number.isNaN(limit))) {
+    errors.push('QUALITY_* gates must be numbers or "off"');
+  }
+
+  if (gates.maxClippedSamples !== null && gates.maxClippedSamples < 0) {
+    errors.push('QUALITY_MAX_CLIPPED_SAMPLES must not be negative');
+  }
+
+  if (gates.maxSilenceRatio !== null && !(gates.maxSilenceRatio >= 0 && gates.maxSilenceRatio <= 1)) {
+    errors.push('QUALITY_MAX_SILENCE_RATIO must be between 0 and 1');
+  }
+
+  if (gates.maxStereoCorrelation !== null && !(gates.maxStereoCorrelation >= -1 && gates.maxStereoCorrelation <= 1)) {
+    errors.push('QUALITY_MAX_STEREO_CORRELATION must be between -1 and 1');
+  }
+
+  // Validate output verification
+  if (!(config.verification.loudnessToleranceLU > 0)) {
+    errors.push('VERIFY_LOUDNESS_TOLERANCE must be positive');
+  }
+
+  if (!(config.verification.durationToleranceSeconds > 0)) {
+    errors.push('VERIFY_DURATION_TOLERANCE must be positive');
+  }
+
+  if (!(config.verification.maxRetries >= 0)) {
+    errors.push('VERIFY_MAX_RETRIES must be 0 or greater');
+  }
+
+  if (Number.isNaN(config.verification.maxTruePeakDb)) {
+    errors.push('VERIFY_MAX_TRUE_PEAK_DB must be a number or "off"');
+  }
+
+  // Validate duplicate detection
+  if (!(config.dedupe.threshold > 0 && config.dedupe.threshold <= 1)) {
+    errors.push('DEDUPE_THRESHOLD must be between 0 and 1');
+  }
+
   // Validate processing parameters
+  if (!(config.processing.streamingMemoryLimitMb > 0)) {
+    errors.push('STREAMING_MEMORY_LIMIT_MB must be positive');
+  }
+
   if (config.processing.concurrency < 1) {
     errors.push('CONCURRENCY must be at least 1');
   }
@@ -113,6 +801,8 @@ export function validateConfig() {
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
   }
+
+  return { pathExamples: getPathExamples() };
 }
 
 export default config;
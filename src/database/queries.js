@@ -79,7 +79,7 @@ export async function updateProcessingStatus(hash, status, metadata = {}) {
 /**
  * Updates the processing status of a MIDI document by ID
  * @param {Object} id - MongoDB document ID
- * @param {string} status - Processing status ('processing', 'completed', 'failed')
+ * @param {string} status - Processing status ('processing', 'completed', 'failed', 'rejected')
  * @param {Object} metadata - Additional metadata to store
  * @returns {Promise<Object>} Update result
  */
@@ -166,7 +166,7 @@ export async function getMidiDocumentsCursor(filter = {}) {
     // Simplification for reliability:
     const statusExclusions = [];
     if (config.processing.enableDuplicateCheck) statusExclusions.push('completed');
-    if (!config.processing.retryFailed) statusExclusions.push('failed');
+    if (!config.processing.retryFailed) statusExclusions.push('failed', 'rejected');
 
     if (statusExclusions.length > 0) {
         query['midiToAudioProcessing.status'] = { $nin: statusExclusions };
@@ -174,3 +174,133 @@ export async function getMidiDocumentsCursor(filter = {}) {
 
     return collection.find(query);
 }
+
+/**
+ * Creates a cursor over completed documents that have an audio fingerprint
+ * @param {Object} filter - Additional filter criteria
+ * @returns {Promise<Object>} MongoDB cursor with the fields needed for deduplication
+ */
+export async function getFingerprintedDocumentsCursor(filter = {}) {
+    const collection = await getCollection();
+
+    return collection.find({
+        ...filter,
+        'midiToAudioProcessing.status': 'completed',
+        'midiToAudioProcessing.fingerprint': { $type: 'object' },
+    }).project({
+        'midifile.hash': 1,
+        'midiToAudioProcessing.fingerprint': 1,
+        'midiToAudioProcessing.duplicate': 1,
+        'midiToAudioProcessing.outputPath': 1,
+        'midiToAudioProcessing.midiAnalysis.noteCount': 1,
+    });
+}
+
+/**
+ * Stores the duplicate cluster information of a document
+ * @param {Object} id - MongoDB document ID
+ * @param {Object|null} duplicate - Cluster membership (null = not a duplicate)
+ * @returns {Promise<Object>} Update result
+ */
+export async function updateDuplicateInfo(id, duplicate) {
+    const collection = await getCollection();
+
+    const result = await collection.updateOne(
+        { _id: id },
+        { $set: { 'midiToAudioProcessing.duplicate': duplicate } }
+    );
+
+    logger.debug({ id, clusterId: duplicate?.clusterId, matched: result.matchedCount }, 'Updated duplicate info');
+    return result;
+}
+
+/**
+ * Gets all documents of a duplicate cluster
+ * @param {string} clusterId - Cluster ID
+ * @returns {Promise<Array>} Documents with hash and duplicate info
+ */
+export async function getDuplicateCluster(clusterId) {
+    const collection = await getCollection();
+
+    return collection
+        .find({ 'midiToAudioProcessing.duplicate.clusterId': clusterId })
+        .project({ 'midifile.hash': 1, 'midiToAudioProcessing.duplicate': 1 })
+        .toArray();
+}
+
+/**
+ * Finds a document by its MIDI hash
+ * @param {string} hash - MIDI file hash
+ * @returns {Promise<Object|null>} Document or null
+ */
+export async function findDocumentByHash(hash) {
+    const collection = await getCollection();
+    return collection.findOne({ 'midifile.hash': hash });
+}
+
+/**
+ * Gets documents by their IDs
+ * @param {Object[]} ids - MongoDB document IDs
+ * @returns {Promise<Array>} Documents (in no particular order)
+ */
+export async function getMidiDocumentsByIds(ids) {
+    const collection = await getCollection();
+    return collection.find({ _id: { $in: ids } }).toArray();
+}
+
+/**
+ * Gets the completed documents of an album with their loudness measurement
+ * @param {string} albumKey - Album key (see getAlbumKey)
+ * @param {string} mode - Loudness mode the documents were processed with
+ * @returns {Promise<Array>} Documents with hash, output path and loudness
+ */
+export async function getAlbumLoudnessDocuments(albumKey, mode) {
+    const collection = await getCollection();
+
+    return collection
+        .find({
+            'midiToAudioProcessing.status': 'completed',
+            'midiToAudioProcessing.loudness.albumKey': albumKey,
+            'midiToAudioProcessing.loudness.mode': mode,
+        })
+        .project({
+            'midifile.hash': 1,
+            'midiToAudioProcessing.outputPath': 1,
+            'midiToAudioProcessing.renditions': 1,
+            'midiToAudioProcessing.loudness': 1,
+        })
+        .toArray();
+}
+
+/**
+ * Stores the album ReplayGain values of a document
+ * @param {Object} id - MongoDB document ID
+ * @param {Object} albumReplayGain - { gainDb, peak }
+ * @returns {Promise<Object>} Update result
+ */
+export async function updateAlbumReplayGain(id, albumReplayGain) {
+    const collection = await getCollection();
+
+    const result = await collection.updateOne(
+        { _id: id },
+        { $set: { 'midiToAudioProcessing.loudness.replayGain.album': albumReplayGain } }
+    );
+
+    logger.debug({ id, albumReplayGain, matched: result.matchedCount }, 'Updated album ReplayGain');
+    return result;
+}
+
+/**
+ * Creates a cursor over completed documents with an output file
+ * @param {Object} filter - Additional filter criteria
+ * @returns {Promise<Object>} MongoDB cursor (documents without the MIDI data)
+ */
+export async function getCompletedOutputsCursor(filter = {}) {
+    const collection = await getCollection();
+
+    return collection.find({
+        ...filter,
+        'midiToAudioProcessing.status': 'completed',
+        'midiToAudioProcessing.outputPath': { $type: 'string' },
+    }).project({ 'midifile.data': 0 });
+}
@@ -0,0 +1,236 @@
+import {
+    getFingerprintedDocumentsCursor,
+    updateDuplicateInfo,
+    getDuplicateCluster,
+    findDocumentByHash,
+} from './database/queries.js';
+import { compareFingerprints, compareProfiles, prepareFingerprint } from './processors/audioFingerprint.js';
+import { createLogger } from './utils/logger.js';
+import config from './config.js';
+
+const logger = createLogger({ module: 'dedupe' });
+
+// Cheap pre-filters before the frame-by-frame comparison
+const MIN_PROFILE_SIMILARITY = 0.9;
+const MAX_DURATION_DIFFERENCE = 0.25; // relative to the shorter song
+
+/**
+ * Minimal union-find over document indices
+ * @param {number} size - Number of elements
+ * @returns {Object} { find, union }
+ */
+function createUnionFind(size) {
+    const parent = Array.from({ length: size }, (_, index) => index);
+
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    return {
+        find,
+        union: (a, b) => {
+            parent[find(a)] = find(b);
+        },
+    };
+}
+
+/**
+ * Picks the canonical document of a cluster: a manually chosen canonical wins,
+ * otherwise the arrangement with the most notes (ties: lowest hash)
+ * @param {Object[]} members - Cluster members
+ * @returns {Object} Canonical member
+ */
+function chooseCanonical(members) {
+    const manual = members.find((member) => member.duplicate?.manual && member.duplicate?.canonical);
+    if (manual) {
+        return manual;
+    }
+
+    return [...members].sort((a, b) => (b.noteCount - a.noteCount) || a.hash.localeCompare(b.hash))[0];
+}
+
+/**
+ * Loads fingerprints and groups near-duplicate songs
+ * @param {Object} options - Clustering options
+ * @param {Object} options.filter - MongoDB filter restricting the documents
+ * @param {number} options.threshold - Minimum fingerprint similarity (0-1)
+ * @returns {Promise<Object>} { documents, clusters: [{ clusterId, canonical, manual, members }] }
+ */
+export async function findDuplicateClusters({ filter = {}, threshold = config.dedupe.threshold } = {}) {
+    const cursor = await getFingerprintedDocumentsCursor(filter);
+    const documents = [];
+
+    for await (const document of cursor) {
+        const processing = document.midiToAudioProcessing;
+        documents.push({
+            _id: document._id,
+            hash: document.midifile?.hash,
+            outputPath: processing.outputPath,
+            noteCount: processing.midiAnalysis?.noteCount || 0,
+            duplicate: processing.duplicate || null,
+            fingerprint: processing.fingerprint,
+        });
+    }
+
+    if (documents.length === 0 && !config.dedupe.fingerprint) {
+        logger.warn('No fingerprinted documents; set FINGERPRINT=true and convert documents to fingerprint them');
+    }
+
+    logger.info({ count: documents.length, threshold }, 'Comparing fingerprints');
+
+    // Sorted by duration, so only neighbours within the duration tolerance are compared
+    documents.sort((a, b) => a.fingerprint.durationSeconds - b.fingerprint.durationSeconds);
+    const prepared = new Map();
+    const prepare = (index) => {
+        if (!prepared.has(index)) {
+            prepared.set(index, prepareFingerprint(documents[index].fingerprint));
+        }
+        return prepared.get(index);
+    };
+
+    const unionFind = createUnionFind(documents.length);
+    let comparisons = 0;
+
+    for (let i = 0; i < documents.length; i++) {
+        const a = documents[i].fingerprint;
+        for (let j = i + 1; j < documents.length; j++) {
+            const b = documents[j].fingerprint;
+            if (b.durationSeconds > a.durationSeconds * (1 + MAX_DURATION_DIFFERENCE)) {
+                break;
+            }
+            if (compareProfiles(a, b) < MIN_PROFILE_SIMILARITY) {
+                continue;
+            }
+
+            comparisons++;
+            if (compareFingerprints(prepare(i), prepare(j)) >= threshold) {
+                unionFind.union(i, j);
+            }
+        }
+    }
+
+    const groups = new Map();
+    documents.forEach((document, index) => {
+        const root = unionFind.find(index);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(index);
+    });
+
+    const clusters = [...groups.values()]
+        .filter((indices) => indices.length > 1)
+        .map((indices) => {
+            const members = indices.map((index) => documents[index]);
+            const canonical = chooseCanonical(members);
+            const canonicalIndex = indices[members.indexOf(canonical)];
+
+            return {
+                // Stable ID independent of which member is canonical
+                clusterId: members.map((member) => member.hash).sort()[0],
+                canonical,
+                manual: Boolean(canonical.duplicate?.manual && canonical.duplicate?.canonical),
+                members: indices.map((index) => ({
+                    ...documents[index],
+                    similarity: index === canonicalIndex ? 1 : compareFingerprints(prepare(index), prepare(canonicalIndex)),
+                })),
+            };
+        });
+
+    logger.info({ documents: documents.length, comparisons, clusters: clusters.length }, 'Fingerprint clustering complete');
+    return { documents, clusters };
+}
+
+/**
+ * Clusters near-duplicates and stores the cluster membership on every document
+ * (midiToAudioProcessing.duplicate). Documents no longer in a cluster are reset.
+ * @param {Object} options - Options (see findDuplicateClusters)
+ * @param {boolean} options.dryRun - Only report the clusters
+ * @returns {Promise<Object>} Statistics and clusters
+ */
+export async function markDuplicates({ filter = {}, threshold = config.dedupe.threshold, dryRun = false } = {}) {
+    const { documents, clusters } = await findDuplicateClusters({ filter, threshold });
+    const clustered = new Set();
+
+    for (const cluster of clusters) {
+        logger.info({
+            clusterId: cluster.clusterId,
+            canonical: cluster.canonical.hash,
+            members: cluster.members.map((member) => ({ hash: member.hash, similarity: member.similarity, outputPath: member.outputPath })),
+        }, 'Duplicate cluster');
+
+        for (const member of cluster.members) {
+            clustered.add(member.hash);
+            if (dryRun) {
+                continue;
+            }
+
+            await updateDuplicateInfo(member._id, {
+                clusterId: cluster.clusterId,
+                canonical: member.hash === cluster.canonical.hash,
+                canonicalHash: cluster.canonical.hash,
+                similarity: member.similarity,
+                manual: cluster.manual,
+                size: cluster.members.length,
+                updatedAt: new Date(),
+            });
+        }
+    }
+
+    let reset = 0;
+    for (const document of documents) {
+        if (document.duplicate && !clustered.has(document.hash)) {
+            reset++;
+            if (!dryRun) {
+                await updateDuplicateInfo(document._id, null);
+            }
+        }
+    }
+
+    const stats = {
+        documents: documents.length,
+        clusters: clusters.length,
+        duplicates: clusters.reduce((sum, cluster) => sum + cluster.members.length - 1, 0),
+        reset,
+        dryRun,
+    };
+    logger.info(stats, 'Deduplication complete');
+
+    return { ...stats, clusters };
+}
+
+/**
+ * Manually marks a document as the canonical version of its duplicate cluster.
+ * The choice is kept when the clustering runs again.
+ * @param {string} hash - MIDI hash of the new canonical document
+ * @returns {Promise<Object>} { clusterId, canonicalHash, size }
+ */
+export async function setCanonical(hash) {
+    const document = await findDocumentByHash(hash);
+    if (!document) {
+        throw new Error(`No document with MIDI hash ${hash}`);
+    }
+
+    const clusterId = document.midiToAudioProcessing?.duplicate?.clusterId;
+    if (!clusterId) {
+        throw new Error(`Document ${hash} is not part of a duplicate cluster (run dedupe first)`);
+    }
+
+    const members = await getDuplicateCluster(clusterId);
+    for (const member of members) {
+        await updateDuplicateInfo(member._id, {
+            ...member.midiToAudioProcessing.duplicate,
+            canonical: member.midifile.hash === hash,
+            canonicalHash: hash,
+            manual: true,
+            updatedAt: new Date(),
+        });
+    }
+
+    logger.info({ clusterId, canonicalHash: hash, size: members.length }, 'Canonical version set');
+    return { clusterId, canonicalHash: hash, size: members.length };
+}
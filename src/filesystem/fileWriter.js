@@ -1,5 +1,6 @@
 import { mkdirSync, existsSync, renameSync, statSync } from 'fs';
 import { promises as fs } from 'fs';
+import { dirname, extname } from 'path';
 import { createLogger } from '../utils/logger.js';
 import { getTempFilePath, deleteTempFile } from '../utils/tempFiles.js';
 
@@ -119,6 +120,73 @@ export async function writeFileAtomic(sourcePath, targetPath) {
     }
 }
 
+/**
+ * Moves a finished temp file to its destination. Unlike writeFileAtomic the file is not
+ * copied first: on the same device it is simply renamed; across devices it is copied
+ * next to the target and renamed there, so readers never see a partial file.
+ * @param {string} sourcePath - Temp file to move (gone afterwards)
+ * @param {string} targetPath - Final destination path
+ * @returns {Promise<Object>} Write result (see writeFileAtomic)
+ */
+export async function moveFileAtomic(sourcePath, targetPath) {
+    const startTime = Date.now();
+    const fileSize = getFileSize(sourcePath);
+    ensureDirectory(dirname(targetPath));
+
+    try {
+        renameSync(sourcePath, targetPath);
+    } catch (renameError) {
+        if (renameError.code !== 'EXDEV') {
+            logger.error({ error: renameError.message, targetPath }, 'File move failed');
+            throw renameError;
+        }
+
+        logger.debug({ targetPath }, 'Cross-device move, copying next to the target');
+        const availableSpace = await getAvailableSpace(targetPath);
+        if (fileSize > availableSpace) {
+            throw new Error(`Insufficient disk space. Required: ${fileSize}, Available: ${availableSpace}`);
+        }
+
+        const partialPath = `${targetPath}.partial`;
+        try {
+            await fs.copyFile(sourcePath, partialPath);
+            renameSync(partialPath, targetPath);
+        } catch (error) {
+            await deleteFile(partialPath);
+            logger.error({ error: error.message, targetPath }, 'File move failed');
+            throw error;
+        }
+        await fs.unlink(sourcePath);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info({ targetPath, duration, size: fileSize }, 'File moved successfully');
+
+    return {
+        success: true,
+        path: targetPath,
+        size: fileSize,
+        duration,
+    };
+}
+
+/**
+ * Writes in-memory content atomically, e.g. sidecar files next to the MP3
+ * @param {string|Buffer} content - File content (strings are written as UTF-8)
+ * @param {string} targetPath - Final destination path
+ * @returns {Promise<Object>} Write result (see writeFileAtomic)
+ */
+export async function writeContentAtomic(content, targetPath) {
+    const tempPath = getTempFilePath(extname(targetPath));
+
+    try {
+        await fs.writeFile(tempPath, content);
+        return await writeFileAtomic(tempPath, targetPath);
+    } finally {
+        deleteTempFile(tempPath);
+    }
+}
+
 /**
  * Deletes a file if it exists
  * @param {string} filePath - File to delete
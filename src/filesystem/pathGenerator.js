@@ -1,5 +1,7 @@
-import { join, dirname } from 'path';
+import { join, dirname, basename, extname } from 'path';
 import config from '../config.js';
+import { renderPathTemplate, PATH_TEMPLATE_FIELDS } from '../utils/pathTemplate.js';
+import { resolveMetadata } from '../utils/metadataResolver.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger({ module: 'pathGenerator' });
@@ -28,66 +30,53 @@ function sanitizePathComponent(str) {
 }
 
 /**
- * Extracts artist name from document with fallback strategy
+ * Renders a path template for a document
+ * @param {string} template - Path template (see pathTemplate.js)
  * @param {Object} document - MongoDB document
- * @returns {string} Artist name
+ * @param {string} hash - MIDI file hash
+ * @param {Object} output - Values of the output itself { rendition, format, ext }
+ * @returns {string} Relative path
  */
-function extractArtist(document) {
-    return (
-        document.musicLLM?.artist ||
-        document.musicbrainz?.top?.artist ||
-        document.redacted?.artist ||
-        document.musicbrainz?.oldest?.artist ||
-        'Unknown Artist'
-    );
-}
+function renderDocumentPath(template, document, hash, output) {
+    const metadata = resolveMetadata(document);
+    const values = { hash, shortHash: hash.substring(0, 8), ...output };
+    const defaults = {};
 
-/**
- * Extracts album name from document with fallback strategy
- * @param {Object} document - MongoDB document
- * @returns {string} Album name
- */
-function extractAlbum(document) {
-    return (
-        document.musicLLM?.album ||
-        document.redacted?.album ||
-        document.redacted?.release ||
-        'Unknown Album'
-    );
-}
+    // Fallbacks ("Unknown Album") count as unknown, so optional sections drop them.
+    // The fields of the output itself (hash, ext, ...) are no metadata and stay as they are.
+    for (const field of PATH_TEMPLATE_FIELDS) {
+        if (metadata[field] === undefined) {
+            continue;
+        }
+        if (metadata.sources[field] === 'default') {
+            defaults[field] = sanitizePathComponent(metadata[field]);
+        } else {
+            values[field] = sanitizePathComponent(metadata[field]);
+        }
+    }
 
-/**
- * Extracts title from document with fallback strategy
- * @param {Object} document - MongoDB document
- * @returns {string} Title
- */
-function extractTitle(document) {
-    return (
-        document.musicLLM?.title ||
-        document.musicbrainz?.top?.title ||
-        document.redacted?.title ||
-        document.musicbrainz?.oldest?.title ||
-        (document.midifile?.fileName ? document.midifile.fileName.toString().replace(/\.mid$/i, '') : undefined) ||
-        'Unknown Title'
-    );
+    return renderPathTemplate(template, values, defaults);
 }
 
 /**
- * Generates an output file path for an MP3 file based on metadata
+ * Generates an output file path for an audio file from the path template of its
+ * rendition (OUTPUT_PATH_TEMPLATE unless the rendition sets pathTemplate)
  * @param {Object} document - MongoDB document
- * @param {string} hash - MIDI file hash for collision avoidance
+ * @param {string} hash - MIDI file hash
+ * @param {string} [extension='.mp3'] - File extension of the output format
+ * @param {Object} [rendition] - Rendition { name, format, outputDirectory, pathTemplate }
  * @returns {string} Full output path
  */
-export function generateOutputPath(document, hash) {
-    const artist = sanitizePathComponent(extractArtist(document));
-    const album = sanitizePathComponent(extractAlbum(document));
-    const title = sanitizePathComponent(extractTitle(document));
+export function generateOutputPath(document, hash, extension = '.mp3', rendition = {}) {
+    const template = rendition.pathTemplate || config.output.pathTemplate;
+    const relativePath = renderDocumentPath(template, document, hash, {
+        rendition: rendition.name || 'main',
+        format: rendition.format || extension.slice(1),
+        ext: extension.slice(1),
+    });
+    const fullPath = join(rendition.outputDirectory || config.output.directory, relativePath);
 
-    // Build path: Artist/Album/Title.mp3
-    const relativePath = join(artist, album, `${title}.mp3`);
-    const fullPath = join(config.output.directory, relativePath);
-
-    logger.debug({ artist, album, title, fullPath }, 'Generated output path');
+    logger.debug({ template, fullPath }, 'Generated output path');
     return fullPath;
 }
 
@@ -99,7 +88,7 @@ export function generateOutputPath(document, hash) {
  */
 export function generateUniquePath(basePath, hash) {
     // If collision occurs, append hash suffix
-    const ext = '.mp3';
+    const ext = extname(basePath);
     const pathWithoutExt = basePath.slice(0, -ext.length);
     const shortHash = hash.substring(0, 8);
     const uniquePath = `${pathWithoutExt}_${shortHash}${ext}`;
@@ -108,6 +97,72 @@ export function generateUniquePath(basePath, hash) {
     return uniquePath;
 }
 
+/**
+ * Generates the output path of a stem next to its mix:
+ * Artist/Album/Title.mp3 -> Artist/Album/Title/01 - Label.mp3
+ * @param {string} mixPath - Output path of the full mix
+ * @param {number} index - Zero-based stem index
+ * @param {string} label - Stem label (e.g. instrument name)
+ * @returns {string} Stem output path
+ */
+export function generateStemPath(mixPath, index, label) {
+    const ext = extname(mixPath);
+    const stemDirectory = join(dirname(mixPath), basename(mixPath, ext));
+    const fileName = `${String(index + 1).padStart(2, '0')} - ${sanitizePathComponent(label)}${ext}`;
+
+    return join(stemDirectory, fileName);
+}
+
+/**
+ * Generates the paths of the sidecar files of an output file: the .lrc and waveform
+ * files share its name, cover.png lies in its folder
+ * @param {string} outputPath - Output path of the primary rendition
+ * @returns {Object} { lrcPath, waveformJsonPath, waveformDatPath, coverPath }
+ */
+export function generateSidecarPaths(outputPath) {
+    const basePath = outputPath.slice(0, -extname(outputPath).length);
+
+    return {
+        lrcPath: `${basePath}.lrc`,
+        waveformJsonPath: `${basePath}.peaks.json`,
+        waveformDatPath: `${basePath}.dat`,
+        coverPath: join(dirname(outputPath), 'cover.png'),
+    };
+}
+
+/**
+ * Generates the output path of a preview clip from PREVIEW_PATH_TEMPLATE
+ * @param {Object} document - MongoDB document
+ * @param {string} hash - MIDI file hash
+ * @returns {string} Full output path
+ */
+export function generatePreviewPath(document, hash) {
+    const relativePath = renderDocumentPath(config.preview.pathTemplate, document, hash, {
+        rendition: 'preview',
+        format: 'mp3',
+        ext: 'mp3',
+    });
+    const fullPath = join(config.output.directory, relativePath);
+
+    logger.debug({ fullPath }, 'Generated preview path');
+    return fullPath;
+}
+
+/**
+ * Identifies the album a document belongs to by its artist and album (the folders of
+ * the default path template)
+ * @param {Object} document - MongoDB document
+ * @returns {string|null} "Artist/Album", or null if the album is unknown
+ */
+export function getAlbumKey(document) {
+    const { artist, album, sources } = resolveMetadata(document);
+    if (sources.album === 'default') {
+        return null;
+    }
+
+    return `${sanitizePathComponent(artist)}/${sanitizePathComponent(album)}`;
+}
+
 /**
  * Gets the directory path from a file path
  * @param {string} filePath - Full file path
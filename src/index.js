@@ -22,8 +22,11 @@ async function main() {
         // Validate configuration
         console.log('>>> Before validateConfig');
         logger.info('Validating configuration...');
-        validateConfig();
+        const { pathExamples } = validateConfig();
         console.log('>>> After validateConfig - SUCCESS');
+        for (const { name, template, paths } of pathExamples) {
+            logger.info({ rendition: name, template, examples: paths }, 'Output path template');
+        }
 
         // Clean temp directory on startup
         logger.info('Cleaning temporary directory...');
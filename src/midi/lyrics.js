@@ -0,0 +1,140 @@
+/**
+ * Lyrics extraction from MIDI meta events
+ *
+ * Standard MIDI files carry lyrics as Lyric meta events (0x05). Karaoke (.kar)
+ * files use Text events (0x01) instead, with "@" header lines, "\" starting a
+ * new paragraph and "/" starting a new line.
+ */
+
+import { META } from './smfParser.js';
+import { createTickConverter } from './midiAnalyzer.js';
+
+// Marker text event identifying a karaoke file
+const KARAOKE_MARKER = '@KMIDI';
+
+/**
+ * Collects the lyric events of a file
+ * @param {Object} midi - Parsed MIDI file
+ * @param {boolean} karaoke - Treat text events as karaoke lyrics
+ * @returns {Object} { source, events } with events sorted by tick
+ */
+function collectLyricEvents(midi, karaoke) {
+    const metaEvents = midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'meta')
+        .sort((a, b) => a.tick - b.tick);
+
+    const lyricEvents = metaEvents.filter((event) => event.metaType === META.LYRIC);
+    if (lyricEvents.length > 0) {
+        return { source: 'lyric', events: lyricEvents };
+    }
+
+    const textEvents = metaEvents.filter((event) => event.metaType === META.TEXT);
+    const isKaraoke = karaoke || textEvents.some((event) => event.data.toString('latin1').startsWith(KARAOKE_MARKER));
+    if (!isKaraoke) {
+        return { source: null, events: [] };
+    }
+
+    return {
+        source: 'karaoke',
+        events: textEvents.filter((event) => !event.data.toString('latin1').startsWith('@')),
+    };
+}
+
+/**
+ * Extracts timed lyrics from a MIDI file
+ * @param {Object} midi - Parsed MIDI file (the one that was rendered)
+ * @param {Object} options - Timing options
+ * @param {number} options.offsetSeconds - Audio cut from the start of the rendering (e.g. trimmed silence)
+ * @param {number} options.endSeconds - End of the audio in rendering time (later lyrics are dropped)
+ * @param {boolean} options.karaoke - Treat text events as lyrics even without the @KMIDI marker
+ * @returns {Object|null} { source, syllables: [{ seconds, text, newLine }], lines: [{ seconds, text }], text }
+ *   or null if the file has no lyrics
+ */
+export function extractLyrics(midi, { offsetSeconds = 0, endSeconds = Infinity, karaoke = false } = {}) {
+    const { source, events } = collectLyricEvents(midi, karaoke);
+    const toSeconds = createTickConverter(midi);
+    const syllables = [];
+    let pendingBreak = false;
+
+    for (const event of events) {
+        const seconds = toSeconds(event.tick);
+        if (seconds > endSeconds) {
+            break;
+        }
+
+        let text = event.data.toString('latin1');
+        let newLine = pendingBreak;
+
+        // Karaoke line markers at the start, CR/LF at either end
+        if (/^[\\/\r\n]/.test(text)) {
+            newLine = true;
+            text = text.replace(/^[\\/\r\n]+/, '');
+        }
+        pendingBreak = /[\r\n]$/.test(text);
+        text = text.replace(/[\r\n]+$/, '');
+
+        if (text.length === 0) {
+            pendingBreak = pendingBreak || newLine;
+            continue;
+        }
+
+        syllables.push({
+            seconds: Math.round(Math.max(0, seconds - offsetSeconds) * 1000) / 1000,
+            text,
+            newLine: newLine && syllables.length > 0,
+        });
+    }
+
+    if (syllables.length === 0) {
+        return null;
+    }
+
+    const lines = [];
+    for (const syllable of syllables) {
+        if (lines.length === 0 || syllable.newLine) {
+            lines.push({ seconds: syllable.seconds, text: '' });
+        }
+        lines[lines.length - 1].text += syllable.text;
+    }
+    lines.forEach((line) => {
+        line.text = line.text.trim();
+    });
+
+    return {
+        source,
+        syllables,
+        lines,
+        text: lines.map((line) => line.text).join('\n'),
+    };
+}
+
+/**
+ * Formats a time as LRC timestamp [mm:ss.xx]
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+function formatLrcTime(seconds) {
+    const centiseconds = Math.round(seconds * 100);
+    const minutes = Math.floor(centiseconds / 6000);
+    const rest = (centiseconds % 6000) / 100;
+    return `[${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}]`;
+}
+
+/**
+ * Formats lyrics as an LRC file
+ * @param {Object} lyrics - Lyrics from extractLyrics
+ * @param {Object} tags - Header tags { title, artist, album }
+ * @returns {string} LRC file content
+ */
+export function formatLrc(lyrics, { title, artist, album } = {}) {
+    const header = [
+        title && `[ti:${title}]`,
+        artist && `[ar:${artist}]`,
+        album && `[al:${album}]`,
+    ].filter(Boolean);
+
+    const lines = lyrics.lines.map((line) => `${formatLrcTime(line.seconds)}${line.text}`);
+
+    return [...header, ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,251 @@
+import { parseMidi, MidiParseError, META } from './smfParser.js';
+
+// Default MIDI tempo (120 BPM) until the first Set Tempo event
+export const DEFAULT_MICROSECONDS_PER_BEAT = 500000;
+
+// Upper bound for tempo map entries stored with the document
+const MAX_STORED_TEMPO_CHANGES = 256;
+
+/**
+ * Builds the global tempo map of a parsed MIDI file
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @returns {Object[]} Tempo changes [{ tick, seconds, microsecondsPerBeat, bpm }], first entry at tick 0
+ */
+export function buildTempoMap(midi) {
+    const tempoEvents = midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'meta' && event.metaType === META.TEMPO && event.data.length === 3)
+        .map((event) => ({ tick: event.tick, microsecondsPerBeat: event.data.readUIntBE(0, 3) }))
+        .filter((event) => event.microsecondsPerBeat > 0)
+        .sort((a, b) => a.tick - b.tick);
+
+    if (tempoEvents.length === 0 || tempoEvents[0].tick > 0) {
+        tempoEvents.unshift({ tick: 0, microsecondsPerBeat: DEFAULT_MICROSECONDS_PER_BEAT });
+    }
+
+    const ticksPerBeat = midi.timing.ticksPerBeat;
+    const tempoMap = [];
+    let seconds = 0;
+
+    for (const event of tempoEvents) {
+        const previous = tempoMap[tempoMap.length - 1];
+        if (previous) {
+            seconds += (event.tick - previous.tick) * previous.microsecondsPerBeat / ticksPerBeat / 1e6;
+            // Multiple tempo events on the same tick: the last one wins
+            if (previous.tick === event.tick) {
+                tempoMap.pop();
+            }
+        }
+
+        tempoMap.push({
+            tick: event.tick,
+            seconds,
+            microsecondsPerBeat: event.microsecondsPerBeat,
+            bpm: Math.round(60e6 / event.microsecondsPerBeat * 100) / 100,
+        });
+    }
+
+    return tempoMap;
+}
+
+/**
+ * Creates a function converting absolute ticks to seconds
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @returns {Function} (tick) => seconds
+ */
+export function createTickConverter(midi) {
+    if (midi.timing.type === 'smpte') {
+        const secondsPerTick = 1 / (midi.timing.framesPerSecond * midi.timing.ticksPerFrame);
+        return (tick) => tick * secondsPerTick;
+    }
+
+    const tempoMap = buildTempoMap(midi);
+    const ticksPerBeat = midi.timing.ticksPerBeat;
+
+    return (tick) => {
+        // Find last tempo change at or before tick
+        let low = 0;
+        let high = tempoMap.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (tempoMap[mid].tick <= tick) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const tempo = tempoMap[low];
+        return tempo.seconds + (tick - tempo.tick) * tempo.microsecondsPerBeat / ticksPerBeat / 1e6;
+    };
+}
+
+/**
+ * Converts a playback position in seconds to an absolute tick
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @param {number} seconds - Playback position
+ * @returns {number} Absolute tick (rounded down)
+ */
+export function secondsToTick(midi, seconds) {
+    if (midi.timing.type === 'smpte') {
+        return Math.floor(seconds * midi.timing.framesPerSecond * midi.timing.ticksPerFrame);
+    }
+
+    const tempoMap = buildTempoMap(midi);
+    let tempo = tempoMap[0];
+    for (const entry of tempoMap) {
+        if (entry.seconds > seconds) {
+            break;
+        }
+        tempo = entry;
+    }
+
+    return Math.floor(tempo.tick + (seconds - tempo.seconds) * 1e6 / tempo.microsecondsPerBeat * midi.timing.ticksPerBeat);
+}
+
+/**
+ * Finds notes that are never released or sound for an excessive time.
+ * Note on/off pairs are matched per channel and key across all tracks, as the synthesizer does.
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @param {Function} toSeconds - Tick to seconds converter
+ * @returns {Object} { hungNotes, longestNoteSeconds }
+ */
+function analyzeNoteDurations(midi, toSeconds) {
+    const events = midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'noteOn' || event.type === 'noteOff')
+        .sort((a, b) => a.tick - b.tick);
+
+    // Start ticks of sounding notes per channel/key
+    const sounding = new Map();
+    let longestNoteSeconds = 0;
+
+    for (const event of events) {
+        const key = event.channel * 128 + event.note;
+        if (event.type === 'noteOn' && event.velocity > 0) {
+            if (!sounding.has(key)) {
+                sounding.set(key, []);
+            }
+            sounding.get(key).push(event.tick);
+        } else if (sounding.get(key)?.length) {
+            const startTick = sounding.get(key).shift();
+            longestNoteSeconds = Math.max(longestNoteSeconds, toSeconds(event.tick) - toSeconds(startTick));
+        }
+    }
+
+    let hungNotes = 0;
+    for (const starts of sounding.values()) {
+        hungNotes += starts.length;
+    }
+
+    return { hungNotes, longestNoteSeconds: Math.round(longestNoteSeconds * 1000) / 1000 };
+}
+
+/**
+ * Computes playback statistics of a parsed MIDI file
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @returns {Object} Analysis summary suitable for storing in MongoDB
+ */
+export function analyzeMidi(midi) {
+    const toSeconds = createTickConverter(midi);
+    const channels = new Set();
+    let noteCount = 0;
+    let tracksWithNotes = 0;
+    let durationTicks = 0;
+
+    for (const track of midi.tracks) {
+        let trackNotes = 0;
+
+        for (const event of track.events) {
+            if (event.type === 'noteOn' && event.velocity > 0) {
+                trackNotes++;
+                channels.add(event.channel);
+            }
+        }
+
+        noteCount += trackNotes;
+        if (trackNotes > 0) {
+            tracksWithNotes++;
+        }
+
+        const lastEvent = track.events[track.events.length - 1];
+        durationTicks = Math.max(durationTicks, lastEvent ? lastEvent.tick : 0);
+    }
+
+    const { hungNotes, longestNoteSeconds } = analyzeNoteDurations(midi, toSeconds);
+    const tracksMissingEndOfTrack = midi.tracks
+        .map((track, index) => (track.hasEndOfTrack ? null : index))
+        .filter((index) => index !== null);
+
+    const analysis = {
+        format: midi.format,
+        timing: midi.timing,
+        trackCount: midi.tracks.length,
+        tracksWithNotes,
+        channels: [...channels].sort((a, b) => a - b),
+        channelCount: channels.size,
+        noteCount,
+        durationTicks,
+        durationSeconds: Math.round(toSeconds(durationTicks) * 1000) / 1000,
+        hungNotes,
+        longestNoteSeconds,
+        tracksMissingEndOfTrack,
+    };
+
+    if (midi.timing.type === 'metrical') {
+        const tempoMap = buildTempoMap(midi);
+        analysis.initialBpm = tempoMap[0].bpm;
+        analysis.tempoChangeCount = tempoMap.length;
+        analysis.tempoMap = tempoMap.slice(0, MAX_STORED_TEMPO_CHANGES).map(({ tick, seconds, bpm }) => ({
+            tick,
+            seconds: Math.round(seconds * 1000) / 1000,
+            bpm,
+        }));
+    }
+
+    return analysis;
+}
+
+/**
+ * Pre-flight check before rendering: parses and analyzes the MIDI data and
+ * rejects files that cannot produce audio or would run away during rendering.
+ * @param {Buffer} midiBuffer - MIDI file data
+ * @param {Object} options - Runaway protection options
+ * @param {boolean} options.requireEndOfTrack - Reject tracks without End-of-Track event
+ * @param {boolean} options.rejectHungNotes - Reject notes that are never released
+ * @param {number} options.maxNoteSeconds - Reject notes held longer than this (0 = disabled)
+ * @returns {Object} { midi, analysis }
+ * @throws {MidiParseError} with a precise reason if the file is unusable
+ */
+export function preflightMidi(midiBuffer, { requireEndOfTrack = false, rejectHungNotes = false, maxNoteSeconds = 0 } = {}) {
+    const midi = parseMidi(midiBuffer);
+    const analysis = analyzeMidi(midi);
+
+    if (analysis.noteCount === 0) {
+        throw new MidiParseError('MIDI_NO_NOTES', 'MIDI file contains no notes');
+    }
+
+    if (analysis.durationSeconds <= 0) {
+        throw new MidiParseError('MIDI_ZERO_DURATION', 'MIDI file has zero playback duration');
+    }
+
+    if (requireEndOfTrack && analysis.tracksMissingEndOfTrack.length > 0) {
+        throw new MidiParseError(
+            'MIDI_MISSING_END_OF_TRACK',
+            `Track(s) ${analysis.tracksMissingEndOfTrack.join(', ')} have no End-of-Track event`
+        );
+    }
+
+    if (rejectHungNotes && analysis.hungNotes > 0) {
+        throw new MidiParseError('MIDI_ENDLESS_NOTES', `${analysis.hungNotes} note(s) are never released`);
+    }
+
+    if (maxNoteSeconds > 0 && analysis.longestNoteSeconds > maxNoteSeconds) {
+        throw new MidiParseError(
+            'MIDI_ENDLESS_NOTES',
+            `Note sustained for ${analysis.longestNoteSeconds}s exceeds limit of ${maxNoteSeconds}s`
+        );
+    }
+
+    return { midi, analysis };
+}
@@ -0,0 +1,307 @@
+/**
+ * Transformations on parsed MIDI structures (see parseMidi).
+ * All functions return a new structure and leave the input untouched.
+ */
+
+import { META } from './smfParser.js';
+import { DEFAULT_MICROSECONDS_PER_BEAT } from './midiAnalyzer.js';
+import { DRUM_CHANNEL } from './generalMidi.js';
+
+// Controller numbers
+const CC_SUSTAIN = 64;
+
+// Declarative transforms applied before rendering (see applyTransforms)
+export const TRANSFORM_TYPES = ['transpose', 'tempoScale', 'mute', 'programRemap'];
+
+/**
+ * Cuts a MIDI file at the given tick. Notes sounding at the cut are released and
+ * held sustain pedals are lifted so that the synthesizer falls silent.
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} endTick - Absolute tick to cut at
+ * @returns {Object} Truncated MIDI structure
+ */
+export function truncateMidi(midi, endTick) {
+    const tracks = midi.tracks.map((track) => {
+        const events = [];
+        const sounding = new Map();
+        const sustainedChannels = new Set();
+
+        for (const event of track.events) {
+            const isRelease = event.type === 'noteOff' || (event.type === 'noteOn' && event.velocity === 0);
+
+            // Keep everything before the cut, plus releases exactly at the cut
+            if (event.tick > endTick || (event.tick === endTick && !isRelease)) {
+                continue;
+            }
+
+            events.push(event);
+
+            const key = event.channel * 128 + event.note;
+            if (event.type === 'noteOn' && event.velocity > 0) {
+                sounding.set(key, (sounding.get(key) || 0) + 1);
+            } else if (isRelease && sounding.get(key)) {
+                sounding.set(key, sounding.get(key) - 1);
+            } else if (event.type === 'controller' && event.controller === CC_SUSTAIN) {
+                if (event.value >= 64) {
+                    sustainedChannels.add(event.channel);
+                } else {
+                    sustainedChannels.delete(event.channel);
+                }
+            }
+        }
+
+        for (const [key, count] of sounding) {
+            for (let i = 0; i < count; i++) {
+                events.push({ tick: endTick, type: 'noteOff', channel: Math.floor(key / 128), note: key % 128, velocity: 0 });
+            }
+        }
+
+        for (const channel of sustainedChannels) {
+            events.push({ tick: endTick, type: 'controller', channel, controller: CC_SUSTAIN, value: 0 });
+        }
+
+        return { ...track, events, hasEndOfTrack: true, endTick };
+    });
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Keeps only the channel events of a single channel. Meta and SysEx events
+ * (tempo, time signature, ...) are kept so timing and length stay identical.
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} channel - MIDI channel (0-15) to keep
+ * @returns {Object} MIDI structure containing one channel
+ */
+export function extractChannel(midi, channel) {
+    const tracks = midi.tracks.map((track) => ({
+        ...track,
+        events: track.events.filter((event) => event.channel === undefined || event.channel === channel),
+    }));
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Keeps the channel events of a single track. Meta and SysEx events of all
+ * tracks are kept so timing and length stay identical.
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} trackIndex - Index of track to keep
+ * @returns {Object} MIDI structure containing one track's notes
+ */
+export function extractTrack(midi, trackIndex) {
+    const tracks = midi.tracks.map((track, index) => (index === trackIndex ? track : {
+        ...track,
+        events: track.events.filter((event) => event.channel === undefined),
+    }));
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Shifts a key signature by a number of semitones (7 fifths per semitone)
+ * @param {Buffer} data - Key signature meta data (sharps/flats, mode)
+ * @param {number} semitones - Semitones to shift
+ * @returns {Buffer} New key signature meta data
+ */
+function transposeKeySignature(data, semitones) {
+    if (data.length !== 2) {
+        return data;
+    }
+
+    let sharpsFlats = (((data.readInt8(0) + semitones * 7) % 12) + 12) % 12;
+    if (sharpsFlats > 6) {
+        sharpsFlats -= 12;
+    }
+
+    const result = Buffer.from(data);
+    result.writeInt8(sharpsFlats, 0);
+    return result;
+}
+
+/**
+ * Shifts notes by a number of semitones. Notes moved outside 0-127 are dropped.
+ * Key signatures are shifted too unless only some channels are transposed.
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} semitones - Semitones to shift (negative = down)
+ * @param {number[]} [channels] - Channels to transpose (default: all but the drum channel)
+ * @returns {Object} Transposed MIDI structure
+ */
+export function transposeMidi(midi, semitones, channels) {
+    const affects = (channel) => (channels ? channels.includes(channel) : channel !== DRUM_CHANNEL);
+
+    const tracks = midi.tracks.map((track) => ({
+        ...track,
+        events: track.events
+            .map((event) => {
+                if (event.note !== undefined && affects(event.channel)) {
+                    return { ...event, note: event.note + semitones };
+                }
+                if (!channels && event.type === 'meta' && event.metaType === META.KEY_SIGNATURE) {
+                    return { ...event, data: transposeKeySignature(event.data, semitones) };
+                }
+                return event;
+            })
+            .filter((event) => event.note === undefined || (event.note >= 0 && event.note <= 127)),
+    }));
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Changes the playback speed. Metrical files get scaled Set Tempo events
+ * (a tempo event is added at tick 0 if the file relies on the 120 BPM default),
+ * SMPTE files get scaled tick positions.
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} factor - Speed factor (2 = twice as fast, 0.5 = half speed)
+ * @returns {Object} Rescaled MIDI structure
+ */
+export function scaleTempo(midi, factor) {
+    if (midi.timing.type === 'smpte') {
+        const scaleTick = (tick) => Math.round(tick / factor);
+        const tracks = midi.tracks.map((track) => ({
+            ...track,
+            events: track.events.map((event) => ({ ...event, tick: scaleTick(event.tick) })),
+            endTick: scaleTick(track.endTick),
+        }));
+        return { ...midi, tracks };
+    }
+
+    const encodeTempo = (microsecondsPerBeat) => {
+        const data = Buffer.alloc(3);
+        data.writeUIntBE(Math.min(0xFFFFFF, Math.max(1, Math.round(microsecondsPerBeat / factor))), 0, 3);
+        return data;
+    };
+    const isTempo = (event) => event.type === 'meta' && event.metaType === META.TEMPO && event.data.length === 3;
+
+    const tracks = midi.tracks.map((track) => ({
+        ...track,
+        events: track.events.map((event) => (isTempo(event)
+            ? { ...event, data: encodeTempo(event.data.readUIntBE(0, 3)) }
+            : event)),
+    }));
+
+    const hasInitialTempo = midi.tracks.some((track) => track.events.some((event) => isTempo(event) && event.tick === 0));
+    if (!hasInitialTempo) {
+        tracks[0] = {
+            ...tracks[0],
+            events: [
+                { tick: 0, type: 'meta', metaType: META.TEMPO, data: encodeTempo(DEFAULT_MICROSECONDS_PER_BEAT) },
+                ...tracks[0].events,
+            ],
+        };
+    }
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Removes all channel events of the given channels
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number[]} channels - Channels (0-15) to silence
+ * @returns {Object} MIDI structure without the muted channels
+ */
+export function muteChannels(midi, channels) {
+    const tracks = midi.tracks.map((track) => ({
+        ...track,
+        events: track.events.filter((event) => event.channel === undefined || !channels.includes(event.channel)),
+    }));
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Replaces one program (instrument) with another in Program Change events
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} from - Program number (0-127) to replace
+ * @param {number} to - Replacement program number (0-127)
+ * @param {number[]} [channels] - Channels to remap (default: all)
+ * @returns {Object} Remapped MIDI structure
+ */
+export function remapProgram(midi, from, to, channels) {
+    const tracks = midi.tracks.map((track) => ({
+        ...track,
+        events: track.events.map((event) => (event.type === 'programChange' && event.program === from &&
+            (!channels || channels.includes(event.channel))
+            ? { ...event, program: to }
+            : event)),
+    }));
+
+    return { ...midi, tracks };
+}
+
+/**
+ * Validates a declarative transform list
+ * @param {Object[]} transforms - Transforms, e.g. [{ type: 'transpose', semitones: -2 }]
+ * @returns {string[]} Validation errors
+ */
+export function validateTransforms(transforms) {
+    if (!Array.isArray(transforms)) {
+        return ['Transforms must be a list'];
+    }
+
+    const errors = [];
+    const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    const isChannelList = (value) => Array.isArray(value) && value.length > 0 && value.every((channel) => isInteger(channel, 0, 15));
+
+    transforms.forEach((transform, index) => {
+        const prefix = `Transform #${index + 1}`;
+
+        if (!TRANSFORM_TYPES.includes(transform?.type)) {
+            errors.push(`${prefix}: type must be one of ${TRANSFORM_TYPES.join(', ')}`);
+            return;
+        }
+
+        if (transform.channels !== undefined && !isChannelList(transform.channels)) {
+            errors.push(`${prefix}: channels must be a non-empty list of channel numbers 0-15`);
+        }
+
+        switch (transform.type) {
+            case 'transpose':
+                if (!isInteger(transform.semitones, -48, 48)) {
+                    errors.push(`${prefix}: semitones must be an integer between -48 and 48`);
+                }
+                break;
+            case 'tempoScale':
+                if (!(typeof transform.factor === 'number' && transform.factor >= 0.1 && transform.factor <= 10)) {
+                    errors.push(`${prefix}: factor must be between 0.1 and 10`);
+                }
+                break;
+            case 'mute':
+                if (transform.channels === undefined) {
+                    errors.push(`${prefix}: channels is required`);
+                }
+                break;
+            case 'programRemap':
+                if (!isInteger(transform.from, 0, 127) || !isInteger(transform.to, 0, 127)) {
+                    errors.push(`${prefix}: from and to must be program numbers 0-127`);
+                }
+                break;
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Applies a validated transform list in order
+ * @param {Object} midi - Parsed MIDI file
+ * @param {Object[]} transforms - Transforms (see validateTransforms)
+ * @returns {Object} Transformed MIDI structure
+ */
+export function applyTransforms(midi, transforms) {
+    return transforms.reduce((result, transform) => {
+        switch (transform.type) {
+            case 'transpose':
+                return transposeMidi(result, transform.semitones, transform.channels);
+            case 'tempoScale':
+                return scaleTempo(result, transform.factor);
+            case 'mute':
+                return muteChannels(result, transform.channels);
+            case 'programRemap':
+                return remapProgram(result, transform.from, transform.to, transform.channels);
+            default:
+                throw new Error(`Unknown MIDI transform "${transform.type}"`);
+        }
+    }, midi);
+}
@@ -0,0 +1,154 @@
+/**
+ * Musical metadata stored in a MIDI file: tempo, key, time signature,
+ * track names, copyright and the instruments that are played.
+ */
+
+import { META } from './smfParser.js';
+import { buildTempoMap, createTickConverter } from './midiAnalyzer.js';
+import { getInstrumentName } from './generalMidi.js';
+
+// Major and minor key names indexed by number of sharps (+) / flats (-), offset by 7
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Abm', 'Ebm', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm', 'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'A#m'];
+
+/**
+ * Returns all meta events of a type across tracks, sorted by tick
+ * @param {Object} midi - Parsed MIDI file
+ * @param {number} metaType - Meta event type (see META)
+ * @returns {Object[]} Meta events
+ */
+function findMetaEvents(midi, metaType) {
+    return midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'meta' && event.metaType === metaType)
+        .sort((a, b) => a.tick - b.tick);
+}
+
+/**
+ * Decodes a key signature meta event
+ * @param {Buffer} data - Meta data (sharps/flats as signed byte, mode)
+ * @returns {Object|null} { key, sharpsFlats, mode } or null if invalid
+ */
+function decodeKeySignature(data) {
+    if (data.length !== 2) {
+        return null;
+    }
+
+    const sharpsFlats = data.readInt8(0);
+    const minor = data[1] === 1;
+    if (sharpsFlats < -7 || sharpsFlats > 7 || data[1] > 1) {
+        return null;
+    }
+
+    return {
+        key: (minor ? MINOR_KEYS : MAJOR_KEYS)[sharpsFlats + 7],
+        sharpsFlats,
+        mode: minor ? 'minor' : 'major',
+    };
+}
+
+/**
+ * Tempo that is in effect for the longest part of the playback
+ * @param {Object[]} tempoMap - Tempo map (see buildTempoMap)
+ * @param {number} durationSeconds - Playback length
+ * @returns {number} BPM (rounded to two decimals)
+ */
+function getPredominantBpm(tempoMap, durationSeconds) {
+    const secondsByBpm = new Map();
+
+    tempoMap.forEach((tempo, index) => {
+        const end = index + 1 < tempoMap.length ? tempoMap[index + 1].seconds : durationSeconds;
+        const seconds = Math.max(0, Math.min(end, durationSeconds) - tempo.seconds);
+        secondsByBpm.set(tempo.bpm, (secondsByBpm.get(tempo.bpm) || 0) + seconds);
+    });
+
+    let predominant = tempoMap[0].bpm;
+    for (const [bpm, seconds] of secondsByBpm) {
+        if (seconds > secondsByBpm.get(predominant)) {
+            predominant = bpm;
+        }
+    }
+
+    return predominant;
+}
+
+/**
+ * Lists the instruments that play notes, per channel and program
+ * @param {Object} midi - Parsed MIDI file
+ * @returns {Object[]} [{ channel, program, name, noteCount }] sorted by channel and program
+ */
+function getInstruments(midi) {
+    const events = midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'programChange' || (event.type === 'noteOn' && event.velocity > 0))
+        .sort((a, b) => a.tick - b.tick);
+
+    const programs = new Array(16).fill(0);
+    const instruments = new Map();
+
+    for (const event of events) {
+        if (event.type === 'programChange') {
+            programs[event.channel] = event.program;
+            continue;
+        }
+
+        const program = programs[event.channel];
+        const key = event.channel * 128 + program;
+        if (!instruments.has(key)) {
+            instruments.set(key, { channel: event.channel, program, name: getInstrumentName(event.channel, program), noteCount: 0 });
+        }
+        instruments.get(key).noteCount++;
+    }
+
+    return [...instruments.entries()].sort((a, b) => a[0] - b[0]).map(([, instrument]) => instrument);
+}
+
+/**
+ * Extracts musical metadata from a parsed MIDI file
+ * @param {Object} midi - Parsed MIDI file (see parseMidi)
+ * @returns {Object} { bpm, initialBpm, key, keySignature, timeSignature, trackNames, copyright, instruments }
+ *   (fields the file does not define are omitted)
+ */
+export function extractMusicalMetadata(midi) {
+    const toSeconds = createTickConverter(midi);
+    const lastTick = Math.max(0, ...midi.tracks.map((track) => track.events[track.events.length - 1]?.tick ?? 0));
+    const metadata = {};
+
+    if (midi.timing.type === 'metrical') {
+        const tempoMap = buildTempoMap(midi);
+        metadata.bpm = getPredominantBpm(tempoMap, toSeconds(lastTick));
+        metadata.initialBpm = tempoMap[0].bpm;
+    }
+
+    const keySignature = findMetaEvents(midi, META.KEY_SIGNATURE)
+        .map((event) => decodeKeySignature(event.data))
+        .find(Boolean);
+    if (keySignature) {
+        metadata.key = keySignature.key;
+        metadata.keySignature = keySignature;
+    }
+
+    const timeSignature = findMetaEvents(midi, META.TIME_SIGNATURE).find((event) => event.data.length >= 2);
+    if (timeSignature) {
+        metadata.timeSignature = `${timeSignature.data[0]}/${2 ** timeSignature.data[1]}`;
+    }
+
+    const trackNames = midi.tracks
+        .map((track) => track.events.find((event) => event.type === 'meta' && event.metaType === META.TRACK_NAME))
+        .map((event) => event?.data.toString('latin1').trim())
+        .filter(Boolean);
+    if (trackNames.length > 0) {
+        metadata.trackNames = trackNames;
+    }
+
+    const copyright = findMetaEvents(midi, META.COPYRIGHT)
+        .map((event) => event.data.toString('latin1').trim())
+        .filter(Boolean);
+    if (copyright.length > 0) {
+        metadata.copyright = [...new Set(copyright)].join(' / ');
+    }
+
+    metadata.instruments = getInstruments(midi);
+
+    return metadata;
+}
@@ -0,0 +1,294 @@
+/**
+ * Standard MIDI File (SMF) parser
+ *
+ * Parses format 0/1/2 files into tracks of events with absolute tick positions.
+ * Malformed input is rejected with a MidiParseError carrying a machine readable code.
+ */
+
+import { ProcessingError } from '../utils/errors.js';
+
+// Meta event types
+export const META = {
+    SEQUENCE_NUMBER: 0x00,
+    TEXT: 0x01,
+    COPYRIGHT: 0x02,
+    TRACK_NAME: 0x03,
+    INSTRUMENT_NAME: 0x04,
+    LYRIC: 0x05,
+    MARKER: 0x06,
+    CUE_POINT: 0x07,
+    CHANNEL_PREFIX: 0x20,
+    PORT_PREFIX: 0x21,
+    END_OF_TRACK: 0x2F,
+    TEMPO: 0x51,
+    SMPTE_OFFSET: 0x54,
+    TIME_SIGNATURE: 0x58,
+    KEY_SIGNATURE: 0x59,
+    SEQUENCER_SPECIFIC: 0x7F,
+};
+
+// Channel message types by status high nibble
+const CHANNEL_EVENT_TYPES = {
+    0x80: 'noteOff',
+    0x90: 'noteOn',
+    0xA0: 'keyPressure',
+    0xB0: 'controller',
+    0xC0: 'programChange',
+    0xD0: 'channelPressure',
+    0xE0: 'pitchBend',
+};
+
+/**
+ * Error raised for malformed or unusable MIDI data
+ */
+export class MidiParseError extends ProcessingError {
+    /**
+     * @param {string} code - Machine readable failure code (e.g. 'MIDI_TRUNCATED_TRACK')
+     * @param {string} message - Human readable reason
+     * @param {number} [offset] - Byte offset in the file where the problem was found
+     */
+    constructor(code, message, offset) {
+        // Broken files will not parse on a second attempt either
+        super(code, offset !== undefined ? `${message} (at byte ${offset})` : message, { retryable: false });
+        this.name = 'MidiParseError';
+        this.offset = offset;
+    }
+}
+
+/**
+ * Sequential reader over a byte buffer with bounds checking
+ */
+class ByteReader {
+    constructor(buffer, start = 0, end = buffer.length) {
+        this.buffer = buffer;
+        this.pos = start;
+        this.end = end;
+    }
+
+    ensure(count, what) {
+        if (this.pos + count > this.end) {
+            throw new MidiParseError('MIDI_TRUNCATED_EVENT', `Unexpected end of track while reading ${what}`, this.pos);
+        }
+    }
+
+    uint8(what = 'byte') {
+        this.ensure(1, what);
+        return this.buffer[this.pos++];
+    }
+
+    bytes(count, what = 'data') {
+        this.ensure(count, what);
+        const slice = this.buffer.subarray(this.pos, this.pos + count);
+        this.pos += count;
+        return Buffer.from(slice);
+    }
+
+    /**
+     * Reads a variable-length quantity (max. 4 bytes)
+     */
+    varInt(what = 'variable-length value') {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.uint8(what);
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) {
+                return value;
+            }
+        }
+        throw new MidiParseError('MIDI_BAD_VARINT', `Invalid ${what} longer than 4 bytes`, this.pos - 4);
+    }
+}
+
+/**
+ * Parses the MThd header chunk
+ * @param {Buffer} buffer - MIDI file data
+ * @returns {Object} Header fields and offset of the first track chunk
+ */
+function parseHeader(buffer) {
+    if (buffer.length < 14) {
+        throw new MidiParseError('MIDI_TOO_SHORT', `File too short for a MIDI header (${buffer.length} bytes)`);
+    }
+
+    if (buffer.toString('latin1', 0, 4) !== 'MThd') {
+        throw new MidiParseError('MIDI_BAD_HEADER', 'Missing MThd header chunk', 0);
+    }
+
+    const headerLength = buffer.readUInt32BE(4);
+    if (headerLength < 6) {
+        throw new MidiParseError('MIDI_BAD_HEADER', `Invalid header length ${headerLength}`, 4);
+    }
+
+    const format = buffer.readUInt16BE(8);
+    const trackCount = buffer.readUInt16BE(10);
+    const division = buffer.readUInt16BE(12);
+
+    if (format > 2) {
+        throw new MidiParseError('MIDI_BAD_FORMAT', `Unsupported SMF format ${format}`, 8);
+    }
+
+    if (trackCount === 0) {
+        throw new MidiParseError('MIDI_NO_TRACKS', 'Header declares zero tracks', 10);
+    }
+
+    if (format === 0 && trackCount !== 1) {
+        throw new MidiParseError('MIDI_BAD_FORMAT', `Format 0 file declares ${trackCount} tracks`, 10);
+    }
+
+    let timing;
+    if (division & 0x8000) {
+        // SMPTE timing: negative frames per second in the high byte, ticks per frame in the low byte
+        const framesPerSecond = -((division >> 8) << 24 >> 24);
+        const ticksPerFrame = division & 0xFF;
+        if (![24, 25, 29, 30].includes(framesPerSecond) || ticksPerFrame === 0) {
+            throw new MidiParseError('MIDI_BAD_DIVISION', `Invalid SMPTE division ${framesPerSecond} fps / ${ticksPerFrame}`, 12);
+        }
+        timing = { type: 'smpte', framesPerSecond, ticksPerFrame };
+    } else {
+        if (division === 0) {
+            throw new MidiParseError('MIDI_BAD_DIVISION', 'Division (ticks per quarter note) is zero', 12);
+        }
+        timing = { type: 'metrical', ticksPerBeat: division };
+    }
+
+    return { format, trackCount, timing, firstChunkOffset: 8 + headerLength };
+}
+
+/**
+ * Parses the events of a single MTrk chunk
+ * @param {Buffer} buffer - MIDI file data
+ * @param {number} start - Offset of first event byte
+ * @param {number} end - Offset after last event byte
+ * @returns {Object} Track with events and end-of-track flag
+ */
+function parseTrack(buffer, start, end) {
+    const reader = new ByteReader(buffer, start, end);
+    const events = [];
+    let tick = 0;
+    let runningStatus = null;
+    let hasEndOfTrack = false;
+
+    while (reader.pos < reader.end) {
+        tick += reader.varInt('delta time');
+        const eventOffset = reader.pos;
+        let status = reader.uint8('status byte');
+
+        if (status === 0xFF) {
+            // Meta event (cancels running status)
+            runningStatus = null;
+            const metaType = reader.uint8('meta type');
+            const length = reader.varInt('meta length');
+            const data = reader.bytes(length, 'meta data');
+            events.push({ tick, type: 'meta', metaType, data });
+
+            if (metaType === META.END_OF_TRACK) {
+                hasEndOfTrack = true;
+                break;
+            }
+            continue;
+        }
+
+        if (status === 0xF0 || status === 0xF7) {
+            // SysEx / escape sequence (cancels running status)
+            runningStatus = null;
+            const length = reader.varInt('sysex length');
+            const data = reader.bytes(length, 'sysex data');
+            events.push({ tick, type: 'sysex', status, data });
+            continue;
+        }
+
+        if (status < 0x80) {
+            // Data byte: running status
+            if (runningStatus === null) {
+                throw new MidiParseError('MIDI_BAD_EVENT', `Data byte 0x${status.toString(16)} without running status`, eventOffset);
+            }
+            reader.pos--;
+            status = runningStatus;
+        } else if (status >= 0xF0) {
+            throw new MidiParseError('MIDI_BAD_EVENT', `System message 0x${status.toString(16)} not allowed in a track`, eventOffset);
+        } else {
+            runningStatus = status;
+        }
+
+        const type = CHANNEL_EVENT_TYPES[status & 0xF0];
+        const channel = status & 0x0F;
+        const data1 = reader.uint8('channel event data');
+
+        if (data1 > 0x7F) {
+            throw new MidiParseError('MIDI_BAD_EVENT', `Invalid data byte 0x${data1.toString(16)} in ${type}`, reader.pos - 1);
+        }
+
+        switch (type) {
+            case 'programChange':
+                events.push({ tick, type, channel, program: data1 });
+                break;
+            case 'channelPressure':
+                events.push({ tick, type, channel, pressure: data1 });
+                break;
+            default: {
+                const data2 = reader.uint8('channel event data');
+                if (data2 > 0x7F) {
+                    throw new MidiParseError('MIDI_BAD_EVENT', `Invalid data byte 0x${data2.toString(16)} in ${type}`, reader.pos - 1);
+                }
+                if (type === 'noteOn' || type === 'noteOff') {
+                    events.push({ tick, type, channel, note: data1, velocity: data2 });
+                } else if (type === 'keyPressure') {
+                    events.push({ tick, type, channel, note: data1, pressure: data2 });
+                } else if (type === 'controller') {
+                    events.push({ tick, type, channel, controller: data1, value: data2 });
+                } else {
+                    events.push({ tick, type, channel, value: (data2 << 7) | data1 });
+                }
+            }
+        }
+    }
+
+    return { events, hasEndOfTrack, endTick: tick };
+}
+
+/**
+ * Parses a Standard MIDI File
+ * @param {Buffer} buffer - MIDI file data
+ * @returns {Object} Parsed file { format, timing, tracks: [{ events, hasEndOfTrack, endTick }] }
+ * @throws {MidiParseError} if the file is malformed
+ */
+export function parseMidi(buffer) {
+    const header = parseHeader(buffer);
+    const tracks = [];
+    let offset = header.firstChunkOffset;
+
+    while (tracks.length < header.trackCount) {
+        if (offset + 8 > buffer.length) {
+            throw new MidiParseError(
+                'MIDI_MISSING_TRACKS',
+                `Header declares ${header.trackCount} tracks but only ${tracks.length} found`,
+                offset
+            );
+        }
+
+        const chunkType = buffer.toString('latin1', offset, offset + 4);
+        const chunkLength = buffer.readUInt32BE(offset + 4);
+        const chunkStart = offset + 8;
+        const chunkEnd = chunkStart + chunkLength;
+
+        if (chunkEnd > buffer.length) {
+            throw new MidiParseError(
+                'MIDI_TRUNCATED_TRACK',
+                `${chunkType} chunk declares ${chunkLength} bytes but only ${buffer.length - chunkStart} remain`,
+                offset
+            );
+        }
+
+        // Unknown chunk types must be skipped per the SMF specification
+        if (chunkType === 'MTrk') {
+            tracks.push(parseTrack(buffer, chunkStart, chunkEnd));
+        }
+
+        offset = chunkEnd;
+    }
+
+    return {
+        format: header.format,
+        timing: header.timing,
+        tracks,
+    };
+}
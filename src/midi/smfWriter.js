@@ -0,0 +1,134 @@
+/**
+ * Standard MIDI File (SMF) writer
+ *
+ * Serializes the structure produced by parseMidi back to SMF bytes.
+ */
+
+import { META } from './smfParser.js';
+
+// Status high nibble by channel event type
+const CHANNEL_EVENT_STATUS = {
+    noteOff: 0x80,
+    noteOn: 0x90,
+    keyPressure: 0xA0,
+    controller: 0xB0,
+    programChange: 0xC0,
+    channelPressure: 0xD0,
+    pitchBend: 0xE0,
+};
+
+/**
+ * Encodes a variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Encoded bytes (at most 4)
+ */
+function encodeVarInt(value) {
+    const bytes = [value & 0x7F];
+    value >>>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value >>>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a single event without its delta time. Meta and SysEx payloads stay
+ * Buffers, so large events are never spread into argument lists.
+ * @param {Object} event - Parsed event
+ * @returns {Buffer} Event bytes
+ */
+function encodeEvent(event) {
+    if (event.type === 'meta') {
+        return Buffer.concat([Buffer.from([0xFF, event.metaType, ...encodeVarInt(event.data.length)]), Buffer.from(event.data)]);
+    }
+
+    if (event.type === 'sysex') {
+        return Buffer.concat([Buffer.from([event.status, ...encodeVarInt(event.data.length)]), Buffer.from(event.data)]);
+    }
+
+    return Buffer.from(encodeChannelEvent(event));
+}
+
+/**
+ * Encodes a channel event without its delta time
+ * @param {Object} event - Parsed channel event
+ * @returns {number[]} Event bytes
+ */
+function encodeChannelEvent(event) {
+    const status = CHANNEL_EVENT_STATUS[event.type];
+    if (status === undefined) {
+        throw new Error(`Cannot encode unknown MIDI event type "${event.type}"`);
+    }
+
+    const statusByte = status | event.channel;
+    switch (event.type) {
+        case 'noteOn':
+        case 'noteOff':
+            return [statusByte, event.note, event.velocity];
+        case 'keyPressure':
+            return [statusByte, event.note, event.pressure];
+        case 'controller':
+            return [statusByte, event.controller, event.value];
+        case 'programChange':
+            return [statusByte, event.program];
+        case 'channelPressure':
+            return [statusByte, event.pressure];
+        default:
+            return [statusByte, event.value & 0x7F, (event.value >> 7) & 0x7F];
+    }
+}
+
+/**
+ * Encodes one track as an MTrk chunk. Events are ordered by tick (stable) and
+ * an End-of-Track event is appended if missing.
+ * @param {Object} track - Track with absolute-tick events
+ * @returns {Buffer} MTrk chunk
+ */
+function encodeTrack(track) {
+    const events = track.events
+        .filter((event) => !(event.type === 'meta' && event.metaType === META.END_OF_TRACK))
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => a.event.tick - b.event.tick || a.index - b.index)
+        .map(({ event }) => event);
+
+    const lastTick = events.length > 0 ? events[events.length - 1].tick : 0;
+    const endTick = Math.max(lastTick, track.endTick ?? 0);
+    events.push({ tick: endTick, type: 'meta', metaType: META.END_OF_TRACK, data: Buffer.alloc(0) });
+
+    const chunks = [];
+    let previousTick = 0;
+    for (const event of events) {
+        chunks.push(Buffer.from(encodeVarInt(Math.max(0, Math.round(event.tick - previousTick)))));
+        chunks.push(encodeEvent(event));
+        previousTick = Math.max(previousTick, Math.round(event.tick));
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(8);
+    header.write('MTrk', 0, 'latin1');
+    header.writeUInt32BE(body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Serializes a parsed MIDI structure to a Standard MIDI File
+ * @param {Object} midi - MIDI structure { format, timing, tracks } (see parseMidi)
+ * @returns {Buffer} SMF data
+ */
+export function writeMidi(midi) {
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'latin1');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(midi.format, 8);
+    header.writeUInt16BE(midi.tracks.length, 10);
+
+    if (midi.timing.type === 'smpte') {
+        header.writeUInt8((256 - midi.timing.framesPerSecond) & 0xFF, 12);
+        header.writeUInt8(midi.timing.ticksPerFrame, 13);
+    } else {
+        header.writeUInt16BE(midi.timing.ticksPerBeat, 12);
+    }
+
+    return Buffer.concat([header, ...midi.tracks.map(encodeTrack)]);
+}
@@ -1,28 +1,69 @@
 import { renderMidiToWav } from './processors/midiRenderer.js';
-import { normalizeAudio } from './processors/audioNormalizer.js';
-import { encodeToMp3 } from './processors/mp3Encoder.js';
-import { generateOutputPath, generateUniquePath } from './filesystem/pathGenerator.js';
-import { writeFileAtomic, fileExists } from './filesystem/fileWriter.js';
+import { normalizeAudio, measureLoudness, getAudioDuration } from './processors/audioNormalizer.js';
+import { computeFingerprint } from './processors/audioFingerprint.js';
+import { analyzeQuality, checkQualityGates } from './processors/qualityAnalyzer.js';
+import { renderCoverArt } from './processors/coverArt.js';
+import { encodeWaveformDat } from './processors/waveformPeaks.js';
+import { getExpectedLevels } from './processors/outputVerifier.js';
+import { selectSoundfont } from './processors/soundfontSelector.js';
+import { preflightMidi, analyzeMidi, secondsToTick } from './midi/midiAnalyzer.js';
+import { truncateMidi, applyTransforms, validateTransforms } from './midi/midiTransforms.js';
+import { writeMidi } from './midi/smfWriter.js';
+import { extractLyrics, formatLrc } from './midi/lyrics.js';
+import { extractMusicalMetadata } from './midi/musicalMetadata.js';
+import { processStems } from './stemProcessor.js';
+import { processPreview } from './previewProcessor.js';
+import { processRenditions, resolveRenditions } from './renditionProcessor.js';
+import { getAlbumKey, generateSidecarPaths } from './filesystem/pathGenerator.js';
+import { writeContentAtomic, fileExists } from './filesystem/fileWriter.js';
 import { updateProcessingStatus, updateProcessingStatusById } from './database/queries.js';
-import { getTempFilePath, deleteTempFile } from './utils/tempFiles.js';
+import { allocateAudio, releaseAudio } from './utils/pcmBuffer.js';
+import { getField } from './utils/documentFields.js';
+import { resolveMetadata } from './utils/metadataResolver.js';
+import { ProcessingError, QualityRejectedError } from './utils/errors.js';
 import { createLogger } from './utils/logger.js';
 import config from './config.js';
 
 const logger = createLogger({ module: 'pipeline' });
 
+// Failure codes of the output verification, retried only up to VERIFY_MAX_RETRIES times
+const VERIFICATION_ERROR_CODES = ['RENDER_TOO_SHORT', 'VERIFICATION_FAILED'];
+
+// Normalization types that apply gainDb as one constant gain; loudnorm in dynamic mode does not
+const CONSTANT_GAIN_NORMALIZATION_TYPES = ['linear', 'fixed', 'peak', 'none'];
+
 /**
- * Processes a single MIDI document through the complete pipeline
- * @param {Object} document - MongoDB document containing MIDI data
- * @returns {Promise<Object>} Processing result
+ * Combines the run's MIDI transforms with the transforms stored on the document.
+ * Document transforms are applied after the run's transforms.
+ * @param {Object} document - MongoDB document
+ * @param {Object[]} runTransforms - Validated transforms of this run
+ * @returns {Object[]} Transforms tagged with their source ('run' or 'document')
+ * @throws {ProcessingError} if the document's transform list is invalid
  */
-export async function processMidiDocument(document) {
-    const hash = document.midifile?.hash;
+function resolveTransforms(document, runTransforms) {
+    const documentTransforms = getField(document, config.transforms.documentField) || [];
+    const errors = validateTransforms(documentTransforms);
 
-    if (!hash) {
-        throw new Error('Document missing midifile.hash');
+    if (errors.length > 0) {
+        throw new ProcessingError('INVALID_TRANSFORM', `Invalid document transforms: ${errors.join('; ')}`, {
+            retryable: false,
+        });
     }
 
-    // Extract MIDI buffer - support different MongoDB formats
+    return [
+        ...runTransforms.map((transform) => ({ ...transform, source: 'run' })),
+        ...documentTransforms.map((transform) => ({ ...transform, source: 'document' })),
+    ];
+}
+
+/**
+ * Extracts the MIDI file from a document - supports different MongoDB formats
+ * @param {Object} document - MongoDB document
+ * @returns {Buffer} MIDI file data
+ * @throws {Error} if the data is missing or in an unknown format
+ */
+function extractMidiBuffer(document) {
+    const hash = document.midifile?.hash;
     let midiBuffer;
 
     if (document.midifile?.data) {
@@ -87,6 +128,107 @@ export async function processMidiDocument(document) {
         throw new Error('Document missing midifile.data');
     }
 
+    return midiBuffer;
+}
+
+/**
+ * Parses and validates MIDI before spending time on rendering. Missing End-of-Track
+ * events and hung notes are only logged unless REQUIRE_END_OF_TRACK / REJECT_HUNG_NOTES
+ * reject them; most players and FluidSynth render such files fine.
+ * @param {Buffer} midiBuffer - MIDI file data
+ * @param {string} hash - MIDI file hash (for logging)
+ * @returns {Object} { midi, analysis }
+ * @throws {ProcessingError} if the file is malformed or violates the preflight rules
+ */
+function validateMidi(midiBuffer, hash) {
+    const result = preflightMidi(midiBuffer, {
+        requireEndOfTrack: config.renderer.requireEndOfTrack,
+        rejectHungNotes: config.renderer.rejectHungNotes,
+        maxNoteSeconds: config.renderer.maxNoteDuration,
+    });
+
+    const { tracksMissingEndOfTrack, hungNotes } = result.analysis;
+    if (tracksMissingEndOfTrack.length > 0 || hungNotes > 0) {
+        logger.warn({ hash, tracksMissingEndOfTrack, hungNotes }, 'MIDI has tracks without End-of-Track or notes that are never released');
+    }
+
+    return result;
+}
+
+/**
+ * Applies the transforms and the maximum output duration to the MIDI that is rendered
+ * @param {Object} document - MongoDB document
+ * @param {Object} midi - Parsed MIDI file
+ * @param {Object} midiAnalysis - Analysis of the original file
+ * @param {Object} options - Per-run pipeline options (see processMidiDocument)
+ * @returns {Object} { renderMidi, renderBuffer, transforms, truncation, playbackSeconds }
+ */
+function prepareRenderMidi(document, midi, midiAnalysis, options) {
+    const hash = document.midifile?.hash;
+
+    // Rewrite the MIDI according to the run's and the document's transform list
+    const transforms = resolveTransforms(document, options.transforms || config.transforms.list);
+    let renderMidi = midi;
+    let playbackSeconds = midiAnalysis.durationSeconds;
+
+    if (transforms.length > 0) {
+        renderMidi = applyTransforms(midi, transforms);
+        playbackSeconds = analyzeMidi(renderMidi).durationSeconds;
+        logger.info({ hash, transforms, playbackSeconds }, 'MIDI transforms applied');
+    }
+
+    // Cut overlong files before rendering; the cut is faded out during normalization
+    let truncation = null;
+    const { maxOutputDuration, fadeOutDuration } = config.renderer;
+
+    if (maxOutputDuration > 0 && playbackSeconds > maxOutputDuration) {
+        renderMidi = truncateMidi(renderMidi, secondsToTick(renderMidi, maxOutputDuration));
+        truncation = {
+            originalDurationSeconds: playbackSeconds,
+            endSeconds: maxOutputDuration,
+            fadeOutSeconds: fadeOutDuration,
+        };
+        playbackSeconds = maxOutputDuration;
+        logger.warn({ hash, ...truncation }, 'MIDI exceeds maximum output duration, truncating');
+    }
+
+    return {
+        renderMidi,
+        renderBuffer: renderMidi !== midi ? writeMidi(renderMidi) : null,
+        transforms,
+        truncation,
+        playbackSeconds,
+    };
+}
+
+/**
+ * Processes a single MIDI document through the complete pipeline
+ * @param {Object} document - MongoDB document containing MIDI data
+ * @param {Object} options - Per-run pipeline options
+ * @param {string} options.renderer - Renderer engine name (default: config.renderer.engine)
+ * @param {string} options.profile - Synthesis profile name (default: config.synthesis.profile)
+ * @param {string} options.stems - Stem mode: 'off', 'channel' or 'track' (default: config.stems.mode)
+ * @param {Object[]} options.transforms - MIDI transforms applied before rendering (default: config.transforms.list)
+ * @param {string} options.loudness - Loudness mode: 'track', 'album', 'peak' or 'replaygain' (default: config.loudness.mode)
+ * @param {Object} options.albumLoudness - Album mode: { albumKey, album, measurement, render } from the batch's
+ *   measuring pass (album = computeAlbumGain result, render = the measured audio, normalized instead of
+ *   rendering again and released by the caller); without it album mode normalizes per track
+ * @param {boolean} options.streaming - Keep rendered and normalized audio in memory instead of
+ *   temporary WAV files (default: config.processing.streaming)
+ * @param {string} options.format - Output format: mp3, flac, opus, vorbis, aac or wav (default: config.output.format),
+ *   used when there are no renditions
+ * @param {Object[]} options.renditions - Output renditions, the first one being the primary (default: config.renditions.list)
+ * @returns {Promise<Object>} Processing result
+ */
+export async function processMidiDocument(document, options = {}) {
+    const hash = document.midifile?.hash;
+
+    if (!hash) {
+        throw new Error('Document missing midifile.hash');
+    }
+
+    const midiBuffer = extractMidiBuffer(document);
+
     logger.info({ hash, bufferSize: midiBuffer.length }, 'Starting pipeline for MIDI document');
     const startTime = Date.now();
 
@@ -95,53 +237,298 @@ export async function processMidiDocument(document) {
         startedAt: new Date(),
     });
 
+    // Temp WAV paths, or in-memory PCM buffers in streaming mode
+    const streaming = options.streaming ?? config.processing.streaming;
     let wavPath = null;
     let normalizedWavPath = null;
-    let tempMp3Path = null;
+    const renditions = resolveRenditions(options);
+
+    // Album mode hands over the render of its measuring pass, which stays owned by the batch
+    const measuredRender = options.albumLoudness?.render || null;
 
     try {
-        // Step 1: Render MIDI to WAV
-        logger.info({ hash }, 'Step 1/4: Rendering MIDI to WAV');
-        wavPath = getTempFilePath('.wav');
-        await renderMidiToWav(Buffer.from(midiBuffer), wavPath);
+        // Step 1: Parse and validate MIDI before spending time on rendering
+        logger.info({ hash }, 'Step 1/5: Validating MIDI');
+        const { midi, analysis: midiAnalysis } = validateMidi(midiBuffer, hash);
+        await updateProcessingStatusById(document._id, 'processing', { midiAnalysis });
+        logger.info({
+            hash,
+            durationSeconds: midiAnalysis.durationSeconds,
+            noteCount: midiAnalysis.noteCount,
+            channelCount: midiAnalysis.channelCount,
+        }, 'MIDI validated');
 
-        // Step 2: Normalize audio to -14 LUFS
-        logger.info({ hash }, 'Step 2/4: Normalizing audio');
-        normalizedWavPath = getTempFilePath('_normalized.wav');
-        const normalizationResult = await normalizeAudio(wavPath, normalizedWavPath);
+        const { renderMidi, renderBuffer, transforms, truncation, playbackSeconds } = prepareRenderMidi(document, midi, midiAnalysis, options);
 
-        // Step 3: Encode to MP3 with metadata
-        logger.info({ hash }, 'Step 3/4: Encoding to MP3');
-        tempMp3Path = getTempFilePath('.mp3');
-        const encodingResult = await encodeToMp3(normalizedWavPath, tempMp3Path, document);
+        // Tempo, key, time signature, names and instruments of what is rendered
+        const musicalMetadata = extractMusicalMetadata(renderMidi);
 
-        // Step 4: Write to final destination
-        logger.info({ hash }, 'Step 4/4: Writing to output directory');
-        let outputPath = generateOutputPath(document, hash);
+        // Artist, title, album, year and genre as used for the output path and the tags
+        const displayMetadata = resolveMetadata(document);
+        logger.debug({ hash, sources: displayMetadata.sources }, 'Metadata resolved');
 
-        // Handle collision by appending hash
-        if (fileExists(outputPath)) {
-            logger.warn({ hash, outputPath }, 'Output file already exists, using unique path');
-            outputPath = generateUniquePath(outputPath, hash);
+        // Piano-roll front cover of what is rendered
+        let coverArt = null;
+        if (config.cover.enabled) {
+            try {
+                coverArt = renderCoverArt(renderMidi, displayMetadata);
+            } catch (error) {
+                logger.warn({ hash, error: error.message }, 'Cover art rendering failed');
+            }
         }
 
-        const writeResult = await writeFileAtomic(tempMp3Path, outputPath);
+        // Step 2: Render MIDI to WAV (unless album mode already rendered it for measuring)
+        const soundfont = selectSoundfont(document);
+        let renderResult;
+        if (measuredRender) {
+            logger.info({ hash, soundfont: soundfont.name, reason: soundfont.reason }, 'Step 2/5: Reusing the render of the album measurement');
+            wavPath = measuredRender.wavPath;
+            renderResult = measuredRender.result;
+        } else {
+            logger.info({ hash, soundfont: soundfont.name, reason: soundfont.reason }, 'Step 2/5: Rendering MIDI to WAV');
+            wavPath = allocateAudio(streaming, '.wav');
+            renderResult = await renderMidiToWav(Buffer.from(renderBuffer || midiBuffer), wavPath, {
+                renderer: options.renderer,
+                soundfontPath: soundfont.path,
+                profile: options.profile,
+                playbackSeconds,
+            });
+        }
+
+        // A renderer that stops early produces audio shorter than the MIDI file
+        let renderedSeconds = null;
+        if (config.verification.enabled) {
+            renderedSeconds = await getAudioDuration(wavPath);
+            if (renderedSeconds < playbackSeconds - config.verification.durationToleranceSeconds) {
+                throw new ProcessingError('RENDER_TOO_SHORT', `Rendered audio is ${renderedSeconds.toFixed(2)} s, MIDI plays ${playbackSeconds.toFixed(2)} s`);
+            }
+        }
+
+        // Step 3: Normalize loudness (album mode applies the gain measured over the whole album)
+        const albumLoudness = options.albumLoudness || null;
+        let loudnessMode = options.loudness || config.loudness.mode;
+        if (loudnessMode === 'album' && !albumLoudness) {
+            loudnessMode = 'track';
+        }
+
+        logger.info({ hash, loudnessMode }, 'Step 3/5: Normalizing audio');
+        normalizedWavPath = allocateAudio(streaming, '_normalized.wav');
+        const renderSpilledBytes = streaming ? wavPath.spilledBytes : 0;
+        const normalizationResult = await normalizeAudio(wavPath, normalizedWavPath, {
+            mode: loudnessMode,
+            truncate: truncation,
+            waveform: config.waveform.enabled,
+            // In streaming mode the raw render is freed while the output pass reads it
+            // (a measured render is kept, a retry reads it again)
+            releaseInput: streaming && !measuredRender,
+            ...(albumLoudness && { gainDb: albumLoudness.album.gainDb }),
+        });
+
+        // The raw render is not needed past this point
+        if (!measuredRender) {
+            releaseAudio(wavPath);
+        }
+        wavPath = null;
+
+        // Audio that exceeded STREAMING_MEMORY_LIMIT_MB went to disk
+        const spilledBytes = streaming ? renderSpilledBytes + normalizedWavPath.spilledBytes : null;
+
+        const measurement = normalizationResult.measurement || albumLoudness?.measurement || null;
+
+        // Technical quality of the normalized audio; a failed gate rejects the document before encoding
+        let quality = null;
+        if (config.quality.enabled) {
+            quality = await analyzeQuality(normalizedWavPath);
+            const violations = checkQualityGates(quality);
+            if (violations.length > 0) {
+                throw new QualityRejectedError(violations, quality);
+            }
+        }
+
+        // Acoustic fingerprint for duplicate detection across different MIDI files
+        let fingerprint = null;
+        if (config.dedupe.fingerprint) {
+            try {
+                fingerprint = await computeFingerprint(normalizedWavPath);
+            } catch (error) {
+                logger.warn({ hash, error: error.message }, 'Fingerprinting failed');
+            }
+        }
+
+        // Lyrics timed against the final audio (after silence trimming and truncation)
+        const lyrics = config.lyrics.embed || config.lyrics.writeLrc
+            ? extractLyrics(renderMidi, {
+                offsetSeconds: normalizationResult.trim?.startSeconds ?? 0,
+                endSeconds: normalizationResult.trim?.endSeconds,
+                karaoke: /\.kar$/i.test(document.midifile?.fileName?.toString() || ''),
+            })
+            : null;
+
+        // Step 4: Encode, verify and write every rendition of the normalized master
+        logger.info({ hash, renditions: renditions.map((rendition) => rendition.name), lyrics: lyrics?.source }, 'Step 4/5: Encoding renditions');
+        const renditionResult = await processRenditions(document, {
+            wavPath: normalizedWavPath,
+            renditions,
+            processing: {
+                soundfont,
+                synthProfile: renderResult.profile.name,
+                transforms,
+                musicalMetadata,
+                lyrics: config.lyrics.embed ? lyrics : null,
+                coverArt,
+                replayGain: normalizationResult.replayGain,
+            },
+            expected: config.verification.enabled ? {
+                ...getExpectedLevels(loudnessMode, normalizationResult, measurement),
+                durationSeconds: measurement?.durationSeconds ?? null,
+            } : null,
+        });
+
+        // The primary rendition is the document's output; sidecars and stems go next to it
+        const [primary] = renditionResult.renditions;
+        const { outputPath, format } = primary;
+
+        let verification = null;
+        if (primary.verification) {
+            verification = { ...primary.verification, renderedSeconds, midiSeconds: playbackSeconds };
+        }
+
+        // Step 5: Sidecar files, preview and stems
+        logger.info({ hash, outputPath }, 'Step 5/5: Writing sidecar files');
+
+        const sidecars = generateSidecarPaths(outputPath);
+
+        // Optional: .lrc sidecar with line timings
+        let lrcPath = null;
+        if (lyrics && config.lyrics.writeLrc) {
+            lrcPath = sidecars.lrcPath;
+            await writeContentAtomic(formatLrc(lyrics, renditionResult.metadata), lrcPath);
+        }
+
+        // Waveform peaks for web players: audiowaveform JSON and binary .dat
+        let waveform = null;
+        if (normalizationResult.waveform) {
+            const peaks = normalizationResult.waveform;
+            waveform = {
+                jsonPath: sidecars.waveformJsonPath,
+                datPath: sidecars.waveformDatPath,
+                samplesPerPixel: peaks.samples_per_pixel,
+                bits: peaks.bits,
+                length: peaks.length,
+            };
+            await writeContentAtomic(JSON.stringify(peaks), waveform.jsonPath);
+            await writeContentAtomic(encodeWaveformDat(peaks), waveform.datPath);
+        }
+
+        // Optional: cover.png in the album folder (the first song of an album provides it)
+        let coverPath = null;
+        if (coverArt && config.cover.writeFile && !fileExists(sidecars.coverPath)) {
+            await writeContentAtomic(coverArt, sidecars.coverPath);
+            coverPath = sidecars.coverPath;
+        }
+
+        // Short preview clip of the most energetic section
+        let preview = null;
+        if (config.preview.enabled) {
+            try {
+                preview = await processPreview(document, {
+                    wavPath: normalizedWavPath,
+                    soundfont,
+                    synthProfile: renderResult.profile.name,
+                    transforms,
+                    musicalMetadata,
+                    coverArt,
+                });
+            } catch (error) {
+                // A failing preview does not invalidate the mix
+                logger.error({ hash, error: error.message }, 'Preview clip failed');
+            }
+        }
+
+        // Optional: one stem per channel/track with the same gain as the mix. Without a
+        // constant gain on the mix the stems would not add up to it, so there are none.
+        const stemMode = options.stems || config.stems.mode;
+        let stems;
+        if (stemMode !== 'off' && !CONSTANT_GAIN_NORMALIZATION_TYPES.includes(normalizationResult.normalizationType)) {
+            logger.warn({
+                hash,
+                normalizationType: normalizationResult.normalizationType,
+            }, 'Mix was not normalized with a constant gain, skipping stems');
+        } else if (stemMode !== 'off') {
+            stems = await processStems(document, {
+                midi: renderMidi,
+                mode: stemMode,
+                gainDb: normalizationResult.gainDb,
+                trim: normalizationResult.trim,
+                mixPath: outputPath,
+                soundfont,
+                renderer: options.renderer,
+                profile: renderResult.profile.name,
+                transforms,
+                musicalMetadata,
+                coverArt,
+                playbackSeconds,
+                truncation,
+                streaming,
+                format,
+            });
+        }
+
+        // Measured loudness; album and ReplayGain values let whole albums be leveled later on
+        const loudness = {
+            mode: loudnessMode,
+            ...measurement,
+            albumKey: getAlbumKey(document),
+            album: albumLoudness?.album ?? null,
+            replayGain: normalizationResult.replayGain,
+        };
 
         // Update status to completed
         const totalDuration = Date.now() - startTime;
         await updateProcessingStatusById(document._id, 'completed', {
             completedAt: new Date(),
             outputPath,
-            originalLUFS: normalizationResult.originalLUFS,
-            targetLUFS: normalizationResult.targetLUFS,
+            outputFormat: format,
+            renditions: renditionResult.renditions,
+            metadataSources: displayMetadata.sources,
+            renderer: renderResult.renderer,
+            soundfont,
+            synthProfile: renderResult.profile,
+            transforms,
+            truncation,
+            silenceTrim: normalizationResult.trim,
+            musicalMetadata,
+            quality,
+            verification,
+            fingerprint,
+            waveform,
+            preview,
+            coverArt: coverArt && {
+                size: config.cover.size,
+                bytes: coverArt.length,
+                coverPath,
+            },
+            lyrics: lyrics && {
+                source: lyrics.source,
+                lineCount: lyrics.lines.length,
+                syllableCount: lyrics.syllables.length,
+                lrcPath,
+            },
+            originalLUFS: measurement?.integratedLUFS ?? null,
+            targetLUFS: albumLoudness ? config.audio.targetLUFS : normalizationResult.targetLUFS,
+            gainDb: normalizationResult.gainDb,
+            normalizationType: albumLoudness ? 'album' : normalizationResult.normalizationType,
+            loudness,
+            ...(stems && { stemMode, stems }),
             processingDuration: totalDuration,
-            metadata: encodingResult.metadata,
+            metadata: renditionResult.metadata,
         });
 
         logger.info({
             hash,
             outputPath,
             duration: totalDuration,
+            ...(streaming && { spilledBytes }),
         }, 'Pipeline completed successfully');
 
         return {
@@ -149,45 +536,107 @@ export async function processMidiDocument(document) {
             hash,
             outputPath,
             duration: totalDuration,
-            metadata: encodingResult.metadata,
+            loudness,
+            metadata: renditionResult.metadata,
         };
 
     } catch (error) {
-        logger.error({ hash, error: error.message }, 'Pipeline failed');
+        if (error instanceof QualityRejectedError) {
+            logger.warn({ hash, violations: error.violations }, 'Document rejected by quality gates');
+
+            await updateProcessingStatusById(document._id, 'rejected', {
+                rejectedAt: new Date(),
+                rejectionReasons: error.violations,
+                quality: error.quality,
+                errorCode: error.code,
+            });
+
+            throw error;
+        }
+
+        logger.error({ hash, error: error.message, code: error.code }, 'Pipeline failed');
 
         // Update status to failed
         await updateProcessingStatusById(document._id, 'failed', {
             failedAt: new Date(),
             error: error.message,
+            errorCode: error.code || null,
         });
 
         throw error;
 
     } finally {
-        // Cleanup temporary files
-        if (wavPath) deleteTempFile(wavPath);
-        if (normalizedWavPath) deleteTempFile(normalizedWavPath);
-        if (tempMp3Path) deleteTempFile(tempMp3Path);
+        // Cleanup temporary files and in-memory audio
+        if (!measuredRender) {
+            releaseAudio(wavPath);
+        }
+        releaseAudio(normalizedWavPath);
     }
 }
 
 
+/**
+ * Renders a MIDI document and measures its loudness without writing any output.
+ * Used by album mode to work out the album gain before the tracks are processed;
+ * the render is kept so that processMidiDocument can apply the gain to it.
+ * @param {Object} document - MongoDB document containing MIDI data
+ * @param {Object} options - Per-run pipeline options (see processMidiDocument)
+ * @returns {Promise<Object>} { measurement (see measureLoudness), render: { wavPath, result } },
+ *   the caller releases render.wavPath with releaseAudio
+ */
+export async function measureMidiDocument(document, options = {}) {
+    const hash = document.midifile?.hash;
+    const midiBuffer = extractMidiBuffer(document);
+    const { midi, analysis: midiAnalysis } = validateMidi(midiBuffer, hash);
+    const { renderBuffer, truncation, playbackSeconds } = prepareRenderMidi(document, midi, midiAnalysis, options);
+    const soundfont = selectSoundfont(document);
+    const wavPath = allocateAudio(options.streaming ?? config.processing.streaming, '.wav');
+
+    try {
+        logger.info({ hash, soundfont: soundfont.name }, 'Rendering MIDI for loudness measurement');
+        const result = await renderMidiToWav(Buffer.from(renderBuffer || midiBuffer), wavPath, {
+            renderer: options.renderer,
+            soundfontPath: soundfont.path,
+            profile: options.profile,
+            playbackSeconds,
+        });
+
+        const { measurement } = await measureLoudness(wavPath, { truncate: truncation });
+        logger.info({ hash, ...measurement }, 'Loudness measured');
+        return { measurement, render: { wavPath, result } };
+    } catch (error) {
+        releaseAudio(wavPath);
+        throw error;
+    }
+}
 
 /**
  * Processes a MIDI document with retry logic
  * @param {Object} document - MongoDB document
  * @param {number} maxRetries - Maximum number of retries
+ * @param {Object} options - Per-run pipeline options (see processMidiDocument)
  * @returns {Promise<Object>} Processing result
  */
-export async function processMidiDocumentWithRetry(document, maxRetries = config.processing.maxRetries) {
+export async function processMidiDocumentWithRetry(document, maxRetries = config.processing.maxRetries, options = {}) {
     let lastError;
+    let verificationFailures = 0;
 
     for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
         try {
-            return await processMidiDocument(document);
+            return await processMidiDocument(document, options);
         } catch (error) {
             lastError = error;
 
+            // Errors such as malformed MIDI files will not succeed on retry
+            if (error.retryable === false) {
+                break;
+            }
+
+            // Verification failures have their own, smaller budget within maxRetries
+            if (VERIFICATION_ERROR_CODES.includes(error.code) && ++verificationFailures > config.verification.maxRetries) {
+                break;
+            }
+
             if (attempt <= maxRetries) {
                 const delay = attempt * 1000; // Exponential backoff
                 logger.warn({
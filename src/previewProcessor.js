@@ -0,0 +1,79 @@
+import { selectPreviewSegment } from './processors/previewSelector.js';
+import { encodeToMp3 } from './processors/mp3Encoder.js';
+import { generatePreviewPath, generateUniquePath } from './filesystem/pathGenerator.js';
+import { moveFileAtomic, fileExists } from './filesystem/fileWriter.js';
+import { getTempFilePath, deleteTempFile } from './utils/tempFiles.js';
+import { createLogger } from './utils/logger.js';
+import config from './config.js';
+
+const logger = createLogger({ module: 'previewProcessor' });
+
+/**
+ * Builds the filters cutting the preview segment and fading it in and out
+ * @param {Object} segment - { startSeconds, durationSeconds }
+ * @returns {string[]} FFmpeg audio filters
+ */
+function buildPreviewFilters({ startSeconds, durationSeconds }) {
+    const { fadeInSeconds, fadeOutSeconds } = config.preview;
+    const filters = [`atrim=start=${startSeconds}:duration=${durationSeconds}`, 'asetpts=PTS-STARTPTS'];
+
+    if (fadeInSeconds > 0) {
+        filters.push(`afade=t=in:st=0:d=${fadeInSeconds}`);
+    }
+    if (fadeOutSeconds > 0) {
+        filters.push(`afade=t=out:st=${Math.max(0, durationSeconds - fadeOutSeconds)}:d=${fadeOutSeconds}`);
+    }
+
+    return filters;
+}
+
+/**
+ * Cuts a short preview clip from the most energetic section of the normalized mix
+ * and encodes it at the preview bitrate to PREVIEW_PATH_TEMPLATE
+ * @param {Object} document - MongoDB document
+ * @param {Object} context - Mix processing context
+ * @param {string|Object} context.wavPath - Normalized WAV of the mix, or PCM buffer (streaming mode)
+ * @param {Object} context.soundfont - Selected soundfont
+ * @param {string} context.synthProfile - Synthesis profile name
+ * @param {Object[]} context.transforms - MIDI transforms applied to the mix
+ * @param {Object} context.musicalMetadata - Musical metadata of the mix
+ * @param {Buffer} context.coverArt - PNG front cover of the mix (or null)
+ * @returns {Promise<Object>} Preview metadata for MongoDB
+ */
+export async function processPreview(document, context) {
+    const hash = document.midifile?.hash;
+    const { durationSeconds, fadeInSeconds, bitrate } = config.preview;
+    const tempMp3Path = getTempFilePath('_preview.mp3');
+
+    try {
+        const segment = await selectPreviewSegment(context.wavPath, { durationSeconds, fadeInSeconds });
+        logger.info({ hash, ...segment }, 'Encoding preview clip');
+
+        await encodeToMp3(context.wavPath, tempMp3Path, document, {
+            soundfont: context.soundfont,
+            synthProfile: context.synthProfile,
+            transforms: context.transforms,
+            musicalMetadata: context.musicalMetadata,
+            coverArt: context.coverArt,
+            preview: segment,
+        }, {
+            bitrate,
+            filters: buildPreviewFilters(segment),
+        });
+
+        let outputPath = generatePreviewPath(document, hash);
+        if (fileExists(outputPath)) {
+            logger.warn({ hash, outputPath }, 'Preview file already exists, using unique path');
+            outputPath = generateUniquePath(outputPath, hash);
+        }
+        await moveFileAtomic(tempMp3Path, outputPath);
+
+        return {
+            outputPath,
+            ...segment,
+            bitrate,
+        };
+    } finally {
+        deleteTempFile(tempMp3Path);
+    }
+}
@@ -0,0 +1,400 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { promises as fs } from 'fs';
+import { extname } from 'path';
+import { encodeToMp3, extractMetadata, buildReplayGainFrames, updateReplayGainTags, updateId3Tags, verifyMp3 } from './mp3Encoder.js';
+import { buildTagFields, toVorbisComments, toMp4Tags, toRiffInfo, buildPictureBlock, writeFfmetadata } from './audioTags.js';
+import { writeMp4FreeformTags, writeMp4Tags } from './mp4Tags.js';
+import { createFfmpegInput } from '../utils/pcmBuffer.js';
+import { getSampleFormat, buildDitherFilters } from '../utils/sampleFormat.js';
+import { OUTPUT_FORMATS } from '../utils/outputFormats.js';
+import { getTempFilePath, deleteTempFile } from '../utils/tempFiles.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config.js';
+
+const logger = createLogger({ module: 'audioEncoder' });
+
+// Opus always runs at 48 kHz
+const OPUS_SAMPLE_RATE = 48000;
+
+// Tags a replacement keeps: lyrics are written at conversion and cannot be rebuilt later
+// (the cover is a picture stream, not a tag)
+const KEPT_ON_REPLACE = ['lyrics'];
+
+/**
+ * Resolves an output format
+ * @param {string} format - Format name (see OUTPUT_FORMATS)
+ * @returns {Object} Format description
+ */
+function getOutputFormat(format) {
+    const outputFormat = OUTPUT_FORMATS[format];
+    if (!outputFormat) {
+        throw new Error(`Unknown output format: ${format}`);
+    }
+    return outputFormat;
+}
+
+/**
+ * Gets the file extension of an output format
+ * @param {string} format - Format name (see OUTPUT_FORMATS)
+ * @returns {string} Extension including the dot (e.g. '.flac')
+ */
+export function getOutputExtension(format) {
+    return getOutputFormat(format).extension;
+}
+
+/**
+ * Identifies the output format of a file by its extension
+ * @param {string} filePath - Path to audio file
+ * @returns {string} Format name
+ */
+export function getFormatOfFile(filePath) {
+    const extension = extname(filePath).toLowerCase();
+    const format = Object.keys(OUTPUT_FORMATS).find((name) => OUTPUT_FORMATS[name].extension === extension);
+    if (!format) {
+        throw new Error(`Unsupported audio file extension: ${extension}`);
+    }
+    return format;
+}
+
+/**
+ * Runs ffprobe on a file
+ * @param {string} filePath - Path to audio file
+ * @returns {Promise<Object>} ffprobe metadata
+ */
+function probeFile(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+    });
+}
+
+/**
+ * Runs a prepared FFmpeg command
+ * @param {Object} command - fluent-ffmpeg command with inputs and options
+ * @param {string} outputPath - Output file
+ * @param {string} action - Description for error messages (e.g. 'FLAC encoding')
+ * @returns {Promise<void>}
+ */
+function runCommand(command, outputPath, action) {
+    return new Promise((resolve, reject) => {
+        command
+            .on('error', (error) => reject(new Error(`${action} failed: ${error.message}`)))
+            .on('end', resolve)
+            .save(outputPath);
+    });
+}
+
+/**
+ * Maps tag fields to what the container stores
+ * @param {string} format - Format name
+ * @param {Object[]} fields - Fields from buildTagFields
+ * @param {Object} image - Cover image from extractMetadata (optional)
+ * @returns {Object} { metadata: fields for FFmpeg, freeform: MP4 freeform atoms }
+ */
+function buildContainerTags(format, fields, image) {
+    switch (OUTPUT_FORMATS[format].tags) {
+        case 'vorbis': {
+            const metadata = toVorbisComments(fields, { opus: format === 'opus' });
+            // Ogg has no picture stream; FLAC embeds the cover as a PICTURE block instead
+            if (image && format !== 'flac') {
+                metadata.push({ name: 'METADATA_BLOCK_PICTURE', value: buildPictureBlock(image.imageBuffer, image.description) });
+            }
+            return { metadata, freeform: [] };
+        }
+        case 'mp4':
+            return toMp4Tags(fields);
+        default:
+            return { metadata: toRiffInfo(fields), freeform: [] };
+    }
+}
+
+/**
+ * Builds the FFmpeg codec options of a format
+ * @param {string} format - Format name
+ * @param {Object} encoding - Encoder overrides { bitrate, quality, compressionLevel, bitDepth }
+ * @returns {Object} { codec, options, bitrate, quality, sampleRate, bitDepth (integer PCM outputs) }
+ */
+function getCodecSettings(format, encoding) {
+    switch (format) {
+        case 'flac': {
+            const compressionLevel = encoding.compressionLevel ?? config.flac.compressionLevel;
+            const bitDepth = encoding.bitDepth || config.flac.bitDepth;
+            const sampleFormat = bitDepth === 24 ? ['-sample_fmt', 's32', '-bits_per_raw_sample', '24'] : ['-sample_fmt', 's16'];
+            return { codec: 'flac', options: ['-compression_level', String(compressionLevel), ...sampleFormat], bitDepth };
+        }
+        case 'opus':
+            return { codec: 'libopus', options: [], bitrate: encoding.bitrate || config.opus.bitrate, sampleRate: OPUS_SAMPLE_RATE };
+        case 'vorbis':
+            return { codec: 'libvorbis', options: [], quality: encoding.quality ?? config.vorbis.quality };
+        case 'aac':
+            // Index in front of the audio data for progressive playback
+            return { codec: 'aac', options: ['-movflags', '+faststart'], bitrate: encoding.bitrate || config.aac.bitrate };
+        default: {
+            const bitDepth = encoding.bitDepth || config.wav.bitDepth;
+            return { codec: getSampleFormat(bitDepth).codec, options: [], bitDepth };
+        }
+    }
+}
+
+/**
+ * Encodes audio into the configured output format with format-appropriate tags:
+ * ID3 (MP3), Vorbis comments (FLAC, Opus, Ogg Vorbis), MP4 atoms (AAC) or RIFF INFO (WAV)
+ * @param {string|Object} inputPath - Path to input WAV file, or PCM buffer (streaming mode)
+ * @param {string} outputPath - Path to output file
+ * @param {Object} document - MongoDB document for metadata
+ * @param {Object} processing - Processing details to record in the tags (see extractMetadata)
+ * @param {Object} encoding - Encoder overrides
+ * @param {string} encoding.format - Output format (default: config.output.format)
+ * @param {number} encoding.bitrate - Bitrate in kbps for MP3, Opus and AAC
+ * @param {number} encoding.quality - MP3 (0-9) or Ogg Vorbis (-1 to 10) quality
+ * @param {number} encoding.compressionLevel - FLAC compression level
+ * @param {number} encoding.bitDepth - Bits per sample of FLAC and WAV outputs
+ * @param {string[]} encoding.filters - FFmpeg audio filters applied while encoding (e.g. cut and fades)
+ * @returns {Promise<Object>} Encoding result
+ */
+export async function encodeAudio(inputPath, outputPath, document, processing = {}, encoding = {}) {
+    const format = encoding.format || config.output.format;
+    if (format === 'mp3') {
+        return encodeToMp3(inputPath, outputPath, document, processing, encoding);
+    }
+
+    const startTime = Date.now();
+    const { muxer } = getOutputFormat(format);
+    const codec = getCodecSettings(format, encoding);
+    const metadata = extractMetadata(document, processing);
+    const { image, ...storedMetadata } = metadata;
+    const tags = buildContainerTags(format, buildTagFields(metadata), image);
+    const embedsCoverStream = Boolean(image) && (format === 'flac' || format === 'aac');
+
+    // 16-bit outputs are dithered once the chain carries more resolution or the filters change the samples
+    const filters = [...(encoding.filters || [])];
+    if (codec.bitDepth === 16 && (config.audio.bitDepth > 16 || filters.length > 0)) {
+        filters.push(...buildDitherFilters(16));
+    }
+
+    const metadataPath = getTempFilePath('.ffmetadata');
+    const coverPath = embedsCoverStream ? getTempFilePath('.png') : null;
+
+    try {
+        logger.info({ inputPath, outputPath, format }, `Encoding to ${format}...`);
+
+        await writeFfmetadata(tags.metadata, metadataPath);
+        if (coverPath) {
+            await fs.writeFile(coverPath, image.imageBuffer);
+        }
+
+        const command = createFfmpegInput(inputPath)
+            .input(metadataPath)
+            .inputFormat('ffmetadata');
+
+        command.outputOptions(['-map', '0:a']);
+
+        // Ogg muxers write the comments of the audio stream, all others the global metadata
+        if (OUTPUT_FORMATS[format].demuxer === 'ogg') {
+            command.outputOptions(['-map_metadata', '-1', '-map_metadata:s:a:0', '1:g']);
+        } else {
+            command.outputOptions(['-map_metadata', '1']);
+        }
+
+        if (coverPath) {
+            command
+                .input(coverPath)
+                .outputOptions(['-map', '2:v', '-c:v', 'copy', '-disposition:v', 'attached_pic'])
+                .outputOptions('-metadata:s:v', 'comment=Cover (front)');
+        }
+
+        command
+            .audioFilters(filters)
+            .audioCodec(codec.codec)
+            .audioChannels(2)
+            .audioFrequency(codec.sampleRate || config.audio.sampleRate)
+            .outputOptions(codec.options)
+            .format(muxer);
+
+        if (codec.bitrate) {
+            command.audioBitrate(codec.bitrate);
+        }
+
+        if (codec.quality !== undefined) {
+            command.audioQuality(codec.quality);
+        }
+
+        await runCommand(command, outputPath, `${format} encoding`);
+
+        // Custom fields FFmpeg cannot write to MP4
+        if (tags.freeform.length > 0) {
+            await writeMp4FreeformTags(outputPath, tags.freeform);
+        }
+
+        const duration = Date.now() - startTime;
+        logger.info({ duration, outputPath, format, coverArt: Boolean(image) }, `${format} encoding complete`);
+
+        return {
+            success: true,
+            outputPath,
+            metadata: storedMetadata,
+            duration,
+        };
+    } catch (error) {
+        logger.error({ error: error.message, inputPath, format }, 'Encoding failed');
+        throw error;
+    } finally {
+        deleteTempFile(metadataPath);
+        if (coverPath) {
+            deleteTempFile(coverPath);
+        }
+    }
+}
+
+/**
+ * Verifies the integrity of an encoded audio file
+ * @param {string} filePath - Path to audio file
+ * @param {string} format - Expected output format
+ * @returns {Promise<Object>} Verification result
+ */
+export async function verifyAudioFile(filePath, format) {
+    if (format === 'mp3') {
+        return verifyMp3(filePath);
+    }
+
+    let metadata;
+    try {
+        metadata = await probeFile(filePath);
+    } catch (error) {
+        throw new Error(`${format} verification failed: ${error.message}`);
+    }
+
+    const isValid =
+        metadata.format.format_name.split(',').includes(getOutputFormat(format).demuxer) &&
+        metadata.streams.some((stream) => stream.codec_type === 'audio');
+
+    return {
+        valid: isValid,
+        duration: metadata.format.duration,
+        bitrate: metadata.format.bit_rate,
+    };
+}
+
+/**
+ * Extracts the attached cover picture of a file
+ * @param {string} filePath - Path to audio file
+ * @param {Object} stream - ffprobe stream of the picture
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function extractCover(filePath, stream) {
+    const coverPath = getTempFilePath('.png');
+
+    try {
+        const command = ffmpeg(filePath)
+            .outputOptions(['-map', `0:${stream.index}`, '-c', 'copy', '-frames:v', '1'])
+            .format('image2');
+        await runCommand(command, coverPath, 'Cover extraction');
+        return await fs.readFile(coverPath);
+    } finally {
+        deleteTempFile(coverPath);
+    }
+}
+
+/**
+ * Rewrites the Vorbis comments (FLAC, Ogg) or RIFF INFO (WAV) of a file without re-encoding
+ * @param {string} filePath - Path to audio file
+ * @param {string} format - flac, opus, vorbis or wav
+ * @param {Object[]} comments - Tags to add or replace, named as the container stores them
+ * @param {Object} [options] - Rewrite options
+ * @param {boolean} [options.replace=false] - Drop all other tags except the lyrics (KEPT_ON_REPLACE)
+ */
+async function remuxWithTags(filePath, format, comments, { replace = false } = {}) {
+    const probe = await probeFile(filePath);
+    const ogg = OUTPUT_FORMATS[format].demuxer === 'ogg';
+    const audioStream = probe.streams.find((stream) => stream.codec_type === 'audio');
+    const existing = (ogg ? audioStream?.tags : probe.format.tags) || {};
+
+    const replaced = new Set(comments.map((comment) => comment.name.toLowerCase()));
+    const metadata = [
+        ...Object.entries(existing)
+            .filter(([name]) => !replace || KEPT_ON_REPLACE.includes(name.toLowerCase()))
+            .filter(([name]) => !replaced.has(name.toLowerCase()))
+            .map(([name, value]) => ({ name, value: String(value) })),
+        ...comments,
+    ];
+
+    // FFmpeg reads the Ogg picture comment as a picture stream, which the Ogg muxer cannot write back
+    const coverStream = ogg && probe.streams.find((stream) => stream.disposition?.attached_pic);
+    if (coverStream) {
+        metadata.push({ name: 'METADATA_BLOCK_PICTURE', value: buildPictureBlock(await extractCover(filePath, coverStream), 'Piano roll') });
+    }
+
+    const metadataPath = getTempFilePath('.ffmetadata');
+    const partialPath = `${filePath}.partial`;
+
+    try {
+        await writeFfmetadata(metadata, metadataPath);
+
+        const command = ffmpeg(filePath)
+            .input(metadataPath)
+            .inputFormat('ffmetadata')
+            .outputOptions(ogg
+                ? ['-map', '0:a', '-map_metadata', '-1', '-map_metadata:s:a:0', '1:g']
+                : ['-map', '0', '-map_metadata', '1'])
+            .outputOptions(['-c', 'copy'])
+            .format(OUTPUT_FORMATS[format].muxer);
+        await runCommand(command, partialPath, 'Tag update');
+        await fs.rename(partialPath, filePath);
+    } finally {
+        deleteTempFile(metadataPath);
+        await fs.rm(partialPath, { force: true });
+    }
+}
+
+/**
+ * Writes ReplayGain values into an existing output file, keeping all other tags
+ * @param {string} filePath - Path to audio file (the format follows from the extension)
+ * @param {Object} replayGain - { track, album } (see buildReplayGainFrames)
+ */
+export async function updateReplayGain(filePath, replayGain) {
+    const format = getFormatOfFile(filePath);
+    const fields = buildReplayGainFrames(replayGain).map(({ description, value }) => ({ name: description, value }));
+
+    switch (OUTPUT_FORMATS[format].tags) {
+        case 'id3':
+            await updateReplayGainTags(filePath, replayGain);
+            return;
+        case 'mp4':
+            await writeMp4FreeformTags(filePath, fields);
+            break;
+        case 'vorbis':
+            await remuxWithTags(filePath, format, toVorbisComments(fields, { opus: format === 'opus' }));
+            break;
+        default:
+            throw new Error(`${format} files cannot carry ReplayGain tags`);
+    }
+
+    logger.debug({ filePath, replayGain }, 'ReplayGain tags updated');
+}
+
+/**
+ * Replaces the tags of an existing output file in place: tags without a value in the tag
+ * data are removed, so nothing stale is left. The audio stream, the cover and the lyrics
+ * stay as they are. WAV files keep just the fields RIFF INFO can hold.
+ * @param {string} filePath - Path to audio file (the format follows from the extension)
+ * @param {Object} id3Tags - Tag data from extractMetadata (without image)
+ */
+export async function updateTags(filePath, id3Tags) {
+    const format = getFormatOfFile(filePath);
+    const fields = buildTagFields(id3Tags);
+
+    switch (OUTPUT_FORMATS[format].tags) {
+        case 'id3':
+            await updateId3Tags(filePath, id3Tags);
+            return;
+        case 'mp4':
+            await writeMp4Tags(filePath, toMp4Tags(fields), { replace: true });
+            break;
+        case 'vorbis':
+            await remuxWithTags(filePath, format, toVorbisComments(fields, { opus: format === 'opus' }), { replace: true });
+            break;
+        default:
+            await remuxWithTags(filePath, format, toRiffInfo(fields), { replace: true });
+    }
+
+    logger.debug({ filePath, format, fields: fields.length }, 'Tags updated');
+}
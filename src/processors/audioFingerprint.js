@@ -0,0 +1,278 @@
+import { readWavBlocks } from '../utils/wav.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ module: 'audioFingerprint' });
+
+// Fingerprint format version, bump when the computation changes
+const FINGERPRINT_VERSION = 1;
+
+// Analysis runs on a mono signal decimated to about this rate
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+// FFT size and hop in analysis samples (~0.37 s at 11025 Hz, no overlap)
+const FRAME_SIZE = 4096;
+
+// Pitch range mapped to chroma (C2 to C7)
+const MIN_FREQUENCY = 65;
+const MAX_FREQUENCY = 2100;
+
+// Frames quieter than this RMS are stored as silence
+const SILENCE_RMS = 1e-4;
+
+// Only the beginning of a song is fingerprinted (frames)
+const MAX_FRAMES = 512;
+
+// Frames on each side summed when comparing
+const SMOOTHING_FRAMES = 1;
+
+// Alignment search window when comparing (frames, ~15 s)
+const MAX_SHIFT_FRAMES = 40;
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const half = size >> 1;
+        for (let k = 0; k < half; k++) {
+            const cos = Math.cos(angle * k);
+            const sin = Math.sin(angle * k);
+            for (let start = 0; start < n; start += size) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+/**
+ * Creates the chroma analyzer for one frame of samples
+ * @param {number} sampleRate - Analysis sample rate
+ * @returns {Function} (samples: Float64Array) => 12 chroma energies, or null for silence
+ */
+function createChromaAnalyzer(sampleRate) {
+    const window = new Float64Array(FRAME_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+
+    // Pitch class of every FFT bin inside the analyzed range (-1 = ignored)
+    const binPitchClass = new Int8Array(FRAME_SIZE / 2).map((_, bin) => {
+        const frequency = bin * sampleRate / FRAME_SIZE;
+        if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) {
+            return -1;
+        }
+        const midiNote = Math.round(12 * Math.log2(frequency / 440) + 69);
+        return midiNote % 12;
+    });
+
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+
+    return (samples) => {
+        let energy = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            energy += samples[i] * samples[i];
+            re[i] = samples[i] * window[i];
+            im[i] = 0;
+        }
+
+        if (Math.sqrt(energy / FRAME_SIZE) < SILENCE_RMS) {
+            return null;
+        }
+
+        fft(re, im);
+
+        const chroma = new Float64Array(12);
+        for (let bin = 0; bin < binPitchClass.length; bin++) {
+            if (binPitchClass[bin] >= 0) {
+                chroma[binPitchClass[bin]] += re[bin] * re[bin] + im[bin] * im[bin];
+            }
+        }
+        return chroma;
+    };
+}
+
+/**
+ * Computes a chroma fingerprint of a rendered WAV file.
+ * The fingerprint is a sequence of 12-bin pitch class profiles (one per ~0.37 s),
+ * each normalized to its loudest pitch class and quantized to one hex digit per bin.
+ * It is independent of instrumentation and loudness but follows harmony and melody.
+ * @param {string|Object} wavPath - Path to WAV file, or PCM buffer (streaming mode)
+ * @returns {Promise<Object>} { version, frameSeconds, durationSeconds, profile, frames }
+ */
+export async function computeFingerprint(wavPath) {
+    const startTime = Date.now();
+    const frames = [];
+    const profile = new Float64Array(12);
+    const frameSamples = new Float64Array(FRAME_SIZE);
+    let analyze = null;
+    let decimation = 1;
+    let sampleRate = 0;
+    let totalFrames = 0;
+    let frameFill = 0;
+    let accumulator = 0;
+    let accumulated = 0;
+
+    for await (const { format, channelData, frameCount } of readWavBlocks(wavPath)) {
+        if (!analyze) {
+            decimation = Math.max(1, Math.round(format.sampleRate / ANALYSIS_SAMPLE_RATE));
+            sampleRate = format.sampleRate;
+            analyze = createChromaAnalyzer(format.sampleRate / decimation);
+        }
+        totalFrames += frameCount;
+
+        for (let i = 0; i < frameCount && frames.length < MAX_FRAMES; i++) {
+            // Mono mixdown and decimation by averaging
+            let sample = 0;
+            for (const channel of channelData) {
+                sample += channel[i];
+            }
+            accumulator += sample / channelData.length;
+            if (++accumulated < decimation) {
+                continue;
+            }
+
+            frameSamples[frameFill++] = accumulator / decimation;
+            accumulator = 0;
+            accumulated = 0;
+
+            if (frameFill === FRAME_SIZE) {
+                frameFill = 0;
+                const chroma = analyze(frameSamples);
+                if (!chroma) {
+                    frames.push('000000000000');
+                    continue;
+                }
+
+                const max = Math.max(...chroma);
+                frames.push(Array.from(chroma, (value) => Math.round(value / max * 15).toString(16)).join(''));
+                chroma.forEach((value, pitchClass) => {
+                    profile[pitchClass] += value / max;
+                });
+            }
+        }
+    }
+
+    const profileNorm = Math.hypot(...profile) || 1;
+    const fingerprint = {
+        version: FINGERPRINT_VERSION,
+        frameSeconds: sampleRate ? Math.round(FRAME_SIZE * decimation / sampleRate * 10000) / 10000 : 0,
+        durationSeconds: sampleRate ? Math.round(totalFrames / sampleRate * 1000) / 1000 : 0,
+        profile: Array.from(profile, (value) => Math.round(value / profileNorm * 1000) / 1000),
+        frames: frames.join(''),
+    };
+
+    logger.debug({ wavPath, frames: frames.length, duration: Date.now() - startTime }, 'Fingerprint computed');
+    return fingerprint;
+}
+
+/**
+ * Decodes the frame string of a fingerprint. Neighbouring frames are summed
+ * so that comparisons tolerate offsets that are not a multiple of the frame length.
+ * @param {string} frames - Hex encoded chroma frames
+ * @returns {Float32Array[]} Chroma vectors normalized to unit length (null for silent frames)
+ */
+function decodeFrames(frames) {
+    const raw = [];
+    for (let offset = 0; offset + 12 <= frames.length; offset += 12) {
+        const vector = new Float32Array(12);
+        for (let i = 0; i < 12; i++) {
+            vector[i] = parseInt(frames[offset + i], 16);
+        }
+        raw.push(vector);
+    }
+
+    return raw.map((vector, index) => {
+        const smoothed = new Float32Array(12);
+        for (let neighbour = Math.max(0, index - SMOOTHING_FRAMES); neighbour <= Math.min(raw.length - 1, index + SMOOTHING_FRAMES); neighbour++) {
+            for (let i = 0; i < 12; i++) {
+                smoothed[i] += raw[neighbour][i];
+            }
+        }
+        const norm = Math.hypot(...vector) > 0 ? Math.hypot(...smoothed) : 0;
+        return norm > 0 ? smoothed.map((value) => value / norm) : null;
+    });
+}
+
+/**
+ * Cosine similarity of the overall pitch class profiles, a cheap pre-filter
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {number} Similarity 0-1
+ */
+export function compareProfiles(a, b) {
+    return a.profile.reduce((sum, value, i) => sum + value * b.profile[i], 0);
+}
+
+/**
+ * Compares two fingerprints: mean cosine similarity of the chroma frames at the
+ * best alignment within a ±15 s shift window
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {number} Similarity 0-1 (0 if the fingerprints are incompatible or too short)
+ */
+export function compareFingerprints(a, b) {
+    if (a.version !== b.version || a.frameSeconds !== b.frameSeconds) {
+        return 0;
+    }
+
+    const framesA = a.decoded || decodeFrames(a.frames);
+    const framesB = b.decoded || decodeFrames(b.frames);
+    const minOverlap = Math.ceil(Math.min(framesA.length, framesB.length) / 2);
+    let best = 0;
+
+    for (let shift = -MAX_SHIFT_FRAMES; shift <= MAX_SHIFT_FRAMES; shift++) {
+        let sum = 0;
+        let count = 0;
+
+        for (let i = Math.max(0, shift); i < framesA.length && i - shift < framesB.length; i++) {
+            const vectorA = framesA[i];
+            const vectorB = framesB[i - shift];
+            if (!vectorA || !vectorB) {
+                continue;
+            }
+            let dot = 0;
+            for (let k = 0; k < 12; k++) {
+                dot += vectorA[k] * vectorB[k];
+            }
+            sum += dot;
+            count++;
+        }
+
+        if (count >= minOverlap && count > 0) {
+            best = Math.max(best, sum / count);
+        }
+    }
+
+    return Math.round(best * 10000) / 10000;
+}
+
+/**
+ * Adds the decoded frames to a fingerprint so repeated comparisons skip decoding
+ * @param {Object} fingerprint - Fingerprint as stored in MongoDB
+ * @returns {Object} Fingerprint with decoded frames
+ */
+export function prepareFingerprint(fingerprint) {
+    return { ...fingerprint, decoded: decodeFrames(fingerprint.frames) };
+}
@@ -1,22 +1,167 @@
 import ffmpeg from 'fluent-ffmpeg';
 import { promises as fs } from 'fs';
 import config from '../config.js';
+import { createPeakStream } from './waveformPeaks.js';
 import { getTempFilePath, deleteTempFile } from '../utils/tempFiles.js';
+import { createFfmpegInput, isPcmBuffer } from '../utils/pcmBuffer.js';
+import { getSampleFormat, buildDitherFilters } from '../utils/sampleFormat.js';
+import { readWavBlocks } from '../utils/wav.js';
 import { createLogger } from '../utils/logger.js';
+import { ProcessingError } from '../utils/errors.js';
 
 const logger = createLogger({ module: 'audioNormalizer' });
 
+// Shortest gap reported by silencedetect
+const MIN_SILENCE_SECONDS = 0.1;
+
+// Silence starting/ending this close to the file edges counts as leading/trailing silence
+const EDGE_TOLERANCE_SECONDS = 0.05;
+
+// True peak ceiling of loudness normalization (track and album)
+const TRUE_PEAK_LIMIT_DB = -1.5;
+
+// ReplayGain 2.0 reference loudness
+export const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+export const LOUDNESS_MODES = ['track', 'album', 'peak', 'replaygain'];
+
+/**
+ * Rounds a level to two decimals
+ * @param {number} value - Level in dB
+ * @returns {number} Rounded level
+ */
+function roundDb(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Builds the filters applied before loudness processing
+ * @param {Object} options - Normalization options (see normalizeAudio)
+ * @returns {string[]} FFmpeg audio filters
+ */
+function buildPreFilters(options) {
+    const filters = [];
+
+    // Cut at maximum duration and fade out towards the cut
+    if (options.truncate) {
+        const { endSeconds, fadeOutSeconds } = options.truncate;
+        filters.push(`atrim=end=${endSeconds}`);
+        if (fadeOutSeconds > 0) {
+            filters.push(`afade=t=out:st=${Math.max(0, endSeconds - fadeOutSeconds)}:d=${fadeOutSeconds}`);
+        }
+    }
+
+    return filters;
+}
+
+/**
+ * Builds the filters cutting leading and trailing silence
+ * @param {Object|null} trim - Trim plan { startSeconds, endSeconds, fadeInSeconds, fadeOutSeconds }
+ * @returns {string[]} FFmpeg audio filters
+ */
+function buildTrimFilters(trim) {
+    if (!trim) {
+        return [];
+    }
+
+    const { startSeconds, endSeconds, fadeInSeconds, fadeOutSeconds } = trim;
+    const filters = [`atrim=start=${startSeconds}:end=${endSeconds}`, 'asetpts=PTS-STARTPTS'];
+
+    if (fadeInSeconds > 0) {
+        filters.push(`afade=t=in:st=0:d=${fadeInSeconds}`);
+    }
+    if (fadeOutSeconds > 0) {
+        filters.push(`afade=t=out:st=${Math.max(0, endSeconds - startSeconds - fadeOutSeconds)}:d=${fadeOutSeconds}`);
+    }
+
+    return filters;
+}
+
+/**
+ * Finds silent regions with FFmpeg's silencedetect filter
+ * @param {string} inputPath - Path to audio file
+ * @param {string[]} preFilters - Filters applied before detection
+ * @returns {Promise<Object[]>} Silent regions [{ start, end }], end is undefined for silence running to the end
+ */
+function detectSilence(inputPath, preFilters = []) {
+    return new Promise((resolve, reject) => {
+        const regions = [];
+
+        createFfmpegInput(inputPath)
+            .audioFilters([...preFilters, `silencedetect=noise=${config.trim.thresholdDb}dB:d=${MIN_SILENCE_SECONDS}`])
+            .outputFormat('null')
+            .on('stderr', (stderrLine) => {
+                const startMatch = stderrLine.match(/silence_start:\s*(-?[\d.]+)/);
+                const endMatch = stderrLine.match(/silence_end:\s*(-?[\d.]+)/);
+                if (startMatch) {
+                    regions.push({ start: Math.max(0, parseFloat(startMatch[1])) });
+                } else if (endMatch && regions.length > 0) {
+                    regions[regions.length - 1].end = parseFloat(endMatch[1]);
+                }
+            })
+            .on('error', (error) => {
+                logger.error({ error: error.message }, 'Silence detection failed');
+                reject(new Error(`Silence detection failed: ${error.message}`));
+            })
+            .on('end', () => resolve(regions))
+            .save('-');
+    });
+}
+
+/**
+ * Works out how much leading silence and trailing silence (beyond the allowed
+ * release tail) to cut from rendered audio
+ * @param {string} inputPath - Path to audio file
+ * @param {string[]} preFilters - Filters applied before detection
+ * @param {Object} truncate - Truncation applied by the pre-filters (or null)
+ * @returns {Promise<Object|null>} Trim plan, null if the audio is entirely silent
+ */
+async function planSilenceTrim(inputPath, preFilters, truncate) {
+    const { tailSeconds, fadeInSeconds, fadeOutSeconds } = config.trim;
+    const regions = await detectSilence(inputPath, preFilters);
+
+    let duration = await getAudioDuration(inputPath);
+    if (truncate) {
+        duration = Math.min(duration, truncate.endSeconds);
+    }
+
+    const first = regions[0];
+    const leadingSeconds = first && first.start <= EDGE_TOLERANCE_SECONDS ? (first.end ?? duration) : 0;
+
+    if (leadingSeconds >= duration - EDGE_TOLERANCE_SECONDS) {
+        // Nothing audible; the loudness analysis reports the file as silent
+        return null;
+    }
+
+    const last = regions[regions.length - 1];
+    const trailingSilence = last && (last.end === undefined || last.end >= duration - EDGE_TOLERANCE_SECONDS)
+        ? duration - last.start
+        : 0;
+    const endSeconds = duration - Math.max(0, trailingSilence - tailSeconds);
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+    return {
+        startSeconds: round(leadingSeconds),
+        endSeconds: round(endSeconds),
+        leadingSeconds: round(leadingSeconds),
+        trailingSeconds: round(duration - endSeconds),
+        fadeInSeconds,
+        fadeOutSeconds,
+    };
+}
+
 /**
  * Analyzes audio file to get current loudness statistics
  * @param {string} inputPath - Path to audio file
- * @returns {Promise<Object>} Loudness statistics
+ * @param {string[]} preFilters - Filters applied before measuring
+ * @returns {Promise<Object>} loudnorm statistics plus samplePeakDb (from volumedetect in the same pass)
  */
-async function analyzeLoudness(inputPath) {
+async function analyzeLoudness(inputPath, preFilters = []) {
     return new Promise((resolve, reject) => {
         let loudnessData = '';
 
-        ffmpeg(inputPath)
-            .audioFilters(`loudnorm=I=${config.audio.targetLUFS}:print_format=json`)
+        createFfmpegInput(inputPath)
+            .audioFilters([...preFilters, 'volumedetect', `loudnorm=I=${config.audio.targetLUFS}:print_format=json`])
             .outputFormat('null')
             .on('stderr', (stderrLine) => {
                 loudnessData += stderrLine + '\n';
@@ -34,6 +179,9 @@ async function analyzeLoudness(inputPath) {
                     }
 
                     const stats = JSON.parse(jsonMatch[0]);
+                    const peakMatch = loudnessData.match(/max_volume:\s*(-?[\d.]+) dB/);
+                    stats.samplePeakDb = peakMatch ? parseFloat(peakMatch[1]) : null;
+
                     logger.debug({ stats }, 'Loudness analysis complete');
                     resolve(stats);
                 } catch (error) {
@@ -45,71 +193,353 @@ async function analyzeLoudness(inputPath) {
 }
 
 /**
- * Normalizes audio to target LUFS using two-pass loudnorm
- * @param {string} inputPath - Path to input WAV file
- * @param {string} outputPath - Path to output normalized WAV file
- * @returns {Promise<Object>} Normalization result
+ * Feeds stored audio as mono s16le PCM into a peak stream (streaming mode, where
+ * FFmpeg's single output pipe is taken by the audio itself)
+ * @param {Object} source - PCM buffer
+ * @param {Writable} peakStream - Peak stream from createPeakStream
+ * @returns {Promise<void>} Resolves once the peak stream has consumed everything
+ */
+async function feedPeakStream(source, peakStream) {
+    const finished = new Promise((resolve, reject) => {
+        peakStream.on('finish', resolve).on('error', reject);
+    });
+
+    for await (const { channelData, frameCount } of readWavBlocks(source)) {
+        const mono = Buffer.alloc(frameCount * 2);
+        for (let frame = 0; frame < frameCount; frame++) {
+            let sum = 0;
+            for (const samples of channelData) {
+                sum += samples[frame];
+            }
+            const value = Math.round(sum / channelData.length * 32768);
+            mono.writeInt16LE(Math.max(-32768, Math.min(32767, value)), frame * 2);
+        }
+        if (!peakStream.write(mono)) {
+            await new Promise((resolve) => peakStream.once('drain', resolve));
+        }
+    }
+
+    peakStream.end();
+    await finished;
+}
+
+/**
+ * Runs the output pass: applies filters and writes a PCM WAV file in the chain's sample
+ * format (BIT_DEPTH). Processed audio written as 16 bit is dithered.
+ * @param {string|Object} inputPath - Path to input WAV file, or PCM buffer (streaming mode)
+ * @param {string|Object} outputPath - Path to output WAV file, or PCM buffer (streaming mode)
+ * @param {string[]} filters - FFmpeg audio filters
+ * @param {Writable} peakStream - Also feed the filtered audio as mono PCM into this stream (optional)
+ * @param {boolean} releaseInput - Free an input PCM buffer while FFmpeg reads it
+ * @returns {Promise<string>} FFmpeg stderr output
  */
-export async function normalizeAudio(inputPath, outputPath) {
+async function writeFilteredAudio(inputPath, outputPath, filters, peakStream = null, releaseInput = false) {
+    const streaming = isPcmBuffer(outputPath);
+    const sampleFormat = streaming ? outputPath.sampleFormat : getSampleFormat();
+    const sink = streaming ? outputPath.createWriteStream() : null;
+    // FFmpeg has only one output pipe: in streaming mode the peaks are computed from the buffer afterwards
+    const splitPeaks = peakStream && !streaming;
+
+    // The pass-through of replaygain mode ('anull') copies the samples and needs no dither
+    const outputFilters = filters.length === 1 && filters[0] === 'anull'
+        ? filters
+        : [...filters, ...buildDitherFilters(sampleFormat.bitDepth)];
+
+    const written = new Promise((resolve, reject) => {
+        let stderr = '';
+        const command = createFfmpegInput(inputPath, { release: releaseInput });
+
+        // One filter run feeds both the WAV file and the waveform peaks
+        if (splitPeaks) {
+            command.complexFilter(`[0:a]${[...outputFilters, 'asplit=2'].join(',')}[audio][peaks]`);
+        }
+
+        command.output(sink || outputPath);
+        if (splitPeaks) {
+            command.outputOptions(['-map', '[audio]']);
+        } else {
+            command.audioFilters(outputFilters);
+        }
+        command
+            .audioCodec(sampleFormat.codec)
+            .audioFrequency(config.audio.sampleRate)
+            .audioChannels(2);
+        if (sink) {
+            command.format(sampleFormat.rawFormat);
+        }
+
+        if (splitPeaks) {
+            command
+                .output(peakStream)
+                .outputOptions(['-map', '[peaks]'])
+                .audioCodec('pcm_s16le')
+                .audioFrequency(config.audio.sampleRate)
+                .audioChannels(1)
+                .format('s16le');
+        }
+
+        command
+            .on('stderr', (stderrLine) => {
+                stderr += stderrLine + '\n';
+            })
+            .on('error', (error) => {
+                logger.error({ error: error.message }, 'Normalization failed');
+                reject(new Error(`Normalization failed: ${error.message}`));
+            })
+            .on('end', () => resolve(stderr))
+            .run();
+    });
+
+    // Piped PCM is complete once the stream has consumed it
+    const piped = sink || (splitPeaks ? peakStream : null);
+    if (!piped) {
+        return written;
+    }
+
+    const consumed = new Promise((resolve, reject) => {
+        piped.on('finish', resolve).on('error', reject);
+    });
+    const [stderr] = await Promise.all([written, consumed]);
+
+    if (peakStream && streaming) {
+        await feedPeakStream(outputPath, peakStream);
+    }
+    return stderr;
+}
+
+/**
+ * Works out the silence trim: detected (if enabled), or as passed in by the caller
+ * @param {string} inputPath - Path to audio file
+ * @param {string[]} truncateFilters - Truncation filters applied before detection
+ * @param {Object} options - Normalization options (see normalizeAudio)
+ * @returns {Promise<Object|null>} Trim plan or null
+ */
+async function resolveTrim(inputPath, truncateFilters, options) {
+    if (options.trim !== undefined) {
+        return options.trim;
+    }
+
+    const trim = config.trim.enabled ? await planSilenceTrim(inputPath, truncateFilters, options.truncate) : null;
+    if (trim) {
+        logger.info({ inputPath, leadingSeconds: trim.leadingSeconds, trailingSeconds: trim.trailingSeconds }, 'Trimming silence');
+    }
+    return trim;
+}
+
+/**
+ * Measures the loudness of rendered audio after truncation and silence trimming
+ * @param {string|Object} inputPath - Path to audio file, or PCM buffer (streaming mode)
+ * @param {Object} options - Normalization options (truncate, trim; see normalizeAudio)
+ * @returns {Promise<Object>} { trim, preFilters, stats, measurement: { integratedLUFS, truePeakDb, samplePeakDb, durationSeconds } }
+ * @throws {ProcessingError} AUDIO_SILENT if nothing is audible
+ */
+export async function measureLoudness(inputPath, options = {}) {
+    const truncateFilters = buildPreFilters(options);
+    const trim = await resolveTrim(inputPath, truncateFilters, options);
+    const preFilters = [...truncateFilters, ...buildTrimFilters(trim)];
+
+    logger.info({ inputPath }, 'Starting loudness analysis...');
+    const stats = await analyzeLoudness(inputPath, preFilters);
+
+    // Check for silence (input_i is -inf)
+    if (stats.input_i === '-inf' || parseFloat(stats.input_i) <= -70) {
+        logger.warn({ inputPath, stats }, 'Audio is silent or too quiet, skipping normalization');
+        throw new ProcessingError('AUDIO_SILENT', 'Audio is silent (Input Integrated: -inf)', { retryable: false });
+    }
+
+    let durationSeconds;
+    if (trim) {
+        durationSeconds = trim.endSeconds - trim.startSeconds;
+    } else {
+        durationSeconds = await getAudioDuration(inputPath);
+        if (options.truncate) {
+            durationSeconds = Math.min(durationSeconds, options.truncate.endSeconds);
+        }
+    }
+
+    return {
+        trim,
+        preFilters,
+        stats,
+        measurement: {
+            integratedLUFS: parseFloat(stats.input_i),
+            truePeakDb: parseFloat(stats.input_tp),
+            samplePeakDb: stats.samplePeakDb,
+            durationSeconds: Math.round(durationSeconds * 1000) / 1000,
+        },
+    };
+}
+
+/**
+ * Combined loudness of several tracks: the duration-weighted mean of their energy
+ * @param {Object[]} measurements - Measurements from measureLoudness
+ * @returns {number} Integrated loudness in LUFS
+ */
+function combineLoudness(measurements) {
+    let energy = 0;
+    let seconds = 0;
+
+    for (const { integratedLUFS, durationSeconds } of measurements) {
+        const weight = durationSeconds || 1;
+        energy += weight * 10 ** (integratedLUFS / 10);
+        seconds += weight;
+    }
+
+    return 10 * Math.log10(energy / seconds);
+}
+
+/**
+ * Computes ReplayGain 2.0 values (gain to -18 LUFS and linear sample peak) for one
+ * track, or for an album when given the measurements of all its tracks
+ * @param {Object[]} measurements - Measurements from measureLoudness
+ * @returns {Object} { gainDb, peak }
+ */
+export function computeReplayGain(measurements) {
+    const peakDb = Math.max(...measurements.map((measurement) => measurement.samplePeakDb ?? measurement.truePeakDb));
+
+    return {
+        gainDb: roundDb(REPLAYGAIN_REFERENCE_LUFS - combineLoudness(measurements)),
+        peak: Math.round(10 ** (peakDb / 20) * 1e6) / 1e6,
+    };
+}
+
+/**
+ * Computes one gain for all tracks of an album: the album as a whole reaches the
+ * target loudness, limited so that its loudest true peak stays below the ceiling
+ * @param {Object[]} measurements - Measurements from measureLoudness, one per track
+ * @returns {Object} { gainDb, integratedLUFS, truePeakDb, trackCount, peakLimited }
+ */
+export function computeAlbumGain(measurements) {
+    const integratedLUFS = combineLoudness(measurements);
+    const truePeakDb = Math.max(...measurements.map((measurement) => measurement.truePeakDb));
+    const loudnessGain = config.audio.targetLUFS - integratedLUFS;
+    const peakGain = TRUE_PEAK_LIMIT_DB - truePeakDb;
+
+    return {
+        gainDb: roundDb(Math.min(loudnessGain, peakGain)),
+        integratedLUFS: roundDb(integratedLUFS),
+        truePeakDb: roundDb(truePeakDb),
+        trackCount: measurements.length,
+        peakLimited: peakGain < loudnessGain,
+    };
+}
+
+/**
+ * Normalizes audio according to the loudness mode:
+ * - track: two-pass EBU R128 loudnorm to the target LUFS
+ * - peak: fixed gain bringing the sample or true peak to PEAK_TARGET_DB
+ * - replaygain: audio is left untouched, ReplayGain track values are returned for tagging
+ * - album: like track unless the caller passes the album gain as gainDb
+ * @param {string|Object} inputPath - Path to input WAV file, or PCM buffer (streaming mode)
+ * @param {string|Object} outputPath - Path to output normalized WAV file, or PCM buffer (streaming mode)
+ * @param {Object} options - Normalization options
+ * @param {string} options.mode - Loudness mode (default: config.loudness.mode)
+ * @param {Object} options.truncate - Cut audio { endSeconds, fadeOutSeconds }
+ * @param {Object|null} options.trim - Apply this silence trim instead of detecting one
+ *   (used to cut stems exactly like their mix; null = no trimming)
+ * @param {number} options.gainDb - Apply this fixed gain instead of measuring loudness
+ *   (used to give stems the same gain as their mix, and for album gain)
+ * @param {boolean} options.waveform - Compute waveform peaks of the output in the same pass
+ * @param {boolean} options.releaseInput - Free an input PCM buffer during the output pass, its last read
+ * @returns {Promise<Object>} Normalization result including the applied gain, silence trim,
+ *   loudness measurement, ReplayGain values and waveform peaks (null unless measured/requested)
+ */
+export async function normalizeAudio(inputPath, outputPath, options = {}) {
     const startTime = Date.now();
+    const mode = options.mode || config.loudness.mode;
+    const peakStream = options.waveform ? createPeakStream({
+        sampleRate: config.audio.sampleRate,
+        samplesPerPixel: config.waveform.samplesPerPixel,
+        bits: config.waveform.bits,
+    }) : null;
 
     try {
-        logger.info({ inputPath, targetLUFS: config.audio.targetLUFS }, 'Starting loudness analysis...');
+        if (options.gainDb !== undefined) {
+            const truncateFilters = buildPreFilters(options);
+            const trim = await resolveTrim(inputPath, truncateFilters, options);
+
+            logger.info({ inputPath, gainDb: options.gainDb }, 'Applying fixed gain...');
+            await writeFilteredAudio(inputPath, outputPath, [
+                ...truncateFilters,
+                ...buildTrimFilters(trim),
+                `volume=${options.gainDb}dB`,
+            ], peakStream, options.releaseInput);
+
+            return {
+                success: true,
+                outputPath,
+                gainDb: options.gainDb,
+                normalizationType: 'fixed',
+                trim,
+                measurement: null,
+                replayGain: null,
+                waveform: peakStream?.getPeaks() ?? null,
+                duration: Date.now() - startTime,
+            };
+        }
 
         // First pass: analyze
-        const stats = await analyzeLoudness(inputPath);
-
-        const {
-            input_i: inputIntegrated,
-            input_tp: inputTruePeak,
-            input_lra: inputLRA,
-            input_thresh: inputThresh,
-        } = stats;
-
-        // Check for silence (input_i is -inf)
-        if (inputIntegrated === '-inf' || parseFloat(inputIntegrated) <= -70) {
-            logger.warn({ inputPath, stats }, 'Audio is silent or too quiet, skipping normalization');
-            throw new Error('Audio is silent (Input Integrated: -inf)');
+        const { trim, preFilters, stats, measurement } = await measureLoudness(inputPath, options);
+
+        let gainDb;
+        let normalizationType;
+        let replayGain = null;
+
+        if (mode === 'peak') {
+            const { peakType, peakTargetDb } = config.loudness;
+            const peakDb = peakType === 'sample' && measurement.samplePeakDb !== null ? measurement.samplePeakDb : measurement.truePeakDb;
+            gainDb = roundDb(peakTargetDb - peakDb);
+            normalizationType = 'peak';
+
+            logger.info({ peakType, peakDb, peakTargetDb, gainDb }, 'Applying peak normalization...');
+            await writeFilteredAudio(inputPath, outputPath, [...preFilters, `volume=${gainDb}dB`], peakStream, options.releaseInput);
+        } else if (mode === 'replaygain') {
+            // Tag-only: the audio keeps its level, players apply the gain from the tags
+            gainDb = 0;
+            normalizationType = 'none';
+            replayGain = { track: computeReplayGain([measurement]) };
+
+            logger.info({ currentLUFS: measurement.integratedLUFS, replayGain }, 'Leaving level untouched (ReplayGain tags only)');
+            await writeFilteredAudio(inputPath, outputPath, preFilters.length > 0 ? preFilters : ['anull'], peakStream, options.releaseInput);
+        } else {
+            logger.info({
+                currentLUFS: stats.input_i,
+                targetLUFS: config.audio.targetLUFS,
+                truePeak: stats.input_tp,
+            }, 'Applying normalization...');
+
+            // Second pass: normalize with measured parameters
+            const output = await writeFilteredAudio(inputPath, outputPath, [
+                ...preFilters,
+                `loudnorm=I=${config.audio.targetLUFS}:TP=${TRUE_PEAK_LIMIT_DB}:LRA=11:` +
+                `measured_I=${stats.input_i}:` +
+                `measured_LRA=${stats.input_lra}:` +
+                `measured_TP=${stats.input_tp}:` +
+                `measured_thresh=${stats.input_thresh}:` +
+                `linear=true:print_format=json`,
+            ], peakStream, options.releaseInput);
+
+            // loudnorm falls back to dynamic mode if linear gain would exceed the true peak limit
+            const typeMatch = output.match(/"normalization_type"\s*:\s*"(\w+)"/);
+            normalizationType = typeMatch ? typeMatch[1] : 'unknown';
+            gainDb = roundDb(config.audio.targetLUFS - measurement.integratedLUFS);
         }
 
-        logger.info({
-            currentLUFS: inputIntegrated,
-            targetLUFS: config.audio.targetLUFS,
-            truePeak: inputTruePeak,
-        }, 'Applying normalization...');
-
-        // Second pass: normalize with measured parameters
-        await new Promise((resolve, reject) => {
-            ffmpeg(inputPath)
-                .audioFilters(
-                    `loudnorm=I=${config.audio.targetLUFS}:TP=-1.5:LRA=11:` +
-                    `measured_I=${inputIntegrated}:` +
-                    `measured_LRA=${inputLRA}:` +
-                    `measured_TP=${inputTruePeak}:` +
-                    `measured_thresh=${inputThresh}:` +
-                    `linear=true:print_format=summary`
-                )
-                .audioCodec('pcm_s16le')
-                .audioFrequency(config.audio.sampleRate)
-                .audioChannels(2)
-                .on('error', (error) => {
-                    logger.error({ error: error.message }, 'Normalization failed');
-                    reject(new Error(`Normalization failed: ${error.message}`));
-                })
-                .on('end', () => {
-                    const duration = Date.now() - startTime;
-                    logger.info({ duration, outputPath }, 'Normalization complete');
-                    resolve();
-                })
-                .save(outputPath);
-        });
+        const duration = Date.now() - startTime;
+        logger.info({ duration, outputPath, mode, normalizationType }, 'Normalization complete');
 
         return {
             success: true,
             outputPath,
-            originalLUFS: parseFloat(inputIntegrated),
-            targetLUFS: config.audio.targetLUFS,
-            duration: Date.now() - startTime,
+            originalLUFS: measurement.integratedLUFS,
+            targetLUFS: mode === 'track' || mode === 'album' ? config.audio.targetLUFS : null,
+            gainDb,
+            normalizationType,
+            trim,
+            measurement,
+            replayGain,
+            waveform: peakStream?.getPeaks() ?? null,
+            duration,
         };
     } catch (error) {
         logger.error({ error: error.message, inputPath }, 'Audio normalization failed');
@@ -119,10 +549,14 @@ export async function normalizeAudio(inputPath, outputPath) {
 
 /**
  * Gets audio file duration in seconds
- * @param {string} filePath - Path to audio file
+ * @param {string|Object} filePath - Path to audio file, or PCM buffer (streaming mode)
  * @returns {Promise<number>} Duration in seconds
  */
 export async function getAudioDuration(filePath) {
+    if (isPcmBuffer(filePath)) {
+        return filePath.durationSeconds;
+    }
+
     return new Promise((resolve, reject) => {
         ffmpeg.ffprobe(filePath, (err, metadata) => {
             if (err) {
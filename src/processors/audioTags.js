@@ -0,0 +1,208 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Tag mapping for the non-MP3 output formats. The ID3 data from extractMetadata is
+ * flattened into neutral fields and then mapped to Vorbis comments (FLAC, Ogg Vorbis,
+ * Opus), MP4 atoms (AAC/M4A) or RIFF INFO chunks (WAV).
+ */
+
+// Vorbis comment names of the standard fields
+const VORBIS_NAMES = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    album: 'ALBUM',
+    date: 'DATE',
+    genre: 'GENRE',
+    comment: 'COMMENT',
+    copyright: 'COPYRIGHT',
+    bpm: 'BPM',
+    key: 'INITIALKEY',
+    lyrics: 'LYRICS',
+    originaldate: 'ORIGINALDATE',
+    sort_artist: 'ARTISTSORT',
+    'MusicBrainz Track Id': 'MUSICBRAINZ_TRACKID',
+    'MusicBrainz Artist Id': 'MUSICBRAINZ_ARTISTID',
+    'MusicBrainz Album Id': 'MUSICBRAINZ_ALBUMID',
+    'MusicBrainz Release Group Id': 'MUSICBRAINZ_RELEASEGROUPID',
+};
+
+// Positions ("3/12") are split into number and total comments
+const VORBIS_POSITION_PREFIXES = {
+    track: 'TRACK',
+    disc: 'DISC',
+};
+
+// Fields FFmpeg's MP4 muxer writes as iTunes atoms (©nam, ©ART, ©alb, ©day, ©gen, ©cmt, cprt, ©lyr,
+// trkn, disk, soar); all other fields become freeform "----" atoms
+const MP4_ATOM_FIELDS = ['title', 'artist', 'album', 'date', 'genre', 'comment', 'copyright', 'lyrics', 'track', 'disc', 'sort_artist'];
+
+// Freeform atom names of the remaining standard fields
+const MP4_FREEFORM_NAMES = {
+    bpm: 'BPM',
+    key: 'initialkey',
+    originaldate: 'ORIGINALDATE',
+};
+
+// Owner of the MusicBrainz recording ID in UFID frames (as written by Picard)
+export const MUSICBRAINZ_UFID_OWNER = 'http://musicbrainz.org';
+
+// Fields FFmpeg's WAV muxer writes as RIFF INFO chunks (INAM, IART, IPRD, ICRD, IGNR, ICMT, ICOP)
+const RIFF_INFO_FIELDS = ['title', 'artist', 'album', 'date', 'genre', 'comment', 'copyright'];
+
+// Opus gains are relative to -23 LUFS (RFC 7845), ReplayGain 2.0 to -18 LUFS
+const R128_OFFSET_DB = -5;
+
+/**
+ * Flattens ID3 tag data into neutral fields
+ * @param {Object} id3Tags - Tag data from extractMetadata
+ * @returns {Object[]} Fields { name, value }: standard fields in lower case, TXXX descriptions as they are
+ */
+export function buildTagFields(id3Tags) {
+    const fields = [];
+    const add = (name, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+            fields.push({ name, value: String(value) });
+        }
+    };
+
+    add('title', id3Tags.title);
+    add('artist', id3Tags.artist);
+    add('album', id3Tags.album);
+    add('date', id3Tags.year);
+    // Multiple genres are NUL-separated in ID3v2.4; one field holds them all elsewhere
+    add('genre', id3Tags.genre?.split('\0').join('; '));
+    add('originaldate', id3Tags.originalReleaseTime);
+    add('sort_artist', id3Tags.performerSortOrder);
+    add('track', id3Tags.trackNumber);
+    add('disc', id3Tags.partOfSet);
+    add('comment', id3Tags.comment?.text);
+    add('copyright', id3Tags.copyright);
+    add('bpm', id3Tags.bpm);
+    add('key', id3Tags.initialKey);
+    add('lyrics', id3Tags.unsynchronisedLyrics?.text);
+
+    // MusicBrainz recording ID under the name Picard uses outside ID3
+    const recording = id3Tags.uniqueFileIdentifier?.find((ufid) => ufid.ownerIdentifier === MUSICBRAINZ_UFID_OWNER);
+    add('MusicBrainz Track Id', recording?.identifier);
+
+    for (const { description, value } of id3Tags.userDefinedText || []) {
+        add(description, value);
+    }
+
+    return fields;
+}
+
+/**
+ * Maps fields to Vorbis comments. Opus files get R128 gains (Q7.8 relative to -23 LUFS)
+ * instead of the ReplayGain fields.
+ * @param {Object[]} fields - Fields from buildTagFields
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.opus - Target is an Opus file
+ * @returns {Object[]} Comments { name, value }
+ */
+export function toVorbisComments(fields, { opus = false } = {}) {
+    const comments = [];
+
+    for (const { name, value } of fields) {
+        const gainMatch = opus && name.match(/^REPLAYGAIN_(TRACK|ALBUM)_(GAIN|PEAK)$/);
+        if (gainMatch) {
+            // Peaks have no Opus equivalent
+            if (gainMatch[2] === 'GAIN') {
+                const q78 = Math.round((parseFloat(value) + R128_OFFSET_DB) * 256);
+                comments.push({ name: `R128_${gainMatch[1]}_GAIN`, value: String(q78) });
+            }
+            continue;
+        }
+
+        const position = VORBIS_POSITION_PREFIXES[name];
+        if (position) {
+            const [number, total] = value.split('/');
+            comments.push({ name: `${position}NUMBER`, value: number });
+            if (total) {
+                comments.push({ name: `${position}TOTAL`, value: total });
+            }
+            continue;
+        }
+
+        comments.push({ name: VORBIS_NAMES[name] || name, value });
+    }
+
+    return comments;
+}
+
+/**
+ * Splits fields into the MP4 atoms FFmpeg writes and freeform atoms
+ * @param {Object[]} fields - Fields from buildTagFields
+ * @returns {Object} { metadata: { name, value }[] for FFmpeg, freeform: { name, value }[] }
+ */
+export function toMp4Tags(fields) {
+    const metadata = [];
+    const freeform = [];
+
+    for (const field of fields) {
+        if (MP4_ATOM_FIELDS.includes(field.name)) {
+            metadata.push(field);
+        } else {
+            freeform.push({ name: MP4_FREEFORM_NAMES[field.name] || field.name, value: field.value });
+        }
+    }
+
+    return { metadata, freeform };
+}
+
+/**
+ * Selects the fields RIFF INFO can hold; the MIDI hash and MongoDB ID remain in the comment
+ * @param {Object[]} fields - Fields from buildTagFields
+ * @returns {Object[]} Fields for FFmpeg's INFO chunk mapping
+ */
+export function toRiffInfo(fields) {
+    return fields.filter((field) => RIFF_INFO_FIELDS.includes(field.name));
+}
+
+/**
+ * Builds a base64 FLAC picture block for the METADATA_BLOCK_PICTURE Vorbis comment
+ * (Ogg containers have no other way to carry cover art)
+ * @param {Buffer} png - PNG image
+ * @param {string} description - Picture description
+ * @returns {string} Base64 picture block
+ */
+export function buildPictureBlock(png, description) {
+    const mime = Buffer.from('image/png', 'ascii');
+    const text = Buffer.from(description, 'utf8');
+    const uint32 = (value) => {
+        const bytes = Buffer.alloc(4);
+        bytes.writeUInt32BE(value);
+        return bytes;
+    };
+
+    return Buffer.concat([
+        uint32(3),                              // Picture type: front cover
+        uint32(mime.length), mime,
+        uint32(text.length), text,
+        uint32(png.readUInt32BE(16)),           // Width from the IHDR chunk
+        uint32(png.readUInt32BE(20)),           // Height from the IHDR chunk
+        uint32(24),                             // Color depth
+        uint32(0),                              // Not indexed
+        uint32(png.length), png,
+    ]).toString('base64');
+}
+
+/**
+ * Escapes a key or value for an FFmpeg metadata file
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeFfmetadata(text) {
+    return text.replace(/[=;#\\\n]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Writes fields as an FFmpeg metadata file (;FFMETADATA1), used as an extra input with
+ * -map_metadata. Unlike -metadata arguments it has no length limit (cover art comments).
+ * @param {Object[]} fields - Fields { name, value }
+ * @param {string} filePath - File to write
+ */
+export async function writeFfmetadata(fields, filePath) {
+    const lines = fields.map(({ name, value }) => `${escapeFfmetadata(name)}=${escapeFfmetadata(value)}`);
+    await fs.writeFile(filePath, `;FFMETADATA1\n${lines.join('\n')}\n`, 'utf8');
+}
@@ -0,0 +1,270 @@
+import { createTickConverter } from '../midi/midiAnalyzer.js';
+import { DRUM_CHANNEL } from '../midi/generalMidi.js';
+import { encodePng } from '../utils/png.js';
+import { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph, toFontText } from '../utils/bitmapFont.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config.js';
+
+const logger = createLogger({ module: 'coverArt' });
+
+const BACKGROUND_COLOR = [18, 20, 28];
+const GRID_COLOR = [32, 35, 47];
+const TEXT_BAND_COLOR = [10, 11, 16];
+const TITLE_COLOR = [240, 241, 246];
+const ARTIST_COLOR = [160, 166, 184];
+const DRUM_COLOR = [120, 124, 138];
+
+// Smallest pitch range shown, so that a single melody line does not fill the whole image
+const MIN_PITCH_RANGE = 24;
+
+/**
+ * Converts an HSL color to RGB
+ * @param {number} hue - Hue 0-1
+ * @param {number} saturation - Saturation 0-1
+ * @param {number} lightness - Lightness 0-1
+ * @returns {number[]} [r, g, b] 0-255
+ */
+function hslToRgb(hue, saturation, lightness) {
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = (n) => {
+        const k = (n + hue * 12) % 12;
+        return Math.round(255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+// One color per MIDI channel, hues spread by the golden ratio so neighbouring channels differ
+const CHANNEL_COLORS = Array.from({ length: 16 }, (_, channel) => (
+    channel === DRUM_CHANNEL ? DRUM_COLOR : hslToRgb((0.58 + channel * 0.618034) % 1, 0.75, 0.6)
+));
+
+/**
+ * Creates an RGB pixel canvas filled with one color
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - [r, g, b]
+ * @returns {Object} { width, height, pixels }
+ */
+function createCanvas(width, height, color) {
+    const pixels = new Uint8Array(width * height * 3);
+    for (let i = 0; i < pixels.length; i += 3) {
+        pixels.set(color, i);
+    }
+    return { width, height, pixels };
+}
+
+/**
+ * Fills a rectangle, blending with the existing pixels
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {number} x - Left edge (clipped to the canvas)
+ * @param {number} y - Top edge (clipped to the canvas)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} color - [r, g, b]
+ * @param {number} alpha - Opacity 0-1
+ */
+function fillRect(canvas, x, y, width, height, color, alpha = 1) {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(canvas.width, Math.round(x + width));
+    const bottom = Math.min(canvas.height, Math.round(y + height));
+
+    for (let row = top; row < bottom; row++) {
+        for (let column = left; column < right; column++) {
+            const index = (row * canvas.width + column) * 3;
+            for (let c = 0; c < 3; c++) {
+                canvas.pixels[index + c] = Math.round(canvas.pixels[index + c] * (1 - alpha) + color[c] * alpha);
+            }
+        }
+    }
+}
+
+/**
+ * Width of a text line in pixels
+ * @param {string} text - Printable ASCII text
+ * @param {number} scale - Pixel size of one font dot
+ * @returns {number} Width in pixels
+ */
+function measureText(text, scale) {
+    return text.length > 0 ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+/**
+ * Shortens text with "..." until it fits the given width
+ * @param {string} text - Printable ASCII text
+ * @param {number} scale - Pixel size of one font dot
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} Text that fits
+ */
+function fitText(text, scale, maxWidth) {
+    if (measureText(text, scale) <= maxWidth) {
+        return text;
+    }
+
+    let fitted = text;
+    while (fitted.length > 0 && measureText(`${fitted}...`, scale) > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
+}
+
+/**
+ * Draws a line of text with the bitmap font
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {string} text - Printable ASCII text
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} scale - Pixel size of one font dot
+ * @param {number[]} color - [r, g, b]
+ */
+function drawText(canvas, text, x, y, scale, color) {
+    [...text].forEach((char, index) => {
+        const glyph = getGlyph(char);
+        const left = x + index * (GLYPH_WIDTH + 1) * scale;
+        for (let column = 0; column < GLYPH_WIDTH; column++) {
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                if (glyph[column] & (1 << row)) {
+                    fillRect(canvas, left + column * scale, y + row * scale, scale, scale, color);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Pairs note on/off events per channel and key
+ * @param {Object} midi - Parsed MIDI file
+ * @returns {Object[]} Notes { channel, note, velocity, start, end } in seconds
+ */
+function collectNotes(midi) {
+    const toSeconds = createTickConverter(midi);
+    const events = midi.tracks
+        .flatMap((track) => track.events)
+        .filter((event) => event.type === 'noteOn' || event.type === 'noteOff')
+        .sort((a, b) => a.tick - b.tick);
+
+    const sounding = new Map();
+    const notes = [];
+
+    for (const event of events) {
+        const key = event.channel * 128 + event.note;
+        if (event.type === 'noteOn' && event.velocity > 0) {
+            if (!sounding.has(key)) {
+                sounding.set(key, []);
+            }
+            sounding.get(key).push(event);
+        } else if (sounding.get(key)?.length) {
+            const start = sounding.get(key).shift();
+            notes.push({
+                channel: start.channel,
+                note: start.note,
+                velocity: start.velocity,
+                start: toSeconds(start.tick),
+                end: toSeconds(event.tick),
+            });
+        }
+    }
+
+    // Notes that are never released are drawn up to the end of the file
+    const lastTick = events.length > 0 ? events[events.length - 1].tick : 0;
+    for (const starts of sounding.values()) {
+        for (const start of starts) {
+            notes.push({
+                channel: start.channel,
+                note: start.note,
+                velocity: start.velocity,
+                start: toSeconds(start.tick),
+                end: toSeconds(lastTick),
+            });
+        }
+    }
+
+    return notes;
+}
+
+/**
+ * Draws the notes as a piano roll into the given area
+ * @param {Object} canvas - Canvas from createCanvas
+ * @param {Object[]} notes - Notes from collectNotes
+ * @param {Object} area - { x, y, width, height }
+ */
+function drawPianoRoll(canvas, notes, area) {
+    const pitched = notes.filter((note) => note.channel !== DRUM_CHANNEL);
+    const pitches = (pitched.length > 0 ? pitched : notes).map((note) => note.note);
+
+    let low = pitches.reduce((min, pitch) => Math.min(min, pitch), 127) - 1;
+    let high = pitches.reduce((max, pitch) => Math.max(max, pitch), 0) + 1;
+    if (high - low < MIN_PITCH_RANGE) {
+        const center = (high + low) / 2;
+        low = Math.floor(center - MIN_PITCH_RANGE / 2);
+        high = low + MIN_PITCH_RANGE;
+    }
+
+    const rowHeight = area.height / (high - low + 1);
+    const duration = notes.reduce((end, note) => Math.max(end, note.end), 0) || 1;
+    const noteY = (note) => area.y + (high - note) * rowHeight;
+
+    // Octave lines at every C
+    for (let note = Math.ceil(low / 12) * 12; note <= high; note += 12) {
+        fillRect(canvas, area.x, noteY(note) + rowHeight, area.width, 1, GRID_COLOR);
+    }
+
+    // Drums first, so pitched parts stay readable on top; out-of-range drum keys are clipped
+    const ordered = [
+        ...notes.filter((note) => note.channel === DRUM_CHANNEL && note.note >= low && note.note <= high),
+        ...pitched,
+    ];
+
+    for (const note of ordered) {
+        const x = area.x + note.start / duration * area.width;
+        const width = Math.max(1, (note.end - note.start) / duration * area.width);
+        const alpha = (note.channel === DRUM_CHANNEL ? 0.35 : 0.55) + 0.45 * note.velocity / 127;
+        fillRect(canvas, x, noteY(note.note), width, Math.max(1, rowHeight - 1), CHANNEL_COLORS[note.channel], alpha);
+    }
+}
+
+/**
+ * Renders a piano-roll cover image of a MIDI file with title and artist
+ * @param {Object} midi - Parsed MIDI file (the one that was rendered)
+ * @param {Object} text - Caption
+ * @param {string} text.title - Song title
+ * @param {string} text.artist - Artist name
+ * @param {Object} options - Render options
+ * @param {number} options.size - Edge length of the square image (default: config.cover.size)
+ * @returns {Buffer} PNG image
+ */
+export function renderCoverArt(midi, { title, artist } = {}, { size = config.cover.size } = {}) {
+    const startTime = Date.now();
+    const canvas = createCanvas(size, size, BACKGROUND_COLOR);
+    const margin = Math.round(size * 0.05);
+    const bandHeight = Math.round(size * 0.2);
+
+    const notes = collectNotes(midi);
+    if (notes.length > 0) {
+        drawPianoRoll(canvas, notes, {
+            x: margin,
+            y: margin,
+            width: size - 2 * margin,
+            height: size - bandHeight - 1.5 * margin,
+        });
+    }
+
+    // Caption band at the bottom
+    fillRect(canvas, 0, size - bandHeight, size, bandHeight, TEXT_BAND_COLOR);
+    const titleScale = Math.max(1, Math.floor(size / 200));
+    const artistScale = Math.max(1, Math.floor(size / 300));
+    const textWidth = size - 2 * margin;
+    const lineGap = (GLYPH_HEIGHT + 4) * titleScale;
+    const titleY = size - bandHeight + Math.round((bandHeight - lineGap - GLYPH_HEIGHT * artistScale) / 2);
+
+    if (title) {
+        drawText(canvas, fitText(toFontText(title), titleScale, textWidth), margin, titleY, titleScale, TITLE_COLOR);
+    }
+    if (artist) {
+        drawText(canvas, fitText(toFontText(artist), artistScale, textWidth), margin, titleY + lineGap, artistScale, ARTIST_COLOR);
+    }
+
+    const png = encodePng(size, size, canvas.pixels);
+    logger.debug({ size, notes: notes.length, bytes: png.length, duration: Date.now() - startTime }, 'Cover art rendered');
+    return png;
+}
@@ -0,0 +1,239 @@
+import { promises as fs } from 'fs';
+import NodeID3 from 'node-id3';
+
+/**
+ * ID3v2.4 tags for MP3 files. node-id3 builds the frames but only writes ID3v2.3, so its
+ * tag is converted: text frames become UTF-8 (multiple values separated by NUL, e.g. genres),
+ * frame sizes become synchsafe and the year moves from TYER to TDRC. Updates merge at frame
+ * level, so existing frames (cover, lyrics) are kept without being decoded.
+ */
+
+const HEADER_SIZE = 10;
+const FRAME_HEADER_SIZE = 10;
+
+// Text encodings of ID3 text frames
+const ENCODING_LATIN1 = 0x00;
+const ENCODING_UTF16 = 0x01;
+const ENCODING_UTF16BE = 0x02;
+const ENCODING_UTF8 = 0x03;
+
+// ID3v2.3 frames with a different ID3v2.4 identifier
+const RENAMED_FRAMES = {
+    TYER: 'TDRC',
+    TORY: 'TDOR',
+};
+
+// ID3v2.3 frames ID3v2.4 no longer has (superseded by TDRC)
+const DROPPED_FRAMES = ['TDAT', 'TIME', 'TRDA', 'TSIZ'];
+
+// Frames a replacement keeps: the cover and lyrics are written at conversion and cannot be rebuilt later
+const KEPT_ON_REPLACE = ['APIC', 'USLT', 'SYLT'];
+
+/**
+ * Encodes a synchsafe integer (7 bits per byte)
+ * @param {number} value - Value below 2^28
+ * @returns {Buffer} 4 bytes
+ */
+function encodeSynchsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+/**
+ * Decodes a synchsafe integer
+ * @param {Buffer} data - Buffer
+ * @param {number} offset - Position of the 4 bytes
+ * @returns {number} Value
+ */
+function decodeSynchsafe(data, offset) {
+    return (data[offset] << 21) | (data[offset + 1] << 14) | (data[offset + 2] << 7) | data[offset + 3];
+}
+
+/**
+ * Decodes the text of a text frame
+ * @param {number} encoding - ID3 text encoding
+ * @param {Buffer} data - Encoded text
+ * @returns {string} Text (NUL separators kept)
+ */
+function decodeText(encoding, data) {
+    switch (encoding) {
+        case ENCODING_LATIN1:
+            return data.toString('latin1');
+        case ENCODING_UTF16: {
+            // Every value may start with its own byte order mark
+            const bigEndian = data[0] === 0xfe && data[1] === 0xff;
+            const text = (bigEndian ? Buffer.from(data).swap16() : data).toString('utf16le');
+            return text.replace(/\uFEFF/g, '');
+        }
+        case ENCODING_UTF16BE:
+            return Buffer.from(data).swap16().toString('utf16le');
+        default:
+            return data.toString('utf8');
+    }
+}
+
+/**
+ * Converts one ID3v2.3 frame to ID3v2.4
+ * @param {Object} frame - Frame { id, flags, data }
+ * @returns {Object|null} ID3v2.4 frame, or null if ID3v2.4 has no such frame
+ */
+function convertFrame(frame) {
+    if (DROPPED_FRAMES.includes(frame.id)) {
+        return null;
+    }
+
+    const id = RENAMED_FRAMES[frame.id] || frame.id;
+
+    // Text frames (including TXXX) are stored as UTF-8; ID3v2.3 flags do not carry over
+    if (id.startsWith('T') && frame.data.length > 0) {
+        const text = decodeText(frame.data[0], frame.data.subarray(1));
+        return { id, flags: Buffer.alloc(2), data: Buffer.concat([Buffer.from([ENCODING_UTF8]), Buffer.from(text, 'utf8')]) };
+    }
+
+    return { id, flags: Buffer.alloc(2), data: frame.data };
+}
+
+/**
+ * Reads the frames of the ID3v2 tag at the start of a file
+ * @param {Buffer} data - File data
+ * @returns {Object} { frames: ID3v2.4 frames, size: bytes of the tag (0 without tag) }
+ */
+function readTag(data) {
+    if (data.length < HEADER_SIZE || data.toString('latin1', 0, 3) !== 'ID3') {
+        return { frames: [], size: 0 };
+    }
+
+    const version = data[3];
+    const flags = data[5];
+    const footerSize = version === 4 && (flags & 0x10) ? HEADER_SIZE : 0;
+    const size = HEADER_SIZE + decodeSynchsafe(data, 6) + footerSize;
+
+    // Unsynchronised and extended-header tags are not written by FFmpeg or node-id3; start afresh
+    if ((version !== 3 && version !== 4) || (flags & 0xc0)) {
+        return { frames: [], size };
+    }
+
+    const frames = [];
+    let offset = HEADER_SIZE;
+    const end = size - footerSize;
+
+    while (offset + FRAME_HEADER_SIZE <= end && data[offset] !== 0) {
+        const id = data.toString('latin1', offset, offset + 4);
+        const frameSize = version === 4 ? decodeSynchsafe(data, offset + 4) : data.readUInt32BE(offset + 4);
+        const start = offset + FRAME_HEADER_SIZE;
+        if (start + frameSize > end) {
+            throw new Error(`Corrupt ID3 frame ${id} at offset ${offset}`);
+        }
+
+        const frame = { id, flags: data.subarray(offset + 8, offset + 10), data: data.subarray(start, start + frameSize) };
+        const converted = version === 4 ? frame : convertFrame(frame);
+        if (converted) {
+            frames.push(converted);
+        }
+        offset = start + frameSize;
+    }
+
+    return { frames, size };
+}
+
+/**
+ * Identifies the frames a new frame replaces: user-defined texts by description,
+ * unique file identifiers by owner, all other frames by identifier
+ * @param {Object} frame - ID3v2.4 frame
+ * @returns {string} Frame key
+ */
+function getFrameKey(frame) {
+    if (frame.id === 'TXXX') {
+        const text = decodeText(frame.data[0], frame.data.subarray(1));
+        return `TXXX:${text.slice(0, text.indexOf('\0')).toLowerCase()}`;
+    }
+    if (frame.id === 'UFID') {
+        return `UFID:${frame.data.toString('latin1', 0, frame.data.indexOf(0))}`;
+    }
+    return frame.id;
+}
+
+/**
+ * Builds the ID3v2.4 frames of tag data
+ * @param {Object} id3Tags - Tag data in node-id3 form (see extractMetadata)
+ * @returns {Object[]} ID3v2.4 frames
+ */
+function buildFrames(id3Tags) {
+    return readTag(NodeID3.create(id3Tags)).frames;
+}
+
+/**
+ * Serializes frames into an ID3v2.4 tag
+ * @param {Object[]} frames - ID3v2.4 frames
+ * @returns {Buffer} Tag
+ */
+function serializeTag(frames) {
+    const body = Buffer.concat(frames.map((frame) => Buffer.concat([
+        Buffer.from(frame.id, 'latin1'),
+        encodeSynchsafe(frame.data.length),
+        frame.flags,
+        frame.data,
+    ])));
+
+    return Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0]), encodeSynchsafe(body.length), body]);
+}
+
+/**
+ * Replaces the ID3v2 tag of a file. The file is rewritten in place.
+ * @param {string} filePath - Path to MP3 file
+ * @param {Function} mergeFrames - Receives the existing frames, returns the frames to write
+ */
+async function rewriteTag(filePath, mergeFrames) {
+    const data = await fs.readFile(filePath);
+    const { frames, size } = readTag(data);
+    const tag = serializeTag(mergeFrames(frames));
+
+    const partialPath = `${filePath}.partial`;
+    try {
+        await fs.writeFile(partialPath, Buffer.concat([tag, data.subarray(size)]));
+        await fs.rename(partialPath, filePath);
+    } finally {
+        await fs.rm(partialPath, { force: true });
+    }
+}
+
+/**
+ * Writes tag data as the only ID3v2.4 tag of an MP3 file (an existing tag, e.g. FFmpeg's, is replaced)
+ * @param {string} filePath - Path to MP3 file
+ * @param {Object} id3Tags - Tag data in node-id3 form (see extractMetadata)
+ */
+export async function writeId3v24Tags(filePath, id3Tags) {
+    await rewriteTag(filePath, () => buildFrames(id3Tags));
+}
+
+/**
+ * Adds or replaces frames of an MP3 file's tag; all other frames are kept. An ID3v2.3 tag
+ * is converted to ID3v2.4 on the way.
+ * @param {string} filePath - Path to MP3 file
+ * @param {Object} id3Tags - Tag data in node-id3 form (see extractMetadata)
+ */
+export async function updateId3v24Tags(filePath, id3Tags) {
+    const frames = buildFrames(id3Tags);
+    const replaced = new Set(frames.map(getFrameKey));
+
+    await rewriteTag(filePath, (existing) => [
+        ...existing.filter((frame) => !replaced.has(getFrameKey(frame))),
+        ...frames,
+    ]);
+}
+
+/**
+ * Replaces all frames of an MP3 file's tag with the tag data, so fields without a value
+ * any more disappear. Only the cover and lyrics (KEPT_ON_REPLACE) are kept, unless the
+ * tag data has them too.
+ * @param {string} filePath - Path to MP3 file
+ * @param {Object} id3Tags - Tag data in node-id3 form (see extractMetadata)
+ */
+export async function replaceId3v24Tags(filePath, id3Tags) {
+    const frames = buildFrames(id3Tags);
+    const replaced = new Set(frames.map(getFrameKey));
+
+    await rewriteTag(filePath, (existing) => [
+        ...existing.filter((frame) => KEPT_ON_REPLACE.includes(frame.id) && !replaced.has(getFrameKey(frame))),
+        ...frames,
+    ]);
+}
@@ -0,0 +1,212 @@
+/**
+ * ITU-R BS.1770-4 loudness meter: K-weighted, gated integrated loudness and
+ * true peak via 4x oversampling. Works on planar float samples in [-1, 1].
+ */
+
+// Gating block length and overlap (400 ms blocks, 75 % overlap = 100 ms steps)
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// Channel weights by position (L, R, C, LFE, Ls, Rs); the LFE channel is not measured
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// True peak interpolation: 4 phases of a 48-tap windowed-sinc low-pass filter
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+/**
+ * Computes the two K-weighting biquads (high shelf and high pass) for a sample rate
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object[]} Biquad coefficients { b0, b1, b2, a1, a2 }
+ */
+function kWeightingFilters(sampleRate) {
+    // Stage 1: +4 dB high shelf modelling the acoustic effect of the head
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = 10 ** (3.999843853973347 / 20);
+    const vb = vh ** 0.4996667741545416;
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    // Stage 2: RLB high pass
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+
+    return [
+        {
+            b0: (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            b1: 2 * (shelfK * shelfK - vh) / shelfA0,
+            b2: (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+            a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+        },
+        {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (passK * passK - 1) / passA0,
+            a2: (1 - passK / passQ + passK * passK) / passA0,
+        },
+    ];
+}
+
+/**
+ * Builds the polyphase interpolation filter used for true peak measurement
+ * @returns {Float64Array[]} One set of TAPS_PER_PHASE coefficients per phase
+ */
+function interpolationFilter() {
+    const length = OVERSAMPLING * TAPS_PER_PHASE;
+    const center = (length - 1) / 2;
+
+    return Array.from({ length: OVERSAMPLING }, (_, phase) => {
+        const taps = new Float64Array(TAPS_PER_PHASE);
+        for (let tap = 0; tap < TAPS_PER_PHASE; tap++) {
+            const n = tap * OVERSAMPLING + phase;
+            const x = (n - center) / OVERSAMPLING;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+            taps[tap] = sinc * window;
+        }
+        return taps;
+    });
+}
+
+/**
+ * Converts a mean square energy to LUFS
+ * @param {number} energy - Weighted mean square
+ * @returns {number} Loudness in LUFS
+ */
+function energyToLufs(energy) {
+    return -0.691 + 10 * Math.log10(energy);
+}
+
+/**
+ * Creates a BS.1770 loudness meter
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.channels - Number of channels
+ * @returns {Object} Meter with process(channelData, frameCount) and getResult()
+ */
+export function createLoudnessMeter({ sampleRate, channels }) {
+    const filters = kWeightingFilters(sampleRate);
+    const phases = interpolationFilter();
+    const weights = Array.from({ length: channels }, (_, channel) => CHANNEL_WEIGHTS[channel] ?? 1);
+    const stepFrames = Math.round(sampleRate * STEP_SECONDS);
+
+    // Per channel: biquad state of both stages and the history of the interpolator
+    const state = Array.from({ length: channels }, () => ({
+        filters: filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 })),
+        history: new Float64Array(TAPS_PER_PHASE),
+        position: 0,
+    }));
+
+    const stepEnergies = [];
+    let stepEnergy = 0;
+    let stepCount = 0;
+    let frames = 0;
+    let truePeak = 0;
+
+    /**
+     * Runs one sample through a channel's K-weighting filters
+     * @param {Object} channelState - Channel state
+     * @param {number} sample - Input sample
+     * @returns {number} K-weighted sample
+     */
+    const kWeight = (channelState, sample) => {
+        let value = sample;
+        filters.forEach((filter, index) => {
+            const s = channelState.filters[index];
+            const output = filter.b0 * value + filter.b1 * s.x1 + filter.b2 * s.x2 - filter.a1 * s.y1 - filter.a2 * s.y2;
+            s.x2 = s.x1;
+            s.x1 = value;
+            s.y2 = s.y1;
+            s.y1 = output;
+            value = output;
+        });
+        return value;
+    };
+
+    /**
+     * Feeds one sample to a channel's interpolator and tracks the highest interpolated level
+     * @param {Object} channelState - Channel state
+     * @param {number} sample - Input sample
+     */
+    const trackTruePeak = (channelState, sample) => {
+        const { history } = channelState;
+        channelState.position = (channelState.position + 1) % TAPS_PER_PHASE;
+        history[channelState.position] = sample;
+
+        if (Math.abs(sample) > truePeak) {
+            truePeak = Math.abs(sample);
+        }
+
+        for (const taps of phases) {
+            let value = 0;
+            for (let tap = 0; tap < TAPS_PER_PHASE; tap++) {
+                value += taps[tap] * history[(channelState.position - tap + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+            }
+            if (Math.abs(value) > truePeak) {
+                truePeak = Math.abs(value);
+            }
+        }
+    };
+
+    return {
+        /**
+         * Adds planar samples to the measurement
+         * @param {Float32Array[]} channelData - One array per channel
+         * @param {number} [frameCount] - Number of frames (default: full length)
+         */
+        process(channelData, frameCount = channelData[0].length) {
+            for (let frame = 0; frame < frameCount; frame++) {
+                for (let channel = 0; channel < channels; channel++) {
+                    const sample = channelData[channel][frame];
+                    const weighted = kWeight(state[channel], sample);
+                    stepEnergy += weights[channel] * weighted * weighted;
+                    trackTruePeak(state[channel], sample);
+                }
+
+                if (++stepCount === stepFrames) {
+                    stepEnergies.push(stepEnergy / stepFrames);
+                    stepEnergy = 0;
+                    stepCount = 0;
+                }
+            }
+            frames += frameCount;
+        },
+
+        /**
+         * Computes the gated integrated loudness of everything processed so far
+         * @returns {Object} { integratedLUFS (null if below the absolute gate), truePeakDb, durationSeconds }
+         */
+        getResult() {
+            const blocks = [];
+            for (let i = 0; i + STEPS_PER_BLOCK <= stepEnergies.length; i++) {
+                let energy = 0;
+                for (let step = i; step < i + STEPS_PER_BLOCK; step++) {
+                    energy += stepEnergies[step];
+                }
+                blocks.push(energy / STEPS_PER_BLOCK);
+            }
+
+            const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+            const audible = blocks.filter((energy) => energyToLufs(energy) > ABSOLUTE_GATE_LUFS);
+            let integratedLUFS = null;
+
+            if (audible.length > 0) {
+                const relativeGate = energyToLufs(mean(audible)) + RELATIVE_GATE_LU;
+                const gated = audible.filter((energy) => energyToLufs(energy) > relativeGate);
+                integratedLUFS = Math.round(energyToLufs(mean(gated)) * 100) / 100;
+            }
+
+            return {
+                integratedLUFS,
+                truePeakDb: truePeak > 0 ? Math.round(20 * Math.log10(truePeak) * 100) / 100 : null,
+                durationSeconds: Math.round(frames / sampleRate * 1000) / 1000,
+            };
+        },
+    };
+}
@@ -1,138 +1,88 @@
-import { writeFileSync, readFileSync, existsSync } from 'fs';
-import { spawn } from 'child_process';
+import { existsSync } from 'fs';
 import config from '../config.js';
-import { getTempFilePath, deleteTempFile } from '../utils/tempFiles.js';
+import { resolveRenderer, closeAllRenderers } from './renderers/index.js';
 import { createLogger } from '../utils/logger.js';
+import { ProcessingError } from '../utils/errors.js';
 
 const logger = createLogger({ module: 'midiRenderer' });
 
+export { registerRenderer, listRenderers, isKnownRenderer } from './renderers/index.js';
+
 /**
- * Checks if fluidsynth is available on the system
- * @returns {Promise<boolean>}
+ * Derives the render timeout from the MIDI playback length
+ * @param {number} playbackSeconds - MIDI playback length (unknown: treated as 180s)
+ * @returns {number} Timeout in milliseconds
  */
-async function checkFluidSynthAvailable() {
-    return new Promise((resolve) => {
-        const process = spawn('which', ['fluidsynth']);
-        process.on('close', (code) => {
-            resolve(code === 0);
-        });
-        process.on('error', () => {
-            resolve(false);
-        });
-    });
+export function getRenderTimeout(playbackSeconds = 180) {
+    const { timeoutBaseMs, timeoutPerSecondMs } = config.renderer;
+    return Math.round(timeoutBaseMs + playbackSeconds * timeoutPerSecondMs);
 }
 
 /**
- * Renders MIDI data to WAV audio file using FluidSynth command-line
+ * Renders MIDI data to WAV audio file using the configured renderer engine
  * @param {Buffer} midiBuffer - MIDI file data
  * @param {string} outputPath - Path to save WAV file
- * @returns {Promise<Object>} Rendering result with duration and path
+ * @param {Object} options - Render options
+ * @param {string} options.renderer - Renderer engine name (default: config.renderer.engine)
+ * @param {string} options.soundfontPath - Soundfont to render with (default: config.soundfont.path)
+ * @param {number} options.playbackSeconds - MIDI playback length, used to derive the render timeout
+ * @param {string} options.profile - Synthesis profile name (default: config.synthesis.profile)
+ * @returns {Promise<Object>} Rendering result with duration, path, renderer and profile
  */
-export async function renderMidiToWav(midiBuffer, outputPath) {
-    // Check if FluidSynth is available
-    const hasFluidSynth = await checkFluidSynthAvailable();
-    if (!hasFluidSynth) {
-        throw new Error('FluidSynth is not installed. Please install it: brew install fluid-synth (macOS) or apt-get install fluidsynth (Linux)');
-    }
+export async function renderMidiToWav(midiBuffer, outputPath, options = {}) {
+    const soundfontPath = options.soundfontPath || config.soundfont.path;
 
     // Check if soundfont exists
-    if (!existsSync(config.soundfont.path)) {
-        throw new Error(`Soundfont not found: ${config.soundfont.path}`);
+    if (!existsSync(soundfontPath)) {
+        throw new Error(`Soundfont not found: ${soundfontPath}`);
     }
 
-    const midiPath = getTempFilePath('.mid');
+    const profileName = options.profile || config.synthesis.profile;
+    const profile = config.synthesis.profiles[profileName];
+    if (!profile) {
+        throw new ProcessingError('UNKNOWN_SYNTH_PROFILE', `Unknown synthesis profile: ${profileName}`, {
+            retryable: false,
+        });
+    }
 
     try {
-        // Write MIDI buffer to temporary file
-        writeFileSync(midiPath, midiBuffer);
-        logger.debug({ midiPath, size: midiBuffer.length }, 'Wrote MIDI to temp file');
-
-        // Render MIDI to audio using FluidSynth
-        logger.info({ midiPath, outputPath }, 'Rendering MIDI to WAV with FluidSynth...');
-        const startTime = Date.now();
-
-        await new Promise((resolve, reject) => {
-            // FluidSynth command: fluidsynth -F output.wav soundfont.sf2 input.mid
-            // FluidSynth command: fluidsynth -F output.wav -a file -m file soundfont.sf2 input.mid
-            const args = [
-                '-F', outputPath,              // Fast render to file
-                '-a', 'file',                  // Audio driver: file (no hardware)
-                '-m', 'file',                  // MIDI driver: file (no hardware)
-                '-g', '1.0',                   // Gain
-                '-r', config.audio.sampleRate.toString(),  // Sample rate
-                '-T', 'wav',                   // Output type
-                '-q',                          // Quiet mode (no shell)
-                config.soundfont.path,         // Soundfont
-                midiPath                       // MIDI file
-            ];
-
-            logger.debug({ args }, 'Executing FluidSynth');
+        const renderer = await resolveRenderer(options.renderer || config.renderer.engine);
 
-            const fluidsynth = spawn('fluidsynth', args);
+        const timeoutMs = getRenderTimeout(options.playbackSeconds);
 
-            // Timeout to prevent hanging forever (3 minutes)
-            const timeoutMs = 180000;
-            const timeoutTimer = setTimeout(() => {
-                logger.error({ midiPath, timeoutMs }, 'FluidSynth timed out, killing process');
-                fluidsynth.kill('SIGKILL');
-                reject(new Error(`FluidSynth timed out after ${timeoutMs}ms`));
-            }, timeoutMs);
-
-            let stderr = '';
-
-            fluidsynth.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
-
-            fluidsynth.on('close', (code, signal) => {
-                clearTimeout(timeoutTimer); // Clear timeout on exit
-
-                if (code !== 0) {
-                    const exitInfo = code !== null ? `code ${code}` : `signal ${signal}`;
-                    const errorMsg = `FluidSynth failed with ${exitInfo}: ${stderr}`;
-                    // Only log if not already rejected by timeout (check if killed via SIGKILL might be ambiguous if not careful, but reject promise is once-only)
-                    // Promise settlement is handled by the first call (resolve/reject), subsequent calls are ignored.
-
-                    if (signal === 'SIGKILL' && stderr === '') {
-                        // Likely our timeout kill or OOM. If timeout, we already rejected.
-                        // But if OOM, we want to know.
-                        // We rely on rejection being idempotent.
-                    }
-
-                    logger.error({ code, signal, stderr }, 'FluidSynth failed');
-                    reject(new Error(errorMsg));
-                } else {
-                    const duration = Date.now() - startTime;
-                    logger.info({ duration, outputPath }, 'MIDI rendered successfully');
-                    resolve();
-                }
-            });
+        logger.info({ outputPath, renderer: renderer.name, soundfontPath, profile: profileName, timeoutMs }, 'Rendering MIDI to WAV...');
+        const startTime = Date.now();
 
-            fluidsynth.on('error', (error) => {
-                clearTimeout(timeoutTimer);
-                logger.error({ error: error.message }, 'FluidSynth process error');
-                reject(new Error(`FluidSynth process error: ${error.message}`));
-            });
+        await renderer.render(midiBuffer, outputPath, {
+            soundfontPath,
+            sampleRate: config.audio.sampleRate,
+            bitDepth: config.audio.bitDepth,
+            timeoutMs,
+            profile,
         });
 
+        const duration = Date.now() - startTime;
+        logger.info({ duration, outputPath, renderer: renderer.name }, 'MIDI rendered successfully');
+
         return {
             success: true,
             outputPath,
-            duration: Date.now() - startTime,
+            renderer: renderer.name,
+            profile: { name: profileName, settings: profile },
+            duration,
         };
     } catch (error) {
-        logger.error({ error: error.message, midiPath }, 'MIDI rendering failed');
-        throw new Error(`MIDI rendering failed: ${error.message}`);
-    } finally {
-        // Cleanup temporary MIDI file
-        deleteTempFile(midiPath);
+        logger.error({ error: error.message, code: error.code, outputPath }, 'MIDI rendering failed');
+        throw new ProcessingError(error.code || 'RENDER_FAILED', `MIDI rendering failed: ${error.message}`, {
+            retryable: error.retryable !== false,
+        });
     }
 }
 
 /**
- * Closes the synthesizer and releases resources
- * (Not needed for command-line FluidSynth, kept for compatibility)
+ * Closes all renderer engines and releases resources
  */
 export async function closeSynthesizer() {
-    logger.debug('Synthesizer cleanup (no-op for FluidSynth CLI)');
+    await closeAllRenderers();
+    logger.debug('Renderer engines closed');
 }
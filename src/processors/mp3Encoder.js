@@ -1,72 +1,142 @@
 import ffmpeg from 'fluent-ffmpeg';
 import NodeID3 from 'node-id3';
+import { basename } from 'path';
 import { createLogger } from '../utils/logger.js';
+import { createFfmpegInput } from '../utils/pcmBuffer.js';
+import { resolveMetadata } from '../utils/metadataResolver.js';
+import { writeId3v24Tags, updateId3v24Tags, replaceId3v24Tags } from './id3v24.js';
+import { MUSICBRAINZ_UFID_OWNER } from './audioTags.js';
 import config from '../config.js';
 
 const logger = createLogger({ module: 'mp3Encoder' });
 
+// MusicBrainz IDs in TXXX frames, by the descriptions Picard uses
+const MUSICBRAINZ_TXXX = {
+    musicbrainzArtistId: 'MusicBrainz Artist Id',
+    musicbrainzReleaseId: 'MusicBrainz Album Id',
+    musicbrainzReleaseGroupId: 'MusicBrainz Release Group Id',
+};
+
+/**
+ * Formats a track or disc position ("3/12", or "3" without total)
+ * @param {string} number - Position
+ * @param {string} total - Number of tracks or discs (optional)
+ * @returns {string|undefined} Position, or undefined without number
+ */
+function formatPosition(number, total) {
+    if (!number) {
+        return undefined;
+    }
+    return total ? `${number}/${total}` : number;
+}
+
 /**
  * Extracts metadata for ID3 tags from MongoDB document
  * @param {Object} document - MongoDB document
+ * @param {Object} processing - Details of how the audio was produced
+ * @param {Object} processing.soundfont - Selected soundfont { name, path }
+ * @param {string} processing.synthProfile - Synthesis profile name
+ * @param {Object[]} processing.transforms - MIDI transforms applied before rendering
+ * @param {Object} processing.lyrics - Timed lyrics from the MIDI file (see extractLyrics)
+ * @param {Object} processing.musicalMetadata - Tempo, key, time signature, ... from the MIDI file
+ * @param {Buffer} processing.coverArt - PNG front cover (see renderCoverArt)
+ * @param {Object} processing.stem - Stem description { mode, index, channel, track, label } for stem files
+ * @param {Object} processing.preview - Preview segment { startSeconds, durationSeconds } for preview clips
+ * @param {Object} processing.replayGain - ReplayGain values { track, album } (see computeReplayGain)
  * @returns {Object} ID3 tag data
  */
-function extractMetadata(document) {
-    // Try different metadata sources in priority order
-    const artist =
-        document.redacted?.artist ||
-        document.musicLLM?.artist ||
-        document.musicbrainz?.top?.artist ||
-        document.musicbrainz?.oldest?.artist ||
-        'Unknown Artist';
-
-    const title =
-        document.redacted?.title ||
-        document.musicLLM?.title ||
-        document.musicbrainz?.top?.title ||
-        document.musicbrainz?.oldest?.title ||
-        (document.midifile?.fileName ? document.midifile.fileName.toString().replace(/\.mid$/i, '') : undefined) ||
-        'Unknown Title';
-
-    const album =
-        document.redacted?.album ||
-        document.musicLLM?.album ||
-        document.musicbrainz?.top?.album ||
-        document.musicbrainz?.oldest?.album ||
-        'Unknown Album';
-
-    // Extract year from firstReleaseDate
-    let year;
-    const releaseDate =
-        document.musicbrainz?.top?.firstReleaseDate ||
-        document.musicbrainz?.oldest?.firstReleaseDate;
-
-    if (releaseDate) {
-        const yearMatch = releaseDate.match(/(\d{4})/);
-        year = yearMatch ? yearMatch[1] : undefined;
-    }
-
-    // Extract genre from tags
-    const tags =
-        document.redacted?.tags ||
-        document.musicbrainz?.top?.tags ||
-        document.musicbrainz?.oldest?.tags ||
-        [];
-
-    const genre = tags.length > 0 ? tags[0].name : undefined;
+export function extractMetadata(document, processing = {}) {
+    // Same artist, title and album as the output path (see resolveMetadata)
+    const resolved = resolveMetadata(document);
+    const { artist, title, album, year, genres, sources } = resolved;
 
     // Build ID3 tags
     const id3Tags = {
         artist,
-        title,
+        title: processing.stem ? `${title} [${processing.stem.label}]` : title,
         album,
     };
 
+    if (processing.preview) {
+        id3Tags.title = `${title} [Preview]`;
+    }
+
     if (year) {
         id3Tags.year = year;
     }
 
-    if (genre) {
-        id3Tags.genre = genre;
+    // All genres above the vote threshold; ID3v2.4 separates multiple values with NUL
+    if (genres.length > 0) {
+        id3Tags.genre = genres.join('\0');
+    }
+
+    if (resolved.originalDate) {
+        id3Tags.originalReleaseTime = resolved.originalDate;
+    }
+
+    if (resolved.artistSort) {
+        id3Tags.performerSortOrder = resolved.artistSort;
+    }
+
+    // Stems and previews are not the recording: no track position or recording ID
+    const isRecording = !processing.stem && !processing.preview;
+    if (isRecording) {
+        const trackNumber = formatPosition(resolved.trackNumber, resolved.trackTotal);
+        if (trackNumber) {
+            id3Tags.trackNumber = trackNumber;
+        }
+
+        const partOfSet = formatPosition(resolved.discNumber, resolved.discTotal);
+        if (partOfSet) {
+            id3Tags.partOfSet = partOfSet;
+        }
+
+        if (resolved.musicbrainzRecordingId) {
+            id3Tags.uniqueFileIdentifier = [{
+                ownerIdentifier: MUSICBRAINZ_UFID_OWNER,
+                identifier: resolved.musicbrainzRecordingId,
+            }];
+        }
+    }
+
+    // Musical metadata from the MIDI file
+    const music = processing.musicalMetadata;
+    if (music?.bpm) {
+        id3Tags.bpm = String(Math.round(music.bpm));
+    }
+
+    if (music?.key) {
+        id3Tags.initialKey = music.key;
+    }
+
+    if (music?.copyright) {
+        id3Tags.copyright = music.copyright;
+    }
+
+    // Generated piano-roll image as front cover (APIC)
+    if (processing.coverArt) {
+        id3Tags.image = {
+            mime: 'image/png',
+            type: { id: NodeID3.TagConstants.AttachedPicture.PictureType.FRONT_COVER },
+            description: 'Piano roll',
+            imageBuffer: processing.coverArt,
+        };
+    }
+
+    // Lyrics from MIDI lyric/karaoke events: plain text (USLT) and millisecond timed syllables (SYLT)
+    if (processing.lyrics) {
+        const { language } = config.lyrics;
+        id3Tags.unsynchronisedLyrics = { language, text: processing.lyrics.text };
+        id3Tags.synchronisedLyrics = [{
+            language,
+            timeStampFormat: NodeID3.TagConstants.TimeStampFormat.MILLISECONDS,
+            contentType: NodeID3.TagConstants.SynchronisedLyrics.ContentType.LYRICS,
+            shortText: '',
+            synchronisedText: processing.lyrics.syllables.map((syllable) => ({
+                text: syllable.newLine ? `\n${syllable.text}` : syllable.text,
+                timeStamp: Math.round(syllable.seconds * 1000),
+            })),
+        }];
     }
 
     // Add MongoDB reference information
@@ -114,6 +184,76 @@ function extractMetadata(document) {
         });
     }
 
+    // MusicBrainz artist, release and release group IDs
+    for (const [field, description] of Object.entries(MUSICBRAINZ_TXXX)) {
+        if (resolved[field]) {
+            id3Tags.userDefinedText.push({ description, value: resolved[field] });
+        }
+    }
+
+    // Soundfont used for rendering
+    if (processing.soundfont) {
+        id3Tags.userDefinedText.push({
+            description: 'SOUNDFONT',
+            value: `${processing.soundfont.name} (${basename(processing.soundfont.path)})`,
+        });
+    }
+
+    // Time signature and General MIDI instruments from the MIDI file
+    if (music?.timeSignature) {
+        id3Tags.userDefinedText.push({
+            description: 'TIME_SIGNATURE',
+            value: music.timeSignature,
+        });
+    }
+
+    if (music?.instruments?.length > 0) {
+        id3Tags.userDefinedText.push({
+            description: 'GM_INSTRUMENTS',
+            value: [...new Set(music.instruments.map((instrument) => instrument.name))].join('; '),
+        });
+    }
+
+    // Synthesis profile used for rendering
+    if (processing.synthProfile) {
+        id3Tags.userDefinedText.push({
+            description: 'SYNTH_PROFILE',
+            value: processing.synthProfile,
+        });
+    }
+
+    // MIDI transforms applied before rendering
+    if (processing.transforms?.length > 0) {
+        id3Tags.userDefinedText.push({
+            description: 'MIDI_TRANSFORMS',
+            value: JSON.stringify(processing.transforms),
+        });
+    }
+
+    // Stem description
+    if (processing.stem) {
+        id3Tags.userDefinedText.push({
+            description: 'STEM',
+            value: JSON.stringify(processing.stem),
+        });
+    }
+
+    // Section of the track a preview clip was cut from
+    if (processing.preview) {
+        id3Tags.userDefinedText.push({
+            description: 'PREVIEW',
+            value: JSON.stringify({
+                startSeconds: processing.preview.startSeconds,
+                durationSeconds: processing.preview.durationSeconds,
+            }),
+        });
+    }
+
+    // ReplayGain 2.0 values (loudness mode replaygain; album values are added once the album is complete)
+    if (processing.replayGain) {
+        id3Tags.userDefinedText.push(...buildReplayGainFrames(processing.replayGain));
+    }
+
     // Add complete metadata as JSON (optional, can be disabled via config)
     if (config.mp3?.embedFullMetadata !== false) {
         const metadataSnapshot = {
@@ -148,7 +288,8 @@ function extractMetadata(document) {
         title,
         album,
         year,
-        genre,
+        genres,
+        sources,
         mongoId: document._id?.toString(),
         customFields: id3Tags.userDefinedText.length,
     }, 'Extracted metadata with MongoDB references');
@@ -156,25 +297,74 @@ function extractMetadata(document) {
     return id3Tags;
 }
 
+/**
+ * Builds the ReplayGain TXXX frames
+ * @param {Object} replayGain - { track: { gainDb, peak }, album: { gainDb, peak } } (either may be missing)
+ * @returns {Object[]} TXXX frames
+ */
+export function buildReplayGainFrames(replayGain) {
+    const frames = [];
+
+    for (const scope of ['track', 'album']) {
+        const values = replayGain[scope];
+        if (values) {
+            frames.push(
+                { description: `REPLAYGAIN_${scope.toUpperCase()}_GAIN`, value: `${values.gainDb.toFixed(2)} dB` },
+                { description: `REPLAYGAIN_${scope.toUpperCase()}_PEAK`, value: values.peak.toFixed(6) },
+            );
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * Writes ReplayGain frames into an existing MP3 file, keeping all other tags
+ * @param {string} filePath - Path to MP3 file
+ * @param {Object} replayGain - { track, album } (see buildReplayGainFrames)
+ */
+export async function updateReplayGainTags(filePath, replayGain) {
+    await updateId3v24Tags(filePath, { userDefinedText: buildReplayGainFrames(replayGain) });
+    logger.debug({ filePath, replayGain }, 'ReplayGain tags updated');
+}
+
+/**
+ * Rewrites ID3 tags of an existing MP3 file; of the frames not in the tag data only
+ * the cover and lyrics are kept
+ * @param {string} filePath - Path to MP3 file
+ * @param {Object} id3Tags - Tag data from extractMetadata (without image)
+ */
+export async function updateId3Tags(filePath, id3Tags) {
+    await replaceId3v24Tags(filePath, id3Tags);
+    logger.debug({ filePath }, 'ID3 tags updated');
+}
+
 /**
  * Encodes WAV file to MP3 with ID3 tags
- * @param {string} inputPath - Path to input WAV file
+ * @param {string|Object} inputPath - Path to input WAV file, or PCM buffer (streaming mode)
  * @param {string} outputPath - Path to output MP3 file
  * @param {Object} document - MongoDB document for metadata
+ * @param {Object} processing - Processing details to record in the tags (see extractMetadata)
+ * @param {Object} encoding - Encoder overrides
+ * @param {number} encoding.bitrate - Bitrate in kbps (default: config.mp3.bitrate)
+ * @param {number} encoding.quality - LAME quality, 0 = best (default: config.mp3.quality)
+ * @param {string[]} encoding.filters - FFmpeg audio filters applied while encoding (e.g. cut and fades)
  * @returns {Promise<Object>} Encoding result
  */
-export async function encodeToMp3(inputPath, outputPath, document) {
+export async function encodeToMp3(inputPath, outputPath, document, processing = {}, encoding = {}) {
     const startTime = Date.now();
+    const bitrate = encoding.bitrate || config.mp3.bitrate;
 
     try {
-        logger.info({ inputPath, outputPath, bitrate: config.mp3.bitrate }, 'Encoding to MP3...');
+        logger.info({ inputPath, outputPath, bitrate }, 'Encoding to MP3...');
 
         // Encode WAV to MP3
         await new Promise((resolve, reject) => {
-            ffmpeg(inputPath)
+            createFfmpegInput(inputPath)
+                .audioFilters(encoding.filters || [])
                 .audioCodec('libmp3lame')
-                .audioBitrate(config.mp3.bitrate)
-                .audioQuality(config.mp3.quality)
+                .audioBitrate(bitrate)
+                .audioQuality(encoding.quality ?? config.mp3.quality)
                 .audioChannels(2)
                 .audioFrequency(config.audio.sampleRate)
                 .on('error', (error) => {
@@ -189,13 +379,16 @@ export async function encodeToMp3(inputPath, outputPath, document) {
         });
 
         // Extract and write ID3 tags
-        const metadata = extractMetadata(document);
-        const success = NodeID3.write(metadata, outputPath);
+        const metadata = extractMetadata(document, processing);
+
+        // The image is returned (and stored) without its data
+        const { image, ...storedMetadata } = metadata;
 
-        if (!success) {
-            logger.warn({ outputPath }, 'Failed to write ID3 tags');
-        } else {
-            logger.debug({ outputPath, metadata }, 'ID3 tags written successfully');
+        try {
+            await writeId3v24Tags(outputPath, metadata);
+            logger.debug({ outputPath, metadata: storedMetadata, coverArt: Boolean(image) }, 'ID3 tags written successfully');
+        } catch (error) {
+            logger.warn({ outputPath, error: error.message }, 'Failed to write ID3 tags');
         }
 
         const duration = Date.now() - startTime;
@@ -204,7 +397,7 @@ export async function encodeToMp3(inputPath, outputPath, document) {
         return {
             success: true,
             outputPath,
-            metadata,
+            metadata: storedMetadata,
             duration,
         };
     } catch (error) {
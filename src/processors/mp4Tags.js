@@ -0,0 +1,267 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Writes iTunes freeform atoms (----:com.apple.iTunes:NAME) into an M4A file's
+ * moov/udta/meta/ilst. FFmpeg only writes the well-known atoms, so the MIDI hash,
+ * ReplayGain and the other custom fields are added here. Well-known text atoms can be
+ * replaced the same way (retagging), without remuxing the file.
+ */
+
+const FREEFORM_MEAN = 'com.apple.iTunes';
+
+// Well-known text atoms of the fields FFmpeg writes (see MP4_ATOM_FIELDS in audioTags.js)
+const TEXT_ATOMS = {
+    title: '\u00a9nam',
+    artist: '\u00a9ART',
+    album: '\u00a9alb',
+    date: '\u00a9day',
+    genre: '\u00a9gen',
+    comment: '\u00a9cmt',
+    copyright: 'cprt',
+    lyrics: '\u00a9lyr',
+    sort_artist: 'soar',
+};
+
+// Track and disc positions ("3/12") are binary atoms
+const POSITION_ATOMS = {
+    track: 'trkn',
+    disc: 'disk',
+};
+
+// Atoms a replacement keeps: the cover and lyrics are written at conversion and cannot be rebuilt later
+const KEPT_ON_REPLACE = ['covr', '\u00a9lyr'];
+
+// Data atom headers of UTF-8 values and of binary values, without locale
+const UTF8_DATA_TYPE = Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]);
+const IMPLICIT_DATA_TYPE = Buffer.alloc(8);
+
+// Containers between a trak and its chunk offset tables
+const SAMPLE_TABLE_PATH = ['mdia', 'minf', 'stbl'];
+
+/**
+ * Lists the boxes between two offsets
+ * @param {Buffer} data - File data
+ * @param {number} start - First byte of the first box
+ * @param {number} end - End of the enclosing box
+ * @returns {Object[]} Boxes { type, start, size, headerSize }
+ */
+function readBoxes(data, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = data.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(data.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            throw new Error(`Corrupt MP4 box at offset ${offset}`);
+        }
+
+        boxes.push({ type: data.toString('latin1', offset + 4, offset + 8), start: offset, size, headerSize });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Finds a child box by type
+ * @param {Buffer} data - File data
+ * @param {Object} parent - Parent box
+ * @param {string} type - Child type
+ * @param {number} skip - Bytes between the parent header and its children (4 for the full box "meta")
+ * @returns {Object|undefined} Child box
+ */
+function findChild(data, parent, type, skip = 0) {
+    return readBoxes(data, parent.start + parent.headerSize + skip, parent.start + parent.size)
+        .find((box) => box.type === type);
+}
+
+/**
+ * Builds a box
+ * @param {string} type - Four-character type
+ * @param {...Buffer} payload - Content
+ * @returns {Buffer} Box bytes
+ */
+function box(type, ...payload) {
+    const content = Buffer.concat(payload);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + content.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, content]);
+}
+
+/**
+ * Builds a freeform atom with a UTF-8 value
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ * @returns {Buffer} "----" atom
+ */
+function freeformAtom(name, value) {
+    const versionAndFlags = Buffer.alloc(4);
+
+    return box('----',
+        box('mean', versionAndFlags, Buffer.from(FREEFORM_MEAN, 'utf8')),
+        box('name', versionAndFlags, Buffer.from(name, 'utf8')),
+        box('data', UTF8_DATA_TYPE, Buffer.from(value, 'utf8')));
+}
+
+/**
+ * Builds a well-known text atom
+ * @param {string} type - Atom type (see TEXT_ATOMS)
+ * @param {string} value - Field value
+ * @returns {Buffer} Text atom
+ */
+function textAtom(type, value) {
+    return box(type, box('data', UTF8_DATA_TYPE, Buffer.from(value, 'utf8')));
+}
+
+/**
+ * Builds a track (trkn) or disc (disk) atom: 16-bit number and total
+ * @param {string} type - Atom type (see POSITION_ATOMS)
+ * @param {string} value - Position "3/12" or "3"
+ * @returns {Buffer} Position atom
+ */
+function positionAtom(type, value) {
+    const [number, total = 0] = value.split('/').map((part) => parseInt(part, 10) || 0);
+    const data = Buffer.alloc(type === 'trkn' ? 8 : 6);
+    data.writeUInt16BE(number, 2);
+    data.writeUInt16BE(total, 4);
+    return box(type, box('data', IMPLICIT_DATA_TYPE, data));
+}
+
+/**
+ * Reads the name of a freeform atom
+ * @param {Buffer} data - File data
+ * @param {Object} atom - "----" atom
+ * @returns {string|null} Field name
+ */
+function freeformName(data, atom) {
+    const nameBox = findChild(data, atom, 'name');
+    return nameBox ? data.toString('utf8', nameBox.start + nameBox.headerSize + 4, nameBox.start + nameBox.size) : null;
+}
+
+/**
+ * Moves the chunk offsets (stco/co64) of all tracks after the moov box grew
+ * @param {Buffer} data - File data (modified in place)
+ * @param {Object} moov - moov box
+ * @param {number} delta - Bytes the media data moved by
+ */
+function shiftChunkOffsets(data, moov, delta) {
+    const traks = readBoxes(data, moov.start + moov.headerSize, moov.start + moov.size).filter((child) => child.type === 'trak');
+
+    for (const trak of traks) {
+        let stbl = trak;
+        for (const type of SAMPLE_TABLE_PATH) {
+            stbl = stbl && findChild(data, stbl, type);
+        }
+        if (!stbl) {
+            continue;
+        }
+
+        for (const table of readBoxes(data, stbl.start + stbl.headerSize, stbl.start + stbl.size)) {
+            const entries = table.start + table.headerSize + 4;
+            if (table.type === 'stco') {
+                for (let i = 0; i < data.readUInt32BE(entries); i++) {
+                    const position = entries + 4 + i * 4;
+                    data.writeUInt32BE(data.readUInt32BE(position) + delta, position);
+                }
+            } else if (table.type === 'co64') {
+                for (let i = 0; i < data.readUInt32BE(entries); i++) {
+                    const position = entries + 4 + i * 8;
+                    data.writeBigUInt64BE(data.readBigUInt64BE(position) + BigInt(delta), position);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Adds freeform atoms to an M4A file, replacing existing atoms of the same name
+ * (names compare case-insensitively). The file is rewritten in place.
+ * @param {string} filePath - Path to M4A file written by FFmpeg (with an ilst atom)
+ * @param {Object[]} fields - Fields { name, value }
+ */
+export async function writeMp4FreeformTags(filePath, fields) {
+    await writeMp4Tags(filePath, { metadata: [], freeform: fields });
+}
+
+/**
+ * Replaces well-known text atoms and freeform atoms of an M4A file; all other atoms,
+ * the cover and the media data stay as they are. The file is rewritten in place.
+ * @param {string} filePath - Path to M4A file written by FFmpeg (with an ilst atom)
+ * @param {Object} tags - Tags from toMp4Tags
+ * @param {Object[]} tags.metadata - Standard fields { name, value } (title, artist, ...)
+ * @param {Object[]} tags.freeform - Freeform fields { name, value }
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.replace=false] - Drop all other atoms except the cover and lyrics (KEPT_ON_REPLACE)
+ */
+export async function writeMp4Tags(filePath, { metadata, freeform }, { replace = false } = {}) {
+    if (metadata.length === 0 && freeform.length === 0 && !replace) {
+        return;
+    }
+
+    const atoms = metadata.map(({ name, value }) => {
+        if (TEXT_ATOMS[name]) {
+            return { type: TEXT_ATOMS[name], atom: textAtom(TEXT_ATOMS[name], value) };
+        }
+        if (POSITION_ATOMS[name]) {
+            return { type: POSITION_ATOMS[name], atom: positionAtom(POSITION_ATOMS[name], value) };
+        }
+        throw new Error(`No MP4 atom for field ${name}`);
+    });
+
+    const data = await fs.readFile(filePath);
+    const topLevel = readBoxes(data, 0, data.length);
+    const moov = topLevel.find((child) => child.type === 'moov');
+    const udta = moov && findChild(data, moov, 'udta');
+    const meta = udta && findChild(data, udta, 'meta');
+    const ilst = meta && findChild(data, meta, 'ilst', 4);
+    if (!ilst || [moov, udta, meta, ilst].some((parent) => parent.headerSize !== 8)) {
+        throw new Error('M4A file has no ilst atom to add tags to');
+    }
+
+    const replacedTypes = new Set(atoms.map((atom) => atom.type));
+    const replacedNames = new Set(freeform.map((field) => field.name.toLowerCase()));
+    const kept = readBoxes(data, ilst.start + 8, ilst.start + ilst.size)
+        .filter((atom) => !replace || KEPT_ON_REPLACE.includes(atom.type))
+        .filter((atom) => (atom.type === '----'
+            ? !replacedNames.has(freeformName(data, atom)?.toLowerCase())
+            : !replacedTypes.has(atom.type)))
+        .map((atom) => data.subarray(atom.start, atom.start + atom.size));
+    const newIlst = box('ilst',
+        ...kept,
+        ...atoms.map(({ atom }) => atom),
+        ...freeform.map(({ name, value }) => freeformAtom(name, value)));
+    const delta = newIlst.length - ilst.size;
+
+    const output = Buffer.concat([
+        data.subarray(0, ilst.start),
+        newIlst,
+        data.subarray(ilst.start + ilst.size),
+    ]);
+
+    // Every box enclosing the ilst grows by the same amount
+    for (const parent of [moov, udta, meta]) {
+        output.writeUInt32BE(parent.size + delta, parent.start);
+    }
+
+    // With faststart the media data follows the moov box and moves with it
+    const mdat = topLevel.find((child) => child.type === 'mdat');
+    if (mdat && mdat.start > moov.start && delta !== 0) {
+        shiftChunkOffsets(output, { ...moov, size: moov.size + delta }, delta);
+    }
+
+    const partialPath = `${filePath}.partial`;
+    try {
+        await fs.writeFile(partialPath, output);
+        await fs.rename(partialPath, filePath);
+    } finally {
+        await fs.rm(partialPath, { force: true });
+    }
+}
@@ -0,0 +1,164 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { Writable } from 'stream';
+import { createLoudnessMeter } from './loudnessMeter.js';
+import { verifyAudioFile } from './audioEncoder.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config.js';
+
+const logger = createLogger({ module: 'outputVerifier' });
+
+// Decoded audio is measured as 32-bit float stereo
+const CHANNELS = 2;
+const BYTES_PER_FRAME = CHANNELS * 4;
+
+/**
+ * Creates a writable stream that feeds interleaved stereo f32le PCM into a loudness meter
+ * @param {Object} meter - Meter from createLoudnessMeter
+ * @returns {Writable} PCM sink
+ */
+function createMeterStream(meter) {
+    let leftover = null;
+
+    return new Writable({
+        // fluent-ffmpeg treats a closing output stream as an aborted run
+        emitClose: false,
+        write(chunk, encoding, callback) {
+            let data = chunk;
+            if (leftover) {
+                data = Buffer.concat([leftover, chunk]);
+                leftover = null;
+            }
+
+            const frameCount = Math.floor(data.length / BYTES_PER_FRAME);
+            const channelData = Array.from({ length: CHANNELS }, () => new Float32Array(frameCount));
+            for (let frame = 0; frame < frameCount; frame++) {
+                for (let channel = 0; channel < CHANNELS; channel++) {
+                    channelData[channel][frame] = data.readFloatLE((frame * CHANNELS + channel) * 4);
+                }
+            }
+            meter.process(channelData, frameCount);
+
+            if (frameCount * BYTES_PER_FRAME < data.length) {
+                leftover = data.subarray(frameCount * BYTES_PER_FRAME);
+            }
+            callback();
+        },
+    });
+}
+
+/**
+ * Decodes an encoded file and measures it with the BS.1770 meter
+ * @param {string} filePath - Path to encoded audio file
+ * @returns {Promise<Object>} { integratedLUFS, truePeakDb, durationSeconds }
+ */
+async function measureEncodedFile(filePath) {
+    const sampleRate = config.audio.sampleRate;
+    const meter = createLoudnessMeter({ sampleRate, channels: CHANNELS });
+    const sink = createMeterStream(meter);
+
+    const decoded = new Promise((resolve, reject) => {
+        ffmpeg(filePath)
+            .output(sink)
+            .audioCodec('pcm_f32le')
+            .audioFrequency(sampleRate)
+            .audioChannels(CHANNELS)
+            .format('f32le')
+            .on('error', (error) => reject(new Error(`Decoding for verification failed: ${error.message}`)))
+            .on('end', resolve)
+            .run();
+    });
+    const consumed = new Promise((resolve, reject) => {
+        sink.on('finish', resolve).on('error', reject);
+    });
+
+    await Promise.all([decoded, consumed]);
+    return meter.getResult();
+}
+
+/**
+ * Works out the level an encoded file must have for the loudness mode that was applied.
+ * ReplayGain tags (track and the album gain written after the run) are not part of the
+ * audio, so in replaygain mode the file keeps the level that was measured.
+ * @param {string} mode - Loudness mode actually applied (track, album, peak, replaygain)
+ * @param {Object} normalization - Result of normalizeAudio
+ * @param {Object|null} measurement - Loudness of the audio before the gain (see measureLoudness)
+ * @returns {Object} { integratedLUFS, maxTruePeakDb } (null entries are not checked)
+ */
+export function getExpectedLevels(mode, normalization, measurement) {
+    const { maxTruePeakDb } = config.verification;
+    const measuredLUFS = measurement?.integratedLUFS ?? null;
+
+    switch (mode) {
+        case 'track':
+            // loudnorm reaches the target in linear and in dynamic mode
+            return { integratedLUFS: config.audio.targetLUFS, maxTruePeakDb };
+        case 'album':
+        case 'peak':
+            // A fixed gain moves the measured level by exactly that much
+            return {
+                integratedLUFS: measuredLUFS !== null ? measuredLUFS + normalization.gainDb : null,
+                // A sample peak target does not bound the true peak
+                maxTruePeakDb: mode === 'peak' && config.loudness.peakType === 'sample' ? null : maxTruePeakDb,
+            };
+        default:
+            // replaygain: the audio is left at its level; players apply the tags
+            return { integratedLUFS: measuredLUFS, maxTruePeakDb: null };
+    }
+}
+
+/**
+ * Decodes an encoded output file and checks it against what was rendered:
+ * integrated loudness, true peak and duration must be within the tolerances
+ * @param {string} filePath - Path to encoded audio file
+ * @param {Object} expected - Expected values (null entries are not checked)
+ * @param {number|null} expected.integratedLUFS - Loudness the normalization aimed for
+ * @param {number|null} expected.maxTruePeakDb - Highest acceptable true peak
+ * @param {number|null} expected.durationSeconds - Duration of the normalized audio
+ * @param {Object} options - Verification options
+ * @param {string} options.format - Output format of the file (default: config.output.format)
+ * @returns {Promise<Object>} Measured values, deviations and problems (empty if the file passes)
+ */
+export async function verifyOutput(filePath, expected, { format = config.output.format } = {}) {
+    const startTime = Date.now();
+    const { loudnessToleranceLU, durationToleranceSeconds } = config.verification;
+    const problems = [];
+
+    const probe = await verifyAudioFile(filePath, format);
+    if (!probe.valid) {
+        problems.push(`file is not a valid ${format} file`);
+    }
+
+    const measured = await measureEncodedFile(filePath);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    const loudnessDeviationLU = expected.integratedLUFS !== null && measured.integratedLUFS !== null
+        ? round(measured.integratedLUFS - expected.integratedLUFS)
+        : null;
+    const durationDeviationSeconds = expected.durationSeconds !== null
+        ? round(measured.durationSeconds - expected.durationSeconds)
+        : null;
+
+    if (expected.integratedLUFS !== null && measured.integratedLUFS === null) {
+        problems.push('output is silent');
+    }
+    if (loudnessDeviationLU !== null && Math.abs(loudnessDeviationLU) > loudnessToleranceLU) {
+        problems.push(`loudness ${measured.integratedLUFS} LUFS deviates ${loudnessDeviationLU} LU from ${expected.integratedLUFS} LUFS`);
+    }
+    if (expected.maxTruePeakDb !== null && measured.truePeakDb !== null && measured.truePeakDb > expected.maxTruePeakDb) {
+        problems.push(`true peak ${measured.truePeakDb} dBTP above ${expected.maxTruePeakDb} dBTP`);
+    }
+    if (durationDeviationSeconds !== null && Math.abs(durationDeviationSeconds) > durationToleranceSeconds) {
+        problems.push(`duration ${measured.durationSeconds} s deviates ${durationDeviationSeconds} s from ${expected.durationSeconds} s`);
+    }
+
+    const result = {
+        ...measured,
+        expectedLUFS: expected.integratedLUFS,
+        loudnessDeviationLU,
+        durationDeviationSeconds,
+        problems,
+    };
+
+    logger.debug({ filePath, ...result, duration: Date.now() - startTime }, 'Output verified');
+    return result;
+}
@@ -0,0 +1,138 @@
+import { readWavBlocks } from '../utils/wav.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ module: 'previewSelector' });
+
+// Analysis resolution
+const BLOCK_SECONDS = 0.05;
+
+// Quietest level considered, everything below counts as silence
+const FLOOR_DB = -70;
+
+// Level jumps above this count fully as an onset (dB per block)
+const MAX_ONSET_DB = 20;
+
+// Weights of loudness and onset density in the segment score
+const LOUDNESS_WEIGHT = 0.6;
+const ONSET_WEIGHT = 0.4;
+
+// The chosen start is moved to the strongest onset within this distance
+const SNAP_SECONDS = 1;
+
+/**
+ * Measures the level of consecutive short blocks of a WAV file
+ * @param {string} wavPath - Path to WAV file
+ * @returns {Promise<Object>} { levels: RMS level per block in dB (clamped to FLOOR_DB), totalSeconds }
+ */
+async function measureBlockLevels(wavPath) {
+    const levels = [];
+    let totalSeconds = 0;
+    let blockSize = 0;
+    let sum = 0;
+    let count = 0;
+
+    for await (const { format, channelData, frameCount } of readWavBlocks(wavPath)) {
+        blockSize = blockSize || Math.round(format.sampleRate * BLOCK_SECONDS);
+        totalSeconds += frameCount / format.sampleRate;
+
+        for (let i = 0; i < frameCount; i++) {
+            for (const channel of channelData) {
+                sum += channel[i] * channel[i];
+            }
+            if (++count === blockSize) {
+                levels.push(Math.max(FLOOR_DB, 10 * Math.log10(sum / (blockSize * channelData.length) || 1e-12)));
+                sum = 0;
+                count = 0;
+            }
+        }
+    }
+
+    return { levels: Float64Array.from(levels), totalSeconds };
+}
+
+/**
+ * Sums of `length` consecutive values for every start position
+ * @param {Float64Array} values - Values per block
+ * @param {number} length - Window length in blocks
+ * @returns {Float64Array} Window sums, one per possible start
+ */
+function slidingSums(values, length) {
+    const sums = new Float64Array(values.length - length + 1);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= length) {
+            sum -= values[i - length];
+        }
+        if (i >= length - 1) {
+            sums[i - length + 1] = sum;
+        }
+    }
+
+    return sums;
+}
+
+/**
+ * Picks the most energetic, representative section of a track for a preview clip.
+ * Every possible window is scored by its mean loudness and its onset density
+ * (how often the level jumps, i.e. notes and beats start); the winner's start is
+ * moved onto a strong onset so that the fade-in completes on an attack.
+ * @param {string|Object} wavPath - Path to the normalized WAV file, or PCM buffer (streaming mode)
+ * @param {Object} options - Segment options
+ * @param {number} options.durationSeconds - Preview length
+ * @param {number} options.fadeInSeconds - Fade-in length (the clip starts this much before the onset)
+ * @returns {Promise<Object>} { startSeconds, durationSeconds, loudnessDb, onsetRate }
+ */
+export async function selectPreviewSegment(wavPath, { durationSeconds, fadeInSeconds = 0 }) {
+    const startTime = Date.now();
+    const { levels, totalSeconds } = await measureBlockLevels(wavPath);
+    const windowBlocks = Math.round(durationSeconds / BLOCK_SECONDS);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    // Onset strength: rises in level from one block to the next
+    const onsets = levels.map((level, i) => (i === 0 ? 0 : Math.min(MAX_ONSET_DB, Math.max(0, level - levels[i - 1])) / MAX_ONSET_DB));
+
+    if (windowBlocks >= levels.length) {
+        // Track is not longer than the preview: use all of it
+        return { startSeconds: 0, durationSeconds: round(totalSeconds), loudnessDb: null, onsetRate: null };
+    }
+
+    // Loudness relative to the floor, so that louder is always more
+    const loudnessSums = slidingSums(levels.map((level) => level - FLOOR_DB), windowBlocks);
+    const onsetSums = slidingSums(onsets, windowBlocks);
+    const maxLoudness = loudnessSums.reduce((max, sum) => Math.max(max, sum), 0) || 1;
+    const maxOnsets = onsetSums.reduce((max, sum) => Math.max(max, sum), 0) || 1;
+
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let start = 0; start < loudnessSums.length; start++) {
+        const score = LOUDNESS_WEIGHT * loudnessSums[start] / maxLoudness + ONSET_WEIGHT * onsetSums[start] / maxOnsets;
+        if (score > bestScore) {
+            bestScore = score;
+            best = start;
+        }
+    }
+
+    // Snap to the strongest onset nearby, keeping the clip inside the track
+    const snapBlocks = Math.round(SNAP_SECONDS / BLOCK_SECONDS);
+    const fadeBlocks = Math.round(fadeInSeconds / BLOCK_SECONDS);
+    const lastStart = loudnessSums.length - 1;
+    let onsetBlock = best + fadeBlocks;
+    for (let i = Math.max(0, best + fadeBlocks - snapBlocks); i <= Math.min(levels.length - 1, best + fadeBlocks + snapBlocks); i++) {
+        if (onsets[i] > onsets[onsetBlock]) {
+            onsetBlock = i;
+        }
+    }
+    const start = Math.min(lastStart, Math.max(0, onsetBlock - fadeBlocks));
+
+    const segment = {
+        startSeconds: round(start * BLOCK_SECONDS),
+        durationSeconds: round(windowBlocks * BLOCK_SECONDS),
+        loudnessDb: round(loudnessSums[start] / windowBlocks + FLOOR_DB),
+        onsetRate: round(onsetSums[start] / durationSeconds),
+    };
+
+    logger.debug({ wavPath, ...segment, totalSeconds: round(totalSeconds), duration: Date.now() - startTime }, 'Preview segment selected');
+    return segment;
+}
@@ -0,0 +1,222 @@
+import { readWavBlocks } from '../utils/wav.js';
+import { createFfmpegInput } from '../utils/pcmBuffer.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config.js';
+
+const logger = createLogger({ module: 'qualityAnalyzer' });
+
+// Samples at or above this level count as full scale (16-bit maximum)
+const FULL_SCALE = 32767 / 32768;
+
+// Consecutive full-scale samples in one channel that count as clipping
+const MIN_CLIP_RUN = 3;
+
+// Resolution of the silence measurement
+const BLOCK_SECONDS = 0.05;
+
+/**
+ * Rounds a value to the given number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Number of decimals
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    // "|| 0" turns -0 into 0
+    return Math.round(value * factor) / factor || 0;
+}
+
+/**
+ * Measures sample-level properties of a WAV file in one pass
+ * @param {string} wavPath - Path to WAV file
+ * @param {number} silenceThresholdDb - Blocks with an RMS level below this count as silent
+ * @returns {Promise<Object>} { samplePeakDb, clippedSamples, dcOffset, silenceRatio, stereoCorrelation, durationSeconds }
+ */
+async function measureSignal(wavPath, silenceThresholdDb) {
+    const silenceEnergy = 10 ** (silenceThresholdDb / 10);
+    let channels = 0;
+    let sampleRate = 0;
+    let sums = [];
+    let runs = [];
+    let frames = 0;
+    let peak = 0;
+    let clippedSamples = 0;
+    let sumLL = 0;
+    let sumRR = 0;
+    let sumLR = 0;
+    let blockSize = 0;
+    let blockEnergy = 0;
+    let blockFrames = 0;
+    let blocks = 0;
+    let silentBlocks = 0;
+
+    for await (const { format, channelData, frameCount } of readWavBlocks(wavPath)) {
+        if (channels === 0) {
+            channels = format.channels;
+            sampleRate = format.sampleRate;
+            sums = new Float64Array(channels);
+            runs = new Array(channels).fill(0);
+            blockSize = Math.round(format.sampleRate * BLOCK_SECONDS);
+        }
+
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = channelData[channel][i];
+                const level = Math.abs(sample);
+
+                sums[channel] += sample;
+                blockEnergy += sample * sample;
+                if (level > peak) {
+                    peak = level;
+                }
+
+                // Count a run once it is long enough, then every further sample of it
+                if (level >= FULL_SCALE) {
+                    runs[channel]++;
+                    if (runs[channel] === MIN_CLIP_RUN) {
+                        clippedSamples += MIN_CLIP_RUN;
+                    } else if (runs[channel] > MIN_CLIP_RUN) {
+                        clippedSamples++;
+                    }
+                } else {
+                    runs[channel] = 0;
+                }
+            }
+
+            if (channels === 2) {
+                const left = channelData[0][i];
+                const right = channelData[1][i];
+                sumLL += left * left;
+                sumRR += right * right;
+                sumLR += left * right;
+            }
+
+            if (++blockFrames === blockSize) {
+                blocks++;
+                if (blockEnergy / (blockSize * channels) < silenceEnergy) {
+                    silentBlocks++;
+                }
+                blockEnergy = 0;
+                blockFrames = 0;
+            }
+        }
+
+        frames += frameCount;
+    }
+
+    if (frames === 0) {
+        throw new Error('WAV file contains no audio');
+    }
+
+    // 1 = identical channels (mono in stereo), 0 = unrelated, -1 = out of phase
+    const correlationEnergy = Math.sqrt(sumLL * sumRR);
+
+    return {
+        samplePeakDb: peak > 0 ? round(20 * Math.log10(peak), 2) : null,
+        clippedSamples,
+        dcOffset: round(sums.reduce((max, sum) => Math.max(max, Math.abs(sum / frames)), 0), 6),
+        silenceRatio: blocks > 0 ? round(silentBlocks / blocks, 4) : 0,
+        stereoCorrelation: channels === 2 && correlationEnergy > 0 ? round(sumLR / correlationEnergy, 4) : null,
+        durationSeconds: round(frames / sampleRate, 3),
+    };
+}
+
+/**
+ * Parses a level from the ebur128 summary ("-inf" becomes null)
+ * @param {string} summary - Summary text
+ * @param {RegExp} pattern - Pattern capturing the value
+ * @returns {number|null} Level
+ */
+function parseSummaryValue(summary, pattern) {
+    const match = summary.match(pattern);
+    const value = match ? parseFloat(match[1]) : NaN;
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Measures integrated loudness, loudness range and true peak with FFmpeg's ebur128 filter
+ * @param {string} wavPath - Path to WAV file
+ * @returns {Promise<Object>} { integratedLUFS, loudnessRangeLU, truePeakDb }
+ */
+async function measureLoudnessRange(wavPath) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+
+        createFfmpegInput(wavPath)
+            .audioFilters('ebur128=peak=true:framelog=quiet')
+            .outputFormat('null')
+            .on('stderr', (stderrLine) => {
+                output += stderrLine + '\n';
+            })
+            .on('error', (error) => {
+                reject(new Error(`Loudness range measurement failed: ${error.message}`));
+            })
+            .on('end', () => {
+                const summary = output.slice(output.lastIndexOf('Summary:'));
+                resolve({
+                    integratedLUFS: parseSummaryValue(summary, /I:\s*(-?[\d.]+|-inf) LUFS/),
+                    loudnessRangeLU: parseSummaryValue(summary, /LRA:\s*(-?[\d.]+) LU\b/),
+                    truePeakDb: parseSummaryValue(summary, /Peak:\s*(-?[\d.]+|-inf) dBFS/),
+                });
+            })
+            .save('-');
+    });
+}
+
+/**
+ * Analyzes the technical quality of normalized audio: true peak, clipping,
+ * DC offset, loudness range, share of silence and stereo correlation
+ * @param {string|Object} wavPath - Path to the normalized WAV file, or PCM buffer (streaming mode)
+ * @param {Object} options - Analysis options
+ * @param {number} options.silenceThresholdDb - Level below which audio counts as silent
+ *   (default: config.quality.silenceThresholdDb)
+ * @returns {Promise<Object>} Quality report
+ */
+export async function analyzeQuality(wavPath, { silenceThresholdDb = config.quality.silenceThresholdDb } = {}) {
+    const startTime = Date.now();
+    const signal = await measureSignal(wavPath, silenceThresholdDb);
+    const loudness = await measureLoudnessRange(wavPath);
+
+    const quality = {
+        integratedLUFS: loudness.integratedLUFS,
+        truePeakDb: loudness.truePeakDb,
+        samplePeakDb: signal.samplePeakDb,
+        clippedSamples: signal.clippedSamples,
+        dcOffset: signal.dcOffset,
+        loudnessRangeLU: loudness.loudnessRangeLU,
+        silenceRatio: signal.silenceRatio,
+        stereoCorrelation: signal.stereoCorrelation,
+        durationSeconds: signal.durationSeconds,
+    };
+
+    logger.debug({ wavPath, ...quality, duration: Date.now() - startTime }, 'Quality analysis complete');
+    return quality;
+}
+
+/**
+ * Checks a quality report against the configured gates. Gates set to null are skipped,
+ * as are values that could not be measured.
+ * @param {Object} quality - Report from analyzeQuality
+ * @param {Object} gates - Limits (default: config.quality.gates)
+ * @returns {Object[]} Violations { gate, value, limit, message } (empty if the audio passes)
+ */
+export function checkQualityGates(quality, gates = config.quality.gates) {
+    const checks = [
+        ['maxTruePeakDb', quality.truePeakDb, (value, limit) => value > limit, 'true peak {value} dBTP above {limit} dBTP'],
+        ['maxClippedSamples', quality.clippedSamples, (value, limit) => value > limit, '{value} clipped samples (limit {limit})'],
+        ['maxDcOffset', quality.dcOffset, (value, limit) => value > limit, 'DC offset {value} above {limit}'],
+        ['minLoudnessRange', quality.loudnessRangeLU, (value, limit) => value < limit, 'loudness range {value} LU below {limit} LU'],
+        ['maxLoudnessRange', quality.loudnessRangeLU, (value, limit) => value > limit, 'loudness range {value} LU above {limit} LU'],
+        ['maxSilenceRatio', quality.silenceRatio, (value, limit) => value > limit, 'silent for {value} of the duration (limit {limit})'],
+        ['maxStereoCorrelation', quality.stereoCorrelation, (value, limit) => value > limit, 'stereo correlation {value} above {limit} (mono in stereo)'],
+    ];
+
+    return checks
+        .filter(([gate, value, fails]) => gates[gate] !== null && gates[gate] !== undefined && value !== null && fails(value, gates[gate]))
+        .map(([gate, value, , message]) => ({
+            gate,
+            value,
+            limit: gates[gate],
+            message: message.replace('{value}', value).replace('{limit}', gates[gate]),
+        }));
+}
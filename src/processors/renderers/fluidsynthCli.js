@@ -0,0 +1,145 @@
+import { writeFileSync } from 'fs';
+import { spawn } from 'child_process';
+import { getTempFilePath, deleteTempFile } from '../../utils/tempFiles.js';
+import { ProcessingError } from '../../utils/errors.js';
+import { toFluidSynthSettings, INTERPOLATION_METHODS } from './synthSettings.js';
+import { getSampleFormat } from '../../utils/sampleFormat.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ module: 'renderer:fluidsynth-cli' });
+
+// Availability is checked once per process
+let availablePromise = null;
+
+/**
+ * Checks if fluidsynth is available on the system
+ * @returns {Promise<boolean>}
+ */
+function checkFluidSynthAvailable() {
+    if (!availablePromise) {
+        availablePromise = new Promise((resolve) => {
+            const process = spawn('which', ['fluidsynth']);
+            process.on('close', (code) => {
+                resolve(code === 0);
+            });
+            process.on('error', () => {
+                resolve(false);
+            });
+        });
+    }
+    return availablePromise;
+}
+
+/**
+ * Renders MIDI data to a WAV file by spawning the fluidsynth command-line binary.
+ * For an in-memory PCM buffer, raw samples are piped from stdout instead.
+ * @param {Buffer} midiBuffer - MIDI file data
+ * @param {string|Object} outputPath - Path to save WAV file, or an in-memory PCM buffer
+ * @param {Object} options - Render options
+ * @param {string} options.soundfontPath - Soundfont to render with
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} options.bitDepth - Output bits per sample: 16, 24 or 32 (float)
+ * @param {number} options.timeoutMs - Kill the process after this many milliseconds
+ * @param {Object} options.profile - Synthesis profile (reverb, chorus, polyphony, ...)
+ * @returns {Promise<void>}
+ */
+async function render(midiBuffer, outputPath, { soundfontPath, sampleRate, bitDepth = 16, timeoutMs, profile = {} }) {
+    if (!await checkFluidSynthAvailable()) {
+        throw new Error('FluidSynth is not installed. Please install it: brew install fluid-synth (macOS) or apt-get install fluidsynth (Linux)');
+    }
+
+    const midiPath = getTempFilePath('.mid');
+    // Interpolation has no FluidSynth setting, it is set by a shell command file
+    const commandsPath = profile.interpolation ? getTempFilePath('.fluidsynth') : null;
+
+    try {
+        // Write MIDI buffer to temporary file
+        writeFileSync(midiPath, midiBuffer);
+        logger.debug({ midiPath, size: midiBuffer.length }, 'Wrote MIDI to temp file');
+
+        if (commandsPath) {
+            writeFileSync(commandsPath, `interp ${INTERPOLATION_METHODS[profile.interpolation]}\n`);
+        }
+
+        const settingArgs = Object.entries(toFluidSynthSettings({ gain: 1.0, ...profile }))
+            .flatMap(([name, value]) => ['-o', `${name}=${value}`]);
+
+        const streaming = typeof outputPath !== 'string';
+        const sampleType = getSampleFormat(bitDepth).fluidsynthFormat;
+        // Streaming: raw little-endian samples on stdout, matching the PCM buffer
+        const outputArgs = streaming
+            ? ['-F', '-', '-T', 'raw', '-O', sampleType, '-E', 'little']
+            : ['-F', outputPath, '-T', 'wav', '-O', sampleType];
+
+        await new Promise((resolve, reject) => {
+            // FluidSynth command: fluidsynth -F output.wav -a file -m file soundfont.sf2 input.mid
+            const args = [
+                ...outputArgs,                 // Fast render to file (or stdout), output type and sample format
+                '-a', 'file',                  // Audio driver: file (no hardware)
+                '-m', 'file',                  // MIDI driver: file (no hardware)
+                '-r', sampleRate.toString(),   // Sample rate
+                '-q',                          // Quiet mode (no shell)
+                ...settingArgs,                // Synthesis profile (gain, reverb, chorus, ...)
+                ...(commandsPath ? ['-f', commandsPath] : []),
+                soundfontPath,                 // Soundfont
+                midiPath                       // MIDI file
+            ];
+
+            logger.debug({ args }, 'Executing FluidSynth');
+
+            const fluidsynth = spawn('fluidsynth', args);
+
+            // Timeout to prevent hanging forever
+            const timeoutTimer = setTimeout(() => {
+                logger.error({ midiPath, timeoutMs }, 'FluidSynth timed out, killing process');
+                fluidsynth.kill('SIGKILL');
+                reject(new ProcessingError('RENDER_TIMEOUT', `FluidSynth timed out after ${timeoutMs}ms`, { retryable: false }));
+            }, timeoutMs);
+
+            let stderr = '';
+
+            if (streaming) {
+                fluidsynth.stdout.on('data', (data) => outputPath.writeInterleaved(data));
+            }
+
+            fluidsynth.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            fluidsynth.on('close', (code, signal) => {
+                clearTimeout(timeoutTimer); // Clear timeout on exit
+
+                if (code !== 0) {
+                    // Promise settlement is handled by the first call (resolve/reject),
+                    // so a close after our own timeout kill is ignored here.
+                    const exitInfo = code !== null ? `code ${code}` : `signal ${signal}`;
+                    logger.error({ code, signal, stderr }, 'FluidSynth failed');
+                    reject(new Error(`FluidSynth failed with ${exitInfo}: ${stderr}`));
+                } else {
+                    resolve();
+                }
+            });
+
+            fluidsynth.on('error', (error) => {
+                clearTimeout(timeoutTimer);
+                logger.error({ error: error.message }, 'FluidSynth process error');
+                reject(new Error(`FluidSynth process error: ${error.message}`));
+            });
+        });
+    } finally {
+        // Cleanup temporary files
+        deleteTempFile(midiPath);
+        if (commandsPath) deleteTempFile(commandsPath);
+    }
+}
+
+/**
+ * FluidSynth command-line renderer (requires the fluidsynth binary)
+ */
+export default {
+    name: 'fluidsynth-cli',
+    description: 'FluidSynth command-line binary',
+    isAvailable: checkFluidSynthAvailable,
+    render,
+    close: async () => {},
+};
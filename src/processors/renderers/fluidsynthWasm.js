@@ -0,0 +1,176 @@
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { createWavWriter } from '../../utils/wav.js';
+import { getSampleFormat } from '../../utils/sampleFormat.js';
+import { ProcessingError } from '../../utils/errors.js';
+import { INTERPOLATION_METHODS } from './synthSettings.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ module: 'renderer:fluidsynth-wasm' });
+const require = createRequire(import.meta.url);
+
+// Frames rendered per synthesizer call
+const RENDER_BLOCK_FRAMES = 8192;
+
+// Maximum release tail rendered after the MIDI player has finished
+const MAX_TAIL_SECONDS = 5;
+
+// Yield to the event loop every N blocks so concurrent documents keep progressing
+const YIELD_EVERY_BLOCKS = 32;
+
+let jsSynthPromise = null;
+const soundfontCache = new Map();
+
+/**
+ * Loads js-synthesizer and initializes the bundled FluidSynth WebAssembly module
+ * @returns {Promise<Object>} js-synthesizer namespace
+ */
+function loadJsSynthesizer() {
+    if (!jsSynthPromise) {
+        jsSynthPromise = (async () => {
+            const JSSynth = require('js-synthesizer');
+            JSSynth.Synthesizer.initializeWithFluidSynthModule(require('js-synthesizer/libfluidsynth'));
+            await JSSynth.Synthesizer.waitForWasmInitialized();
+            logger.debug('FluidSynth WebAssembly module initialized');
+            return JSSynth;
+        })();
+    }
+    return jsSynthPromise;
+}
+
+/**
+ * Checks if the WebAssembly synthesizer can be loaded
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+    try {
+        await loadJsSynthesizer();
+        return true;
+    } catch (error) {
+        logger.debug({ error: error.message }, 'js-synthesizer not available');
+        return false;
+    }
+}
+
+/**
+ * Reads a soundfont into memory, caching it for subsequent renders
+ * @param {string} soundfontPath - Path to SF2/SF3 file
+ * @returns {Promise<ArrayBuffer>} Soundfont data
+ */
+function loadSoundfont(soundfontPath) {
+    if (!soundfontCache.has(soundfontPath)) {
+        const promise = readFile(soundfontPath).then((data) =>
+            data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        // Do not cache failed reads
+        promise.catch(() => soundfontCache.delete(soundfontPath));
+        soundfontCache.set(soundfontPath, promise);
+    }
+    return soundfontCache.get(soundfontPath);
+}
+
+/**
+ * Converts a synthesis profile to js-synthesizer settings
+ * (CPU cores do not apply to the single-threaded WebAssembly build)
+ * @param {Object} profile - Synthesis profile
+ * @returns {Object} js-synthesizer SynthesizerSettings
+ */
+function toJsSynthSettings(profile) {
+    const { reverb = {}, chorus = {} } = profile;
+    const settings = {
+        initialGain: profile.gain ?? 1.0,
+        polyphony: profile.polyphony,
+        reverbActive: reverb.active,
+        reverbRoomSize: reverb.roomSize,
+        reverbDamp: reverb.damping,
+        reverbWidth: reverb.width,
+        reverbLevel: reverb.level,
+        chorusActive: chorus.active,
+        chorusNr: chorus.voices,
+        chorusLevel: chorus.level,
+        chorusSpeed: chorus.speed,
+        chorusDepth: chorus.depth,
+    };
+
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Renders MIDI data to a WAV file with the in-process FluidSynth WebAssembly build
+ * @param {Buffer} midiBuffer - MIDI file data
+ * @param {string|Object} outputPath - Path to save WAV file, or an in-memory PCM buffer
+ * @param {Object} options - Render options
+ * @param {string} options.soundfontPath - Soundfont to render with
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} options.bitDepth - Output bits per sample: 16, 24 or 32 (float)
+ * @param {number} options.timeoutMs - Abort rendering after this many milliseconds
+ * @param {Object} options.profile - Synthesis profile (reverb, chorus, polyphony, ...)
+ * @returns {Promise<void>}
+ */
+async function render(midiBuffer, outputPath, { soundfontPath, sampleRate, bitDepth = 16, timeoutMs, profile = {} }) {
+    const deadline = Date.now() + timeoutMs;
+    const JSSynth = await loadJsSynthesizer();
+    const soundfont = await loadSoundfont(soundfontPath);
+
+    const synth = new JSSynth.Synthesizer();
+    synth.init(sampleRate, toJsSynthSettings(profile));
+    if (profile.interpolation) {
+        synth.setInterpolation(INTERPOLATION_METHODS[profile.interpolation]);
+    }
+
+    const writer = typeof outputPath === 'string'
+        ? createWavWriter(outputPath, { sampleRate, channels: 2, bitDepth, float: getSampleFormat(bitDepth).float })
+        : outputPath;
+
+    try {
+        await synth.loadSFont(soundfont);
+        await synth.addSMFDataToPlayer(
+            midiBuffer.buffer.slice(midiBuffer.byteOffset, midiBuffer.byteOffset + midiBuffer.byteLength));
+        await synth.playPlayer();
+
+        const left = new Float32Array(RENDER_BLOCK_FRAMES);
+        const right = new Float32Array(RENDER_BLOCK_FRAMES);
+        const maxTailFrames = MAX_TAIL_SECONDS * sampleRate;
+        let tailFrames = 0;
+        let blocks = 0;
+
+        // Render until the player is done and the release tails have died out
+        while (synth.isPlayerPlaying() || (synth.isPlaying() && tailFrames < maxTailFrames)) {
+            if (!synth.isPlayerPlaying()) {
+                tailFrames += RENDER_BLOCK_FRAMES;
+            }
+
+            synth.render([left, right]);
+            writer.write([left, right]);
+
+            if (++blocks % YIELD_EVERY_BLOCKS === 0) {
+                if (Date.now() > deadline) {
+                    throw new ProcessingError('RENDER_TIMEOUT', `WebAssembly render timed out after ${timeoutMs}ms`, { retryable: false });
+                }
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+        }
+
+        logger.debug({ blocks, tailFrames }, 'WebAssembly render finished');
+    } finally {
+        writer.close();
+        synth.close();
+    }
+}
+
+/**
+ * Releases cached soundfonts
+ */
+async function close() {
+    soundfontCache.clear();
+}
+
+/**
+ * In-process FluidSynth renderer compiled to WebAssembly (js-synthesizer)
+ */
+export default {
+    name: 'fluidsynth-wasm',
+    description: 'FluidSynth WebAssembly build via js-synthesizer',
+    isAvailable,
+    render,
+    close,
+};
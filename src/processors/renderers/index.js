@@ -0,0 +1,100 @@
+import fluidSynthCliRenderer from './fluidsynthCli.js';
+import fluidSynthWasmRenderer from './fluidsynthWasm.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger({ module: 'rendererRegistry' });
+
+/**
+ * Special renderer name that picks the first available registered engine
+ */
+export const AUTO_RENDERER = 'auto';
+
+// Registered engines in order of preference for 'auto'
+const renderers = new Map();
+
+/**
+ * Registers a renderer engine
+ *
+ * Every engine implements the same contract:
+ * - name: unique identifier used in config/CLI
+ * - description: human readable description
+ * - isAvailable(): Promise<boolean>, whether the engine can run on this system
+ * - render(midiBuffer, outputPath, options): Promise<void>, writes a WAV file to outputPath
+ *   (options: soundfontPath, sampleRate, bitDepth, timeoutMs, profile). In streaming mode outputPath is
+ *   an in-memory PCM buffer (utils/pcmBuffer.js) instead of a path; engines feed it with
+ *   write(channelData, frameCount) or writeInterleaved(bytes) in its sampleFormat
+ * - close(): Promise<void>, releases engine resources
+ *
+ * @param {Object} renderer - Renderer implementation
+ */
+export function registerRenderer(renderer) {
+    for (const key of ['name', 'isAvailable', 'render', 'close']) {
+        if (!renderer?.[key]) {
+            throw new Error(`Renderer is missing required property "${key}"`);
+        }
+    }
+
+    if (renderer.name === AUTO_RENDERER) {
+        throw new Error(`Renderer name "${AUTO_RENDERER}" is reserved`);
+    }
+
+    renderers.set(renderer.name, renderer);
+    logger.debug({ name: renderer.name }, 'Registered renderer');
+}
+
+/**
+ * Lists the names of all registered renderers
+ * @returns {string[]} Renderer names
+ */
+export function listRenderers() {
+    return [...renderers.keys()];
+}
+
+/**
+ * Checks if a renderer name is valid (registered or 'auto')
+ * @param {string} name - Renderer name
+ * @returns {boolean}
+ */
+export function isKnownRenderer(name) {
+    return name === AUTO_RENDERER || renderers.has(name);
+}
+
+/**
+ * Resolves a renderer by name. 'auto' selects the first available engine.
+ * @param {string} name - Renderer name
+ * @returns {Promise<Object>} Renderer implementation
+ */
+export async function resolveRenderer(name) {
+    if (name === AUTO_RENDERER) {
+        for (const renderer of renderers.values()) {
+            if (await renderer.isAvailable()) {
+                return renderer;
+            }
+        }
+        throw new Error(`No renderer available. Registered: ${listRenderers().join(', ')}`);
+    }
+
+    const renderer = renderers.get(name);
+    if (!renderer) {
+        throw new Error(`Unknown renderer "${name}". Available: ${AUTO_RENDERER}, ${listRenderers().join(', ')}`);
+    }
+
+    return renderer;
+}
+
+/**
+ * Closes all registered renderers
+ */
+export async function closeAllRenderers() {
+    for (const renderer of renderers.values()) {
+        try {
+            await renderer.close();
+        } catch (error) {
+            logger.warn({ name: renderer.name, error: error.message }, 'Failed to close renderer');
+        }
+    }
+}
+
+// Built-in engines (CLI first: preferred by 'auto' when the binary exists)
+registerRenderer(fluidSynthCliRenderer);
+registerRenderer(fluidSynthWasmRenderer);
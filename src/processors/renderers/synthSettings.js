@@ -0,0 +1,38 @@
+/**
+ * Mapping of synthesis profiles (see config.synthesis) to FluidSynth settings
+ */
+
+// FluidSynth interpolation method constants (fluid_interp)
+export const INTERPOLATION_METHODS = {
+    none: 0,
+    linear: 1,
+    '4th': 4,
+    '7th': 7,
+};
+
+/**
+ * Converts a synthesis profile to FluidSynth settings (as used by `fluidsynth -o name=value`)
+ * @param {Object} profile - Synthesis profile
+ * @returns {Object} FluidSynth setting values by setting name
+ */
+export function toFluidSynthSettings(profile = {}) {
+    const { reverb = {}, chorus = {} } = profile;
+    const settings = {
+        'synth.gain': profile.gain,
+        'synth.polyphony': profile.polyphony,
+        'synth.cpu-cores': profile.cpuCores,
+        'synth.reverb.active': reverb.active === undefined ? undefined : Number(reverb.active),
+        'synth.reverb.room-size': reverb.roomSize,
+        'synth.reverb.damp': reverb.damping,
+        'synth.reverb.width': reverb.width,
+        'synth.reverb.level': reverb.level,
+        'synth.chorus.active': chorus.active === undefined ? undefined : Number(chorus.active),
+        'synth.chorus.nr': chorus.voices,
+        'synth.chorus.level': chorus.level,
+        'synth.chorus.speed': chorus.speed,
+        'synth.chorus.depth': chorus.depth,
+    };
+
+    // Drop unset values so the engine defaults apply
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,117 @@
+import config from '../config.js';
+import { getField } from '../utils/documentFields.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger({ module: 'soundfontSelector' });
+
+const DEFAULT_SOUNDFONT = 'default';
+
+/**
+ * Normalizes a rule criterion to a list of lowercase strings
+ * @param {string|string[]} value - Criterion value
+ * @returns {string[]}
+ */
+function toLowerList(value) {
+    return (Array.isArray(value) ? value : [value]).map((item) => String(item).toLowerCase());
+}
+
+/**
+ * Collects all artist names known for a document
+ * @param {Object} document - MongoDB document
+ * @returns {string[]} Lowercase artist names
+ */
+function getArtists(document) {
+    return [
+        document.redacted?.artist,
+        document.musicLLM?.artist,
+        document.musicbrainz?.top?.artist,
+        document.musicbrainz?.oldest?.artist,
+    ].filter((artist) => typeof artist === 'string').map((artist) => artist.toLowerCase());
+}
+
+/**
+ * Collects genre tag names from musicbrainz
+ * @param {Object} document - MongoDB document
+ * @returns {string[]} Lowercase tag names
+ */
+function getGenres(document) {
+    const tags = document.musicbrainz?.top?.tags || [];
+    return tags.filter((tag) => typeof tag?.name === 'string').map((tag) => tag.name.toLowerCase());
+}
+
+/**
+ * Checks whether a rule matches a document. All criteria given in a rule must match,
+ * each criterion matches if any of its values matches.
+ * @param {Object} match - Rule match criteria (genre, artist, fileName)
+ * @param {Object} document - MongoDB document
+ * @returns {boolean}
+ */
+function ruleMatches(match, document) {
+    if (match.genre) {
+        const genres = getGenres(document);
+        if (!toLowerList(match.genre).some((genre) => genres.includes(genre))) {
+            return false;
+        }
+    }
+
+    if (match.artist) {
+        const artists = getArtists(document);
+        if (!toLowerList(match.artist).some((artist) => artists.includes(artist))) {
+            return false;
+        }
+    }
+
+    if (match.fileName) {
+        const fileName = document.midifile?.fileName?.toString() || '';
+        if (!new RegExp(match.fileName, 'i').test(fileName)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Builds the selection result for a named soundfont
+ * @param {string} name - Soundfont name from registry
+ * @param {string} reason - Why it was selected
+ * @returns {Object} Selected soundfont
+ */
+function buildSelection(name, reason) {
+    const path = name === DEFAULT_SOUNDFONT
+        ? config.soundfont.path
+        : config.soundfont.registry.soundfonts[name];
+
+    return { name, path, reason };
+}
+
+/**
+ * Selects the soundfont to render a document with.
+ * Priority: explicit document field > first matching rule > default soundfont.
+ * @param {Object} document - MongoDB document
+ * @returns {Object} Selected soundfont { name, path, reason }
+ */
+export function selectSoundfont(document) {
+    const { registry, documentField } = config.soundfont;
+
+    // Explicit soundfont name on the document
+    const explicitName = getField(document, documentField);
+    if (explicitName) {
+        if (explicitName === DEFAULT_SOUNDFONT || registry.soundfonts[explicitName]) {
+            return buildSelection(explicitName, `field:${documentField}`);
+        }
+        logger.warn({
+            hash: document.midifile?.hash,
+            soundfont: explicitName,
+        }, 'Document references unknown soundfont, falling back to rules');
+    }
+
+    // First matching rule wins
+    const ruleIndex = registry.rules.findIndex((rule) => ruleMatches(rule.match || {}, document));
+    if (ruleIndex !== -1) {
+        const rule = registry.rules[ruleIndex];
+        return buildSelection(rule.soundfont, rule.name ? `rule:${rule.name}` : `rule:#${ruleIndex + 1}`);
+    }
+
+    return buildSelection(DEFAULT_SOUNDFONT, 'default');
+}
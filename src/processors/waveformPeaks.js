@@ -0,0 +1,106 @@
+import { Writable } from 'stream';
+
+// audiowaveform data format version written to JSON and .dat files
+const WAVEFORM_FORMAT_VERSION = 2;
+
+// .dat header flag: 8-bit samples
+const FLAG_8_BIT = 0x1;
+
+/**
+ * Creates a writable stream that reduces mono signed 16-bit little-endian PCM
+ * to min/max peak pairs, one pair per `samplesPerPixel` samples
+ * @param {Object} options - Peak options
+ * @param {number} options.sampleRate - Sample rate of the PCM data
+ * @param {number} options.samplesPerPixel - Samples summarized by one peak pair
+ * @param {number} options.bits - Resolution of the stored peaks (8 or 16)
+ * @returns {Writable} Stream with a getPeaks() method returning the waveform once finished
+ */
+export function createPeakStream({ sampleRate, samplesPerPixel, bits }) {
+    const peaks = [];
+    const shift = bits === 8 ? 8 : 0;
+    let leftover = null;
+    let count = 0;
+    let min = 0;
+    let max = 0;
+
+    const addSample = (sample) => {
+        if (count === 0 || sample < min) {
+            min = sample;
+        }
+        if (count === 0 || sample > max) {
+            max = sample;
+        }
+        if (++count === samplesPerPixel) {
+            peaks.push(min >> shift, max >> shift);
+            count = 0;
+        }
+    };
+
+    const stream = new Writable({
+        // fluent-ffmpeg treats a closing output stream as an aborted run
+        emitClose: false,
+        write(chunk, encoding, callback) {
+            let data = chunk;
+            if (leftover) {
+                data = Buffer.concat([leftover, chunk]);
+                leftover = null;
+            }
+
+            const end = data.length - (data.length % 2);
+            for (let offset = 0; offset < end; offset += 2) {
+                addSample(data.readInt16LE(offset));
+            }
+            if (end < data.length) {
+                leftover = data.subarray(end);
+            }
+            callback();
+        },
+        final(callback) {
+            // Partial last pixel
+            if (count > 0) {
+                peaks.push(min >> shift, max >> shift);
+                count = 0;
+            }
+            callback();
+        },
+    });
+
+    stream.getPeaks = () => ({
+        version: WAVEFORM_FORMAT_VERSION,
+        channels: 1,
+        sample_rate: sampleRate,
+        samples_per_pixel: samplesPerPixel,
+        bits,
+        length: peaks.length / 2,
+        data: peaks,
+    });
+
+    return stream;
+}
+
+/**
+ * Encodes a waveform in the binary .dat format of BBC audiowaveform (version 2)
+ * @param {Object} waveform - Waveform from createPeakStream().getPeaks()
+ * @returns {Buffer} .dat file data
+ */
+export function encodeWaveformDat(waveform) {
+    const bytesPerValue = waveform.bits === 8 ? 1 : 2;
+    const header = Buffer.alloc(24);
+    header.writeInt32LE(WAVEFORM_FORMAT_VERSION, 0);
+    header.writeUInt32LE(waveform.bits === 8 ? FLAG_8_BIT : 0, 4);
+    header.writeInt32LE(waveform.sample_rate, 8);
+    header.writeInt32LE(waveform.samples_per_pixel, 12);
+    header.writeUInt32LE(waveform.length, 16);
+    header.writeInt32LE(waveform.channels, 20);
+
+    const data = Buffer.alloc(waveform.data.length * bytesPerValue);
+    waveform.data.forEach((value, index) => {
+        if (bytesPerValue === 1) {
+            data.writeInt8(value, index);
+        } else {
+            data.writeInt16LE(value, index * 2);
+        }
+    });
+
+    return Buffer.concat([header, data]);
+}
@@ -0,0 +1,133 @@
+import { encodeAudio, getOutputExtension } from './processors/audioEncoder.js';
+import { verifyOutput } from './processors/outputVerifier.js';
+import { generateOutputPath, generateUniquePath } from './filesystem/pathGenerator.js';
+import { moveFileAtomic, fileExists } from './filesystem/fileWriter.js';
+import { getTempFilePath, deleteTempFile } from './utils/tempFiles.js';
+import { ProcessingError } from './utils/errors.js';
+import { createLogger } from './utils/logger.js';
+import config from './config.js';
+
+const logger = createLogger({ module: 'renditionProcessor' });
+
+// Encoder settings a rendition may override (see validateRenditions)
+const ENCODER_SETTINGS = ['bitrate', 'quality', 'compressionLevel', 'bitDepth'];
+
+/**
+ * Resolves the renditions of a run: the per-run list, RENDITIONS, or else a single
+ * rendition in the output format
+ * @param {Object} options - Per-run pipeline options (see processMidiDocument)
+ * @returns {Object[]} Renditions; the first one is the primary rendition
+ */
+export function resolveRenditions(options = {}) {
+    const renditions = options.renditions || config.renditions.list;
+    if (renditions.length > 0) {
+        return renditions;
+    }
+
+    return [{ name: 'main', format: options.format || config.output.format }];
+}
+
+/**
+ * Picks the encoder settings of a rendition
+ * @param {Object} rendition - Rendition
+ * @returns {Object} Settings the rendition sets
+ */
+function getEncoderSettings(rendition) {
+    return Object.fromEntries(ENCODER_SETTINGS
+        .filter((setting) => rendition[setting] !== undefined)
+        .map((setting) => [setting, rendition[setting]]));
+}
+
+/**
+ * Encodes, verifies and writes one rendition
+ * @param {Object} document - MongoDB document
+ * @param {Object} rendition - Rendition
+ * @param {Object} context - Rendition context (see processRenditions)
+ * @returns {Promise<Object>} { rendition: entry for MongoDB, metadata: written tags }
+ */
+async function processRendition(document, rendition, context) {
+    const hash = document.midifile?.hash;
+    const settings = getEncoderSettings(rendition);
+    const extension = getOutputExtension(rendition.format);
+    const tempPath = getTempFilePath(`_${rendition.name}${extension}`);
+
+    try {
+        const encodingResult = await encodeAudio(context.wavPath, tempPath, document, context.processing, {
+            format: rendition.format,
+            ...settings,
+        });
+
+        // Decode the file and check that it matches what was rendered and normalized
+        let verification = null;
+        if (context.expected) {
+            verification = await verifyOutput(tempPath, context.expected, { format: rendition.format });
+            if (verification.problems.length > 0) {
+                throw new ProcessingError('VERIFICATION_FAILED', `Output verification failed: ${verification.problems.join('; ')}`);
+            }
+        }
+
+        let outputPath = generateOutputPath(document, hash, extension, rendition);
+
+        // Handle collision by appending hash
+        if (fileExists(outputPath)) {
+            logger.warn({ hash, rendition: rendition.name, outputPath }, 'Output file already exists, using unique path');
+            outputPath = generateUniquePath(outputPath, hash);
+        }
+
+        await moveFileAtomic(tempPath, outputPath);
+        logger.debug({ hash, rendition: rendition.name, outputPath }, 'Rendition written');
+
+        return {
+            rendition: {
+                name: rendition.name,
+                format: rendition.format,
+                ...settings,
+                status: 'completed',
+                outputPath,
+                verification,
+            },
+            metadata: encodingResult.metadata,
+        };
+    } finally {
+        deleteTempFile(tempPath);
+    }
+}
+
+/**
+ * Encodes the normalized master into every rendition. The primary (first) rendition
+ * decides the outcome of the document and fails it on errors; a failing further
+ * rendition is recorded as failed and does not invalidate the others.
+ * @param {Object} document - MongoDB document
+ * @param {Object} context - Rendition context
+ * @param {string|Object} context.wavPath - Normalized WAV, or PCM buffer (streaming mode)
+ * @param {Object[]} context.renditions - Renditions (see resolveRenditions)
+ * @param {Object} context.processing - Processing details to record in the tags (see extractMetadata)
+ * @param {Object|null} context.expected - Expected loudness, true peak and duration (see verifyOutput),
+ *   or null to skip the verification
+ * @returns {Promise<Object>} { renditions: entries for MongoDB, metadata: tags of the primary rendition }
+ */
+export async function processRenditions(document, context) {
+    const hash = document.midifile?.hash;
+    const [primary, ...others] = context.renditions;
+
+    const primaryResult = await processRendition(document, primary, context);
+    const renditions = [primaryResult.rendition];
+
+    for (const rendition of others) {
+        try {
+            renditions.push((await processRendition(document, rendition, context)).rendition);
+        } catch (error) {
+            logger.error({ hash, rendition: rendition.name, error: error.message }, 'Rendition failed');
+            renditions.push({
+                name: rendition.name,
+                format: rendition.format,
+                ...getEncoderSettings(rendition),
+                status: 'failed',
+                error: error.message,
+                errorCode: error.code || null,
+            });
+        }
+    }
+
+    return { renditions, metadata: primaryResult.metadata };
+}
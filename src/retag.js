@@ -0,0 +1,300 @@
+import { extname } from 'path';
+import { getCompletedOutputsCursor, updateProcessingStatusById } from './database/queries.js';
+import { extractMetadata } from './processors/mp3Encoder.js';
+import { updateTags } from './processors/audioEncoder.js';
+import { generateOutputPath, generateUniquePath, generateStemPath, generatePreviewPath, generateSidecarPaths, getAlbumKey } from './filesystem/pathGenerator.js';
+import { moveFileAtomic, fileExists } from './filesystem/fileWriter.js';
+import { resolveRenditions } from './renditionProcessor.js';
+import { resolveMetadata } from './utils/metadataResolver.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger({ module: 'retag' });
+
+/**
+ * Rebuilds the processing details extractMetadata records in the tags from what the
+ * pipeline stored. Lyrics and the cover are not stored; the files keep their current ones.
+ * ReplayGain is left out: only the renditions of the mix carry it, stems and the preview
+ * are written without it.
+ * @param {Object} processing - midiToAudioProcessing of a completed document
+ * @returns {Object} Processing details (see extractMetadata)
+ */
+function getStoredProcessing(processing) {
+    return {
+        soundfont: processing.soundfont,
+        synthProfile: processing.synthProfile?.name,
+        transforms: processing.transforms,
+        musicalMetadata: processing.musicalMetadata,
+    };
+}
+
+/**
+ * Lists the written renditions of a document; documents from before renditions
+ * only have outputPath
+ * @param {Object} processing - midiToAudioProcessing of a completed document
+ * @returns {Object[]} Completed renditions { name, outputPath, ... }
+ */
+function getWrittenRenditions(processing) {
+    if (!processing.renditions) {
+        return [{ name: 'main', status: 'completed', outputPath: processing.outputPath }];
+    }
+
+    return processing.renditions.filter((rendition) => rendition.status === 'completed');
+}
+
+/**
+ * Works out where a file belongs now. A file already at its generated path (or at the
+ * hash-suffixed path used on collisions) stays where it is.
+ * @param {string} currentPath - Current file path
+ * @param {string} generatedPath - Path generated from the current metadata
+ * @param {string} hash - MIDI file hash
+ * @returns {string} Target path
+ */
+function planTarget(currentPath, generatedPath, hash) {
+    const uniquePath = generateUniquePath(generatedPath, hash);
+    if (currentPath === generatedPath || currentPath === uniquePath) {
+        return currentPath;
+    }
+
+    const target = fileExists(generatedPath) ? uniquePath : generatedPath;
+    if (fileExists(target)) {
+        throw new Error(`Cannot move ${currentPath}: ${target} already exists`);
+    }
+    return target;
+}
+
+/**
+ * Rewrites the tags of one file
+ * @param {string} filePath - Output file
+ * @param {Object} tags - Tag data from extractMetadata
+ * @param {boolean} dryRun - Only log the file
+ */
+async function retagFile(filePath, tags, dryRun) {
+    if (!fileExists(filePath)) {
+        throw new Error(`Output file is missing: ${filePath}`);
+    }
+
+    logger.debug({ filePath, artist: tags.artist, title: tags.title, album: tags.album, dryRun }, 'Retagging file');
+    if (!dryRun) {
+        await updateTags(filePath, tags);
+    }
+}
+
+/**
+ * Plans where the outputs of a document move to: the renditions by the current
+ * RENDITIONS configuration and path templates, the sidecar files and stems with the
+ * primary rendition (see generateSidecarPaths), and the preview clip. Every target is
+ * checked before anything moves, so a collision leaves all files where they are.
+ * @param {Object} document - Completed MongoDB document
+ * @param {Object[]} [configured] - Current renditions (see resolveRenditions)
+ * @returns {Map<string, string>} Target path by current path of each file that moves
+ * @throws {Error} If a target path is taken or two files would move to the same path
+ */
+export function planMoves(document, configured = resolveRenditions()) {
+    const hash = document.midifile?.hash;
+    const processing = document.midiToAudioProcessing;
+    const moves = new Map();
+    const plan = (path, target) => {
+        if (path && target !== path) {
+            moves.set(path, target);
+        }
+    };
+
+    // Renditions; the first one is the primary and carries the sidecar files
+    const renditions = getWrittenRenditions(processing);
+    for (const rendition of renditions) {
+        const current = configured.find((entry) => entry.name === rendition.name);
+        if (!current) {
+            logger.warn({ hash, rendition: rendition.name }, 'Rendition is no longer configured, not moving it');
+            continue;
+        }
+
+        const generatedPath = generateOutputPath(document, hash, extname(rendition.outputPath), current);
+        plan(rendition.outputPath, planTarget(rendition.outputPath, generatedPath, hash));
+    }
+
+    const previousPath = renditions[0].outputPath;
+    const primaryPath = moves.get(previousPath) ?? previousPath;
+    if (primaryPath !== previousPath) {
+        const sidecars = generateSidecarPaths(primaryPath);
+        const planSidecar = (path, target) => {
+            if (path && fileExists(path)) {
+                plan(path, target);
+            }
+        };
+
+        planSidecar(processing.lyrics?.lrcPath, sidecars.lrcPath);
+        planSidecar(processing.waveform?.jsonPath, sidecars.waveformJsonPath);
+        planSidecar(processing.waveform?.datPath, sidecars.waveformDatPath);
+
+        // The album cover this document wrote moves along, unless the new folder has one already
+        if (!fileExists(sidecars.coverPath)) {
+            planSidecar(processing.coverArt?.coverPath, sidecars.coverPath);
+        }
+
+        // Stems follow the mix into its stem folder
+        for (const entry of processing.stems || []) {
+            if (entry.status === 'completed') {
+                plan(entry.outputPath, generateStemPath(primaryPath, entry.index, entry.label));
+            }
+        }
+    }
+
+    if (processing.preview?.outputPath) {
+        const { outputPath } = processing.preview;
+        plan(outputPath, planTarget(outputPath, generatePreviewPath(document, hash), hash));
+    }
+
+    const targets = new Set();
+    for (const [path, target] of moves) {
+        if (targets.has(target)) {
+            throw new Error(`Cannot move ${path}: another output moves to ${target}`);
+        }
+        if (fileExists(target)) {
+            throw new Error(`Cannot move ${path}: ${target} already exists`);
+        }
+        targets.add(target);
+    }
+
+    return moves;
+}
+
+/**
+ * Builds the MongoDB update of a retagged document with the paths of the files moved so far
+ * @param {Object} document - Completed MongoDB document
+ * @param {Object} tags - Tag data of the mix from extractMetadata
+ * @param {Map<string, string>} moved - New path by previous path of each moved file
+ * @returns {Object} Fields to set (see updateProcessingStatusById)
+ */
+function buildRetagUpdate(document, tags, moved) {
+    const processing = document.midiToAudioProcessing;
+    const pathOf = (path) => moved.get(path) ?? path;
+    const withPath = (entry) => (entry.outputPath ? { ...entry, outputPath: pathOf(entry.outputPath) } : entry);
+    const update = { outputPath: pathOf(processing.outputPath) };
+
+    if (processing.renditions) {
+        update.renditions = processing.renditions.map(withPath);
+    }
+    if (processing.lyrics?.lrcPath) {
+        update.lyrics = { ...processing.lyrics, lrcPath: pathOf(processing.lyrics.lrcPath) };
+    }
+    if (processing.waveform) {
+        update.waveform = {
+            ...processing.waveform,
+            jsonPath: pathOf(processing.waveform.jsonPath),
+            datPath: pathOf(processing.waveform.datPath),
+        };
+    }
+    if (processing.coverArt?.coverPath) {
+        update.coverArt = { ...processing.coverArt, coverPath: pathOf(processing.coverArt.coverPath) };
+    }
+    if (processing.stems) {
+        update.stems = processing.stems.map(withPath);
+    }
+    if (processing.preview?.outputPath) {
+        update.preview = withPath(processing.preview);
+    }
+
+    // Album folders follow the metadata, so album ReplayGain groups the tracks the same way
+    if (processing.loudness) {
+        update.loudness = { ...processing.loudness, albumKey: getAlbumKey(document) };
+    }
+
+    // Replaced rather than merged, so fields without a value any more disappear; the lyrics stay in the files
+    const { unsynchronisedLyrics, synchronisedLyrics } = processing.metadata || {};
+    return {
+        ...update,
+        metadataSources: resolveMetadata(document).sources,
+        metadata: {
+            ...tags,
+            ...(unsynchronisedLyrics && { unsynchronisedLyrics }),
+            ...(synchronisedLyrics && { synchronisedLyrics }),
+        },
+        retaggedAt: new Date(),
+    };
+}
+
+/**
+ * Rewrites the tags of every output of a document (renditions, stems, preview) and
+ * optionally moves the files whose generated path changed, together with the sidecar
+ * files of the primary rendition
+ * @param {Object} document - Completed MongoDB document
+ * @param {Object} options - Retag options (see retagOutputs)
+ * @returns {Promise<Object>} { files: retagged files, moved: moved files }
+ */
+async function retagDocument(document, { move, dryRun }) {
+    const processing = document.midiToAudioProcessing;
+    const stored = getStoredProcessing(processing);
+    const { image, ...tags } = extractMetadata(document, { ...stored, replayGain: processing.loudness?.replayGain });
+    const moves = move ? planMoves(document) : new Map();
+    let files = 0;
+
+    for (const rendition of getWrittenRenditions(processing)) {
+        await retagFile(rendition.outputPath, tags, dryRun);
+        files++;
+    }
+
+    // Stems are tagged like the mix with their label
+    for (const entry of processing.stems || []) {
+        if (entry.status === 'completed') {
+            const { status, outputPath, ...stem } = entry;
+            const { image: stemImage, ...stemTags } = extractMetadata(document, { ...stored, stem });
+            await retagFile(outputPath, stemTags, dryRun);
+            files++;
+        }
+    }
+
+    if (processing.preview?.outputPath) {
+        const { image: previewImage, ...previewTags } = extractMetadata(document, { ...stored, preview: processing.preview });
+        await retagFile(processing.preview.outputPath, previewTags, dryRun);
+        files++;
+    }
+
+    // The document records every file moved, also when a later move fails
+    const moved = new Map();
+    try {
+        for (const [path, target] of moves) {
+            logger.info({ from: path, to: target, dryRun }, 'Moving file');
+            if (!dryRun) {
+                await moveFileAtomic(path, target);
+            }
+            moved.set(path, target);
+        }
+    } finally {
+        if (!dryRun) {
+            await updateProcessingStatusById(document._id, 'completed', buildRetagUpdate(document, tags, moved));
+        }
+    }
+
+    return { files, moved: moved.size };
+}
+
+/**
+ * Rewrites the tags of completed outputs from the current document metadata (see
+ * resolveMetadata) without re-rendering. The audio streams are left untouched.
+ * @param {Object} options - Retag options
+ * @param {Object} options.filter - MongoDB filter restricting the documents
+ * @param {boolean} options.move - Move files whose generated path changed
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<Object>} Statistics
+ */
+export async function retagOutputs({ filter = {}, move = false, dryRun = false } = {}) {
+    const cursor = await getCompletedOutputsCursor(filter);
+    const stats = { documents: 0, files: 0, moved: 0, failed: 0, dryRun };
+
+    for await (const document of cursor) {
+        const hash = document.midifile?.hash;
+        stats.documents++;
+
+        try {
+            const result = await retagDocument(document, { move, dryRun });
+            stats.files += result.files;
+            stats.moved += result.moved;
+        } catch (error) {
+            stats.failed++;
+            logger.error({ hash, error: error.message }, 'Retagging failed');
+        }
+    }
+
+    logger.info(stats, 'Retagging complete');
+    return stats;
+}
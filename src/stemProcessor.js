@@ -0,0 +1,145 @@
+import { renderMidiToWav } from './processors/midiRenderer.js';
+import { normalizeAudio } from './processors/audioNormalizer.js';
+import { encodeAudio, getOutputExtension } from './processors/audioEncoder.js';
+import { extractChannel, extractTrack } from './midi/midiTransforms.js';
+import { writeMidi } from './midi/smfWriter.js';
+import { META } from './midi/smfParser.js';
+import { getInstrumentName } from './midi/generalMidi.js';
+import { generateStemPath } from './filesystem/pathGenerator.js';
+import { moveFileAtomic } from './filesystem/fileWriter.js';
+import { getTempFilePath, deleteTempFile } from './utils/tempFiles.js';
+import { allocateAudio, releaseAudio } from './utils/pcmBuffer.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger({ module: 'stemProcessor' });
+
+/**
+ * Lists the parts of a MIDI file to render as stems
+ * @param {Object} midi - Parsed MIDI file
+ * @param {string} mode - 'channel' or 'track'
+ * @returns {Object[]} Parts { channel|track, label, program, noteCount, midi }
+ */
+function getStemParts(midi, mode) {
+    const parts = [];
+
+    if (mode === 'channel') {
+        for (let channel = 0; channel < 16; channel++) {
+            const events = midi.tracks.flatMap((track) => track.events).filter((event) => event.channel === channel);
+            const noteCount = events.filter((event) => event.type === 'noteOn' && event.velocity > 0).length;
+            if (noteCount === 0) {
+                continue;
+            }
+
+            const program = events.find((event) => event.type === 'programChange')?.program;
+            parts.push({
+                channel,
+                program,
+                noteCount,
+                label: `Ch${channel + 1} ${getInstrumentName(channel, program)}`,
+                midi: extractChannel(midi, channel),
+            });
+        }
+    } else {
+        midi.tracks.forEach((track, index) => {
+            const noteCount = track.events.filter((event) => event.type === 'noteOn' && event.velocity > 0).length;
+            if (noteCount === 0) {
+                return;
+            }
+
+            const nameEvent = track.events.find((event) => event.type === 'meta' && event.metaType === META.TRACK_NAME);
+            const trackName = nameEvent?.data.toString('latin1').trim();
+            const program = track.events.find((event) => event.type === 'programChange')?.program;
+            parts.push({
+                track: index,
+                program,
+                noteCount,
+                label: trackName || `Track ${index + 1}`,
+                midi: extractTrack(midi, index),
+            });
+        });
+    }
+
+    return parts;
+}
+
+/**
+ * Renders one stem per MIDI channel or track next to the full mix.
+ * Every stem gets the gain and silence trim that were applied to the mix (instead
+ * of its own loudness normalization), so the stems line up with the mix and keep their
+ * balance. They add up to the mix only as far as the renderer mixes linearly; the caller
+ * skips stems when the mix did not get one constant gain (loudnorm in dynamic mode).
+ * @param {Object} document - MongoDB document
+ * @param {Object} context - Mix processing context
+ * @param {Object} context.midi - Parsed (possibly truncated) MIDI file used for the mix
+ * @param {string} context.mode - 'channel' or 'track'
+ * @param {number} context.gainDb - Constant gain applied to the mix
+ * @param {Object|null} context.trim - Silence trim applied to the mix
+ * @param {string} context.mixPath - Output path of the mix
+ * @param {Object} context.soundfont - Selected soundfont
+ * @param {string} context.renderer - Renderer engine name
+ * @param {string} context.profile - Synthesis profile name
+ * @param {Object[]} context.transforms - MIDI transforms applied to the mix
+ * @param {Object} context.musicalMetadata - Musical metadata of the mix
+ * @param {Buffer} context.coverArt - PNG front cover of the mix (or null)
+ * @param {number} context.playbackSeconds - Playback length for timeout calculation
+ * @param {Object} context.truncation - Truncation applied to the mix (or null)
+ * @param {boolean} context.streaming - Keep the stem audio in memory instead of temp WAV files
+ * @param {string} context.format - Output format of the mix, used for the stems as well
+ * @returns {Promise<Object[]>} Stem metadata for MongoDB
+ */
+export async function processStems(document, context) {
+    const hash = document.midifile?.hash;
+    const parts = getStemParts(context.midi, context.mode);
+    const stems = [];
+
+    logger.info({ hash, mode: context.mode, count: parts.length }, 'Rendering stems');
+
+    for (const [index, part] of parts.entries()) {
+        const { midi, ...description } = part;
+        const stem = { mode: context.mode, index, ...description };
+        const wavPath = allocateAudio(context.streaming, '_stem.wav');
+        const normalizedWavPath = allocateAudio(context.streaming, '_stem_normalized.wav');
+        const tempOutputPath = getTempFilePath(`_stem${getOutputExtension(context.format)}`);
+
+        try {
+            await renderMidiToWav(writeMidi(midi), wavPath, {
+                renderer: context.renderer,
+                soundfontPath: context.soundfont.path,
+                profile: context.profile,
+                playbackSeconds: context.playbackSeconds,
+            });
+
+            await normalizeAudio(wavPath, normalizedWavPath, {
+                truncate: context.truncation,
+                trim: context.trim,
+                gainDb: context.gainDb,
+                releaseInput: context.streaming,
+            });
+
+            await encodeAudio(normalizedWavPath, tempOutputPath, document, {
+                soundfont: context.soundfont,
+                synthProfile: context.profile,
+                transforms: context.transforms,
+                musicalMetadata: context.musicalMetadata,
+                coverArt: context.coverArt,
+                stem,
+            }, { format: context.format });
+
+            const outputPath = generateStemPath(context.mixPath, index, part.label);
+            await moveFileAtomic(tempOutputPath, outputPath);
+
+            stems.push({ ...stem, status: 'completed', outputPath });
+            logger.debug({ hash, label: part.label, outputPath }, 'Stem written');
+        } catch (error) {
+            // A failing stem does not invalidate the mix or the other stems
+            logger.error({ hash, label: part.label, error: error.message }, 'Stem rendering failed');
+            stems.push({ ...stem, status: 'failed', error: error.message });
+        } finally {
+            releaseAudio(wavPath);
+            releaseAudio(normalizedWavPath);
+            deleteTempFile(tempOutputPath);
+        }
+    }
+
+    return stems;
+}
@@ -0,0 +1,24 @@
+/**
+ * Runs a worker for every item, with at most `concurrency` workers active at a time
+ * @param {Iterable|AsyncIterable} items - Items (e.g. a MongoDB cursor)
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {Function} worker - Async function called with each item; must not reject
+ * @returns {Promise<void>} Resolves when all workers have finished
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    const activePromises = new Set();
+
+    for await (const item of items) {
+        const promise = worker(item);
+        activePromises.add(promise);
+        promise.finally(() => activePromises.delete(promise));
+
+        // Wait if we've reached concurrency limit
+        if (activePromises.size >= concurrency) {
+            await Promise.race(activePromises);
+        }
+    }
+
+    // Wait for all remaining promises to complete
+    await Promise.all(activePromises);
+}
@@ -0,0 +1,9 @@
+/**
+ * Reads a nested value from a document using dot notation
+ * @param {Object} document - MongoDB document
+ * @param {string} path - Dot separated field path
+ * @returns {*} Field value or undefined
+ */
+export function getField(document, path) {
+    return path.split('.').reduce((value, key) => value?.[key], document);
+}
@@ -0,0 +1,37 @@
+/**
+ * Error with a machine readable failure code that is stored on the document
+ * (midiToAudioProcessing.errorCode) when processing fails.
+ */
+export class ProcessingError extends Error {
+    /**
+     * @param {string} code - Failure code (e.g. 'RENDER_TIMEOUT')
+     * @param {string} message - Human readable reason
+     * @param {Object} options - Error options
+     * @param {boolean} options.retryable - Whether retrying the document can help (default: true)
+     */
+    constructor(code, message, { retryable = true } = {}) {
+        super(message);
+        this.name = 'ProcessingError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * The audio was produced but failed a quality gate; the document is marked
+ * 'rejected' (not 'failed') and no MP3 is written.
+ */
+export class QualityRejectedError extends ProcessingError {
+    /**
+     * @param {Object[]} violations - Failed gates (see checkQualityGates)
+     * @param {Object} quality - Quality report (see analyzeQuality)
+     */
+    constructor(violations, quality) {
+        super('QUALITY_REJECTED', `Quality gates failed: ${violations.map((violation) => violation.message).join('; ')}`, {
+            retryable: false,
+        });
+        this.name = 'QualityRejectedError';
+        this.violations = violations;
+        this.quality = quality;
+    }
+}
@@ -0,0 +1,175 @@
+import { getField } from './documentFields.js';
+import config from '../config.js';
+
+/**
+ * Resolves the display metadata of a document (artist, title, album, year, genres, sort name,
+ * track and disc numbers, MusicBrainz IDs) from the configured source priorities
+ * (METADATA_SOURCES). Output paths and every tag writer use it, so folder names and tags
+ * always agree.
+ */
+
+// Values used when no source has one
+const FALLBACKS = {
+    artist: 'Unknown Artist',
+    title: 'Unknown Title',
+    album: 'Unknown Album',
+};
+
+// File name extensions removed from titles (midifile.fileName)
+const MIDI_EXTENSION_PATTERN = /\.(mid|midi|kar|rmi)$/i;
+
+// Featured-artist credits: anywhere in an artist, in brackets in a title ("Song (ft. X)")
+const ARTIST_FEAT_PATTERN = /\b(?:featuring|feat\.|ft\.)(?=\s)/gi;
+const TITLE_FEAT_PATTERN = /([([])\s*(?:featuring|feat|ft)\b\.?\s*/gi;
+
+// MusicBrainz identifiers (UUIDs)
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Converts a raw source value to a single clean line of text
+ * @param {*} value - Raw value (string, number or Buffer)
+ * @returns {string} Text with whitespace collapsed
+ */
+function toText(value) {
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalizes featured-artist credits to METADATA_FEAT_FORMAT
+ * @param {string} text - Artist or title
+ * @param {RegExp} pattern - Credit pattern of the field
+ * @param {boolean} bracketed - The pattern captures an opening bracket
+ * @returns {string} Normalized text
+ */
+function normalizeFeat(text, pattern, bracketed) {
+    const { featFormat } = config.metadata;
+    if (featFormat === 'off') {
+        return text;
+    }
+    return text.replace(pattern, (match, bracket) => (bracketed ? `${bracket}${featFormat} ` : featFormat));
+}
+
+/**
+ * Selects the genres of a tag list: tags with at least METADATA_GENRE_MIN_VOTES votes,
+ * most voted first, without duplicates
+ * @param {*} value - Tag list [{ name, count }], list of names, or a single name
+ * @returns {string[]|string} Genre names, or '' if no tag qualifies
+ */
+function toGenres(value) {
+    const { genreMinVotes } = config.metadata;
+    const votes = (tag) => (typeof tag.count === 'number' ? tag.count : Number.MAX_VALUE);
+
+    const names = (Array.isArray(value) ? value : [value])
+        // Only names and tags with a name are genres (not numbers or tags without a name)
+        .filter((tag) => typeof tag === 'string' || typeof tag?.name === 'string')
+        // Tags without a vote count (plain names) always qualify and keep their order
+        .filter((tag) => votes(tag) >= genreMinVotes)
+        .sort((a, b) => votes(b) - votes(a))
+        .map((tag) => toText(typeof tag === 'string' ? tag : tag.name))
+        .filter(Boolean);
+
+    const seen = new Set();
+    const unique = names.filter((name) => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+    return unique.length > 0 ? unique : '';
+}
+
+/**
+ * Reads a track or disc number
+ * @param {*} value - Number or numeric text
+ * @returns {string} Positive integer, or '' if there is none
+ */
+function toPosition(value) {
+    const position = parseInt(toText(value), 10);
+    return position > 0 ? String(position) : '';
+}
+
+/**
+ * Reads a MusicBrainz identifier
+ * @param {*} value - Identifier
+ * @returns {string} Lower-case UUID, or '' if the value is none
+ */
+function toMbid(value) {
+    const mbid = toText(value).toLowerCase();
+    return MBID_PATTERN.test(mbid) ? mbid : '';
+}
+
+// Cleanup per field; an empty result makes the resolver try the next source
+const CLEANUP = {
+    artist: (value) => normalizeFeat(toText(value), ARTIST_FEAT_PATTERN, false),
+    title: (value) => normalizeFeat(toText(value).replace(MIDI_EXTENSION_PATTERN, ''), TITLE_FEAT_PATTERN, true),
+    album: (value) => toText(value),
+    // Release dates such as "2020-01-01"
+    year: (value) => toText(value).match(/\d{4}/)?.[0] || '',
+    genre: toGenres,
+    // Full date as far as known: "2020", "2020-05" or "2020-05-17"
+    originalDate: (value) => toText(value).match(/^\d{4}(-\d{2}){0,2}/)?.[0] || '',
+    artistSort: (value) => toText(value),
+    trackNumber: toPosition,
+    trackTotal: toPosition,
+    discNumber: toPosition,
+    discTotal: toPosition,
+    musicbrainzRecordingId: toMbid,
+    musicbrainzArtistId: toMbid,
+    musicbrainzReleaseId: toMbid,
+    musicbrainzReleaseGroupId: toMbid,
+};
+
+/**
+ * Reads one source of a field
+ * @param {Object} document - MongoDB document
+ * @param {string|Object} source - Field path, or { field, confidenceField, minConfidence }
+ * @param {Function} cleanup - Cleanup of the field
+ * @returns {string|null} Clean value, or null if the source is empty or below its confidence threshold
+ */
+function readSource(document, source, cleanup) {
+    const { field, confidenceField, minConfidence } = typeof source === 'string' ? { field: source } : source;
+
+    // A source with a threshold but no recorded confidence does not qualify
+    if (minConfidence !== undefined) {
+        const confidence = getField(document, confidenceField);
+        if (!(typeof confidence === 'number' && confidence >= minConfidence)) {
+            return null;
+        }
+    }
+
+    const value = getField(document, field);
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    return cleanup(value) || null;
+}
+
+/**
+ * Resolves the metadata fields of a document (see CLEANUP)
+ * @param {Object} document - MongoDB document
+ * @param {Object} sources - Source priorities per field (default: config.metadata.sources)
+ * @returns {Object} { artist, title, album, year, genre, genres, originalDate, artistSort, trackNumber, ...,
+ *   sources } - fields other than artist, title and album are undefined if no source has them (genres is
+ *   then empty); genre is the first of genres; sources names the winning field path per field
+ *   ('default' for fallbacks)
+ */
+export function resolveMetadata(document, sources = config.metadata.sources) {
+    const result = {};
+    const winners = {};
+
+    for (const [field, cleanup] of Object.entries(CLEANUP)) {
+        for (const source of sources[field] || []) {
+            const value = readSource(document, source, cleanup);
+            if (value !== null) {
+                result[field] = value;
+                winners[field] = typeof source === 'string' ? source : source.field;
+                break;
+            }
+        }
+
+        if (result[field] === undefined) {
+            result[field] = FALLBACKS[field];
+            winners[field] = FALLBACKS[field] ? 'default' : null;
+        }
+    }
+
+    // The genre sources are tag lists; the most voted tag is the genre
+    const genres = result.genre || [];
+    return { ...result, genre: genres[0], genres, sources: winners };
+}
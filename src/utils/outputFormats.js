@@ -0,0 +1,12 @@
+/**
+ * Output formats: file extension, FFmpeg muxer, name of the demuxer ffprobe reports,
+ * and how tags are stored. Kept free of imports, since config.js validates against it.
+ */
+export const OUTPUT_FORMATS = {
+    mp3: { extension: '.mp3', muxer: 'mp3', demuxer: 'mp3', tags: 'id3' },
+    flac: { extension: '.flac', muxer: 'flac', demuxer: 'flac', tags: 'vorbis' },
+    opus: { extension: '.opus', muxer: 'opus', demuxer: 'ogg', tags: 'vorbis' },
+    vorbis: { extension: '.ogg', muxer: 'ogg', demuxer: 'ogg', tags: 'vorbis' },
+    aac: { extension: '.m4a', muxer: 'mp4', demuxer: 'mov', tags: 'mp4' },
+    wav: { extension: '.wav', muxer: 'wav', demuxer: 'wav', tags: 'riff' },
+};
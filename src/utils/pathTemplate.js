@@ -0,0 +1,270 @@
+/**
+ * Output path templates such as "{artist:initial}/{artist}/<{year} - >{album}/{title} [{hash:8}].{ext}":
+ * - {field} inserts a field, {a|b|"text"} the first of several that has a value
+ * - {field:modifier} changes the value: initial, upper, lower, N (first N characters),
+ *   0N (numbers zero-padded to N digits); modifiers can be chained ({title:lower:20})
+ * - <...> is an optional section, left out when a field inside has no value
+ * A field without value outside an optional section falls back to its default
+ * ("Unknown Artist", ...) or "Unknown".
+ */
+
+// Placeholders a template may use
+export const PATH_TEMPLATE_FIELDS = [
+    'artist', 'artistSort', 'album', 'title', 'year', 'originalDate', 'genre',
+    'trackNumber', 'trackTotal', 'discNumber', 'discTotal',
+    'hash', 'shortHash', 'rendition', 'format', 'ext',
+];
+
+// Values of the example paths (see previewPathTemplate): a fully known and a bare document
+const EXAMPLES = [
+    {
+        values: {
+            artist: 'Pink Floyd',
+            artistSort: 'Pink Floyd',
+            album: 'The Dark Side of the Moon',
+            title: 'Time',
+            year: '1973',
+            originalDate: '1973-03-01',
+            genre: 'Progressive Rock',
+            trackNumber: '4',
+            trackTotal: '10',
+            discNumber: '1',
+            discTotal: '1',
+            hash: '3f2a9c61d0b84e7a95c3e1f07b6d2a48',
+            shortHash: '3f2a9c61',
+        },
+        defaults: {},
+    },
+    {
+        values: {
+            title: 'untitled',
+            hash: 'c04e7d19a83f52b6e0d9147a6c5b3f82',
+            shortHash: 'c04e7d19',
+        },
+        defaults: { artist: 'Unknown Artist', album: 'Unknown Album', title: 'Unknown Title' },
+    },
+];
+
+// Characters that cannot appear in a path segment
+const INVALID_CHARACTERS = /[<>:"/\\|?*\x00-\x1f]/;
+
+// N and 0N need a length of at least 1 ({title:0} would leave nothing)
+const MODIFIER_PATTERN = /^(initial|upper|lower|0*[1-9]\d*)$/;
+
+/**
+ * Splits a template into text, placeholders and optional sections
+ * @param {string} template - Path template
+ * @returns {Object} { nodes, errors } - nodes { type: 'text', text }, { type: 'field', alternatives, modifiers }
+ *   or { type: 'optional', nodes }
+ */
+function parseTemplate(template) {
+    const root = [];
+    const errors = [];
+    let nodes = root;
+    let text = '';
+    let index = 0;
+
+    const flushText = () => {
+        if (text) {
+            nodes.push({ type: 'text', text });
+            text = '';
+        }
+    };
+
+    while (index < template.length) {
+        const char = template[index];
+
+        if (char === '{') {
+            const end = template.indexOf('}', index);
+            if (end === -1) {
+                errors.push(`unclosed placeholder at position ${index + 1}`);
+                break;
+            }
+            flushText();
+            nodes.push(parsePlaceholder(template.slice(index + 1, end), errors));
+            index = end + 1;
+        } else if (char === '<') {
+            if (nodes !== root) {
+                errors.push(`optional sections cannot be nested (position ${index + 1})`);
+            }
+            flushText();
+            const section = { type: 'optional', nodes: [] };
+            root.push(section);
+            nodes = section.nodes;
+            index++;
+        } else if (char === '>') {
+            if (nodes === root) {
+                errors.push(`">" without "<" at position ${index + 1}`);
+            }
+            flushText();
+            nodes = root;
+            index++;
+        } else if (char === '}') {
+            errors.push(`"}" without "{" at position ${index + 1}`);
+            index++;
+        } else {
+            text += char;
+            index++;
+        }
+    }
+
+    flushText();
+    if (nodes !== root) {
+        errors.push('unclosed optional section');
+    }
+
+    return { nodes: root, errors };
+}
+
+/**
+ * Parses the content of a placeholder: alternatives, then modifiers
+ * @param {string} content - Text between the braces
+ * @param {string[]} errors - Collects errors
+ * @returns {Object} { type: 'field', alternatives: [{ field } | { literal }], modifiers }
+ */
+function parsePlaceholder(content, errors) {
+    // Literal alternatives are quoted and may not contain ':', so the first ':' starts the modifiers
+    const [choice, ...modifiers] = content.split(':');
+    const alternatives = choice.split('|').map((alternative) => {
+        const literal = alternative.match(/^"(.*)"$/);
+        if (literal) {
+            if (INVALID_CHARACTERS.test(literal[1])) {
+                errors.push(`text "${literal[1]}" in {${content}} contains characters not allowed in paths`);
+            }
+            return { literal: literal[1] };
+        }
+        if (!PATH_TEMPLATE_FIELDS.includes(alternative)) {
+            errors.push(`unknown placeholder {${alternative}} (allowed: ${PATH_TEMPLATE_FIELDS.map((name) => `{${name}}`).join(', ')})`);
+        }
+        return { field: alternative };
+    });
+
+    for (const modifier of modifiers) {
+        if (!MODIFIER_PATTERN.test(modifier)) {
+            errors.push(`unknown modifier "${modifier}" in {${content}} (allowed: initial, upper, lower, N, 0N)`);
+        }
+    }
+
+    return { type: 'field', alternatives, modifiers };
+}
+
+/**
+ * Applies a modifier to a value
+ * @param {string} value - Field value
+ * @param {string} modifier - Modifier (see MODIFIER_PATTERN)
+ * @returns {string} Modified value
+ */
+function applyModifier(value, modifier) {
+    switch (modifier) {
+        case 'initial': {
+            // Letters group by themselves, everything else (digits, symbols) under "#"
+            const initial = value.trim().charAt(0).toUpperCase();
+            return /\p{L}/u.test(initial) ? initial : '#';
+        }
+        case 'upper':
+            return value.toUpperCase();
+        case 'lower':
+            return value.toLowerCase();
+        default:
+            return modifier.startsWith('0') && modifier.length > 1
+                ? value.padStart(parseInt(modifier, 10), '0')
+                : value.substring(0, parseInt(modifier, 10));
+    }
+}
+
+/**
+ * Renders template nodes
+ * @param {Object[]} nodes - Nodes (see parseTemplate)
+ * @param {Object} values - Known field values
+ * @param {Object} defaults - Values of unknown fields outside optional sections
+ * @param {boolean} optional - The nodes form an optional section
+ * @returns {string|null} Text, or null if an optional section has an unknown field
+ */
+function renderNodes(nodes, values, defaults, optional) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.text;
+            continue;
+        }
+
+        if (node.type === 'optional') {
+            output += renderNodes(node.nodes, values, defaults, true) ?? '';
+            continue;
+        }
+
+        const known = node.alternatives
+            .map((alternative) => alternative.literal ?? values[alternative.field])
+            .find((value) => value !== undefined && value !== null && value !== '');
+        if (known === undefined && optional) {
+            return null;
+        }
+
+        const fallback = node.alternatives.map((alternative) => defaults[alternative.field]).find((value) => value !== undefined);
+        const value = known ?? fallback ?? '';
+        output += node.modifiers.reduce(applyModifier, String(value));
+    }
+
+    return output;
+}
+
+/**
+ * Tidies the segments of a rendered path the way field values are tidied
+ * @param {string} path - Rendered relative path
+ * @returns {string} Path without empty segments or leading/trailing dots and spaces
+ */
+function tidyPath(path) {
+    return path
+        .split('/')
+        .map((segment) => segment
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            || 'Unknown')
+        .join('/');
+}
+
+/**
+ * Checks a path template
+ * @param {string} template - Path template
+ * @param {string} [extension] - File extension the template may end with instead of ".{ext}" (e.g. '.mp3')
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validatePathTemplate(template, extension) {
+    if (typeof template !== 'string' || template === '') {
+        return ['must be a non-empty path template'];
+    }
+
+    const { errors } = parseTemplate(template);
+
+    if (!template.endsWith('.{ext}') && !(extension && template.toLowerCase().endsWith(extension))) {
+        errors.push(`must end with .{ext}${extension ? ` or ${extension}` : ''}`);
+    }
+
+    if (template.startsWith('/') || template.split('/').includes('..')) {
+        errors.push('must be relative to the output directory');
+    }
+
+    return errors;
+}
+
+/**
+ * Fills in a path template
+ * @param {string} template - Path template (see validatePathTemplate)
+ * @param {Object} values - Known placeholder values, already safe for use in file paths
+ * @param {Object} [defaults] - Values of unknown fields outside optional sections
+ * @returns {string} Relative path
+ */
+export function renderPathTemplate(template, values, defaults = {}) {
+    return tidyPath(renderNodes(parseTemplate(template).nodes, values, defaults, false));
+}
+
+/**
+ * Renders a template for example documents, to show at startup what paths it produces
+ * @param {string} template - Path template (see validatePathTemplate)
+ * @param {Object} context - Values of the output itself { rendition, format, ext }
+ * @returns {string[]} Example paths: a fully tagged document, then one with only a title
+ */
+export function previewPathTemplate(template, context) {
+    return EXAMPLES.map(({ values, defaults }) => renderPathTemplate(template, { ...values, ...context }, defaults));
+}
@@ -0,0 +1,316 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { openSync, writeSync, closeSync } from 'fs';
+import fs from 'fs/promises';
+import { Readable, Writable } from 'stream';
+import { floatToPcm } from './wav.js';
+import { getSampleFormat } from './sampleFormat.js';
+import { getTempFilePath, deleteTempFile } from './tempFiles.js';
+import config from '../config.js';
+
+// Bytes read from the spill file at a time
+const SPILL_READ_BYTES = 1024 * 1024;
+
+/**
+ * Creates an in-memory PCM store that replaces a temporary WAV file in streaming mode.
+ * It offers the same write/close interface as createWavWriter and can be read back
+ * block by block (readWavBlocks) or streamed into FFmpeg (createFfmpegInput).
+ * Audio past the memory limit is appended to a raw temporary file (written once, read sequentially).
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} [format.channels=2] - Number of channels
+ * @param {number} [format.bitDepth=16] - Bits per sample: 16, 24 or 32 (float)
+ * @param {number} [format.memoryLimitBytes=Infinity] - Bytes kept in memory before spilling to disk
+ * @returns {Object} PCM buffer
+ */
+export function createPcmBuffer({ sampleRate, channels = 2, bitDepth = 16, memoryLimitBytes = Infinity }) {
+    // Interleaved little-endian samples in the chain's sample format
+    const sampleFormat = getSampleFormat(bitDepth);
+    const bytesPerSample = bitDepth / 8;
+    const frameSize = channels * bytesPerSample;
+    const scale = 2 ** (bitDepth - 1);
+    let chunks = [];
+    let byteLength = 0;
+    let memoryBytes = 0;
+    let spillPath = null;
+    let spillFd = null;
+    let spilledBytes = 0;
+
+    /**
+     * Closes the spill file for writing (it stays readable)
+     */
+    const closeSpill = () => {
+        if (spillFd !== null) {
+            closeSync(spillFd);
+            spillFd = null;
+        }
+    };
+
+    /**
+     * Yields the stored bytes in order: the memory chunks, then the spill file
+     * @param {boolean} release - Free each part once it has been handed out (for the last reader)
+     * @yields {Buffer} PCM bytes
+     */
+    async function* readChunks(release) {
+        if (release) {
+            while (chunks.length > 0) {
+                const chunk = chunks.shift();
+                memoryBytes -= chunk.length;
+                yield chunk;
+            }
+        } else {
+            yield* chunks;
+        }
+
+        if (spillPath) {
+            const handle = await fs.open(spillPath, 'r');
+            const total = spilledBytes;
+            let position = 0;
+            try {
+                while (position < total) {
+                    const buffer = Buffer.alloc(Math.min(SPILL_READ_BYTES, total - position));
+                    const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                    if (bytesRead === 0) {
+                        break;
+                    }
+                    position += bytesRead;
+                    yield buffer.subarray(0, bytesRead);
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+
+        if (release) {
+            buffer.release();
+        }
+    }
+
+    const buffer = {
+        sampleRate,
+        channels,
+        sampleFormat,
+
+        /**
+         * Bytes currently held in memory
+         * @returns {number}
+         */
+        get memoryBytes() {
+            return memoryBytes;
+        },
+
+        /**
+         * Bytes written to the spill file
+         * @returns {number}
+         */
+        get spilledBytes() {
+            return spilledBytes;
+        },
+
+        /**
+         * Number of complete frames stored
+         * @returns {number}
+         */
+        get frames() {
+            return Math.floor(byteLength / frameSize);
+        },
+
+        /**
+         * Stored audio length
+         * @returns {number} Seconds
+         */
+        get durationSeconds() {
+            return this.frames / sampleRate;
+        },
+
+        /**
+         * Appends planar float samples in the range [-1, 1]
+         * @param {Float32Array[]} channelData - One Float32Array per channel
+         * @param {number} [frameCount] - Number of frames to write (default: full length)
+         */
+        write(channelData, frameCount = channelData[0].length) {
+            this.writeInterleaved(floatToPcm(channelData, frameCount, bitDepth, sampleFormat.float));
+        },
+
+        /**
+         * Appends raw interleaved bytes in the buffer's sample format (need not end on a frame boundary)
+         * @param {Buffer} data - PCM bytes
+         */
+        writeInterleaved(data) {
+            byteLength += data.length;
+
+            // Once spilling has started, everything goes to the file to keep the order
+            if (!spillPath && memoryBytes + data.length <= memoryLimitBytes) {
+                chunks.push(data);
+                memoryBytes += data.length;
+                return;
+            }
+
+            // Written synchronously like createWavWriter does: renderers call write() from their
+            // render loop without waiting, so queued asynchronous writes would pile up in memory
+            // whenever the disk is slower than the renderer. Blocking is the backpressure here.
+            if (spillFd === null) {
+                spillPath = spillPath || getTempFilePath('.pcm');
+                spillFd = openSync(spillPath, 'a');
+            }
+            let written = 0;
+            while (written < data.length) {
+                written += writeSync(spillFd, data, written, data.length - written);
+            }
+            spilledBytes += data.length;
+        },
+
+        /**
+         * Counterpart of the WAV writer's close(); the data stays readable
+         * @returns {Object} Format and frame count
+         */
+        close() {
+            closeSpill();
+            return { sampleRate, channels, bitDepth, float: sampleFormat.float, frames: this.frames };
+        },
+
+        /**
+         * Creates a writable stream appending raw sample bytes, e.g. as an FFmpeg output
+         * @returns {Writable} PCM sink
+         */
+        createWriteStream() {
+            return new Writable({
+                // fluent-ffmpeg treats a closing output stream as an aborted run
+                emitClose: false,
+                write: (chunk, encoding, callback) => {
+                    this.writeInterleaved(chunk);
+                    callback();
+                },
+            });
+        },
+
+        /**
+         * Creates a readable stream of the stored sample bytes
+         * @param {Object} [options] - Stream options
+         * @param {boolean} [options.release=false] - Free the audio as it is read (the stream is its last reader)
+         * @returns {Readable} PCM source
+         */
+        createReadStream({ release = false } = {}) {
+            return Readable.from(readChunks(release), { objectMode: false });
+        },
+
+        /**
+         * Reads the stored audio as planar float blocks, like readWavBlocks does for files
+         * @param {number} [blockFrames=65536] - Minimum frames per block (the last block may be shorter)
+         * @yields {Object} Blocks { format, channelData: Float32Array[], frameCount }
+         */
+        async* readBlocks(blockFrames = 65536) {
+            const format = { sampleRate, channels, bitDepth, float: sampleFormat.float };
+            const blockBytes = blockFrames * frameSize;
+            let pending = [];
+            let pendingBytes = 0;
+
+            /**
+             * Decodes the complete frames of the pending chunks and keeps the remainder
+             * @returns {Object} Block
+             */
+            const takeBlock = () => {
+                const data = Buffer.concat(pending, pendingBytes);
+                const frameCount = Math.floor(data.length / frameSize);
+                const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+                for (let frame = 0; frame < frameCount; frame++) {
+                    for (let channel = 0; channel < channels; channel++) {
+                        const offset = (frame * channels + channel) * bytesPerSample;
+                        channelData[channel][frame] = sampleFormat.float
+                            ? data.readFloatLE(offset)
+                            : data.readIntLE(offset, bytesPerSample) / scale;
+                    }
+                }
+
+                const rest = data.subarray(frameCount * frameSize);
+                pending = rest.length > 0 ? [rest] : [];
+                pendingBytes = rest.length;
+                return { format, channelData, frameCount };
+            };
+
+            for await (const chunk of readChunks(false)) {
+                pending.push(chunk);
+                pendingBytes += chunk.length;
+                if (pendingBytes >= blockBytes) {
+                    yield takeBlock();
+                }
+            }
+            if (pendingBytes >= frameSize) {
+                yield takeBlock();
+            }
+        },
+
+        /**
+         * Frees the stored audio and deletes the spill file
+         */
+        release() {
+            chunks = [];
+            byteLength = 0;
+            memoryBytes = 0;
+            closeSpill();
+            if (spillPath) {
+                deleteTempFile(spillPath);
+                spillPath = null;
+                spilledBytes = 0;
+            }
+        },
+    };
+
+    return buffer;
+}
+
+/**
+ * Checks whether an audio source is an in-memory PCM buffer (rather than a file path)
+ * @param {string|Object} source - File path or PCM buffer
+ * @returns {boolean}
+ */
+export function isPcmBuffer(source) {
+    return typeof source === 'object' && source !== null && typeof source.createReadStream === 'function';
+}
+
+/**
+ * Creates an FFmpeg command reading from a file or from an in-memory PCM buffer
+ * @param {string|Object} source - File path or PCM buffer
+ * @param {Object} [options] - Input options
+ * @param {boolean} [options.release=false] - Free a PCM buffer as FFmpeg reads it (this is its last use)
+ * @returns {Object} fluent-ffmpeg command
+ */
+export function createFfmpegInput(source, { release = false } = {}) {
+    if (!isPcmBuffer(source)) {
+        return ffmpeg(source);
+    }
+
+    return ffmpeg(source.createReadStream({ release }))
+        .inputFormat(source.sampleFormat.rawFormat)
+        .inputOptions(['-ar', String(source.sampleRate), '-ac', String(source.channels)]);
+}
+
+/**
+ * Allocates intermediate audio storage: a temporary WAV file, or memory in streaming mode
+ * (stereo at the configured sample rate and bit depth, spilling past STREAMING_MEMORY_LIMIT_MB)
+ * @param {boolean} streaming - Keep the audio in memory
+ * @param {string} suffix - Temp file suffix (e.g. '_normalized.wav')
+ * @returns {string|Object} Temp file path or PCM buffer
+ */
+export function allocateAudio(streaming, suffix) {
+    if (!streaming) {
+        return getTempFilePath(suffix);
+    }
+    return createPcmBuffer({
+        sampleRate: config.audio.sampleRate,
+        channels: 2,
+        bitDepth: config.audio.bitDepth,
+        memoryLimitBytes: config.processing.streamingMemoryLimitMb * 1024 * 1024,
+    });
+}
+
+/**
+ * Releases storage from allocateAudio
+ * @param {string|Object|null} source - Temp file path or PCM buffer
+ */
+export function releaseAudio(source) {
+    if (isPcmBuffer(source)) {
+        source.release();
+    } else if (source) {
+        deleteTempFile(source);
+    }
+}
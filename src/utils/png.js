@@ -0,0 +1,84 @@
+import { deflateSync } from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table (polynomial 0xEDB88320) used by PNG chunks
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function createChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes an 8-bit RGB image as PNG
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Uint8Array} pixels - Row-major RGB data (width * height * 3 bytes)
+ * @returns {Buffer} PNG file data
+ */
+export function encodePng(width, height, pixels) {
+    const rowLength = width * 3;
+    if (pixels.length !== rowLength * height) {
+        throw new Error(`Expected ${rowLength * height} bytes of RGB data, got ${pixels.length}`);
+    }
+
+    // Every scanline starts with its filter type; "up" (2) compresses the mostly flat rows well
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowLength + 1);
+        raw[rowStart] = 2;
+        for (let x = 0; x < rowLength; x++) {
+            const index = y * rowLength + x;
+            const above = y > 0 ? pixels[index - rowLength] : 0;
+            raw[rowStart + 1 + x] = (pixels[index] - above) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: truecolor
+    header[10] = 0; // compression
+    header[11] = 0; // filter method
+    header[12] = 0; // no interlace
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', deflateSync(raw, { level: 9 })),
+        createChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
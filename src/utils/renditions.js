@@ -0,0 +1,104 @@
+import { resolve } from 'path';
+import { validatePathTemplate } from './pathTemplate.js';
+import { OUTPUT_FORMATS } from './outputFormats.js';
+
+/**
+ * Output renditions: one rendered and normalized master encoded several times, e.g.
+ * [{ "name": "library", "format": "mp3", "bitrate": 320 },
+ *  { "name": "archive", "format": "flac", "outputDirectory": "/srv/archive", "pathTemplate": "{artist}/{album}/{title}.{ext}" }]
+ */
+
+// File extensions of the output formats, by format name
+export const OUTPUT_FORMAT_EXTENSIONS = Object.fromEntries(
+    Object.entries(OUTPUT_FORMATS).map(([name, { extension }]) => [name, extension]),
+);
+
+export const OUTPUT_FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+// Encoder settings a rendition may override, with the formats and values they accept
+const RENDITION_SETTINGS = {
+    bitrate: {
+        mp3: [64, 320],
+        opus: [6, 510],
+        aac: [32, 512],
+    },
+    quality: {
+        mp3: [0, 9],
+        vorbis: [-1, 10],
+    },
+    compressionLevel: {
+        flac: [0, 12],
+    },
+    bitDepth: {
+        flac: [16, 24],
+        wav: [16, 24, 32],
+    },
+};
+
+/**
+ * Checks a rendition list
+ * @param {Object[]} renditions - Renditions { name, format, bitrate, quality, compressionLevel, bitDepth, outputDirectory,
+ *   pathTemplate }
+ * @param {string} defaultDirectory - Output directory of renditions without outputDirectory
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateRenditions(renditions, defaultDirectory) {
+    if (!Array.isArray(renditions)) {
+        return ['Renditions must be a list'];
+    }
+
+    const errors = [];
+    const names = new Set();
+    const targets = new Map();
+
+    renditions.forEach((rendition, index) => {
+        const prefix = `Rendition #${index + 1}`;
+
+        if (typeof rendition?.name !== 'string' || !/^[\w-]+$/.test(rendition.name)) {
+            errors.push(`${prefix}: name must consist of letters, digits, _ and -`);
+        } else if (names.has(rendition.name)) {
+            errors.push(`${prefix}: name "${rendition.name}" is used twice`);
+        } else {
+            names.add(rendition.name);
+        }
+
+        if (!OUTPUT_FORMAT_NAMES.includes(rendition?.format)) {
+            errors.push(`${prefix}: format must be one of ${OUTPUT_FORMAT_NAMES.join(', ')}`);
+            return;
+        }
+
+        for (const [setting, formats] of Object.entries(RENDITION_SETTINGS)) {
+            const value = rendition[setting];
+            if (value === undefined) {
+                continue;
+            }
+
+            const allowed = formats[rendition.format];
+            if (!allowed) {
+                errors.push(`${prefix}: ${setting} does not apply to ${rendition.format}`);
+            } else if (setting === 'bitDepth' ? !allowed.includes(value) : !(typeof value === 'number' && value >= allowed[0] && value <= allowed[1])) {
+                errors.push(`${prefix}: ${setting} must be ${setting === 'bitDepth' ? allowed.join(', ') : `between ${allowed[0]} and ${allowed[1]}`} for ${rendition.format}`);
+            }
+        }
+
+        if (rendition.outputDirectory !== undefined && (typeof rendition.outputDirectory !== 'string' || rendition.outputDirectory === '')) {
+            errors.push(`${prefix}: outputDirectory must be a path`);
+            return;
+        }
+
+        if (rendition.pathTemplate !== undefined) {
+            const templateErrors = validatePathTemplate(rendition.pathTemplate, OUTPUT_FORMAT_EXTENSIONS[rendition.format]);
+            errors.push(...templateErrors.map((error) => `${prefix}: pathTemplate ${error}`));
+        }
+
+        // Two renditions of one format in one directory (and layout) would write to the same files
+        const target = `${resolve(rendition.outputDirectory || defaultDirectory)}\0${rendition.format}\0${rendition.pathTemplate || ''}`;
+        if (targets.has(target)) {
+            errors.push(`${prefix}: writes ${rendition.format} files to the same directory as rendition #${targets.get(target)}`);
+        } else {
+            targets.set(target, index + 1);
+        }
+    });
+
+    return errors;
+}
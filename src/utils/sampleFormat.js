@@ -0,0 +1,43 @@
+import config from '../config.js';
+
+// Sample formats of the internal chain by BIT_DEPTH: FFmpeg codec and raw format, FluidSynth -O type
+const SAMPLE_FORMATS = {
+    16: { bitDepth: 16, float: false, codec: 'pcm_s16le', rawFormat: 's16le', fluidsynthFormat: 's16' },
+    24: { bitDepth: 24, float: false, codec: 'pcm_s24le', rawFormat: 's24le', fluidsynthFormat: 's24' },
+    32: { bitDepth: 32, float: true, codec: 'pcm_f32le', rawFormat: 'f32le', fluidsynthFormat: 'float' },
+};
+
+// FFmpeg sample formats that quantizing outputs are dithered to
+const DITHER_TARGETS = {
+    16: 's16',
+};
+
+/**
+ * Resolves the sample format of the internal processing chain
+ * @param {number} bitDepth - Bits per sample: 16, 24 or 32 (float) (default: config.audio.bitDepth)
+ * @returns {Object} { bitDepth, float, codec, rawFormat, fluidsynthFormat }
+ */
+export function getSampleFormat(bitDepth = config.audio.bitDepth) {
+    const format = SAMPLE_FORMATS[bitDepth];
+    if (!format) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    }
+    return format;
+}
+
+/**
+ * Builds the filters that quantize processed audio to an integer output format with dither.
+ * Only 16-bit outputs are dithered: 24-bit quantization noise lies far below audibility,
+ * and float formats are not quantized at all. Empty when DITHER is 'none'.
+ * @param {number} bitDepth - Bits per sample of the output
+ * @param {number} sampleRate - Output sample rate (default: config.audio.sampleRate); set in the
+ *   same resampler so FFmpeg does not requantize after the dither
+ * @returns {string[]} FFmpeg audio filters
+ */
+export function buildDitherFilters(bitDepth, sampleRate = config.audio.sampleRate) {
+    const target = DITHER_TARGETS[bitDepth];
+    if (!target || config.audio.dither === 'none') {
+        return [];
+    }
+    return [`aresample=${sampleRate}:osf=${target}:dither_method=${config.audio.dither}`];
+}
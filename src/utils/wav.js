@@ -0,0 +1,218 @@
+import { openSync, writeSync, closeSync } from 'fs';
+import { promises as fs } from 'fs';
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Builds a canonical 44-byte PCM WAV header
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.channels - Number of channels
+ * @param {number} format.bitDepth - Bits per sample (16, 24 or 32)
+ * @param {boolean} format.float - IEEE float samples (32 bit) instead of integers
+ * @param {number} dataSize - Size of the data chunk in bytes
+ * @returns {Buffer} Header bytes
+ */
+function buildWavHeader({ sampleRate, channels, bitDepth, float }, dataSize) {
+    const header = Buffer.alloc(WAV_HEADER_SIZE);
+    const blockAlign = channels * (bitDepth / 8);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);                          // fmt chunk size
+    header.writeUInt16LE(float ? 3 : 1, 20);               // PCM or IEEE float
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);     // Byte rate
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitDepth, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataSize, 40);
+
+    return header;
+}
+
+/**
+ * Converts planar float samples to interleaved signed integer (or 32-bit float) PCM
+ * @param {Float32Array[]} channelData - One Float32Array per channel
+ * @param {number} frameCount - Number of frames to convert
+ * @param {number} bitDepth - Bits per sample (16, 24 or 32)
+ * @param {boolean} [float=false] - Write IEEE float samples, unclamped so overs above 0 dBFS survive
+ * @returns {Buffer} Interleaved PCM bytes
+ */
+export function floatToPcm(channelData, frameCount, bitDepth, float = false) {
+    const bytesPerSample = bitDepth / 8;
+    const maxValue = 2 ** (bitDepth - 1) - 1;
+    const buffer = Buffer.alloc(frameCount * channelData.length * bytesPerSample);
+    let offset = 0;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (const samples of channelData) {
+            if (float) {
+                buffer.writeFloatLE(samples[frame], offset);
+            } else {
+                const clamped = Math.max(-1, Math.min(1, samples[frame]));
+                buffer.writeIntLE(Math.round(clamped * maxValue), offset, bytesPerSample);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Creates an incremental WAV file writer that streams PCM to disk
+ * @param {string} filePath - Path of the WAV file to create
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} [format.channels=2] - Number of channels
+ * @param {number} [format.bitDepth=16] - Bits per sample (16, 24 or 32)
+ * @param {boolean} [format.float=false] - Write 32-bit IEEE float samples
+ * @returns {Object} Writer with write(channelData, frameCount) and close()
+ */
+export function createWavWriter(filePath, { sampleRate, channels = 2, bitDepth = 16, float = false }) {
+    const format = { sampleRate, channels, bitDepth, float };
+    const fd = openSync(filePath, 'w');
+    let dataSize = 0;
+
+    // Reserve space for the header, patched with the final sizes on close
+    writeSync(fd, buildWavHeader(format, 0));
+
+    return {
+        /**
+         * Appends planar float samples in the range [-1, 1]
+         * @param {Float32Array[]} channelData - One Float32Array per channel
+         * @param {number} [frameCount] - Number of frames to write (default: full length)
+         */
+        write(channelData, frameCount = channelData[0].length) {
+            const pcm = floatToPcm(channelData, frameCount, bitDepth, float);
+            writeSync(fd, pcm);
+            dataSize += pcm.length;
+        },
+
+        /**
+         * Finalizes the header and closes the file
+         * @returns {Object} Written format and frame count
+         */
+        close() {
+            writeSync(fd, buildWavHeader(format, dataSize), 0, WAV_HEADER_SIZE, 0);
+            closeSync(fd);
+            return {
+                ...format,
+                frames: dataSize / (channels * (bitDepth / 8)),
+            };
+        },
+    };
+}
+
+/**
+ * Locates the fmt and data chunks of a WAV file
+ * @param {Object} handle - Open file handle
+ * @returns {Promise<Object>} { sampleRate, channels, bitDepth, float, dataOffset, dataSize }
+ */
+async function readWavLayout(handle) {
+    const riff = Buffer.alloc(12);
+    await handle.read(riff, 0, 12, 0);
+    if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    const chunkHeader = Buffer.alloc(8);
+    let offset = 12;
+    let format = null;
+
+    while (true) {
+        const { bytesRead } = await handle.read(chunkHeader, 0, 8, offset);
+        if (bytesRead < 8) {
+            throw new Error('WAV file has no data chunk');
+        }
+
+        const chunkId = chunkHeader.toString('ascii', 0, 4);
+        const chunkSize = chunkHeader.readUInt32LE(4);
+
+        if (chunkId === 'fmt ') {
+            const fmt = Buffer.alloc(Math.max(16, Math.min(chunkSize, 40)));
+            await handle.read(fmt, 0, fmt.length, offset + 8);
+            let formatTag = fmt.readUInt16LE(0);
+            // WAVE_FORMAT_EXTENSIBLE keeps the actual format in the sub format GUID
+            if (formatTag === 0xFFFE && fmt.length >= 26) {
+                formatTag = fmt.readUInt16LE(24);
+            }
+            format = {
+                channels: fmt.readUInt16LE(2),
+                sampleRate: fmt.readUInt32LE(4),
+                bitDepth: fmt.readUInt16LE(14),
+                float: formatTag === 3,
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            // Streams written by FFmpeg to a pipe carry a placeholder size
+            const { size } = await handle.stat();
+            return { ...format, dataOffset: offset + 8, dataSize: Math.min(chunkSize, size - offset - 8) };
+        }
+
+        // Chunks are padded to an even size
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+}
+
+/**
+ * Reads a PCM WAV file block by block as planar float samples in [-1, 1]
+ * @param {string|Object} filePath - Path to WAV file, or an in-memory PCM buffer (streaming mode)
+ * @param {number} [blockFrames=65536] - Frames per block
+ * @returns {AsyncGenerator<Object>} Blocks { format, channelData: Float32Array[], frameCount }
+ */
+export async function* readWavBlocks(filePath, blockFrames = 65536) {
+    if (typeof filePath !== 'string') {
+        yield* filePath.readBlocks(blockFrames);
+        return;
+    }
+
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+        const layout = await readWavLayout(handle);
+        const { channels, bitDepth, float } = layout;
+        const bytesPerSample = bitDepth / 8;
+        const frameSize = channels * bytesPerSample;
+        const scale = 2 ** (bitDepth - 1);
+        const buffer = Buffer.alloc(blockFrames * frameSize);
+        const format = { sampleRate: layout.sampleRate, channels, bitDepth, float };
+        let position = 0;
+
+        while (position < layout.dataSize) {
+            const length = Math.min(buffer.length, layout.dataSize - position);
+            const { bytesRead } = await handle.read(buffer, 0, length, layout.dataOffset + position);
+            const frameCount = Math.floor(bytesRead / frameSize);
+            if (frameCount === 0) {
+                break;
+            }
+
+            const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+            let offset = 0;
+            for (let frame = 0; frame < frameCount; frame++) {
+                for (let channel = 0; channel < channels; channel++) {
+                    if (float) {
+                        channelData[channel][frame] = bytesPerSample === 8 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+                    } else if (bytesPerSample === 1) {
+                        // 8-bit WAV is unsigned
+                        channelData[channel][frame] = (buffer[offset] - 128) / 128;
+                    } else {
+                        channelData[channel][frame] = buffer.readIntLE(offset, bytesPerSample) / scale;
+                    }
+                    offset += bytesPerSample;
+                }
+            }
+
+            position += frameCount * frameSize;
+            yield { format, channelData, frameCount };
+        }
+    } finally {
+        await handle.close();
+    }
+}
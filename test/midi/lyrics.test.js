@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { META } from '../../src/midi/smfParser.js';
+import { extractLyrics, formatLrc } from '../../src/midi/lyrics.js';
+
+// 480 ticks per beat at the default 120 BPM: one beat is half a second
+const TICKS_PER_SECOND = 960;
+
+/**
+ * Builds a MIDI structure with meta text events
+ * @param {number} metaType - META.LYRIC or META.TEXT
+ * @param {Array<[number, string]>} texts - [seconds, text] pairs
+ * @returns {Object} MIDI structure
+ */
+function createMidi(metaType, texts) {
+    return {
+        format: 0,
+        timing: { type: 'metrical', ticksPerBeat: 480 },
+        tracks: [{
+            events: texts.map(([seconds, text]) => ({
+                tick: seconds * TICKS_PER_SECOND,
+                type: 'meta',
+                metaType,
+                data: Buffer.from(text, 'latin1'),
+            })),
+        }],
+    };
+}
+
+test('reads lyric events into syllables and lines', () => {
+    const lyrics = extractLyrics(createMidi(META.LYRIC, [
+        [1, 'Hel'], [1.5, 'lo '], [2, 'world\r'], [3, 'Good'], [3.5, 'bye'],
+    ]));
+
+    assert.equal(lyrics.source, 'lyric');
+    assert.deepEqual(lyrics.syllables.map((syllable) => syllable.newLine), [false, false, false, true, false]);
+    assert.deepEqual(lyrics.lines, [{ seconds: 1, text: 'Hello world' }, { seconds: 3, text: 'Goodbye' }]);
+    assert.equal(lyrics.text, 'Hello world\nGoodbye');
+});
+
+test('reads karaoke text events with line and paragraph markers', () => {
+    const lyrics = extractLyrics(createMidi(META.TEXT, [
+        [0, '@KMIDI KARAOKE FILE'], [0, '@TSong title'], [1, '\\Twin'], [1.5, 'kle '], [2, '/lit'], [2.5, 'tle star'],
+    ]));
+
+    assert.equal(lyrics.source, 'karaoke');
+    assert.deepEqual(lyrics.lines, [{ seconds: 1, text: 'Twinkle' }, { seconds: 2, text: 'little star' }]);
+});
+
+test('ignores plain text events unless told the file is karaoke', () => {
+    const midi = createMidi(META.TEXT, [[1, 'Copyright notice'], [2, '/second']]);
+
+    assert.equal(extractLyrics(midi), null);
+    assert.deepEqual(extractLyrics(midi, { karaoke: true }).lines.map((line) => line.text), ['Copyright notice', 'second']);
+});
+
+test('shifts lyrics by trimmed audio and drops lyrics after the end', () => {
+    const lyrics = extractLyrics(createMidi(META.LYRIC, [[0.5, 'Intro '], [2, 'verse '], [10, 'coda']]), {
+        offsetSeconds: 1,
+        endSeconds: 5,
+    });
+
+    assert.deepEqual(lyrics.syllables.map(({ seconds, text }) => [seconds, text]), [[0, 'Intro '], [1, 'verse ']]);
+});
+
+test('formats LRC files with header tags and timestamps', () => {
+    const lyrics = extractLyrics(createMidi(META.LYRIC, [[1.25, 'First\n'], [65.5, 'Second']]));
+
+    assert.equal(formatLrc(lyrics, { title: 'Song', artist: 'Artist' }), '[ti:Song]\n[ar:Artist]\n[00:01.25]First\n[01:05.50]Second\n');
+});
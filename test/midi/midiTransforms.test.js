@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { META } from '../../src/midi/smfParser.js';
+import {
+    extractChannel, extractTrack, transposeMidi, scaleTempo, muteChannels, remapProgram, validateTransforms, applyTransforms,
+} from '../../src/midi/midiTransforms.js';
+
+/**
+ * Builds a Set Tempo event at tick 0
+ * @param {number} microsecondsPerBeat - Tempo
+ * @returns {Object} Meta event
+ */
+function tempo(microsecondsPerBeat) {
+    const data = Buffer.alloc(3);
+    data.writeUIntBE(microsecondsPerBeat, 0, 3);
+    return { tick: 0, type: 'meta', metaType: META.TEMPO, data };
+}
+
+const midi = {
+    format: 1,
+    timing: { type: 'metrical', ticksPerBeat: 480 },
+    tracks: [
+        {
+            events: [tempo(500000)],
+            endTick: 0,
+        },
+        {
+            events: [
+                { tick: 0, type: 'programChange', channel: 0, program: 0 },
+                { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 90 },
+                { tick: 0, type: 'noteOn', channel: 0, note: 126, velocity: 90 },
+                { tick: 480, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+                { tick: 480, type: 'noteOff', channel: 0, note: 126, velocity: 0 },
+            ],
+            endTick: 480,
+        },
+        {
+            events: [
+                { tick: 0, type: 'programChange', channel: 1, program: 0 },
+                { tick: 0, type: 'noteOn', channel: 1, note: 48, velocity: 80 },
+                { tick: 0, type: 'noteOn', channel: 9, note: 36, velocity: 100 },
+                { tick: 480, type: 'noteOff', channel: 1, note: 48, velocity: 0 },
+                { tick: 480, type: 'noteOff', channel: 9, note: 36, velocity: 0 },
+            ],
+            endTick: 480,
+        },
+    ],
+};
+
+/**
+ * Lists the notes started in a MIDI structure
+ * @param {Object} source - MIDI structure
+ * @returns {string[]} "channel:note" per note-on
+ */
+function notes(source) {
+    return source.tracks.flatMap((track) => track.events
+        .filter((event) => event.type === 'noteOn')
+        .map((event) => `${event.channel}:${event.note}`));
+}
+
+/**
+ * Reads the tempo events of a MIDI structure
+ * @param {Object} source - MIDI structure
+ * @returns {number[]} Microseconds per beat
+ */
+function tempos(source) {
+    return source.tracks.flatMap((track) => track.events
+        .filter((event) => event.type === 'meta' && event.metaType === META.TEMPO)
+        .map((event) => event.data.readUIntBE(0, 3)));
+}
+
+test('transposes all channels but drums and drops notes moved out of range', () => {
+    const result = transposeMidi(midi, 2);
+
+    assert.deepEqual(notes(result), ['0:62', '1:50', '9:36']);
+    assert.deepEqual(result.tracks[1].events.map((event) => event.note), [undefined, 62, 62]);
+    assert.deepEqual(notes(midi), ['0:60', '0:126', '1:48', '9:36']);
+});
+
+test('transposes only the listed channels', () => {
+    assert.deepEqual(notes(transposeMidi(midi, -12, [1, 9])), ['0:60', '0:126', '1:36', '9:24']);
+});
+
+test('scales tempo events and adds one where the file relies on the default', () => {
+    assert.deepEqual(tempos(scaleTempo(midi, 2)), [250000]);
+
+    const withoutTempo = { ...midi, tracks: [{ events: [], endTick: 0 }, ...midi.tracks.slice(1)] };
+    assert.deepEqual(tempos(scaleTempo(withoutTempo, 0.5)), [1000000]);
+});
+
+test('scales tick positions of SMPTE files', () => {
+    const smpte = { ...midi, timing: { type: 'smpte', framesPerSecond: 25, ticksPerFrame: 40 } };
+    const result = scaleTempo(smpte, 2);
+
+    assert.deepEqual(result.tracks[1].events.map((event) => event.tick), [0, 0, 0, 240, 240]);
+    assert.equal(result.tracks[1].endTick, 240);
+    assert.deepEqual(tempos(result), [500000]);
+});
+
+test('mutes channels and remaps programs', () => {
+    assert.deepEqual(notes(muteChannels(midi, [0, 9])), ['1:48']);
+
+    const programs = (source) => source.tracks.flatMap((track) => track.events
+        .filter((event) => event.type === 'programChange')
+        .map((event) => `${event.channel}:${event.program}`));
+    assert.deepEqual(programs(remapProgram(midi, 0, 24)), ['0:24', '1:24']);
+    assert.deepEqual(programs(remapProgram(midi, 0, 24, [1])), ['0:0', '1:24']);
+});
+
+test('keeps the tempo map when extracting a channel or track', () => {
+    const channel = extractChannel(midi, 9);
+    assert.deepEqual(notes(channel), ['9:36']);
+    assert.deepEqual(tempos(channel), [500000]);
+
+    const track = extractTrack(midi, 1);
+    assert.deepEqual(notes(track), ['0:60', '0:126']);
+    assert.deepEqual(tempos(track), [500000]);
+    assert.equal(track.tracks.length, 3);
+});
+
+test('validates transform lists', () => {
+    assert.deepEqual(validateTransforms([
+        { type: 'transpose', semitones: -2 },
+        { type: 'tempoScale', factor: 1.5 },
+        { type: 'mute', channels: [9] },
+        { type: 'programRemap', from: 0, to: 24, channels: [0, 1] },
+    ]), []);
+
+    assert.deepEqual(validateTransforms([
+        { type: 'reverse' },
+        { type: 'transpose', semitones: 1.5 },
+        { type: 'tempoScale', factor: 20 },
+        { type: 'mute' },
+        { type: 'programRemap', from: 0, to: 128 },
+        { type: 'transpose', semitones: 1, channels: [16] },
+    ]), [
+        'Transform #1: type must be one of transpose, tempoScale, mute, programRemap',
+        'Transform #2: semitones must be an integer between -48 and 48',
+        'Transform #3: factor must be between 0.1 and 10',
+        'Transform #4: channels is required',
+        'Transform #5: from and to must be program numbers 0-127',
+        'Transform #6: channels must be a non-empty list of channel numbers 0-15',
+    ]);
+    assert.deepEqual(validateTransforms({ type: 'mute' }), ['Transforms must be a list']);
+});
+
+test('applies transforms in order', () => {
+    const result = applyTransforms(midi, [
+        { type: 'mute', channels: [0] },
+        { type: 'transpose', semitones: 12 },
+        { type: 'tempoScale', factor: 0.5 },
+    ]);
+
+    assert.deepEqual(notes(result), ['1:60', '9:36']);
+    assert.deepEqual(tempos(result), [1000000]);
+});
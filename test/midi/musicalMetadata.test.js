@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { META } from '../../src/midi/smfParser.js';
+import { extractMusicalMetadata } from '../../src/midi/musicalMetadata.js';
+import { transposeMidi } from '../../src/midi/midiTransforms.js';
+
+/**
+ * Builds a meta event
+ * @param {number} tick - Position
+ * @param {number} metaType - Meta event type (see META)
+ * @param {number[]|string} data - Meta data bytes or Latin-1 text
+ * @returns {Object} Meta event
+ */
+function meta(tick, metaType, data) {
+    return { tick, type: 'meta', metaType, data: typeof data === 'string' ? Buffer.from(data, 'latin1') : Buffer.from(data) };
+}
+
+/**
+ * Encodes a tempo as Set Tempo meta data
+ * @param {number} bpm - Beats per minute
+ * @returns {number[]} Microseconds per beat, 24 bit big-endian
+ */
+function tempoData(bpm) {
+    const microsecondsPerBeat = Math.round(60000000 / bpm);
+    return [microsecondsPerBeat >> 16, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff];
+}
+
+// 480 ticks per beat: 4 beats at 100 BPM, then 16 beats at 150 BPM (2.4 s against 6.4 s)
+const midi = {
+    format: 1,
+    timing: { type: 'metrical', ticksPerBeat: 480 },
+    tracks: [
+        {
+            events: [
+                meta(0, META.TRACK_NAME, 'Conductor '),
+                meta(0, META.COPYRIGHT, '(c) 1998 Someone'),
+                meta(0, META.TEMPO, tempoData(100)),
+                meta(0, META.TIME_SIGNATURE, [6, 3, 24, 8]),
+                meta(0, META.KEY_SIGNATURE, [0xfd, 1]),
+                meta(1920, META.TEMPO, tempoData(150)),
+            ],
+        },
+        {
+            events: [
+                meta(0, META.TRACK_NAME, 'Strings'),
+                meta(0, META.COPYRIGHT, '(c) 1998 Someone'),
+                { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 90 },
+                { tick: 480, type: 'programChange', channel: 0, program: 40 },
+                { tick: 480, type: 'noteOn', channel: 0, note: 62, velocity: 90 },
+                { tick: 960, type: 'noteOn', channel: 0, note: 64, velocity: 90 },
+                { tick: 960, type: 'noteOn', channel: 9, note: 36, velocity: 100 },
+                { tick: 1000, type: 'noteOn', channel: 9, note: 36, velocity: 0 },
+                { tick: 9600, type: 'noteOff', channel: 0, note: 64, velocity: 0 },
+            ],
+        },
+    ],
+};
+
+test('reads tempo, key, time signature, names and copyright', () => {
+    const metadata = extractMusicalMetadata(midi);
+
+    assert.equal(metadata.bpm, 150);
+    assert.equal(metadata.initialBpm, 100);
+    assert.equal(metadata.key, 'Cm');
+    assert.deepEqual(metadata.keySignature, { key: 'Cm', sharpsFlats: -3, mode: 'minor' });
+    assert.equal(metadata.timeSignature, '6/8');
+    assert.deepEqual(metadata.trackNames, ['Conductor', 'Strings']);
+    assert.equal(metadata.copyright, '(c) 1998 Someone');
+});
+
+test('lists the instruments that play notes per channel and program', () => {
+    assert.deepEqual(extractMusicalMetadata(midi).instruments, [
+        { channel: 0, program: 0, name: 'Acoustic Grand Piano', noteCount: 1 },
+        { channel: 0, program: 40, name: 'Violin', noteCount: 2 },
+        { channel: 9, program: 0, name: 'Drums', noteCount: 1 },
+    ]);
+});
+
+test('leaves out what the file does not define', () => {
+    const bare = { format: 0, timing: { type: 'smpte', framesPerSecond: 25, ticksPerFrame: 40 }, tracks: [{ events: [] }] };
+
+    assert.deepEqual(extractMusicalMetadata(bare), { instruments: [] });
+    assert.equal(extractMusicalMetadata({ ...bare, timing: { type: 'metrical', ticksPerBeat: 96 } }).bpm, 120);
+});
+
+test('follows the key signature when the whole file is transposed', () => {
+    assert.equal(extractMusicalMetadata(transposeMidi(midi, 2)).key, 'Dm');
+    assert.equal(extractMusicalMetadata(transposeMidi(midi, -1)).key, 'Bm');
+    assert.equal(extractMusicalMetadata(transposeMidi(midi, 2, [0])).key, 'Cm');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidi, MidiParseError, META } from '../../src/midi/smfParser.js';
+import { preflightMidi } from '../../src/midi/midiAnalyzer.js';
+
+/**
+ * Builds a format 0/1 file from raw track bodies
+ * @param {number[][]} tracks - Event bytes per track
+ * @param {number} [format=1] - SMF format
+ * @returns {Buffer} SMF data
+ */
+function smf(tracks, format = 1) {
+    const header = Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, tracks.length, 0x01, 0xe0]);
+    return Buffer.concat([header, ...tracks.map((body) => {
+        const chunk = Buffer.alloc(8);
+        chunk.write('MTrk', 0, 'latin1');
+        chunk.writeUInt32BE(body.length, 4);
+        return Buffer.concat([chunk, Buffer.from(body)]);
+    })]);
+}
+
+const END_OF_TRACK = [0x00, 0xff, 0x2f, 0x00];
+
+test('parses header, events with absolute ticks and running status', () => {
+    const midi = parseMidi(smf([[
+        0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20,
+        0x00, 0x90, 60, 100,
+        0x83, 0x60, 60, 0, // running status, delta 480
+        0x00, 0xc1, 5,
+        ...END_OF_TRACK,
+    ]], 0));
+
+    assert.equal(midi.format, 0);
+    assert.deepEqual(midi.timing, { type: 'metrical', ticksPerBeat: 480 });
+    const [track] = midi.tracks;
+    assert.equal(track.hasEndOfTrack, true);
+    assert.equal(track.endTick, 480);
+    assert.deepEqual(track.events.slice(1, 4), [
+        { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+        { tick: 480, type: 'noteOn', channel: 0, note: 60, velocity: 0 },
+        { tick: 480, type: 'programChange', channel: 1, program: 5 },
+    ]);
+    assert.equal(track.events[0].metaType, META.TEMPO);
+    assert.deepEqual([...track.events[0].data], [0x07, 0xa1, 0x20]);
+});
+
+test('skips unknown chunks', () => {
+    const data = smf([[0x00, 0x90, 60, 100, ...END_OF_TRACK]]);
+    const junk = Buffer.from([0x58, 0x58, 0x58, 0x58, 0, 0, 0, 2, 1, 2]);
+    const midi = parseMidi(Buffer.concat([data.subarray(0, 14), junk, data.subarray(14)]));
+    assert.equal(midi.tracks.length, 1);
+});
+
+test('rejects malformed files with a code', () => {
+    const cases = [
+        [Buffer.from('MThd'), 'MIDI_TOO_SHORT'],
+        [Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(20)]), 'MIDI_BAD_HEADER'],
+        [smf([[0x00, 0x90, 60, 100]]).subarray(0, 24), 'MIDI_TRUNCATED_TRACK'],
+        [smf([[0x00, 60, 100]]), 'MIDI_BAD_EVENT'],
+        [smf([[0xff, 0xff, 0xff, 0xff, 0x7f]]), 'MIDI_BAD_VARINT'],
+        [smf([[0x00, 0x90, 60]]), 'MIDI_TRUNCATED_EVENT'],
+    ];
+
+    for (const [data, code] of cases) {
+        assert.throws(() => parseMidi(data), (error) => error instanceof MidiParseError && error.code === code, code);
+    }
+});
+
+test('parse errors are not retryable', () => {
+    assert.throws(() => parseMidi(Buffer.alloc(4)), (error) => error.retryable === false);
+});
+
+test('preflight rejects files without notes', () => {
+    assert.throws(() => preflightMidi(smf([[...END_OF_TRACK]])), { code: 'MIDI_NO_NOTES' });
+});
+
+test('preflight only rejects missing End-of-Track and hung notes when asked to', () => {
+    const data = smf([[0x00, 0x90, 60, 100, 0x83, 0x60, 0x90, 62, 100]]);
+
+    const { analysis } = preflightMidi(data);
+    assert.deepEqual(analysis.tracksMissingEndOfTrack, [0]);
+    assert.ok(analysis.hungNotes > 0);
+
+    assert.throws(() => preflightMidi(data, { requireEndOfTrack: true }), { code: 'MIDI_MISSING_END_OF_TRACK' });
+    assert.throws(() => preflightMidi(data, { rejectHungNotes: true }), { code: 'MIDI_ENDLESS_NOTES' });
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidi, META } from '../../src/midi/smfParser.js';
+import { writeMidi } from '../../src/midi/smfWriter.js';
+
+const midi = {
+    format: 1,
+    timing: { type: 'metrical', ticksPerBeat: 480 },
+    tracks: [
+        {
+            events: [
+                { tick: 0, type: 'meta', metaType: META.TEMPO, data: Buffer.from([0x07, 0xa1, 0x20]) },
+                { tick: 0, type: 'meta', metaType: META.END_OF_TRACK, data: Buffer.alloc(0) },
+            ],
+        },
+        {
+            events: [
+                { tick: 0, type: 'programChange', channel: 2, program: 40 },
+                { tick: 0, type: 'controller', channel: 2, controller: 7, value: 100 },
+                { tick: 0, type: 'noteOn', channel: 2, note: 64, velocity: 90 },
+                { tick: 240, type: 'pitchBend', channel: 2, value: 10000 },
+                { tick: 240, type: 'keyPressure', channel: 2, note: 64, pressure: 30 },
+                { tick: 300, type: 'channelPressure', channel: 2, pressure: 20 },
+                { tick: 960, type: 'noteOff', channel: 2, note: 64, velocity: 0 },
+                { tick: 960, type: 'sysex', status: 0xf0, data: Buffer.from([0x7e, 0x7f, 0x09, 0x01, 0xf7]) },
+            ],
+        },
+    ],
+};
+
+/**
+ * Strips what the parser adds so tracks compare with their source
+ * @param {Object} track - Parsed track
+ * @returns {Object[]} Events without End-of-Track
+ */
+function withoutEndOfTrack(track) {
+    return track.events.filter((event) => !(event.type === 'meta' && event.metaType === META.END_OF_TRACK));
+}
+
+test('round-trips every event type', () => {
+    const parsed = parseMidi(writeMidi(midi));
+
+    assert.equal(parsed.format, 1);
+    assert.deepEqual(parsed.timing, midi.timing);
+    assert.equal(parsed.tracks.length, 2);
+    parsed.tracks.forEach((track, index) => {
+        assert.equal(track.hasEndOfTrack, true);
+        assert.deepEqual(withoutEndOfTrack(track), withoutEndOfTrack(midi.tracks[index]));
+    });
+});
+
+test('is byte-identical after a second round trip', () => {
+    const first = writeMidi(midi);
+    assert.deepEqual(writeMidi(parseMidi(first)), first);
+});
+
+test('sorts events by tick and keeps the order of simultaneous events', () => {
+    const parsed = parseMidi(writeMidi({
+        format: 0,
+        timing: { type: 'metrical', ticksPerBeat: 96 },
+        tracks: [{
+            events: [
+                { tick: 96, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+                { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 80 },
+                { tick: 0, type: 'noteOn', channel: 0, note: 64, velocity: 80 },
+            ],
+        }],
+    }));
+
+    assert.deepEqual(parsed.tracks[0].events.slice(0, 3).map((event) => [event.tick, event.note]), [[0, 60], [0, 64], [96, 60]]);
+});
+
+test('keeps the End-of-Track position of the source track', () => {
+    const parsed = parseMidi(writeMidi({
+        format: 0,
+        timing: { type: 'metrical', ticksPerBeat: 96 },
+        tracks: [{ events: [{ tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 80 }], endTick: 384 }],
+    }));
+
+    assert.equal(parsed.tracks[0].endTick, 384);
+});
+
+test('writes SMPTE timing', () => {
+    const parsed = parseMidi(writeMidi({ ...midi, timing: { type: 'smpte', framesPerSecond: 25, ticksPerFrame: 40 } }));
+    assert.deepEqual(parsed.timing, { type: 'smpte', framesPerSecond: 25, ticksPerFrame: 40 });
+});
+
+test('writes events larger than the call stack allows to spread', () => {
+    const payload = Buffer.alloc(4 * 1024 * 1024, 0x11);
+    const parsed = parseMidi(writeMidi({
+        format: 0,
+        timing: { type: 'metrical', ticksPerBeat: 96 },
+        tracks: [{
+            events: [
+                { tick: 0, type: 'sysex', status: 0xf0, data: payload },
+                { tick: 0, type: 'meta', metaType: META.SEQUENCER_SPECIFIC, data: payload },
+            ],
+        }],
+    }));
+
+    assert.equal(parsed.tracks[0].events[0].data.length, payload.length);
+    assert.equal(parsed.tracks[0].events[1].data.length, payload.length);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    MUSICBRAINZ_UFID_OWNER, buildTagFields, toVorbisComments, toMp4Tags, toRiffInfo, buildPictureBlock, writeFfmetadata,
+} from '../../src/processors/audioTags.js';
+
+// ID3 tag data as extractMetadata returns it
+const ID3_TAGS = {
+    title: 'Bohemian Rhapsody',
+    artist: 'Queen',
+    album: 'A Night at the Opera',
+    year: '1975',
+    genre: 'Rock',
+    comment: { language: 'eng', text: 'MIDI hash: abc' },
+    bpm: '72',
+    initialKey: 'Bb',
+    userDefinedText: [
+        { description: 'MIDI_HASH', value: 'abc' },
+        { description: 'REPLAYGAIN_TRACK_GAIN', value: '-4.00 dB' },
+        { description: 'REPLAYGAIN_TRACK_PEAK', value: '0.988' },
+    ],
+};
+
+// The fields Picard writes on top
+const PICARD_TAGS = {
+    ...ID3_TAGS,
+    genre: 'Rock\0Progressive Rock',
+    originalReleaseTime: '1975-11-21',
+    performerSortOrder: 'Queen',
+    trackNumber: '11/12',
+    partOfSet: '1',
+    uniqueFileIdentifier: [{ ownerIdentifier: MUSICBRAINZ_UFID_OWNER, identifier: 'b1a9c0e9-d987-4042-ae91-78d6a3267d69' }],
+    userDefinedText: [
+        ...ID3_TAGS.userDefinedText,
+        { description: 'MusicBrainz Album Id', value: '6f8d4e8d-60ba-3c6a-9b1e-4e4c7a2e8e6f' },
+    ],
+};
+
+/**
+ * Turns fields into an object for comparison
+ * @param {Object[]} fields - Fields { name, value }
+ * @returns {Object} Value by name
+ */
+function byName(fields) {
+    return Object.fromEntries(fields.map(({ name, value }) => [name, value]));
+}
+
+test('flattens ID3 tag data into neutral fields and leaves out empty values', () => {
+    const fields = byName(buildTagFields({ ...ID3_TAGS, copyright: '', unsynchronisedLyrics: undefined }));
+
+    assert.equal(fields.date, '1975');
+    assert.equal(fields.comment, 'MIDI hash: abc');
+    assert.equal(fields.MIDI_HASH, 'abc');
+    assert.equal('copyright' in fields, false);
+    assert.equal('lyrics' in fields, false);
+});
+
+test('maps fields to Vorbis comments', () => {
+    const comments = byName(toVorbisComments(buildTagFields(ID3_TAGS)));
+
+    assert.equal(comments.TITLE, 'Bohemian Rhapsody');
+    assert.equal(comments.DATE, '1975');
+    assert.equal(comments.INITIALKEY, 'Bb');
+    assert.equal(comments.MIDI_HASH, 'abc');
+    assert.equal(comments.REPLAYGAIN_TRACK_GAIN, '-4.00 dB');
+});
+
+test('writes R128 gains relative to -23 LUFS instead of ReplayGain for Opus', () => {
+    const comments = byName(toVorbisComments(buildTagFields(ID3_TAGS), { opus: true }));
+
+    // (-4 dB - 5 dB) in Q7.8
+    assert.equal(comments.R128_TRACK_GAIN, String(-9 * 256));
+    assert.equal('REPLAYGAIN_TRACK_GAIN' in comments, false);
+    assert.equal('REPLAYGAIN_TRACK_PEAK' in comments, false);
+});
+
+test('splits fields into atoms FFmpeg writes and freeform atoms', () => {
+    const { metadata, freeform } = toMp4Tags(buildTagFields(ID3_TAGS));
+
+    assert.deepEqual(metadata.map(({ name }) => name), ['title', 'artist', 'album', 'date', 'genre', 'comment']);
+    assert.deepEqual(byName(freeform), {
+        BPM: '72',
+        initialkey: 'Bb',
+        MIDI_HASH: 'abc',
+        REPLAYGAIN_TRACK_GAIN: '-4.00 dB',
+        REPLAYGAIN_TRACK_PEAK: '0.988',
+    });
+});
+
+test('keeps only the fields RIFF INFO can hold', () => {
+    assert.deepEqual(toRiffInfo(buildTagFields(ID3_TAGS)).map(({ name }) => name), ['title', 'artist', 'album', 'date', 'genre', 'comment']);
+});
+
+test('maps genres, positions, sort names and MusicBrainz IDs like Picard', () => {
+    const fields = buildTagFields(PICARD_TAGS);
+    const comments = byName(toVorbisComments(fields));
+    const { metadata, freeform } = toMp4Tags(fields);
+
+    assert.equal(byName(fields).genre, 'Rock; Progressive Rock');
+    assert.equal(comments.TRACKNUMBER, '11');
+    assert.equal(comments.TRACKTOTAL, '12');
+    assert.equal(comments.DISCNUMBER, '1');
+    assert.equal('DISCTOTAL' in comments, false);
+    assert.equal(comments.ORIGINALDATE, '1975-11-21');
+    assert.equal(comments.ARTISTSORT, 'Queen');
+    assert.equal(comments.MUSICBRAINZ_TRACKID, 'b1a9c0e9-d987-4042-ae91-78d6a3267d69');
+    assert.equal(comments.MUSICBRAINZ_ALBUMID, '6f8d4e8d-60ba-3c6a-9b1e-4e4c7a2e8e6f');
+
+    assert.deepEqual(metadata.map(({ name }) => name), ['title', 'artist', 'album', 'date', 'genre', 'sort_artist', 'track', 'disc', 'comment']);
+    assert.equal(byName(freeform).ORIGINALDATE, '1975-11-21');
+    assert.equal(byName(freeform)['MusicBrainz Track Id'], 'b1a9c0e9-d987-4042-ae91-78d6a3267d69');
+});
+
+test('builds a FLAC picture block with the PNG dimensions', () => {
+    const png = Buffer.alloc(33);
+    png.writeUInt32BE(500, 16);
+    png.writeUInt32BE(400, 20);
+    const block = Buffer.from(buildPictureBlock(png, 'Cover'), 'base64');
+
+    assert.equal(block.readUInt32BE(0), 3);
+    assert.equal(block.toString('ascii', 8, 17), 'image/png');
+    assert.equal(block.toString('utf8', 21, 26), 'Cover');
+    assert.equal(block.readUInt32BE(26), 500);
+    assert.equal(block.readUInt32BE(30), 400);
+    assert.equal(block.readUInt32BE(42), png.length);
+    assert.deepEqual(block.subarray(46), png);
+});
+
+test('escapes special characters in FFmpeg metadata files', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'audio-tags-'));
+    const filePath = join(directory, 'metadata.txt');
+    try {
+        await writeFfmetadata([{ name: 'title', value: 'A=B; #1\\2\nend' }], filePath);
+        assert.equal(readFileSync(filePath, 'utf8'), ';FFMETADATA1\ntitle=A\\=B\\; \\#1\\\\2\\\nend\n');
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
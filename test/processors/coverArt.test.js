@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'zlib';
+import { renderCoverArt } from '../../src/processors/coverArt.js';
+import { toFontText } from '../../src/utils/bitmapFont.js';
+
+const SIZE = 200;
+const BACKGROUND_COLOR = [18, 20, 28];
+
+const midi = {
+    format: 0,
+    timing: { type: 'metrical', ticksPerBeat: 480 },
+    tracks: [{
+        events: [
+            { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+            { tick: 480, type: 'noteOn', channel: 0, note: 67, velocity: 100 },
+            { tick: 960, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+            { tick: 1920, type: 'noteOff', channel: 0, note: 67, velocity: 0 },
+            { tick: 1920, type: 'noteOn', channel: 9, note: 36, velocity: 100 },
+        ],
+    }],
+};
+
+/**
+ * Decodes a PNG written by encodePng (one IDAT chunk, "up" filter)
+ * @param {Buffer} png - PNG file data
+ * @returns {Object} { width, height, pixel(x, y): [r, g, b] }
+ */
+function decodePng(png) {
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    const idatLength = png.readUInt32BE(33);
+    const raw = inflateSync(png.subarray(41, 41 + idatLength));
+    const rowLength = width * 3;
+    const pixels = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < rowLength; x++) {
+            const above = y > 0 ? pixels[(y - 1) * rowLength + x] : 0;
+            pixels[y * rowLength + x] = (raw[y * (rowLength + 1) + 1 + x] + above) & 0xff;
+        }
+    }
+
+    return {
+        width,
+        height,
+        pixel: (x, y) => [...pixels.subarray((y * width + x) * 3, (y * width + x) * 3 + 3)],
+    };
+}
+
+/**
+ * Counts the pixels in a row range that differ from the background
+ * @param {Object} image - Image from decodePng
+ * @param {number} top - First row
+ * @param {number} bottom - Row after the last
+ * @returns {number} Pixel count
+ */
+function countDrawn(image, top, bottom) {
+    let count = 0;
+    for (let y = top; y < bottom; y++) {
+        for (let x = 0; x < image.width; x++) {
+            count += image.pixel(x, y).join() === BACKGROUND_COLOR.join() ? 0 : 1;
+        }
+    }
+    return count;
+}
+
+test('renders a square PNG of the configured size', () => {
+    const image = decodePng(renderCoverArt(midi, { title: 'Song', artist: 'Artist' }, { size: SIZE }));
+
+    assert.equal(image.width, SIZE);
+    assert.equal(image.height, SIZE);
+    assert.deepEqual(image.pixel(0, 0), BACKGROUND_COLOR);
+});
+
+test('draws the notes above the caption band', () => {
+    const rollBottom = SIZE * 0.8;
+    const withNotes = decodePng(renderCoverArt(midi, {}, { size: SIZE }));
+    const empty = decodePng(renderCoverArt({ ...midi, tracks: [{ events: [] }] }, {}, { size: SIZE }));
+
+    assert.ok(countDrawn(withNotes, 0, rollBottom) > 500);
+    assert.equal(countDrawn(empty, 0, rollBottom), 0);
+});
+
+test('renders the same image for the same input and draws title and artist', () => {
+    const plain = renderCoverArt(midi, {}, { size: SIZE });
+
+    assert.deepEqual(renderCoverArt(midi, {}, { size: SIZE }), plain);
+    assert.notDeepEqual(renderCoverArt(midi, { title: 'Song' }, { size: SIZE }), plain);
+    assert.notDeepEqual(renderCoverArt(midi, { title: 'Song', artist: 'Artist' }, { size: SIZE }), renderCoverArt(midi, { title: 'Song' }, { size: SIZE }));
+});
+
+test('reduces captions to characters the font can draw', () => {
+    assert.equal(toFontText('Café  Straße – “Live”'), 'Cafe Strasse - "Live"');
+    assert.equal(toFontText('東京'), '??');
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import NodeID3 from 'node-id3';
+import { writeId3v24Tags, updateId3v24Tags, replaceId3v24Tags } from '../../src/processors/id3v24.js';
+
+// Stand-in for the audio after the tag: an MPEG frame header and some payload
+const AUDIO = Buffer.from([0xff, 0xfb, 0x90, 0x64, 1, 2, 3, 4]);
+
+let directory;
+let fileCount = 0;
+
+before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'id3v24-'));
+});
+
+after(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Creates an MP3 file, optionally with an ID3v2.3 tag as node-id3 writes it
+ * @param {Object} [id3v23Tags] - Tag data in node-id3 form
+ * @returns {string} File path
+ */
+function createMp3(id3v23Tags) {
+    const filePath = join(directory, `${++fileCount}.mp3`);
+    writeFileSync(filePath, id3v23Tags ? Buffer.concat([NodeID3.create(id3v23Tags), AUDIO]) : AUDIO);
+    return filePath;
+}
+
+/**
+ * Reads the ID3v2.4 tag of a file
+ * @param {string} filePath - MP3 file
+ * @returns {Object} { version, frames: [{ id, encoding, text }], audio: bytes after the tag }
+ */
+function readId3v24(filePath) {
+    const data = readFileSync(filePath);
+    const synchsafe = (offset) => (data[offset] << 21) | (data[offset + 1] << 14) | (data[offset + 2] << 7) | data[offset + 3];
+    const end = 10 + synchsafe(6);
+    const frames = [];
+
+    for (let offset = 10; offset + 10 <= end && data[offset] !== 0;) {
+        const size = synchsafe(offset + 4);
+        const body = data.subarray(offset + 10, offset + 10 + size);
+        frames.push({ id: data.toString('latin1', offset, offset + 4), encoding: body[0], text: body.toString('utf8', 1) });
+        offset += 10 + size;
+    }
+
+    return { version: data[3], frames, audio: data.subarray(end) };
+}
+
+/**
+ * Finds the text of a frame
+ * @param {Object} tag - Tag from readId3v24
+ * @param {string} id - Frame identifier
+ * @returns {string|undefined} Text
+ */
+function textOf(tag, id) {
+    return tag.frames.find((frame) => frame.id === id)?.text;
+}
+
+test('writes an ID3v2.4 tag with UTF-8 text frames in front of the audio', async () => {
+    const filePath = createMp3();
+    await writeId3v24Tags(filePath, { title: 'Café Nocturne', artist: 'Gürtel', year: '1999' });
+    const tag = readId3v24(filePath);
+
+    assert.equal(tag.version, 4);
+    assert.equal(textOf(tag, 'TIT2'), 'Café Nocturne');
+    assert.equal(textOf(tag, 'TPE1'), 'Gürtel');
+    assert.equal(textOf(tag, 'TDRC'), '1999');
+    assert.equal(textOf(tag, 'TYER'), undefined);
+    assert.ok(tag.frames.filter((frame) => frame.id.startsWith('T')).every((frame) => frame.encoding === 3));
+    assert.deepEqual(tag.audio, AUDIO);
+});
+
+test('keeps multiple genres NUL separated in one TCON frame', async () => {
+    const filePath = createMp3();
+    await writeId3v24Tags(filePath, { genre: 'Rock\0Blues' });
+
+    assert.equal(textOf(readId3v24(filePath), 'TCON'), 'Rock\0Blues');
+});
+
+test('replaces an existing tag instead of stacking a second one', async () => {
+    const filePath = createMp3({ title: 'FFmpeg title', album: 'FFmpeg album' });
+    await writeId3v24Tags(filePath, { title: 'Title' });
+    const tag = readId3v24(filePath);
+
+    assert.deepEqual(tag.frames.map((frame) => frame.id), ['TIT2']);
+    assert.deepEqual(tag.audio, AUDIO);
+});
+
+test('upgrades an ID3v2.3 tag on update and keeps the frames not updated', async () => {
+    const filePath = createMp3({ title: 'Old', artist: 'Artist', year: '1987' });
+    await updateId3v24Tags(filePath, { title: 'New' });
+    const tag = readId3v24(filePath);
+
+    assert.equal(tag.version, 4);
+    assert.equal(textOf(tag, 'TIT2'), 'New');
+    assert.equal(textOf(tag, 'TPE1'), 'Artist');
+    assert.equal(textOf(tag, 'TDRC'), '1987');
+    assert.equal(textOf(tag, 'TYER'), undefined);
+    assert.deepEqual(tag.audio, AUDIO);
+});
+
+test('updates user-defined texts by description', async () => {
+    const filePath = createMp3();
+    await writeId3v24Tags(filePath, {
+        userDefinedText: [{ description: 'REPLAYGAIN_TRACK_GAIN', value: '-1.00 dB' }, { description: 'MIDI_HASH', value: 'abc' }],
+    });
+    await updateId3v24Tags(filePath, { userDefinedText: [{ description: 'replaygain_track_gain', value: '-2.00 dB' }] });
+    const texts = readId3v24(filePath).frames.filter((frame) => frame.id === 'TXXX').map((frame) => frame.text);
+
+    assert.deepEqual(texts, ['MIDI_HASH\0abc', 'replaygain_track_gain\0-2.00 dB']);
+});
+
+test('drops stale frames on replace but keeps the cover and lyrics', async () => {
+    const filePath = createMp3();
+    await writeId3v24Tags(filePath, {
+        title: 'Title',
+        artist: 'Old Artist',
+        unsynchronisedLyrics: { language: 'eng', text: 'la la' },
+        image: { mime: 'image/png', type: { id: 3 }, description: 'Cover', imageBuffer: Buffer.from('png') },
+        userDefinedText: [{ description: 'MUSICBRAINZ_RELEASE_ID', value: 'stale' }],
+    });
+    await replaceId3v24Tags(filePath, { title: 'Title', userDefinedText: [{ description: 'MIDI_HASH', value: 'abc' }] });
+
+    assert.deepEqual(readId3v24(filePath).frames.map((frame) => frame.id).sort(), ['APIC', 'TIT2', 'TXXX', 'USLT']);
+    assert.equal(textOf(readId3v24(filePath), 'TXXX'), 'MIDI_HASH\0abc');
+});
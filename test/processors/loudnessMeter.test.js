@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoudnessMeter } from '../../src/processors/loudnessMeter.js';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Generates a sine wave
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} amplitude - Peak amplitude (1 = 0 dBFS)
+ * @param {number} seconds - Length in seconds
+ * @param {number} [phase] - Start phase in radians
+ * @returns {Float32Array} Samples
+ */
+function sine(frequency, amplitude, seconds, phase = 0) {
+    const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE + phase);
+    }
+    return samples;
+}
+
+/**
+ * Measures planar samples in one pass
+ * @param {Float32Array[]} channelData - One array per channel
+ * @returns {Object} Meter result
+ */
+function measure(channelData) {
+    const meter = createLoudnessMeter({ sampleRate: SAMPLE_RATE, channels: channelData.length });
+    meter.process(channelData);
+    return meter.getResult();
+}
+
+test('measures a 0 dBFS 1 kHz sine in one channel at -3.01 LUFS', () => {
+    const left = sine(1000, 1, 5);
+    const result = measure([left, new Float32Array(left.length)]);
+
+    assert.ok(Math.abs(result.integratedLUFS - -3.01) < 0.1, `got ${result.integratedLUFS}`);
+    assert.equal(result.durationSeconds, 5);
+});
+
+test('sums the channels: the same sine in both channels is 3 LU louder', () => {
+    const left = sine(1000, 0.1, 5);
+    const result = measure([left, left]);
+
+    assert.ok(Math.abs(result.integratedLUFS - -20) < 0.1, `got ${result.integratedLUFS}`);
+});
+
+test('gives the same result when the audio arrives in chunks', () => {
+    const left = sine(1000, 0.25, 3);
+    const meter = createLoudnessMeter({ sampleRate: SAMPLE_RATE, channels: 1 });
+    for (let start = 0; start < left.length; start += 4096) {
+        const chunk = left.subarray(start, start + 4096);
+        meter.process([chunk], chunk.length);
+    }
+
+    assert.deepEqual(meter.getResult(), measure([left]));
+});
+
+test('leaves quiet passages out through the relative gate', () => {
+    const loud = sine(1000, 0.5, 4);
+    const quiet = sine(1000, 0.005, 4);
+    const mixed = new Float32Array(loud.length + quiet.length);
+    mixed.set(loud);
+    mixed.set(quiet, loud.length);
+
+    // Ungated, the quiet half would lower the result by 3 LU; only the blocks overlapping the loud half count
+    const loudOnly = measure([loud]).integratedLUFS;
+    assert.ok(Math.abs(measure([mixed]).integratedLUFS - loudOnly) < 0.3);
+});
+
+test('reports no loudness for silence', () => {
+    const result = measure([new Float32Array(SAMPLE_RATE * 2)]);
+
+    assert.equal(result.integratedLUFS, null);
+    assert.equal(result.truePeakDb, null);
+});
+
+test('finds peaks between samples', () => {
+    // A quarter of the sample rate at 45° only ever samples ±0.707, the wave itself reaches 1
+    const samples = sine(SAMPLE_RATE / 4, 1, 1, Math.PI / 4);
+    const samplePeakDb = 20 * Math.log10(Math.max(...samples.map(Math.abs)));
+    const { truePeakDb } = measure([samples]);
+
+    assert.ok(samplePeakDb < -2.9);
+    assert.ok(truePeakDb > -0.6 && truePeakDb < 0.6, `got ${truePeakDb}`);
+});
@@ -0,0 +1,160 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeMp4Tags, writeMp4FreeformTags } from '../../src/processors/mp4Tags.js';
+
+// Stand-in for the encoded audio
+const MEDIA = Buffer.from('AAC frames');
+
+let directory;
+let fileCount = 0;
+
+before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'mp4-tags-'));
+});
+
+after(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Builds a box
+ * @param {string} type - Four-character type
+ * @param {...Buffer} payload - Content
+ * @returns {Buffer} Box bytes
+ */
+function box(type, ...payload) {
+    const content = Buffer.concat(payload);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + content.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, content]);
+}
+
+/**
+ * Builds a text atom as FFmpeg writes it
+ * @param {string} type - Atom type
+ * @param {string} value - Value
+ * @returns {Buffer} Atom
+ */
+function textAtom(type, value) {
+    return box(type, box('data', Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(value, 'utf8')));
+}
+
+/**
+ * Creates an M4A file with the moov box in front of the media data (faststart), so the
+ * chunk offset points behind the moov box
+ * @param {Buffer[]} atoms - Atoms of the ilst
+ * @returns {string} File path
+ */
+function createM4a(atoms) {
+    const build = (offset) => {
+        const stco = box('stco', Buffer.alloc(4), Buffer.from([0, 0, 0, 1]), Buffer.alloc(4));
+        stco.writeUInt32BE(offset, 16);
+        const trak = box('trak', box('mdia', box('minf', box('stbl', stco))));
+        const meta = box('meta', Buffer.alloc(4), box('ilst', ...atoms));
+        return Buffer.concat([box('ftyp', Buffer.from('M4A ')), box('moov', trak, box('udta', meta))]);
+    };
+    const head = build(0);
+    const data = Buffer.concat([build(head.length + 8), box('mdat', MEDIA)]);
+
+    const filePath = join(directory, `${++fileCount}.m4a`);
+    writeFileSync(filePath, data);
+    return filePath;
+}
+
+/**
+ * Reads the ilst atoms and the media data of a file
+ * @param {string} filePath - M4A file
+ * @returns {Object} { atoms: { type: value or freeform name: value }, media: bytes the chunk offset points at }
+ */
+function readM4a(filePath) {
+    const data = readFileSync(filePath);
+    const find = (start, end, type) => {
+        for (let offset = start; offset < end; offset += data.readUInt32BE(offset)) {
+            if (data.toString('latin1', offset + 4, offset + 8) === type) {
+                return { start: offset, end: offset + data.readUInt32BE(offset) };
+            }
+        }
+        return null;
+    };
+    const moov = find(0, data.length, 'moov');
+    const stbl = ['trak', 'mdia', 'minf', 'stbl'].reduce((parent, type) => find(parent.start + 8, parent.end, type), moov);
+    const stco = find(stbl.start + 8, stbl.end, 'stco');
+    const meta = find(find(moov.start + 8, moov.end, 'udta').start + 8, moov.end, 'meta');
+    const ilst = find(meta.start + 12, meta.end, 'ilst');
+
+    const atoms = {};
+    for (let offset = ilst.start + 8; offset < ilst.end; offset += data.readUInt32BE(offset)) {
+        const atom = { start: offset, end: offset + data.readUInt32BE(offset) };
+        let type = data.toString('latin1', offset + 4, offset + 8);
+        if (type === '----') {
+            const name = find(offset + 8, atom.end, 'name');
+            type = data.toString('utf8', name.start + 12, name.end);
+        }
+        const value = find(offset + 8, atom.end, 'data');
+        atoms[type] = data.subarray(value.start + 16, value.end).toString('utf8');
+    }
+
+    const chunkOffset = data.readUInt32BE(stco.start + 16);
+    return { atoms, media: data.subarray(chunkOffset, chunkOffset + MEDIA.length) };
+}
+
+test('adds freeform atoms and keeps the chunk offsets pointing at the media', async () => {
+    const filePath = createM4a([textAtom('©nam', 'Title')]);
+    await writeMp4FreeformTags(filePath, [{ name: 'MIDI_HASH', value: 'abc' }, { name: 'REPLAYGAIN_TRACK_GAIN', value: '-1.00 dB' }]);
+    const { atoms, media } = readM4a(filePath);
+
+    assert.deepEqual(atoms, { '©nam': 'Title', MIDI_HASH: 'abc', REPLAYGAIN_TRACK_GAIN: '-1.00 dB' });
+    assert.deepEqual(media, MEDIA);
+    assert.deepEqual(readdirSync(directory).filter((name) => name.endsWith('.partial')), []);
+});
+
+test('replaces freeform atoms of the same name regardless of case', async () => {
+    const filePath = createM4a([textAtom('©nam', 'Title')]);
+    await writeMp4FreeformTags(filePath, [{ name: 'replaygain_track_gain', value: '-1.00 dB' }]);
+    await writeMp4FreeformTags(filePath, [{ name: 'REPLAYGAIN_TRACK_GAIN', value: '-2.00 dB' }]);
+    const { atoms, media } = readM4a(filePath);
+
+    assert.deepEqual(atoms, { '©nam': 'Title', REPLAYGAIN_TRACK_GAIN: '-2.00 dB' });
+    assert.deepEqual(media, MEDIA);
+});
+
+test('replaces text atoms of the same field', async () => {
+    const filePath = createM4a([textAtom('©nam', 'Old'), textAtom('©ART', 'Artist')]);
+    await writeMp4Tags(filePath, { metadata: [{ name: 'title', value: 'New' }], freeform: [{ name: 'MIDI_HASH', value: 'abc' }] });
+    const { atoms, media } = readM4a(filePath);
+
+    assert.deepEqual(atoms, { '©ART': 'Artist', '©nam': 'New', MIDI_HASH: 'abc' });
+    assert.deepEqual(media, MEDIA);
+});
+
+test('drops stale atoms on replace but keeps the cover and lyrics', async () => {
+    const filePath = createM4a([
+        textAtom('©nam', 'Title'),
+        textAtom('©ART', 'Old Artist'),
+        textAtom('©lyr', 'la la'),
+        textAtom('covr', 'png'),
+    ]);
+    await writeMp4Tags(filePath, { metadata: [{ name: 'title', value: 'Title' }], freeform: [] }, { replace: true });
+
+    assert.deepEqual(Object.keys(readM4a(filePath).atoms).sort(), ['covr', '©lyr', '©nam'].sort());
+});
+
+test('writes track and disc positions as binary atoms', async () => {
+    const filePath = createM4a([]);
+    await writeMp4Tags(filePath, { metadata: [{ name: 'track', value: '3/12' }, { name: 'disc', value: '2' }], freeform: [] });
+    const { atoms } = readM4a(filePath);
+
+    assert.deepEqual([...Buffer.from(atoms.trkn, 'latin1')], [0, 0, 0, 3, 0, 12, 0, 0]);
+    assert.deepEqual([...Buffer.from(atoms.disk, 'latin1')], [0, 0, 0, 2, 0, 0]);
+});
+
+test('refuses files without an ilst atom', async () => {
+    const filePath = join(directory, 'bare.m4a');
+    writeFileSync(filePath, Buffer.concat([box('ftyp', Buffer.from('M4A ')), box('mdat', MEDIA)]));
+
+    await assert.rejects(writeMp4FreeformTags(filePath, [{ name: 'MIDI_HASH', value: 'abc' }]), /no ilst atom/);
+});
@@ -0,0 +1,34 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../src/config.js';
+import { getExpectedLevels } from '../../src/processors/outputVerifier.js';
+
+const measurement = { integratedLUFS: -20.5, truePeakDb: -3, durationSeconds: 60 };
+
+beforeEach(() => {
+    config.audio.targetLUFS = -14;
+    config.verification.maxTruePeakDb = 0;
+    config.loudness.peakType = 'true';
+});
+
+test('expects the target in track mode', () => {
+    assert.deepEqual(getExpectedLevels('track', { gainDb: 6.5 }, measurement), { integratedLUFS: -14, maxTruePeakDb: 0 });
+});
+
+test('expects the measured level plus the fixed album or peak gain', () => {
+    assert.deepEqual(getExpectedLevels('album', { gainDb: 4 }, measurement), { integratedLUFS: -16.5, maxTruePeakDb: 0 });
+    assert.deepEqual(getExpectedLevels('peak', { gainDb: 2 }, measurement), { integratedLUFS: -18.5, maxTruePeakDb: 0 });
+});
+
+test('does not check the true peak against a sample peak target', () => {
+    config.loudness.peakType = 'sample';
+    assert.equal(getExpectedLevels('peak', { gainDb: 2 }, measurement).maxTruePeakDb, null);
+});
+
+test('expects the untouched level in replaygain mode', () => {
+    assert.deepEqual(getExpectedLevels('replaygain', { gainDb: 0 }, measurement), { integratedLUFS: -20.5, maxTruePeakDb: null });
+});
+
+test('skips the loudness check without a measurement', () => {
+    assert.equal(getExpectedLevels('album', { gainDb: 4 }, null).integratedLUFS, null);
+});
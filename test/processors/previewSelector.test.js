@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWavWriter } from '../../src/utils/wav.js';
+import { selectPreviewSegment } from '../../src/processors/previewSelector.js';
+
+const SAMPLE_RATE = 8000;
+
+let directory;
+
+before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'preview-'));
+});
+
+after(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Writes a mono WAV file from a function of time
+ * @param {string} name - File name
+ * @param {number} seconds - Length
+ * @param {Function} amplitude - Returns the sine amplitude at a time in seconds
+ * @returns {string} File path
+ */
+function writeWav(name, seconds, amplitude) {
+    const filePath = join(directory, name);
+    const samples = Float32Array.from({ length: seconds * SAMPLE_RATE }, (_, index) => {
+        const time = index / SAMPLE_RATE;
+        return amplitude(time) * Math.sin(2 * Math.PI * 440 * time);
+    });
+    const writer = createWavWriter(filePath, { sampleRate: SAMPLE_RATE, channels: 1 });
+    writer.write([samples]);
+    writer.close();
+    return filePath;
+}
+
+test('picks the loud section with many onsets', async () => {
+    // Quiet hum with a pulsing section from 6 to 8 seconds (a pulse every 250 ms)
+    const wavPath = writeWav('pulses.wav', 12, (time) => (time >= 6 && time < 8 ? (time % 0.25 < 0.1 ? 0.8 : 0) : 0.01));
+    const segment = await selectPreviewSegment(wavPath, { durationSeconds: 2, fadeInSeconds: 0.5 });
+
+    assert.equal(segment.durationSeconds, 2);
+    assert.ok(segment.startSeconds >= 5 && segment.startSeconds <= 6.5, `start ${segment.startSeconds}`);
+    assert.ok(segment.onsetRate > 1, `onset rate ${segment.onsetRate}`);
+});
+
+test('starts the clip a fade-in before an onset', async () => {
+    const wavPath = writeWav('steps.wav', 12, (time) => (time >= 7 ? 0.5 : 0.01));
+    const segment = await selectPreviewSegment(wavPath, { durationSeconds: 3, fadeInSeconds: 1 });
+
+    assert.equal(segment.startSeconds, 6);
+});
+
+test('uses the whole track when it is not longer than the preview', async () => {
+    const wavPath = writeWav('short.wav', 1, () => 0.5);
+
+    assert.deepEqual(await selectPreviewSegment(wavPath, { durationSeconds: 2 }), {
+        startSeconds: 0,
+        durationSeconds: 1,
+        loudnessDb: null,
+        onsetRate: null,
+    });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQualityGates } from '../../src/processors/qualityAnalyzer.js';
+
+const quality = {
+    integratedLUFS: -14,
+    truePeakDb: -0.4,
+    samplePeakDb: -0.6,
+    clippedSamples: 12,
+    dcOffset: 0.001,
+    loudnessRangeLU: 3.5,
+    silenceRatio: 0.05,
+    stereoCorrelation: 0.999,
+    durationSeconds: 180,
+};
+
+const gates = {
+    maxTruePeakDb: null,
+    maxClippedSamples: null,
+    maxDcOffset: null,
+    minLoudnessRange: null,
+    maxLoudnessRange: null,
+    maxSilenceRatio: null,
+    maxStereoCorrelation: null,
+};
+
+test('passes everything when no gate is set', () => {
+    assert.deepEqual(checkQualityGates(quality, gates), []);
+});
+
+test('reports each violated gate with value, limit and message', () => {
+    const violations = checkQualityGates(quality, {
+        ...gates,
+        maxTruePeakDb: -1,
+        maxClippedSamples: 0,
+        minLoudnessRange: 4,
+        maxStereoCorrelation: 0.99,
+    });
+
+    assert.deepEqual(violations, [
+        { gate: 'maxTruePeakDb', value: -0.4, limit: -1, message: 'true peak -0.4 dBTP above -1 dBTP' },
+        { gate: 'maxClippedSamples', value: 12, limit: 0, message: '12 clipped samples (limit 0)' },
+        { gate: 'minLoudnessRange', value: 3.5, limit: 4, message: 'loudness range 3.5 LU below 4 LU' },
+        { gate: 'maxStereoCorrelation', value: 0.999, limit: 0.99, message: 'stereo correlation 0.999 above 0.99 (mono in stereo)' },
+    ]);
+});
+
+test('accepts values exactly at the limit', () => {
+    assert.deepEqual(checkQualityGates(quality, { ...gates, maxClippedSamples: 12, maxSilenceRatio: 0.05, maxLoudnessRange: 3.5 }), []);
+});
+
+test('skips values that could not be measured', () => {
+    const mono = { ...quality, stereoCorrelation: null, loudnessRangeLU: null };
+
+    assert.deepEqual(checkQualityGates(mono, { ...gates, minLoudnessRange: 4, maxStereoCorrelation: 0.5 }), []);
+});
@@ -0,0 +1,70 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config, { validateConfig } from '../../src/config.js';
+import { selectSoundfont } from '../../src/processors/soundfontSelector.js';
+
+const document = {
+    midifile: { fileName: 'Nocturne_Op9.mid', hash: 'abc' },
+    musicLLM: { artist: 'Chopin' },
+    musicbrainz: { top: { artist: 'Frédéric Chopin', tags: [{ name: 'Classical' }, { count: 2 }] } },
+};
+
+beforeEach(() => {
+    config.soundfont.path = '/sf/default.sf2';
+    config.soundfont.documentField = 'soundfont';
+    config.soundfont.registry = {
+        soundfonts: { piano: '/sf/piano.sf2', rock: '/sf/rock.sf2' },
+        rules: [],
+    };
+});
+
+test('falls back to the default soundfont without rules', () => {
+    assert.deepEqual(selectSoundfont(document), { name: 'default', path: '/sf/default.sf2', reason: 'default' });
+});
+
+test('prefers an explicit document field over rules', () => {
+    config.soundfont.registry.rules = [{ match: { genre: 'classical' }, soundfont: 'piano' }];
+    const selection = selectSoundfont({ ...document, soundfont: 'rock' });
+    assert.equal(selection.name, 'rock');
+    assert.equal(selection.reason, 'field:soundfont');
+});
+
+test('ignores an unknown explicit soundfont', () => {
+    assert.equal(selectSoundfont({ ...document, soundfont: 'organ' }).name, 'default');
+});
+
+test('matches genre, artist and file name case-insensitively', () => {
+    config.soundfont.registry.rules = [
+        { name: 'rock', match: { genre: ['Rock', 'Metal'] }, soundfont: 'rock' },
+        { name: 'chopin', match: { artist: 'CHOPIN', fileName: '^nocturne' }, soundfont: 'piano' },
+    ];
+    assert.deepEqual(selectSoundfont(document), { name: 'piano', path: '/sf/piano.sf2', reason: 'rule:chopin' });
+});
+
+test('requires every criterion of a rule to match', () => {
+    config.soundfont.registry.rules = [{ match: { genre: 'classical', fileName: 'sonata' }, soundfont: 'piano' }];
+    assert.equal(selectSoundfont(document).name, 'default');
+});
+
+test('names unnamed rules by position', () => {
+    config.soundfont.registry.rules = [
+        { match: { genre: 'jazz' }, soundfont: 'rock' },
+        { match: { genre: 'classical' }, soundfont: 'piano' },
+    ];
+    assert.equal(selectSoundfont(document).reason, 'rule:#2');
+});
+
+test('skips artists and tags that are not strings', () => {
+    config.soundfont.registry.rules = [{ match: { artist: 'chopin' }, soundfont: 'piano' }];
+    const selection = selectSoundfont({
+        ...document,
+        redacted: { artist: ['Chopin'] },
+        musicbrainz: { top: { artist: 42, tags: [{ name: 7 }, null] } },
+    });
+    assert.equal(selection.name, 'piano');
+});
+
+test('rejects unknown match criteria at startup', () => {
+    config.soundfont.registry.rules = [{ match: { genres: 'piano' }, soundfont: 'piano' }];
+    assert.throws(validateConfig, /Soundfont rule #1 has unknown match criterion "genres"/);
+});
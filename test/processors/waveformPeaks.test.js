@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createPeakStream, encodeWaveformDat } from '../../src/processors/waveformPeaks.js';
+
+/**
+ * Encodes samples as signed 16-bit little-endian PCM
+ * @param {number[]} samples - Sample values
+ * @returns {Buffer} PCM bytes
+ */
+function pcm(samples) {
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, index) => data.writeInt16LE(sample, index * 2));
+    return data;
+}
+
+/**
+ * Writes chunks into a peak stream and waits until it has finished
+ * @param {Object} options - Peak options (see createPeakStream)
+ * @param {Buffer[]} chunks - PCM chunks
+ * @returns {Promise<Object>} Waveform
+ */
+async function measurePeaks(options, chunks) {
+    const stream = createPeakStream(options);
+    for (const chunk of chunks) {
+        stream.write(chunk);
+    }
+    stream.end();
+    await once(stream, 'finish');
+    return stream.getPeaks();
+}
+
+test('reduces samples to min/max pairs per pixel, with a partial last pixel', async () => {
+    const waveform = await measurePeaks({ sampleRate: 44100, samplesPerPixel: 3, bits: 16 }, [
+        pcm([100, -200, 50, 7, 7, 7, -32768, 32767]),
+    ]);
+
+    assert.deepEqual(waveform, {
+        version: 2,
+        channels: 1,
+        sample_rate: 44100,
+        samples_per_pixel: 3,
+        bits: 16,
+        length: 3,
+        data: [-200, 100, 7, 7, -32768, 32767],
+    });
+});
+
+test('joins samples split across chunks', async () => {
+    const data = pcm([1000, -1000, 2000, -3000]);
+    const waveform = await measurePeaks({ sampleRate: 8000, samplesPerPixel: 2, bits: 16 }, [
+        data.subarray(0, 3), data.subarray(3, 7), data.subarray(7),
+    ]);
+
+    assert.deepEqual(waveform.data, [-1000, 1000, -3000, 2000]);
+});
+
+test('stores 8-bit peaks as the high byte', async () => {
+    const waveform = await measurePeaks({ sampleRate: 8000, samplesPerPixel: 2, bits: 8 }, [pcm([-32768, 32767, 256, -257])]);
+
+    assert.deepEqual(waveform.data, [-128, 127, -2, 1]);
+});
+
+test('encodes the audiowaveform .dat header and data', () => {
+    const waveform = { version: 2, channels: 1, sample_rate: 44100, samples_per_pixel: 256, bits: 16, length: 2, data: [-5, 6, -300, 400] };
+    const dat = encodeWaveformDat(waveform);
+
+    assert.equal(dat.length, 24 + 8);
+    assert.deepEqual([0, 4, 8, 12, 16, 20].map((offset) => dat.readInt32LE(offset)), [2, 0, 44100, 256, 2, 1]);
+    assert.deepEqual([0, 1, 2, 3].map((index) => dat.readInt16LE(24 + index * 2)), [-5, 6, -300, 400]);
+
+    const dat8 = encodeWaveformDat({ ...waveform, bits: 8, data: [-5, 6, -100, 100] });
+    assert.equal(dat8.readUInt32LE(4), 1);
+    assert.deepEqual([...dat8.subarray(24)].map((byte) => (byte << 24) >> 24), [-5, 6, -100, 100]);
+});
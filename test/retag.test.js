@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import config from '../src/config.js';
+import { planMoves } from '../src/retag.js';
+
+const HASH = '3f2a9c61d0b84e7a95c3e1f07b6d2a48';
+const RENDITIONS = [{ name: 'main', format: 'mp3' }];
+
+let directory;
+
+before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'retag-'));
+    config.output.directory = directory;
+    config.output.pathTemplate = '{artist}/{album}/{title}.{ext}';
+    config.preview.pathTemplate = 'previews/{artist}/{album}/{title}.mp3';
+});
+
+after(() => {
+    rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Creates a file with its folders
+ * @param {string} relativePath - Path below the output directory
+ * @returns {string} Full path
+ */
+function touch(relativePath) {
+    const path = join(directory, relativePath);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, 'x');
+    return path;
+}
+
+/**
+ * Creates the outputs of a document written as "Old Artist" whose metadata now says "Queen"
+ * @param {string} title - Track title, keeping the tests apart
+ * @returns {Object} Completed MongoDB document
+ */
+function createDocument(title) {
+    const outputPath = touch(`Old Artist/Album/${title}.mp3`);
+    return {
+        midifile: { hash: HASH },
+        redacted: { artist: 'Queen', album: 'Album', title },
+        midiToAudioProcessing: {
+            outputPath,
+            lyrics: { lrcPath: touch(`Old Artist/Album/${title}.lrc`) },
+            stems: [
+                { index: 0, label: 'Piano', status: 'completed', outputPath: touch(`Old Artist/Album/${title}/01 - Piano.mp3`) },
+                { index: 1, label: 'Drums', status: 'failed' },
+            ],
+            preview: { outputPath: touch(`previews/Old Artist/Album/${title}.mp3`) },
+        },
+    };
+}
+
+test('moves the renditions, their sidecar files, stems and the preview to the current paths', () => {
+    const document = createDocument('Bicycle');
+    const moves = planMoves(document, RENDITIONS);
+
+    assert.deepEqual([...moves.values()], [
+        join(directory, 'Queen/Album/Bicycle.mp3'),
+        join(directory, 'Queen/Album/Bicycle.lrc'),
+        join(directory, 'Queen/Album/Bicycle/01 - Piano.mp3'),
+        join(directory, 'previews/Queen/Album/Bicycle.mp3'),
+    ]);
+    assert.equal(moves.get(document.midiToAudioProcessing.outputPath), join(directory, 'Queen/Album/Bicycle.mp3'));
+});
+
+test('plans no moves for files already in place', () => {
+    const document = createDocument('Innuendo');
+    const moves = planMoves(document, RENDITIONS);
+    for (const [path, target] of moves) {
+        mkdirSync(dirname(target), { recursive: true });
+        writeFileSync(target, 'x');
+        rmSync(path);
+    }
+
+    const processing = document.midiToAudioProcessing;
+    processing.outputPath = moves.get(processing.outputPath);
+    processing.lyrics.lrcPath = moves.get(processing.lyrics.lrcPath);
+    processing.stems[0].outputPath = moves.get(processing.stems[0].outputPath);
+    processing.preview.outputPath = moves.get(processing.preview.outputPath);
+
+    assert.equal(planMoves(document, RENDITIONS).size, 0);
+});
+
+test('refuses the whole move when one target is taken', () => {
+    const document = createDocument('Mustapha');
+    touch('Queen/Album/Mustapha.lrc');
+
+    assert.throws(() => planMoves(document, RENDITIONS), /Mustapha\.lrc already exists/);
+});
+
+test('moves the mix to the hash-suffixed path when another track has its path', () => {
+    const document = createDocument('Jealousy');
+    touch('Queen/Album/Jealousy.mp3');
+
+    assert.equal(planMoves(document, RENDITIONS).get(document.midiToAudioProcessing.outputPath), join(directory, 'Queen/Album/Jealousy_3f2a9c61.mp3'));
+});
+
+test('leaves renditions that are no longer configured in place', () => {
+    const document = createDocument('Leaving Home');
+    document.midiToAudioProcessing.preview = undefined;
+
+    assert.equal(planMoves(document, [{ name: 'archive', format: 'flac' }]).size, 0);
+});
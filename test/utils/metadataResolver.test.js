@@ -0,0 +1,98 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../src/config.js';
+import { resolveMetadata } from '../../src/utils/metadataResolver.js';
+
+const sources = {
+    artist: [
+        { field: 'musicLLM.artist', confidenceField: 'musicLLM.confidence', minConfidence: 0.8 },
+        'redacted.artist',
+    ],
+    title: ['redacted.title', 'midifile.fileName'],
+    album: ['redacted.album'],
+    year: ['redacted.date'],
+    trackNumber: ['redacted.track'],
+    musicbrainzRecordingId: ['musicbrainz.recordingId'],
+};
+
+beforeEach(() => {
+    config.metadata.featFormat = 'feat.';
+    config.metadata.genreMinVotes = 1;
+});
+
+test('takes each field from the first source that has it and reports the winner', () => {
+    const metadata = resolveMetadata({
+        musicLLM: { artist: 'Queen', confidence: 0.9 },
+        redacted: { artist: 'Queen (Band)', title: 'Bohemian Rhapsody' },
+    }, sources);
+
+    assert.equal(metadata.artist, 'Queen');
+    assert.equal(metadata.title, 'Bohemian Rhapsody');
+    assert.equal(metadata.sources.artist, 'musicLLM.artist');
+    assert.equal(metadata.sources.title, 'redacted.title');
+});
+
+test('skips sources below their confidence threshold or without a confidence', () => {
+    const low = resolveMetadata({ musicLLM: { artist: 'Queen', confidence: 0.5 }, redacted: { artist: 'Queen (Band)' } }, sources);
+    const missing = resolveMetadata({ musicLLM: { artist: 'Queen' }, redacted: { artist: 'Queen (Band)' } }, sources);
+
+    assert.equal(low.artist, 'Queen (Band)');
+    assert.equal(missing.sources.artist, 'redacted.artist');
+});
+
+test('falls back to defaults and leaves unknown optional fields undefined', () => {
+    const metadata = resolveMetadata({}, sources);
+
+    assert.equal(metadata.artist, 'Unknown Artist');
+    assert.equal(metadata.album, 'Unknown Album');
+    assert.equal(metadata.sources.artist, 'default');
+    assert.equal(metadata.year, undefined);
+    assert.equal(metadata.sources.year, null);
+    assert.deepEqual(metadata.genres, []);
+});
+
+test('cleans up values and tries the next source when nothing is left', () => {
+    const metadata = resolveMetadata({
+        redacted: { title: '   ', date: '1975-10-31', track: '03/12' },
+        midifile: { fileName: 'Bohemian  Rhapsody.MID' },
+        musicbrainz: { recordingId: 'not-an-mbid' },
+    }, sources);
+
+    assert.equal(metadata.title, 'Bohemian Rhapsody');
+    assert.equal(metadata.sources.title, 'midifile.fileName');
+    assert.equal(metadata.year, '1975');
+    assert.equal(metadata.trackNumber, '3');
+    assert.equal(metadata.musicbrainzRecordingId, undefined);
+});
+
+test('normalizes featured-artist credits', () => {
+    const metadata = resolveMetadata({
+        redacted: { artist: 'Artist ft. Guest', title: 'Song (Featuring Guest)' },
+    }, sources);
+
+    assert.equal(metadata.artist, 'Artist feat. Guest');
+    assert.equal(metadata.title, 'Song (feat. Guest)');
+    assert.equal(resolveMetadata({ redacted: { artist: 'FT Island' } }, sources).artist, 'FT Island');
+    assert.equal(resolveMetadata({ redacted: { artist: 'Artist Feat. Guest' } }, sources).artist, 'Artist feat. Guest');
+
+    config.metadata.featFormat = 'off';
+    assert.equal(resolveMetadata({ redacted: { artist: 'Artist ft. Guest' } }, sources).artist, 'Artist ft. Guest');
+});
+
+test('orders genre tags by votes and leaves out tags below the minimum', () => {
+    config.metadata.genreMinVotes = 2;
+    const metadata = resolveMetadata({
+        musicbrainz: { tags: [{ name: 'pop', count: 2 }, { name: 'rock', count: 5 }, { name: 'jazz', count: 1 }, { name: 'Rock', count: 3 }] },
+    }, { genre: ['musicbrainz.tags'] });
+
+    assert.deepEqual(metadata.genres, ['rock', 'pop']);
+    assert.equal(metadata.genre, 'rock');
+});
+
+test('accepts only names as genres', () => {
+    const metadata = resolveMetadata({
+        musicbrainz: { tags: [{ count: 9 }, { name: { text: 'rock' }, count: 8 }, 42, { name: 'blues', count: 3 }, 'soul'] },
+    }, { genre: ['musicbrainz.tags'] });
+
+    assert.deepEqual(metadata.genres, ['soul', 'blues']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePathTemplate, renderPathTemplate, previewPathTemplate } from '../../src/utils/pathTemplate.js';
+
+const values = {
+    artist: 'Pink Floyd',
+    album: 'The Dark Side of the Moon',
+    title: 'Time',
+    year: '1973',
+    trackNumber: '4',
+    hash: '3f2a9c61d0b84e7a95c3e1f07b6d2a48',
+    ext: 'mp3',
+};
+
+test('accepts the placeholders, modifiers and sections of the documented example', () => {
+    assert.deepEqual(validatePathTemplate('{artist:initial}/{artist}/<{year} - >{album}/{title} [{hash:8}].{ext}'), []);
+    assert.deepEqual(validatePathTemplate('{artist}/{title}.mp3', '.mp3'), []);
+});
+
+test('reports syntax errors, unknown placeholders and modifiers', () => {
+    const errors = (template) => validatePathTemplate(template).join('; ');
+
+    assert.match(errors('{artist/{title}.{ext}'), /unknown placeholder/);
+    assert.match(errors('{artist}/{title.{ext}'), /unknown placeholder/);
+    assert.match(errors('{artist}/{title}.{ext'), /unclosed placeholder/);
+    assert.match(errors('<{year} - <{album}>>/{title}.{ext}'), /cannot be nested/);
+    assert.match(errors('{year} - >{title}.{ext}'), /">" without "<"/);
+    assert.match(errors('{composer}/{title}.{ext}'), /unknown placeholder \{composer\}/);
+    assert.match(errors('{title:reverse}.{ext}'), /unknown modifier "reverse"/);
+    assert.match(errors('{"a:b"|title}.{ext}'), /unknown/);
+    assert.match(errors('{artist|"Various/Artists"}/{title}.{ext}'), /not allowed in paths/);
+});
+
+test('rejects lengths of zero', () => {
+    assert.match(validatePathTemplate('{title:0}.{ext}').join(), /unknown modifier "0"/);
+    assert.match(validatePathTemplate('{trackNumber:00}.{ext}').join(), /unknown modifier "00"/);
+    assert.deepEqual(validatePathTemplate('{trackNumber:02} {title:1}.{ext}'), []);
+});
+
+test('requires a relative path ending in the extension', () => {
+    assert.match(validatePathTemplate('{artist}/{title}').join(), /must end with \.\{ext\}/);
+    assert.match(validatePathTemplate('/{artist}/{title}.{ext}').join(), /relative/);
+    assert.match(validatePathTemplate('{artist}/../{title}.{ext}').join(), /relative/);
+    assert.deepEqual(validatePathTemplate(''), ['must be a non-empty path template']);
+});
+
+test('fills in fields and applies modifiers in order', () => {
+    assert.equal(
+        renderPathTemplate('{artist:initial}/{artist:upper}/{trackNumber:02} - {title:lower} [{hash:8}].{ext}', values),
+        'P/PINK FLOYD/04 - time [3f2a9c61].mp3',
+    );
+    assert.equal(renderPathTemplate('{album:lower:8}.{ext}', values), 'the dark.mp3');
+    assert.equal(renderPathTemplate('{artist:initial}/{title}.{ext}', { ...values, artist: '10cc' }), '#/Time.mp3');
+});
+
+test('leaves out optional sections with an unknown field', () => {
+    const template = '{artist}/<{year} - >{album}/{title}.{ext}';
+
+    assert.equal(renderPathTemplate(template, values), 'Pink Floyd/1973 - The Dark Side of the Moon/Time.mp3');
+    assert.equal(renderPathTemplate(template, { ...values, year: '' }), 'Pink Floyd/The Dark Side of the Moon/Time.mp3');
+});
+
+test('uses the first alternative with a value, then the defaults', () => {
+    const template = '{artistSort|artist|"Various"}/{album}/{title}.{ext}';
+    const defaults = { album: 'Unknown Album' };
+
+    assert.equal(renderPathTemplate(template, values, defaults), 'Pink Floyd/The Dark Side of the Moon/Time.mp3');
+    assert.equal(renderPathTemplate(template, { title: 'Time', ext: 'mp3' }, defaults), 'Various/Unknown Album/Time.mp3');
+    assert.equal(renderPathTemplate('{genre|artist}/{title}.{ext}', { title: 'Time', ext: 'mp3' }, { artist: 'Unknown Artist' }), 'Unknown Artist/Time.mp3');
+});
+
+test('tidies empty segments and leading or trailing dots', () => {
+    const template = '{genre}/{album}/{title}.{ext}';
+
+    assert.equal(renderPathTemplate(template, { album: '...And Justice  for All.', title: 'One', ext: 'mp3' }), 'Unknown/And Justice for All/One.mp3');
+});
+
+test('renders examples for a known and a bare document', () => {
+    const [full, bare] = previewPathTemplate('{artist}/<{year} - >{album}/{title}.{ext}', { rendition: 'main', format: 'mp3', ext: 'mp3' });
+
+    assert.equal(full, 'Pink Floyd/1973 - The Dark Side of the Moon/Time.mp3');
+    assert.equal(bare, 'Unknown Artist/Unknown Album/untitled.mp3');
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../../src/config.js';
+import { createPcmBuffer } from '../../src/utils/pcmBuffer.js';
+import { readWavBlocks } from '../../src/utils/wav.js';
+
+const SAMPLE_RATE = 44100;
+const FRAME_BYTES = 4; // 16 bit stereo
+
+let tempDirectory;
+
+before(() => {
+    tempDirectory = mkdtempSync(join(tmpdir(), 'pcm-buffer-'));
+    config.output.tempDirectory = tempDirectory;
+});
+
+after(() => {
+    rmSync(tempDirectory, { recursive: true, force: true });
+});
+
+/**
+ * Creates stereo test audio: a ramp on the left, its inverse on the right
+ * @param {number} frames - Number of frames
+ * @returns {Float32Array[]} Planar samples
+ */
+function ramp(frames) {
+    const left = new Float32Array(frames);
+    const right = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        left[frame] = ((frame % 2000) - 1000) / 1000;
+        right[frame] = -left[frame];
+    }
+    return [left, right];
+}
+
+/**
+ * Writes audio in renderer-sized blocks
+ * @param {Object} writer - PCM buffer
+ * @param {Float32Array[]} channelData - Planar samples
+ * @param {number} [blockFrames] - Frames per write
+ */
+function writeBlocks(writer, channelData, blockFrames = 4096) {
+    for (let start = 0; start < channelData[0].length; start += blockFrames) {
+        const block = channelData.map((samples) => samples.subarray(start, start + blockFrames));
+        writer.write(block, block[0].length);
+    }
+}
+
+/**
+ * Reads a readable stream into one buffer
+ * @param {Readable} stream - Byte stream
+ * @returns {Promise<Buffer>} Content
+ */
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+test('keeps audio within the memory limit off the disk', () => {
+    const buffer = createPcmBuffer({ sampleRate: SAMPLE_RATE, memoryLimitBytes: 1024 * 1024 });
+    writeBlocks(buffer, ramp(SAMPLE_RATE));
+    buffer.close();
+
+    assert.equal(buffer.memoryBytes, SAMPLE_RATE * FRAME_BYTES);
+    assert.equal(buffer.spilledBytes, 0);
+    assert.deepEqual(readdirSync(tempDirectory), []);
+});
+
+test('spills audio past the memory limit and reads it back in order', async () => {
+    const limit = 64 * 1024;
+    const reference = createPcmBuffer({ sampleRate: SAMPLE_RATE });
+    const buffer = createPcmBuffer({ sampleRate: SAMPLE_RATE, memoryLimitBytes: limit });
+    const audio = ramp(SAMPLE_RATE * 2);
+    writeBlocks(reference, audio);
+    writeBlocks(buffer, audio);
+    buffer.close();
+
+    assert.ok(buffer.memoryBytes <= limit);
+    assert.equal(buffer.memoryBytes + buffer.spilledBytes, SAMPLE_RATE * 2 * FRAME_BYTES);
+    assert.equal(buffer.frames, SAMPLE_RATE * 2);
+    assert.deepEqual(await collect(buffer.createReadStream()), await collect(reference.createReadStream()));
+
+    let frames = 0;
+    for await (const { channelData, frameCount } of readWavBlocks(buffer, 10000)) {
+        assert.equal(channelData[0][0], Math.round(audio[0][frames] * 32767) / 32768);
+        frames += frameCount;
+    }
+    assert.equal(frames, SAMPLE_RATE * 2);
+
+    buffer.release();
+    assert.deepEqual(readdirSync(tempDirectory), []);
+});
+
+test('frees the audio while its last reader consumes it', async () => {
+    const buffer = createPcmBuffer({ sampleRate: SAMPLE_RATE, memoryLimitBytes: 256 * 1024 });
+    writeBlocks(buffer, ramp(SAMPLE_RATE * 2));
+    buffer.close();
+    const stored = buffer.memoryBytes;
+
+    const seen = [];
+    let bytes = 0;
+    for await (const chunk of buffer.createReadStream({ release: true })) {
+        bytes += chunk.length;
+        seen.push(buffer.memoryBytes);
+    }
+
+    assert.equal(bytes, SAMPLE_RATE * 2 * FRAME_BYTES);
+    assert.ok(seen[0] < stored);
+    assert.equal(buffer.memoryBytes, 0);
+    assert.equal(buffer.spilledBytes, 0);
+    assert.deepEqual(readdirSync(tempDirectory), []);
+});
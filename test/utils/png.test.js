@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'zlib';
+import { encodePng } from '../../src/utils/png.js';
+
+/**
+ * Splits a PNG file into its chunks
+ * @param {Buffer} png - PNG file data
+ * @returns {Object[]} Chunks { type, data, crc }
+ */
+function readChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({
+            type: png.toString('ascii', offset + 4, offset + 8),
+            data: png.subarray(offset + 8, offset + 8 + length),
+            crc: png.readUInt32BE(offset + 8 + length),
+        });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Undoes the "up" filter of every scanline
+ * @param {Buffer} raw - Inflated image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} RGB pixels
+ */
+function unfilter(raw, width, height) {
+    const rowLength = width * 3;
+    const pixels = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        assert.equal(raw[y * (rowLength + 1)], 2);
+        for (let x = 0; x < rowLength; x++) {
+            const above = y > 0 ? pixels[(y - 1) * rowLength + x] : 0;
+            pixels[y * rowLength + x] = (raw[y * (rowLength + 1) + 1 + x] + above) & 0xff;
+        }
+    }
+    return pixels;
+}
+
+test('writes signature, header and image data of an RGB image', () => {
+    const width = 3;
+    const height = 2;
+    const pixels = Uint8Array.from({ length: width * height * 3 }, (_, index) => (index * 37) % 256);
+    const png = encodePng(width, height, pixels);
+
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const [header, data, end] = readChunks(png);
+    assert.equal(header.type, 'IHDR');
+    assert.equal(header.data.readUInt32BE(0), width);
+    assert.equal(header.data.readUInt32BE(4), height);
+    assert.deepEqual([...header.data.subarray(8)], [8, 2, 0, 0, 0]);
+    assert.equal(data.type, 'IDAT');
+    assert.deepEqual(unfilter(inflateSync(data.data), width, height), pixels);
+    assert.equal(end.type, 'IEND');
+});
+
+test('computes the chunk CRCs', () => {
+    const chunks = readChunks(encodePng(1, 1, new Uint8Array(3)));
+
+    // IEND has no data, so its CRC is the same in every PNG file
+    assert.equal(chunks.at(-1).crc, 0xae426082);
+});
+
+test('rejects pixel data of the wrong size', () => {
+    assert.throws(() => encodePng(2, 2, new Uint8Array(11)), /Expected 12 bytes of RGB data, got 11/);
+});
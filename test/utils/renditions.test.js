@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRenditions } from '../../src/utils/renditions.js';
+
+const OUTPUT_DIRECTORY = '/srv/music';
+
+test('accepts renditions of different formats or directories', () => {
+    assert.deepEqual(validateRenditions([
+        { name: 'library', format: 'mp3', bitrate: 320 },
+        { name: 'mobile', format: 'aac', bitrate: 128 },
+        { name: 'archive', format: 'flac', compressionLevel: 8, bitDepth: 24, outputDirectory: '/srv/archive' },
+        { name: 'archive-mp3', format: 'mp3', quality: 0, outputDirectory: '/srv/archive' },
+    ], OUTPUT_DIRECTORY), []);
+    assert.deepEqual(validateRenditions([], OUTPUT_DIRECTORY), []);
+});
+
+test('requires unique names made of letters, digits, _ and -', () => {
+    const errors = validateRenditions([
+        { name: 'main', format: 'mp3' },
+        { name: 'main', format: 'flac' },
+        { name: 'my archive', format: 'wav' },
+        { format: 'opus' },
+    ], OUTPUT_DIRECTORY);
+
+    assert.deepEqual(errors, [
+        'Rendition #2: name "main" is used twice',
+        'Rendition #3: name must consist of letters, digits, _ and -',
+        'Rendition #4: name must consist of letters, digits, _ and -',
+    ]);
+});
+
+test('rejects unknown formats and settings outside the range of the format', () => {
+    const errors = validateRenditions([
+        { name: 'a', format: 'wma' },
+        { name: 'b', format: 'mp3', bitrate: 32 },
+        { name: 'c', format: 'flac', bitrate: 320 },
+        { name: 'd', format: 'wav', bitDepth: 20 },
+        { name: 'e', format: 'vorbis', quality: '5' },
+    ], OUTPUT_DIRECTORY);
+
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /^Rendition #1: format must be one of mp3, flac, opus, vorbis, aac, wav$/);
+    assert.equal(errors[1], 'Rendition #2: bitrate must be between 64 and 320 for mp3');
+    assert.equal(errors[2], 'Rendition #3: bitrate does not apply to flac');
+    assert.equal(errors[3], 'Rendition #4: bitDepth must be 16, 24, 32 for wav');
+    assert.equal(errors[4], 'Rendition #5: quality must be between -1 and 10 for vorbis');
+});
+
+test('rejects two renditions writing the same files', () => {
+    const errors = validateRenditions([
+        { name: 'high', format: 'mp3', bitrate: 320 },
+        { name: 'low', format: 'mp3', bitrate: 128, outputDirectory: `${OUTPUT_DIRECTORY}/` },
+        { name: 'empty', format: 'flac', outputDirectory: '' },
+    ], OUTPUT_DIRECTORY);
+
+    assert.deepEqual(errors, [
+        'Rendition #2: writes mp3 files to the same directory as rendition #1',
+        'Rendition #3: outputDirectory must be a path',
+    ]);
+});
+
+test('checks path templates and tells renditions apart by their layout', () => {
+    assert.deepEqual(validateRenditions([
+        { name: 'albums', format: 'mp3' },
+        { name: 'singles', format: 'mp3', pathTemplate: 'Singles/{artist} - {title}.{ext}' },
+    ], OUTPUT_DIRECTORY), []);
+
+    const errors = validateRenditions([
+        { name: 'flat', format: 'flac', pathTemplate: '{artist} - {title}.mp3' },
+        { name: 'odd', format: 'wav', pathTemplate: '{composer}/{title}.{ext}' },
+    ], OUTPUT_DIRECTORY);
+    assert.match(errors[0], /^Rendition #1: pathTemplate must end with/);
+    assert.match(errors[1], /^Rendition #2: pathTemplate unknown placeholder \{composer\}/);
+});
+
+test('requires a list', () => {
+    assert.deepEqual(validateRenditions({ name: 'main', format: 'mp3' }, OUTPUT_DIRECTORY), ['Renditions must be a list']);
+});
@@ -0,0 +1,36 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../src/config.js';
+import { getSampleFormat, buildDitherFilters } from '../../src/utils/sampleFormat.js';
+
+const { dither } = config.audio;
+
+afterEach(() => {
+    config.audio.dither = dither;
+});
+
+test('resolves the chain format for each bit depth', () => {
+    assert.deepEqual(getSampleFormat(16), { bitDepth: 16, float: false, codec: 'pcm_s16le', rawFormat: 's16le', fluidsynthFormat: 's16' });
+    assert.equal(getSampleFormat(24).codec, 'pcm_s24le');
+    assert.deepEqual(getSampleFormat(32), { bitDepth: 32, float: true, codec: 'pcm_f32le', rawFormat: 'f32le', fluidsynthFormat: 'float' });
+    assert.throws(() => getSampleFormat(8), /Unsupported bit depth: 8/);
+});
+
+test('dithers 16-bit outputs in the resampler', () => {
+    config.audio.dither = 'triangular';
+
+    assert.deepEqual(buildDitherFilters(16, 48000), ['aresample=48000:osf=s16:dither_method=triangular']);
+});
+
+test('leaves 24-bit and float outputs undithered', () => {
+    config.audio.dither = 'triangular';
+
+    assert.deepEqual(buildDitherFilters(24, 48000), []);
+    assert.deepEqual(buildDitherFilters(32, 48000), []);
+});
+
+test('adds no dither filter when DITHER is none', () => {
+    config.audio.dither = 'none';
+
+    assert.deepEqual(buildDitherFilters(16, 48000), []);
+});